@@ -3,6 +3,7 @@ import { Routes, Route, Link, useLocation } from 'react-router-dom';
 import Home from './components/Home';
 import SendPosters from './components/SendPosters';
 import MemberRegistration from './components/MemberRegistration';
+import MemberPortal from './components/MemberPortal';
 import AdminLogin from './components/AdminLogin.tsx';
 import { AdminPanel } from './components/AdminPanel.tsx'; // Import with curly braces as it's a named export
 import { useState } from 'react';
@@ -38,6 +39,7 @@ const Navbar = () => {
             <NavLink to="/" label="Home" active={location.pathname === '/'} />
             <NavLink to="/send-poster" label="Send Poster" active={location.pathname === '/send-poster'} />
             <NavLink to="/register" label="Register Member" active={location.pathname === '/register'} />
+            <NavLink to="/my-posters" label="My Posters" active={location.pathname === '/my-posters'} />
 
           </div>
           <div className="md:hidden flex items-center">
@@ -58,6 +60,7 @@ const Navbar = () => {
           <NavLink to="/" label="Home" active={location.pathname === '/'} onClick={() => setOpen(false)} />
           <NavLink to="/send-poster" label="Send Poster" active={location.pathname === '/send-poster'} onClick={() => setOpen(false)} />
           <NavLink to="/register" label="Register Member" active={location.pathname === '/register'} onClick={() => setOpen(false)} />
+          <NavLink to="/my-posters" label="My Posters" active={location.pathname === '/my-posters'} onClick={() => setOpen(false)} />
 
         </div>
       )}
@@ -93,8 +96,16 @@ function App() {
         <div className="w-full mx-auto"> {/* Removed p-4 to give AdminPanel full control */}
           <Routes>
             <Route path="/" element={<Home />} />
-            <Route path="/send-poster" element={<SendPosters />} />
+            <Route
+              path="/send-poster"
+              element={
+                <ProtectedRoute>
+                  <SendPosters />
+                </ProtectedRoute>
+              }
+            />
             <Route path="/register" element={<MemberRegistration />} />
+            <Route path="/my-posters" element={<MemberPortal />} />
             <Route path="/admin-login" element={<AdminLogin />} />
             <Route
               path="/admin"
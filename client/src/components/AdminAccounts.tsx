@@ -0,0 +1,196 @@
+import React, { useCallback, useEffect, useState } from 'react';
+
+// ------------------ Types ------------------
+type AdminAccount = {
+  id: string;
+  username: string;
+  role: string;
+  disabled?: boolean;
+  lastLoginAt?: string;
+  activeSessions: number;
+};
+
+type Role = { name: string; label: string };
+
+const formatDate = (value?: string) => (value ? new Date(value).toLocaleString() : 'Never');
+
+// ------------------ Component ------------------
+// Super-admin screen for the admin panel's own accounts: roles, passwords and signed-in sessions
+const AdminAccounts: React.FC<{ apiBaseUrl: string; currentAdminId?: string }> = ({ apiBaseUrl, currentAdminId }) => {
+  const [accounts, setAccounts] = useState<AdminAccount[]>([]);
+  const [roles, setRoles] = useState<Role[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState<string | null>(null);
+  const [notice, setNotice] = useState<string | null>(null);
+  const [form, setForm] = useState({ username: '', password: '', role: 'viewer' });
+
+  const fetchAccounts = useCallback(async () => {
+    try {
+      setLoading(true);
+      const res = await fetch(`${apiBaseUrl}api/admin/accounts`, { credentials: 'include' });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || 'Failed to load admin accounts');
+      setAccounts(data.accounts);
+      setRoles(data.roles);
+      setError(null);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to load admin accounts');
+    } finally {
+      setLoading(false);
+    }
+  }, [apiBaseUrl]);
+
+  useEffect(() => {
+    fetchAccounts();
+  }, [fetchAccounts]);
+
+  const request = async (path: string, method: string, body?: object) => {
+    setError(null);
+    setNotice(null);
+    const res = await fetch(`${apiBaseUrl}api/admin/accounts${path}`, {
+      method,
+      headers: body ? { 'Content-Type': 'application/json' } : undefined,
+      credentials: 'include',
+      body: body ? JSON.stringify(body) : undefined,
+    });
+    const result = await res.json();
+    if (!res.ok) throw new Error(result.error || 'Request failed');
+    return result;
+  };
+
+  const run = async (action: () => Promise<string | void>) => {
+    try {
+      const message = await action();
+      if (message) setNotice(message);
+      await fetchAccounts();
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Request failed');
+    }
+  };
+
+  const createAccount = (e: React.FormEvent) => {
+    e.preventDefault();
+    run(async () => {
+      await request('', 'POST', form);
+      setForm({ username: '', password: '', role: 'viewer' });
+      return `Created ${form.username}`;
+    });
+  };
+
+  const resetPassword = (account: AdminAccount) => {
+    const password = window.prompt(`New password for ${account.username} (at least 8 characters)`);
+    if (!password) return;
+    run(async () => {
+      await request(`/${account.id}`, 'PUT', { password });
+      return `Password changed for ${account.username}`;
+    });
+  };
+
+  const deleteAccount = (account: AdminAccount) => {
+    if (!window.confirm(`Delete admin account ${account.username}?`)) return;
+    run(async () => {
+      await request(`/${account.id}`, 'DELETE');
+      return `Deleted ${account.username}`;
+    });
+  };
+
+  return (
+    <div className="space-y-4">
+      {error && <p className="text-sm text-red-600">{error}</p>}
+      {notice && <p className="text-sm text-green-700">{notice}</p>}
+
+      <form onSubmit={createAccount} className="flex flex-wrap items-end gap-2 border rounded-lg p-3">
+        <input
+          value={form.username}
+          onChange={e => setForm({ ...form, username: e.target.value })}
+          placeholder="Username"
+          required
+          className="p-2 border rounded-lg text-sm"
+        />
+        <input
+          type="password"
+          value={form.password}
+          onChange={e => setForm({ ...form, password: e.target.value })}
+          placeholder="Password (8+ characters)"
+          required
+          minLength={8}
+          className="p-2 border rounded-lg text-sm"
+        />
+        <select value={form.role} onChange={e => setForm({ ...form, role: e.target.value })} className="p-2 border rounded-lg text-sm">
+          {roles.map(role => (
+            <option key={role.name} value={role.name}>{role.label}</option>
+          ))}
+        </select>
+        <button type="submit" className="px-4 py-2 rounded-lg text-sm bg-blue-600 text-white hover:bg-blue-700">Add admin</button>
+      </form>
+
+      {loading ? (
+        <p className="text-sm text-gray-500">Loading admin accounts...</p>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left text-gray-500 border-b">
+                <th className="py-2 pr-2 font-medium">Username</th>
+                <th className="py-2 pr-2 font-medium">Role</th>
+                <th className="py-2 pr-2 font-medium">Last login</th>
+                <th className="py-2 pr-2 font-medium">Sessions</th>
+                <th className="py-2 font-medium">Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {accounts.map(account => (
+                <tr key={account.id} className={`border-b ${account.disabled ? 'text-gray-400' : ''}`}>
+                  <td className="py-2 pr-2 font-medium">
+                    {account.username}
+                    {account.id === currentAdminId && <span className="ml-1 text-xs text-blue-600">(you)</span>}
+                    {account.disabled && <span className="ml-1 text-xs text-red-600">disabled</span>}
+                  </td>
+                  <td className="py-2 pr-2">
+                    <select
+                      value={account.role}
+                      onChange={e => run(async () => { await request(`/${account.id}`, 'PUT', { role: e.target.value }); })}
+                      className="p-1 border rounded text-sm"
+                    >
+                      {roles.map(role => (
+                        <option key={role.name} value={role.name}>{role.label}</option>
+                      ))}
+                    </select>
+                  </td>
+                  <td className="py-2 pr-2">{formatDate(account.lastLoginAt)}</td>
+                  <td className="py-2 pr-2">{account.activeSessions}</td>
+                  <td className="py-2">
+                    <div className="flex flex-wrap gap-1">
+                      <button onClick={() => resetPassword(account)} className="px-2 py-1 rounded text-xs bg-gray-100 hover:bg-gray-200">Reset password</button>
+                      <button
+                        onClick={() => run(async () => {
+                          const result = await request(`/${account.id}/revoke-sessions`, 'POST');
+                          return `Signed ${account.username} out of ${result.revoked} session(s)`;
+                        })}
+                        disabled={account.activeSessions === 0}
+                        className="px-2 py-1 rounded text-xs bg-gray-100 hover:bg-gray-200 disabled:opacity-50"
+                      >
+                        Sign out everywhere
+                      </button>
+                      <button
+                        onClick={() => run(async () => { await request(`/${account.id}`, 'PUT', { disabled: !account.disabled }); })}
+                        className="px-2 py-1 rounded text-xs bg-yellow-100 text-yellow-800 hover:bg-yellow-200"
+                      >
+                        {account.disabled ? 'Enable' : 'Disable'}
+                      </button>
+                      {account.id !== currentAdminId && (
+                        <button onClick={() => deleteAccount(account)} className="px-2 py-1 rounded text-xs bg-red-100 text-red-700 hover:bg-red-200">Delete</button>
+                      )}
+                    </div>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AdminAccounts;
@@ -5,6 +5,18 @@ import ReactCrop, { Crop, PixelCrop } from 'react-image-crop';
 import { centerCrop, makeAspectCrop } from 'react-image-crop';
 import 'react-image-crop/dist/ReactCrop.css';
 import { AiOutlineCloudUpload, AiOutlineEdit, AiOutlineDelete, AiOutlineDownload } from 'react-icons/ai';
+import CampaignHistory from './CampaignHistory';
+import ProfileReviewQueue from './ProfileReviewQueue';
+import AdminAccounts from './AdminAccounts';
+import AuditLogView from './AuditLogView';
+import MemberImportWizard from './MemberImportWizard';
+import MemberExportButtons, { MemberExportFilter } from './MemberExportButtons';
+import MemberGroupsManager from './MemberGroupsManager';
+import SegmentsManager from './SegmentsManager';
+import MemberGroupFields from './MemberGroupFields';
+import useMemberGroups from './useMemberGroups';
+import LanguageSelect from './LanguageSelect';
+import ChannelCheckboxes from './ChannelCheckboxes';
 
 // ------------------ Types ------------------
 type User = {
@@ -12,10 +24,14 @@ type User = {
   name: string;
   email: string;
   phone: string;
-  designation: string;
+  designation: string; // names of designationIds, kept by the server
+  designationIds?: string[];
   photoUrl?: string; // server path like "/uploads/xyz.jpg"
   photo?: string; // remote URL (Cloudinary) when available
-  teamName?: string;
+  teamName?: string; // names of teamIds, kept by the server
+  teamIds?: string[];
+  language?: string;
+  channels?: string[];
 };
 
 type ImageModalState = {
@@ -27,13 +43,17 @@ type ImageModalState = {
 
 type DashboardStats = {
   totalUsers: number;
-  partners: number;
   teamMembers: number;
-  admins: number;
-  founders: number;
   designatedUsers: number;
+  byDesignation: Record<string, number>; // designation id -> members
 };
 
+const EMPTY_STATS: DashboardStats = { totalUsers: 0, teamMembers: 0, designatedUsers: 0, byDesignation: {} };
+
+// Dashboard icons for the designations the panel always had; others get a tag
+const DESIGNATION_ICONS: Record<string, string> = { partner: '🤝', admin: '👑', founder: '🏆' };
+const designationIcon = (name: string) => DESIGNATION_ICONS[name.toLowerCase()] || '🏷️';
+
 // ------------------ Small UI Bits ------------------
 const MobileDashboardCard: React.FC<{ title: string; value: string | number; icon: React.ReactNode; onClick?: () => void }> = ({ title, value, icon, onClick }) => (
   <div onClick={onClick} role={onClick ? 'button' : undefined} tabIndex={onClick ? 0 : -1} className={`bg-white rounded-lg p-3 border border-gray-200 shadow-sm ${onClick ? 'cursor-pointer' : ''}`}>
@@ -73,20 +93,11 @@ const AdminPanel: React.FC = () => {
 
   // Search / stats
   const [searchEmail, setSearchEmail] = useState('');
-  const [dashboardStats, setDashboardStats] = useState<DashboardStats>({
-    totalUsers: 0,
-    partners: 0,
-    teamMembers: 0,
-    admins: 0,
-    founders: 0,
-    designatedUsers: 0,
-  });
+  const [dashboardStats, setDashboardStats] = useState<DashboardStats>(EMPTY_STATS);
 
-  // Active filter for the list (all | partner | team | admin | founder)
-  const [activeFilter, setActiveFilter] = useState<'all' | 'partner' | 'team' | 'admin' | 'founder'>('all');
-
-  
-  // Excel export removed
+  // Active filter for the list: 'all', 'team' or a designation id
+  const [activeFilter, setActiveFilter] = useState('all');
+  const [withPhotoOnly, setWithPhotoOnly] = useState(false);
 
   // Confirm modal
   const [showConfirmModal, setShowConfirmModal] = useState(false);
@@ -94,7 +105,9 @@ const AdminPanel: React.FC = () => {
   const [confirmMessage, setConfirmMessage] = useState('');
 
   // Tabs (mobile)
-  const [activeTab, setActiveTab] = useState<'dashboard' | 'search' | 'list' | 'edit'>('dashboard');
+  const [activeTab, setActiveTab] = useState<'dashboard' | 'search' | 'list' | 'edit' | 'history' | 'reviews' | 'groups' | 'segments' | 'accounts' | 'audit'>('dashboard');
+  // Sections (desktop)
+  const [desktopSection, setDesktopSection] = useState<'members' | 'import' | 'history' | 'reviews' | 'groups' | 'segments' | 'accounts' | 'audit'>('members');
 
   // Image modal / crop
   const [imageModal, setImageModal] = useState<ImageModalState>({
@@ -124,25 +137,22 @@ const AdminPanel: React.FC = () => {
   const rawBase = (import.meta as any).env?.VITE_API_URL ?? '/';
   const API_BASE_URL = rawBase.endsWith('/') ? rawBase : `${rawBase}/`;
 
+  // Designations and teams for the filters, dashboard and edit form
+  const [groupsRefreshKey, setGroupsRefreshKey] = useState(0);
+  const memberGroups = useMemberGroups(API_BASE_URL, groupsRefreshKey);
+
   // ------------------ Helpers: Stats ------------------
   const calculateDashboardStats = useCallback((usersList: User[]) => {
-    const acc = usersList.reduce(
-      (accum, user) => {
-        const designations = (user.designation || '').split(',').map(d => d.trim());
-        const isPartner = designations.includes('Partner');
-        const isAdmin = designations.includes('Admin');
-        const isFounder = designations.includes('Founder');
-        if (isPartner) accum.partners += 1;
-        if (isAdmin) accum.admins += 1;
-        if (isFounder) accum.founders += 1;
-        if (isPartner || isAdmin || isFounder) accum.designatedUsers += 1;
-        // teamMembers counted when user has a non-empty teamName
-        if (user.teamName && user.teamName.trim() !== '') accum.teamMembers += 1;
-        return accum;
-      },
-      { partners: 0, teamMembers: 0, admins: 0, founders: 0, designatedUsers: 0 }
-    );
-    setDashboardStats({ ...acc, totalUsers: usersList.length });
+    const stats: DashboardStats = { ...EMPTY_STATS, byDesignation: {}, totalUsers: usersList.length };
+    usersList.forEach(user => {
+      const designationIds = user.designationIds || [];
+      designationIds.forEach(id => {
+        stats.byDesignation[id] = (stats.byDesignation[id] || 0) + 1;
+      });
+      if (designationIds.length > 0) stats.designatedUsers += 1;
+      if ((user.teamIds || []).length > 0) stats.teamMembers += 1;
+    });
+    setDashboardStats(stats);
   }, []);
 
   // ------------------ Data: Fetch Users ------------------
@@ -160,7 +170,7 @@ const AdminPanel: React.FC = () => {
       setError(null);
     } catch (err) {
       setUsers([]);
-    setDashboardStats({ totalUsers: 0, partners: 0, teamMembers: 0, admins: 0, founders: 0, designatedUsers: 0 });
+    setDashboardStats(EMPTY_STATS);
       const msg = err instanceof Error ? err.message : 'Failed to fetch users. Please try again later.';
       setError(msg);
       if (msg === 'Please login again') navigate('/admin-login');
@@ -169,6 +179,12 @@ const AdminPanel: React.FC = () => {
     }
   }, [API_BASE_URL, calculateDashboardStats, navigate]);
 
+  // A renamed designation or team changes the names shown on its members too
+  const onGroupsChanged = useCallback(() => {
+    setGroupsRefreshKey(key => key + 1);
+    fetchUsers();
+  }, [fetchUsers]);
+
   useEffect(() => {
     fetchUsers();
   }, [fetchUsers]);
@@ -191,6 +207,17 @@ const AdminPanel: React.FC = () => {
   }, [error, editingUser, activeTab, users]);
 
   // ------------------ Auth ------------------
+  const [currentAdmin, setCurrentAdmin] = useState<{ id: string; username: string; role: string } | null>(null);
+
+  useEffect(() => {
+    fetch(`${API_BASE_URL}api/admin-auth`, { credentials: 'include' })
+      .then(res => (res.ok ? res.json() : null))
+      .then(data => setCurrentAdmin(data && data.admin ? data.admin : null))
+      .catch(() => setCurrentAdmin(null));
+  }, [API_BASE_URL]);
+
+  const isSuperAdmin = currentAdmin?.role === 'super-admin';
+
   const handleLogout = async () => {
     try {
       await fetch(`${API_BASE_URL}api/admin/logout`, { method: 'POST', credentials: 'include' });
@@ -204,7 +231,7 @@ const AdminPanel: React.FC = () => {
     setConfirmMessage('Are you sure you want to delete this user? This cannot be undone.');
     setConfirmAction(() => async () => {
       try {
-        const response = await fetch(`${API_BASE_URL}api/users/${id}`, { method: 'DELETE' });
+        const response = await fetch(`${API_BASE_URL}api/users/${id}`, { method: 'DELETE', credentials: 'include' });
         if (!response.ok) throw new Error('Failed to delete user.');
         const updated = users.filter(u => u.id !== id);
         setUsers(updated);
@@ -232,7 +259,8 @@ const AdminPanel: React.FC = () => {
       const response = await fetch(`${API_BASE_URL}api/users/${editingUser.id}`, {
         method: 'PUT',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(editingUser),
+        credentials: 'include',
+        body: JSON.stringify({ ...editingUser, designationIds: editingUser.designationIds || [], teamIds: editingUser.teamIds || [] }),
       });
       const data = await response.json();
       if (!response.ok) throw new Error(data.error || 'Update failed');
@@ -381,7 +409,6 @@ const AdminPanel: React.FC = () => {
   // ------------------ Render helpers ------------------
   const renderDashboardCards = (isMobile: boolean) => (
     <div className="space-y-4">
-  <div className="flex justify-end">{/* export removed */}</div>
       <div className="grid grid-cols-2 sm:grid-cols-2 lg:grid-cols-5 gap-2 sm:gap-6">
       {isMobile ? (
         <>
@@ -389,9 +416,9 @@ const AdminPanel: React.FC = () => {
             <MobileDashboardCard title="Total Users" value={loading ? '-' : dashboardStats.totalUsers} icon="👥" />
           </div>
           <MobileDashboardCard title="Team Members" value={loading ? '-' : dashboardStats.teamMembers} icon="🧑‍🤝‍🧑" onClick={() => { setActiveFilter('team'); setActiveTab('list'); }} />
-          <MobileDashboardCard title="Partners" value={loading ? '-' : dashboardStats.partners} icon="🤝" />
-          <MobileDashboardCard title="Admins" value={loading ? '-' : dashboardStats.admins} icon="👑" />
-          <MobileDashboardCard title="Founders" value={loading ? '-' : dashboardStats.founders} icon="🏆" />
+          {memberGroups.designations.map(d => (
+            <MobileDashboardCard key={d.id} title={d.name} value={loading ? '-' : dashboardStats.byDesignation[d.id] || 0} icon={designationIcon(d.name)} onClick={() => { setActiveFilter(d.id); setActiveTab('list'); }} />
+          ))}
           <MobileDashboardCard title="Designated" value={loading ? '-' : dashboardStats.designatedUsers} icon="🎯" />
         </>
       ) : (
@@ -400,17 +427,15 @@ const AdminPanel: React.FC = () => {
             <DesktopDashboardCard
               title="Total Users"
               value={loading ? '-' : dashboardStats.totalUsers}
-              description={
-                <div className="mt-2">{/* export removed */}</div>
-              }
+              description="All registered members"
               icon="👥"
             />
           </div>
           <DesktopDashboardCard title="Team Members" value={loading ? '-' : dashboardStats.teamMembers} description="Members registered with a team" icon="🧑‍🤝‍🧑" />
-          <DesktopDashboardCard title="Partners" value={loading ? '-' : dashboardStats.partners} description="Business Partners" icon="🤝" />
-          <DesktopDashboardCard title="Admins" value={loading ? '-' : dashboardStats.admins} description="Administrative Staff" icon="👑" />
-          <DesktopDashboardCard title="Founders" value={loading ? '-' : dashboardStats.founders} description="Company Founders" icon="🏆" />
-          <DesktopDashboardCard title="Designated Users" value={loading ? '-' : dashboardStats.designatedUsers} description="Users with specific roles" icon="🎯" />
+          {memberGroups.designations.map(d => (
+            <DesktopDashboardCard key={d.id} title={d.name} value={loading ? '-' : dashboardStats.byDesignation[d.id] || 0} description={`Members with the ${d.name} designation`} icon={designationIcon(d.name)} />
+          ))}
+          <DesktopDashboardCard title="Designated Users" value={loading ? '-' : dashboardStats.designatedUsers} description="Users with at least one designation" icon="🎯" />
         </>
       )}
       </div>
@@ -445,16 +470,20 @@ const AdminPanel: React.FC = () => {
     );
   };
 
+  // The list filter in the form the export endpoint takes
+  const exportFilter: MemberExportFilter = {
+    ...(activeFilter === 'team' && { teamId: 'any' }),
+    ...(activeFilter !== 'all' && activeFilter !== 'team' && { designationId: activeFilter }),
+    ...(withPhotoOnly && { hasPhoto: 'true' as const }),
+  };
+
   const renderUserListContent = () => {
     // compute filtered list based on activeFilter
     const filteredUsers = users.filter(user => {
+      if (withPhotoOnly && !user.photoUrl) return false;
       if (activeFilter === 'all') return true;
-      if (activeFilter === 'team') return !!(user.teamName && user.teamName.trim() !== '');
-      const designations = (user.designation || '').split(',').map(d => d.trim());
-      if (activeFilter === 'partner') return designations.includes('Partner');
-      if (activeFilter === 'admin') return designations.includes('Admin');
-      if (activeFilter === 'founder') return designations.includes('Founder');
-      return true;
+      if (activeFilter === 'team') return (user.teamIds || []).length > 0;
+      return (user.designationIds || []).includes(activeFilter);
     });
 
     if (loading) {
@@ -643,30 +672,28 @@ const AdminPanel: React.FC = () => {
               placeholder="Enter phone number"
             />
           </div>
+          <div className="md:col-span-2">
+            <MemberGroupFields
+              groups={memberGroups}
+              designationIds={editingUser?.designationIds}
+              teamIds={editingUser?.teamIds}
+              onChange={({ designationIds, teamIds }) => setEditingUser(prev => (prev ? { ...prev, designationIds, teamIds } : prev))}
+            />
+          </div>
           <div className="space-y-2">
-            <label htmlFor="designation" className="text-sm font-medium text-gray-700">Designation</label>
-            <select
-              id="designation"
-              value={editingUser?.designation ?? ''}
-              onChange={e => setEditingUser(prev => (prev ? { ...prev, designation: e.target.value } : prev))}
+            <label htmlFor="language" className="text-sm font-medium text-gray-700">Language</label>
+            <LanguageSelect
+              id="language"
+              value={editingUser?.language ?? 'en'}
+              onChange={language => setEditingUser(prev => (prev ? { ...prev, language } : prev))}
               className="w-full p-3 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 text-sm sm:text-base"
-              required
-            >
-              <option value="">Select Designation</option>
-              <option value="Partner">Partner</option>
-              <option value="Admin">Admin</option>
-              <option value="Founder">Founder</option>
-            </select>
+            />
           </div>
           <div className="space-y-2">
-            <label htmlFor="teamName" className="text-sm font-medium text-gray-700">Team Name (optional)</label>
-            <input
-              id="teamName"
-              type="text"
-              value={editingUser?.teamName ?? ''}
-              onChange={e => setEditingUser(prev => (prev ? { ...prev, teamName: e.target.value } : prev))}
-              className="w-full p-3 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 text-sm sm:text-base"
-              placeholder="Enter team name if this member belongs to a team"
+            <span className="text-sm font-medium text-gray-700">Send Posters By</span>
+            <ChannelCheckboxes
+              value={editingUser?.channels}
+              onChange={channels => setEditingUser(prev => (prev ? { ...prev, channels } : prev))}
             />
           </div>
         </div>
@@ -702,6 +729,7 @@ const AdminPanel: React.FC = () => {
           <nav className="hidden sm:flex items-center gap-4">
             <a href="/" className="text-gray-600 hover:text-gray-900 transition-colors text-sm sm:text-base">Home</a>
             <a href="/register" className="text-gray-600 hover:text-gray-900 transition-colors text-sm sm:text-base">Register</a>
+            {currentAdmin && <span className="text-sm text-gray-500">{currentAdmin.username} ({currentAdmin.role})</span>}
             <button
               onClick={handleLogout}
               className="bg-red-600 text-white px-3 py-1.5 sm:px-4 sm:py-2 rounded-lg hover:bg-red-700 transition-colors text-sm sm:text-base"
@@ -717,6 +745,16 @@ const AdminPanel: React.FC = () => {
           <button onClick={() => { setActiveTab('dashboard'); setEditingUser(null); }} className={`flex-1 py-2 text-sm font-medium ${activeTab === 'dashboard' ? 'text-blue-600 border-b-2 border-blue-600' : 'text-gray-500'}`}>Dashboard</button>
           <button onClick={() => { setActiveTab('search'); setEditingUser(null); }} className={`flex-1 py-2 text-sm font-medium ${activeTab === 'search' ? 'text-blue-600 border-b-2 border-blue-600' : 'text-gray-500'}`}>Search</button>
           <button onClick={() => { setActiveTab('list'); setEditingUser(null); }} className={`flex-1 py-2 text-sm font-medium ${activeTab === 'list' ? 'text-blue-600 border-b-2 border-blue-600' : 'text-gray-500'}`}>Members ({users.length})</button>
+          <button onClick={() => { setActiveTab('history'); setEditingUser(null); }} className={`flex-1 py-2 text-sm font-medium ${activeTab === 'history' ? 'text-blue-600 border-b-2 border-blue-600' : 'text-gray-500'}`}>History</button>
+          <button onClick={() => { setActiveTab('reviews'); setEditingUser(null); }} className={`flex-1 py-2 text-sm font-medium ${activeTab === 'reviews' ? 'text-blue-600 border-b-2 border-blue-600' : 'text-gray-500'}`}>Requests</button>
+          <button onClick={() => { setActiveTab('groups'); setEditingUser(null); }} className={`flex-1 py-2 text-sm font-medium ${activeTab === 'groups' ? 'text-blue-600 border-b-2 border-blue-600' : 'text-gray-500'}`}>Groups</button>
+          <button onClick={() => { setActiveTab('segments'); setEditingUser(null); }} className={`flex-1 py-2 text-sm font-medium ${activeTab === 'segments' ? 'text-blue-600 border-b-2 border-blue-600' : 'text-gray-500'}`}>Segments</button>
+          {isSuperAdmin && (
+            <button onClick={() => { setActiveTab('accounts'); setEditingUser(null); }} className={`flex-1 py-2 text-sm font-medium ${activeTab === 'accounts' ? 'text-blue-600 border-b-2 border-blue-600' : 'text-gray-500'}`}>Admins</button>
+          )}
+          {isSuperAdmin && (
+            <button onClick={() => { setActiveTab('audit'); setEditingUser(null); }} className={`flex-1 py-2 text-sm font-medium ${activeTab === 'audit' ? 'text-blue-600 border-b-2 border-blue-600' : 'text-gray-500'}`}>Audit</button>
+          )}
           {editingUser && (
             <button onClick={() => setActiveTab('edit')} className={`flex-1 py-2 text-sm font-medium ${activeTab === 'edit' ? 'text-blue-600 border-b-2 border-blue-600' : 'text-gray-500'}`}>Edit</button>
           )}
@@ -755,10 +793,47 @@ const AdminPanel: React.FC = () => {
             {activeTab === 'list' && (
               <section className="bg-white p-4 rounded-xl shadow-md border mt-4">
                 <h2 className="text-lg font-bold text-gray-800 mb-4">Registered Members</h2>
+                <MemberExportButtons apiBaseUrl={API_BASE_URL} filter={exportFilter} className="mb-4" />
                 {renderUserListContent()}
               </section>
             )}
             {activeTab === 'edit' && editingUser && <section className="mt-4">{renderEditFormContent()}</section>}
+            {activeTab === 'history' && (
+              <section className="bg-white p-4 rounded-xl shadow-md border mt-4">
+                <h2 className="text-lg font-bold text-gray-800 mb-4">Campaign History</h2>
+                <CampaignHistory apiBaseUrl={API_BASE_URL} />
+              </section>
+            )}
+            {activeTab === 'reviews' && (
+              <section className="bg-white p-4 rounded-xl shadow-md border mt-4">
+                <h2 className="text-lg font-bold text-gray-800 mb-4">Profile Change Requests</h2>
+                <ProfileReviewQueue apiBaseUrl={API_BASE_URL} onApplied={fetchUsers} />
+              </section>
+            )}
+            {activeTab === 'groups' && (
+              <section className="bg-white p-4 rounded-xl shadow-md border mt-4">
+                <h2 className="text-lg font-bold text-gray-800 mb-4">Designations &amp; Teams</h2>
+                <MemberGroupsManager apiBaseUrl={API_BASE_URL} canDelete={isSuperAdmin} onChanged={onGroupsChanged} />
+              </section>
+            )}
+            {activeTab === 'segments' && (
+              <section className="bg-white p-4 rounded-xl shadow-md border mt-4">
+                <h2 className="text-lg font-bold text-gray-800 mb-4">Segments</h2>
+                <SegmentsManager apiBaseUrl={API_BASE_URL} members={users} />
+              </section>
+            )}
+            {activeTab === 'accounts' && isSuperAdmin && (
+              <section className="bg-white p-4 rounded-xl shadow-md border mt-4">
+                <h2 className="text-lg font-bold text-gray-800 mb-4">Admin Accounts</h2>
+                <AdminAccounts apiBaseUrl={API_BASE_URL} currentAdminId={currentAdmin?.id} />
+              </section>
+            )}
+            {activeTab === 'audit' && isSuperAdmin && (
+              <section className="bg-white p-4 rounded-xl shadow-md border mt-4">
+                <h2 className="text-lg font-bold text-gray-800 mb-4">Audit Log</h2>
+                <AuditLogView apiBaseUrl={API_BASE_URL} members={users} />
+              </section>
+            )}
           </div>
 
           {/* Desktop sections */}
@@ -768,7 +843,72 @@ const AdminPanel: React.FC = () => {
               {renderDashboardCards(false)}
             </section>
 
-            <section className="bg-white p-4 sm:p-6 rounded-xl shadow-md border relative mt-6">
+            <div className="flex items-center gap-2 mt-6">
+              <button className={`px-4 py-2 rounded-lg text-sm font-medium ${desktopSection === 'members' ? 'bg-blue-600 text-white' : 'bg-white text-gray-700 border'}`} onClick={() => setDesktopSection('members')}>Members</button>
+              <button className={`px-4 py-2 rounded-lg text-sm font-medium ${desktopSection === 'import' ? 'bg-blue-600 text-white' : 'bg-white text-gray-700 border'}`} onClick={() => { setDesktopSection('import'); setEditingUser(null); }}>Import Members</button>
+              <button className={`px-4 py-2 rounded-lg text-sm font-medium ${desktopSection === 'history' ? 'bg-blue-600 text-white' : 'bg-white text-gray-700 border'}`} onClick={() => { setDesktopSection('history'); setEditingUser(null); }}>Campaign History</button>
+              <button className={`px-4 py-2 rounded-lg text-sm font-medium ${desktopSection === 'reviews' ? 'bg-blue-600 text-white' : 'bg-white text-gray-700 border'}`} onClick={() => { setDesktopSection('reviews'); setEditingUser(null); }}>Profile Requests</button>
+              <button className={`px-4 py-2 rounded-lg text-sm font-medium ${desktopSection === 'groups' ? 'bg-blue-600 text-white' : 'bg-white text-gray-700 border'}`} onClick={() => { setDesktopSection('groups'); setEditingUser(null); }}>Designations &amp; Teams</button>
+              <button className={`px-4 py-2 rounded-lg text-sm font-medium ${desktopSection === 'segments' ? 'bg-blue-600 text-white' : 'bg-white text-gray-700 border'}`} onClick={() => { setDesktopSection('segments'); setEditingUser(null); }}>Segments</button>
+              {isSuperAdmin && (
+                <button className={`px-4 py-2 rounded-lg text-sm font-medium ${desktopSection === 'accounts' ? 'bg-blue-600 text-white' : 'bg-white text-gray-700 border'}`} onClick={() => { setDesktopSection('accounts'); setEditingUser(null); }}>Admin Accounts</button>
+              )}
+              {isSuperAdmin && (
+                <button className={`px-4 py-2 rounded-lg text-sm font-medium ${desktopSection === 'audit' ? 'bg-blue-600 text-white' : 'bg-white text-gray-700 border'}`} onClick={() => { setDesktopSection('audit'); setEditingUser(null); }}>Audit Log</button>
+              )}
+            </div>
+
+            {desktopSection === 'groups' && (
+              <section className="bg-white p-4 sm:p-6 rounded-xl shadow-md border relative mt-4">
+                <h2 className="text-xl sm:text-2xl font-bold text-gray-800 mb-4">Designations &amp; Teams</h2>
+                <MemberGroupsManager apiBaseUrl={API_BASE_URL} canDelete={isSuperAdmin} onChanged={onGroupsChanged} />
+              </section>
+            )}
+
+            {desktopSection === 'segments' && (
+              <section className="bg-white p-4 sm:p-6 rounded-xl shadow-md border relative mt-4">
+                <h2 className="text-xl sm:text-2xl font-bold text-gray-800 mb-4">Segments</h2>
+                <SegmentsManager apiBaseUrl={API_BASE_URL} members={users} />
+              </section>
+            )}
+
+            {desktopSection === 'audit' && isSuperAdmin && (
+              <section className="bg-white p-4 sm:p-6 rounded-xl shadow-md border relative mt-4">
+                <h2 className="text-xl sm:text-2xl font-bold text-gray-800 mb-4">Audit Log</h2>
+                <AuditLogView apiBaseUrl={API_BASE_URL} members={users} />
+              </section>
+            )}
+
+            {desktopSection === 'accounts' && isSuperAdmin && (
+              <section className="bg-white p-4 sm:p-6 rounded-xl shadow-md border relative mt-4">
+                <h2 className="text-xl sm:text-2xl font-bold text-gray-800 mb-4">Admin Accounts</h2>
+                <AdminAccounts apiBaseUrl={API_BASE_URL} currentAdminId={currentAdmin?.id} />
+              </section>
+            )}
+
+            {desktopSection === 'reviews' && (
+              <section className="bg-white p-4 sm:p-6 rounded-xl shadow-md border relative mt-4">
+                <h2 className="text-xl sm:text-2xl font-bold text-gray-800 mb-4">Profile Change Requests</h2>
+                <ProfileReviewQueue apiBaseUrl={API_BASE_URL} onApplied={fetchUsers} />
+              </section>
+            )}
+
+            {desktopSection === 'import' && (
+              <section className="bg-white p-4 sm:p-6 rounded-xl shadow-md border relative mt-4">
+                <h2 className="text-xl sm:text-2xl font-bold text-gray-800 mb-4">Import Members</h2>
+                <MemberImportWizard apiBaseUrl={API_BASE_URL} onImported={fetchUsers} />
+              </section>
+            )}
+
+            {desktopSection === 'history' && (
+              <section className="bg-white p-4 sm:p-6 rounded-xl shadow-md border relative mt-4">
+                <h2 className="text-xl sm:text-2xl font-bold text-gray-800 mb-4">Campaign History</h2>
+                <CampaignHistory apiBaseUrl={API_BASE_URL} />
+              </section>
+            )}
+
+            {desktopSection === 'members' && (
+            <section className="bg-white p-4 sm:p-6 rounded-xl shadow-md border relative mt-4">
               <div className="mb-6 sticky top-0 bg-white z-20 pb-4 border-b">
                 <h2 className="text-lg sm:text-xl font-bold text-gray-800 mb-4">Search Member</h2>
                 {renderSearchSectionContent()}
@@ -788,13 +928,16 @@ const AdminPanel: React.FC = () => {
                 <div className="flex items-center gap-2 mb-4">
                   <button className={`px-3 py-1 rounded-full text-sm ${activeFilter === 'all' ? 'bg-blue-600 text-white' : 'bg-gray-100 text-gray-700'}`} onClick={() => setActiveFilter('all')}>All</button>
                   <button className={`px-3 py-1 rounded-full text-sm ${activeFilter === 'team' ? 'bg-blue-600 text-white' : 'bg-gray-100 text-gray-700'}`} onClick={() => setActiveFilter('team')}>Team</button>
-                  <button className={`px-3 py-1 rounded-full text-sm ${activeFilter === 'partner' ? 'bg-blue-600 text-white' : 'bg-gray-100 text-gray-700'}`} onClick={() => setActiveFilter('partner')}>Partners</button>
-                  <button className={`px-3 py-1 rounded-full text-sm ${activeFilter === 'admin' ? 'bg-blue-600 text-white' : 'bg-gray-100 text-gray-700'}`} onClick={() => setActiveFilter('admin')}>Admin</button>
-                  <button className={`px-3 py-1 rounded-full text-sm ${activeFilter === 'founder' ? 'bg-blue-600 text-white' : 'bg-gray-100 text-gray-700'}`} onClick={() => setActiveFilter('founder')}>Founder</button>
+                  {memberGroups.designations.map(d => (
+                    <button key={d.id} className={`px-3 py-1 rounded-full text-sm ${activeFilter === d.id ? 'bg-blue-600 text-white' : 'bg-gray-100 text-gray-700'}`} onClick={() => setActiveFilter(d.id)}>{d.name}</button>
+                  ))}
+                  <button className={`px-3 py-1 rounded-full text-sm ${withPhotoOnly ? 'bg-blue-600 text-white' : 'bg-gray-100 text-gray-700'}`} onClick={() => setWithPhotoOnly(!withPhotoOnly)}>With photo</button>
+                  <MemberExportButtons apiBaseUrl={API_BASE_URL} filter={exportFilter} className="ml-auto" />
                 </div>
 
                 {renderUserListContent()}
             </section>
+            )}
           </div>
         </div>
       </main>
@@ -0,0 +1,215 @@
+import React, { useEffect, useState } from "react";
+import useMemberGroups, { MemberGroup } from "./useMemberGroups";
+import MemberPicker, { PickableMember } from "./MemberPicker";
+
+// Campaign audience as understood by the server (see server/utils/audience.js)
+export type Audience = {
+  segmentIds: string[];
+  designationIds: string[];
+  teamIds: string[];
+  allTeams: boolean;
+  memberIds: string[];
+  excludeIds: string[];
+  registeredFrom?: string; // ISO timestamps
+  registeredTo?: string;
+};
+
+type Member = PickableMember & { designation?: string; teamName?: string };
+
+// A saved segment as listed by /api/segments (see server/utils/segments.js)
+type SavedSegment = { id: string; name: string; type: "static" | "dynamic"; memberCount: number };
+
+type AudiencePreview = {
+  count: number;
+  withoutPhoto: number;
+  label: string;
+  members: (Member & { createdAt?: string; hasPhoto: boolean })[];
+};
+
+const PREVIEW_DELAY_MS = 400;
+
+const toggle = (list: string[], id: string) => (list.includes(id) ? list.filter((x) => x !== id) : [...list, id]);
+
+// <input type="date"> value for an ISO timestamp, in local time
+const toDateInput = (iso?: string) => {
+  if (!iso) return "";
+  const d = new Date(iso);
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, "0")}-${String(d.getDate()).padStart(2, "0")}`;
+};
+
+// Builds a campaign audience from saved segments, designations, teams, a registration range and
+// hand-picked members, and shows who the server resolves it to before the campaign is sent.
+// Segment rules are built with the same form, without the segment choice (`showSegments`).
+const AudienceBuilder: React.FC<{ apiUrl: string; value: Audience; onChange: (audience: Audience) => void; showSegments?: boolean }> = ({
+  apiUrl,
+  value,
+  onChange,
+  showSegments = true,
+}) => {
+  const groups = useMemberGroups(apiUrl);
+  const [members, setMembers] = useState<Member[]>([]);
+  const [segments, setSegments] = useState<SavedSegment[]>([]);
+  const [preview, setPreview] = useState<AudiencePreview | null>(null);
+  const [previewError, setPreviewError] = useState<string | null>(null);
+  const [showList, setShowList] = useState(false);
+
+  useEffect(() => {
+    const loadMembers = async () => {
+      try {
+        const res = await fetch(`${apiUrl}/api/users`, { credentials: "include" });
+        if (res.ok) setMembers(await res.json());
+      } catch (err) {
+        console.error(err);
+      }
+    };
+    loadMembers();
+  }, [apiUrl]);
+
+  useEffect(() => {
+    if (!showSegments) return;
+    const loadSegments = async () => {
+      try {
+        const res = await fetch(`${apiUrl}/api/segments`, { credentials: "include" });
+        if (res.ok) setSegments(await res.json());
+      } catch (err) {
+        console.error(err);
+      }
+    };
+    loadSegments();
+  }, [apiUrl, showSegments]);
+
+  // Ask the server who the audience resolves to, once the admin stops changing it
+  const audienceJson = JSON.stringify(value);
+  useEffect(() => {
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      try {
+        const res = await fetch(`${apiUrl}/api/audience/preview`, {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          credentials: "include",
+          body: JSON.stringify({ audience: JSON.parse(audienceJson) }),
+        });
+        const data = await res.json();
+        if (cancelled) return;
+        if (res.ok) {
+          setPreview(data);
+          setPreviewError(null);
+        } else {
+          setPreview(null);
+          setPreviewError(data.error || "Could not preview the audience");
+        }
+      } catch (err) {
+        console.error(err);
+      }
+    }, PREVIEW_DELAY_MS);
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [apiUrl, audienceJson]);
+
+  const checkboxes = (options: MemberGroup[], selected: string[], update: (next: string[]) => void, disabled = false) =>
+    options.length === 0 ? (
+      <p className="text-xs text-gray-500">None set up yet</p>
+    ) : (
+      <div className="flex flex-wrap gap-x-4 gap-y-1">
+        {options.map((option) => (
+          <label key={option.id} className={`flex items-center gap-2 text-sm ${disabled ? "text-gray-400" : "text-gray-700"}`}>
+            <input type="checkbox" checked={selected.includes(option.id)} disabled={disabled} onChange={() => update(toggle(selected, option.id))} />
+            {option.name}
+          </label>
+        ))}
+      </div>
+    );
+
+  const setDate = (field: "registeredFrom" | "registeredTo", date: string) => {
+    // The range covers whole days in the admin's time zone
+    const iso = date ? new Date(`${date}T${field === "registeredFrom" ? "00:00:00" : "23:59:59.999"}`).toISOString() : undefined;
+    onChange({ ...value, [field]: iso });
+  };
+
+  return (
+    <div className="space-y-4 mb-4 p-3 border rounded">
+      {showSegments && (
+        <div>
+          <p className="text-sm font-medium text-gray-700 mb-1">Saved segments</p>
+          {segments.length === 0 ? (
+            <p className="text-xs text-gray-500">None saved yet; manage them in the admin panel</p>
+          ) : (
+            <div className="flex flex-wrap gap-x-4 gap-y-1">
+              {segments.map((segment) => (
+                <label key={segment.id} className="flex items-center gap-2 text-sm text-gray-700">
+                  <input type="checkbox" checked={value.segmentIds.includes(segment.id)} onChange={() => onChange({ ...value, segmentIds: toggle(value.segmentIds, segment.id) })} />
+                  {segment.name}
+                  <span className="text-xs text-gray-500">({segment.memberCount})</span>
+                </label>
+              ))}
+            </div>
+          )}
+        </div>
+      )}
+
+      <div>
+        <p className="text-sm font-medium text-gray-700 mb-1">Designations</p>
+        {checkboxes(groups.designations, value.designationIds, (designationIds) => onChange({ ...value, designationIds }))}
+      </div>
+
+      <div>
+        <p className="text-sm font-medium text-gray-700 mb-1">Teams</p>
+        <label className="flex items-center gap-2 text-sm text-gray-700 mb-1">
+          <input type="checkbox" checked={value.allTeams} onChange={(e) => onChange({ ...value, allTeams: e.target.checked })} />
+          All teams
+        </label>
+        {checkboxes(groups.teams, value.teamIds, (teamIds) => onChange({ ...value, teamIds }), value.allTeams)}
+      </div>
+
+      <div>
+        <p className="text-sm font-medium text-gray-700 mb-1">Registered between</p>
+        <div className="flex items-center gap-2">
+          <input type="date" value={toDateInput(value.registeredFrom)} onChange={(e) => setDate("registeredFrom", e.target.value)} className="flex-1 p-1 border rounded text-sm" />
+          <span className="text-sm text-gray-500">and</span>
+          <input type="date" value={toDateInput(value.registeredTo)} onChange={(e) => setDate("registeredTo", e.target.value)} className="flex-1 p-1 border rounded text-sm" />
+        </div>
+      </div>
+
+      <MemberPicker title="Also send to" members={members} selected={value.memberIds} onChange={(memberIds) => onChange({ ...value, memberIds })} />
+      <MemberPicker title="Leave out" members={members} selected={value.excludeIds} onChange={(excludeIds) => onChange({ ...value, excludeIds })} />
+
+      <div className="pt-2 border-t">
+        {previewError ? (
+          <p className="text-sm text-gray-500">{previewError}</p>
+        ) : preview ? (
+          <>
+            <p className="text-sm text-gray-800">
+              <span className="font-semibold">{preview.count}</span> recipient{preview.count === 1 ? "" : "s"}
+              {preview.withoutPhoto > 0 && <span className="text-amber-600"> · {preview.withoutPhoto} without a photo</span>}
+              {preview.count > 0 && (
+                <button type="button" onClick={() => setShowList((s) => !s)} className="ml-2 text-blue-600 hover:underline">
+                  {showList ? "Hide list" : "Show list"}
+                </button>
+              )}
+            </p>
+            {showList && (
+              <ul className="mt-2 max-h-60 overflow-auto divide-y border rounded text-sm">
+                {preview.members.map((m) => (
+                  <li key={m.id} className="px-2 py-1">
+                    <span className="text-gray-800">{m.name}</span> <span className="text-gray-500">{m.email}</span>
+                    {!m.hasPhoto && <span className="ml-1 text-xs text-amber-600">no photo</span>}
+                  </li>
+                ))}
+                {preview.count > preview.members.length && (
+                  <li className="px-2 py-1 text-gray-500">and {preview.count - preview.members.length} more</li>
+                )}
+              </ul>
+            )}
+          </>
+        ) : (
+          <p className="text-sm text-gray-500">Working out recipients...</p>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default AudienceBuilder;
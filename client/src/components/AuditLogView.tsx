@@ -0,0 +1,179 @@
+import React, { useCallback, useEffect, useState } from 'react';
+
+// ------------------ Types ------------------
+type Snapshot = Record<string, unknown> | null;
+
+type AuditEntry = {
+  _id: string;
+  action: string;
+  adminId?: string;
+  adminUsername?: string;
+  ip?: string;
+  targetType: string;
+  targetId?: string;
+  memberId?: string;
+  before?: Snapshot;
+  after?: Snapshot;
+  details?: Record<string, unknown>;
+  createdAt: string;
+};
+
+type Option = { name: string; label: string };
+type AdminOption = { id: string; username: string };
+type MemberOption = { id: string; name: string; email: string };
+
+const PAGE_SIZE = 50;
+
+// Member fields that differ between the before and after snapshots
+const changedFields = (entry: AuditEntry) => {
+  const before = entry.before || {};
+  const after = entry.after || {};
+  const keys = Array.from(new Set([...Object.keys(before), ...Object.keys(after)])).filter(k => k !== 'createdAt' && k !== 'updatedAt');
+  return keys.filter(k => JSON.stringify(before[k] ?? null) !== JSON.stringify(after[k] ?? null));
+};
+
+const formatValue = (value: unknown) => {
+  if (value === undefined || value === null || value === '') return '-';
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
+};
+
+const targetLabel = (entry: AuditEntry) => {
+  const member = entry.after || entry.before;
+  if (member && member.name) return `${member.name} (${member.email || entry.targetId})`;
+  const name = entry.details && (entry.details.username || entry.details.name);
+  return name ? String(name) : `${entry.targetType} ${entry.targetId || ''}`;
+};
+
+// ------------------ Component ------------------
+// Who did what to members, campaigns and admin accounts; the log itself cannot be edited
+const AuditLogView: React.FC<{ apiBaseUrl: string; members: MemberOption[] }> = ({ apiBaseUrl, members }) => {
+  const [entries, setEntries] = useState<AuditEntry[]>([]);
+  const [actions, setActions] = useState<Option[]>([]);
+  const [admins, setAdmins] = useState<AdminOption[]>([]);
+  const [filters, setFilters] = useState({ adminId: '', memberId: '', action: '' });
+  const [expandedId, setExpandedId] = useState<string | null>(null);
+  const [hasMore, setHasMore] = useState(false);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState<string | null>(null);
+
+  const fetchEntries = useCallback(async (before?: string) => {
+    try {
+      setLoading(true);
+      const params = new URLSearchParams({ limit: String(PAGE_SIZE) });
+      Object.entries(filters).forEach(([key, value]) => value && params.set(key, value));
+      if (before) params.set('before', before);
+      const res = await fetch(`${apiBaseUrl}api/admin/audit?${params}`, { credentials: 'include' });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || 'Failed to load audit log');
+      setEntries(prev => (before ? [...prev, ...data.entries] : data.entries));
+      setActions(data.actions);
+      setAdmins(data.admins);
+      setHasMore(data.entries.length === PAGE_SIZE);
+      setError(null);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to load audit log');
+    } finally {
+      setLoading(false);
+    }
+  }, [apiBaseUrl, filters]);
+
+  useEffect(() => {
+    fetchEntries();
+  }, [fetchEntries]);
+
+  const actionLabel = (name: string) => actions.find(a => a.name === name)?.label || name;
+  const selectClass = 'p-2 border rounded-lg text-sm';
+
+  return (
+    <div className="space-y-4">
+      <div className="flex flex-wrap gap-2">
+        <select value={filters.adminId} onChange={e => setFilters({ ...filters, adminId: e.target.value })} className={selectClass}>
+          <option value="">All admins</option>
+          {admins.map(admin => (
+            <option key={admin.id} value={admin.id}>{admin.username}</option>
+          ))}
+        </select>
+        <select value={filters.memberId} onChange={e => setFilters({ ...filters, memberId: e.target.value })} className={selectClass}>
+          <option value="">All members</option>
+          {members.map(member => (
+            <option key={member.id} value={member.id}>{member.name} ({member.email})</option>
+          ))}
+        </select>
+        <select value={filters.action} onChange={e => setFilters({ ...filters, action: e.target.value })} className={selectClass}>
+          <option value="">All actions</option>
+          {actions.map(action => (
+            <option key={action.name} value={action.name}>{action.label}</option>
+          ))}
+        </select>
+      </div>
+
+      {error && <p className="text-sm text-red-600">{error}</p>}
+      {!loading && entries.length === 0 && <p className="text-sm text-gray-500">No audit entries match these filters.</p>}
+
+      {entries.length > 0 && (
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left text-gray-500 border-b">
+                <th className="py-2 pr-2 font-medium">When</th>
+                <th className="py-2 pr-2 font-medium">Admin</th>
+                <th className="py-2 pr-2 font-medium">Action</th>
+                <th className="py-2 pr-2 font-medium">Target</th>
+                <th className="py-2 font-medium">IP</th>
+              </tr>
+            </thead>
+            <tbody>
+              {entries.map(entry => (
+                <React.Fragment key={entry._id}>
+                  <tr className="border-b cursor-pointer hover:bg-gray-50" onClick={() => setExpandedId(expandedId === entry._id ? null : entry._id)}>
+                    <td className="py-2 pr-2 whitespace-nowrap">{new Date(entry.createdAt).toLocaleString()}</td>
+                    <td className="py-2 pr-2">{entry.adminUsername || '-'}</td>
+                    <td className="py-2 pr-2">{actionLabel(entry.action)}</td>
+                    <td className="py-2 pr-2">{targetLabel(entry)}</td>
+                    <td className="py-2 text-gray-500">{entry.ip || '-'}</td>
+                  </tr>
+                  {expandedId === entry._id && (
+                    <tr className="bg-gray-50 border-b">
+                      <td colSpan={5} className="p-3">
+                        {(entry.before || entry.after) && (
+                          <table className="w-full text-xs mb-2">
+                            <thead>
+                              <tr className="text-left text-gray-500">
+                                <th className="pr-2 font-medium">Field</th>
+                                <th className="pr-2 font-medium">Before</th>
+                                <th className="font-medium">After</th>
+                              </tr>
+                            </thead>
+                            <tbody>
+                              {changedFields(entry).map(field => (
+                                <tr key={field}>
+                                  <td className="pr-2 text-gray-600">{field}</td>
+                                  <td className="pr-2 text-red-700 break-all">{formatValue(entry.before?.[field])}</td>
+                                  <td className="text-green-700 break-all">{formatValue(entry.after?.[field])}</td>
+                                </tr>
+                              ))}
+                            </tbody>
+                          </table>
+                        )}
+                        {entry.details && <pre className="text-xs text-gray-600 whitespace-pre-wrap">{JSON.stringify(entry.details, null, 2)}</pre>}
+                      </td>
+                    </tr>
+                  )}
+                </React.Fragment>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {loading && <p className="text-sm text-gray-500">Loading audit log...</p>}
+      {!loading && hasMore && (
+        <button onClick={() => fetchEntries(entries[entries.length - 1].createdAt)} className="px-4 py-2 rounded-lg text-sm bg-gray-100 hover:bg-gray-200">
+          Load older entries
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default AuditLogView;
@@ -0,0 +1,263 @@
+import React, { useCallback, useEffect, useState } from 'react';
+
+// ------------------ Types ------------------
+type Campaign = {
+  id: string;
+  designation: string;
+  templateName?: string;
+  status: 'queued' | 'running' | 'completed' | 'failed';
+  total: number;
+  rendered: number;
+  sent: number;
+  failed: number;
+  error?: string;
+  createdAt: string;
+  startedAt?: string;
+  finishedAt?: string;
+};
+
+type ChannelResult = {
+  channel: string;
+  status: 'sent' | 'failed';
+  error?: string;
+};
+
+type DeliveryAttempt = {
+  _id: string;
+  memberId: string;
+  name?: string;
+  email?: string;
+  status: 'sent' | 'failed';
+  stage?: 'member' | 'photo' | 'render' | 'email' | 'whatsapp';
+  error?: string;
+  channels?: ChannelResult[];
+  createdAt: string;
+};
+
+type ChannelSummary = Record<string, { sent: number; failed: number }>;
+
+type EmailQueueStats = {
+  depth: number;
+  sentLast24Hours: number;
+  perDayLimit: number;
+  perMinuteLimit: number;
+  waitingFor: string | null;
+  resumeAt: string | null;
+  campaignBacklog: number;
+};
+
+const STAGE_LABELS: Record<NonNullable<DeliveryAttempt['stage']>, string> = {
+  member: 'Member missing',
+  photo: 'Photo',
+  render: 'Poster render',
+  email: 'Email delivery',
+  whatsapp: 'WhatsApp delivery',
+};
+
+const CHANNEL_LABELS: Record<string, string> = {
+  email: 'Email',
+  whatsapp: 'WhatsApp',
+};
+
+const STATUS_STYLES: Record<Campaign['status'], string> = {
+  queued: 'bg-gray-100 text-gray-700',
+  running: 'bg-yellow-100 text-yellow-800',
+  completed: 'bg-green-100 text-green-800',
+  failed: 'bg-red-100 text-red-800',
+};
+
+const formatDate = (value?: string) => (value ? new Date(value).toLocaleString() : '-');
+
+// ------------------ Component ------------------
+const CampaignHistory: React.FC<{ apiBaseUrl: string }> = ({ apiBaseUrl }) => {
+  const [campaigns, setCampaigns] = useState<Campaign[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState<string | null>(null);
+  const [selectedId, setSelectedId] = useState<string | null>(null);
+  const [failures, setFailures] = useState<DeliveryAttempt[]>([]);
+  const [channelSummary, setChannelSummary] = useState<ChannelSummary>({});
+  const [failuresLoading, setFailuresLoading] = useState(false);
+  const [retrying, setRetrying] = useState(false);
+  const [notice, setNotice] = useState<string | null>(null);
+  const [emailQueue, setEmailQueue] = useState<EmailQueueStats | null>(null);
+
+  const fetchCampaigns = useCallback(async () => {
+    try {
+      setLoading(true);
+      const res = await fetch(`${apiBaseUrl}api/campaigns`, { credentials: 'include' });
+      if (!res.ok) throw new Error('Failed to load campaign history');
+      setCampaigns(await res.json());
+      setError(null);
+      const queueRes = await fetch(`${apiBaseUrl}api/email-queue`, { credentials: 'include' });
+      if (queueRes.ok) setEmailQueue(await queueRes.json());
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to load campaign history');
+    } finally {
+      setLoading(false);
+    }
+  }, [apiBaseUrl]);
+
+  useEffect(() => {
+    fetchCampaigns();
+  }, [fetchCampaigns]);
+
+  const retryFailed = async (id: string) => {
+    setRetrying(true);
+    setNotice(null);
+    try {
+      const res = await fetch(`${apiBaseUrl}api/campaigns/${id}/retry`, { method: 'POST', credentials: 'include' });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || 'Failed to retry campaign');
+      setNotice(data.message);
+      setSelectedId(null);
+      await fetchCampaigns();
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to retry campaign');
+    } finally {
+      setRetrying(false);
+    }
+  };
+
+  const toggleCampaign = async (id: string) => {
+    if (selectedId === id) {
+      setSelectedId(null);
+      return;
+    }
+    setSelectedId(id);
+    setFailures([]);
+    setChannelSummary({});
+    setFailuresLoading(true);
+    try {
+      const res = await fetch(`${apiBaseUrl}api/campaigns/${id}/attempts?status=failed`, { credentials: 'include' });
+      if (!res.ok) throw new Error('Failed to load delivery failures');
+      setFailures(await res.json());
+      const summaryRes = await fetch(`${apiBaseUrl}api/campaigns/${id}`, { credentials: 'include' });
+      if (summaryRes.ok) setChannelSummary((await summaryRes.json()).channels || {});
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to load delivery failures');
+    } finally {
+      setFailuresLoading(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="text-center py-8">
+        <div className="animate-spin rounded-full h-10 w-10 border-4 border-blue-500 border-t-transparent mx-auto mb-3"></div>
+        <p className="text-gray-500 text-sm">Loading campaigns...</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-3">
+      <div className="flex justify-between items-center">
+        {error ? <p className="text-sm text-red-600">{error}</p> : notice ? <p className="text-sm text-green-700">{notice}</p> : <span />}
+        <button onClick={fetchCampaigns} className="px-3 py-1 rounded-full text-sm bg-gray-100 text-gray-700 hover:bg-gray-200">Refresh</button>
+      </div>
+
+      {emailQueue && (
+        <div className="bg-gray-50 border border-gray-200 rounded-lg p-3 text-xs sm:text-sm text-gray-700 flex flex-wrap gap-x-4 gap-y-1">
+          <span><strong>{emailQueue.depth}</strong> emails queued</span>
+          <span><strong>{emailQueue.campaignBacklog}</strong> members waiting in campaigns</span>
+          <span>{emailQueue.sentLast24Hours}/{emailQueue.perDayLimit} sent in 24h · {emailQueue.perMinuteLimit}/min</span>
+          {emailQueue.waitingFor && emailQueue.resumeAt && (
+            <span className="text-yellow-800">Paused ({emailQueue.waitingFor}) until {formatDate(emailQueue.resumeAt)}</span>
+          )}
+        </div>
+      )}
+
+      {campaigns.length === 0 && (
+        <div className="text-center py-8">
+          <p className="text-gray-500 text-sm">No campaigns sent yet</p>
+        </div>
+      )}
+
+      {campaigns.map(campaign => (
+        <div key={campaign.id} className="bg-white p-4 rounded-lg shadow-sm border border-gray-200">
+          <button onClick={() => toggleCampaign(campaign.id)} className="w-full text-left" aria-expanded={selectedId === campaign.id}>
+            <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-2">
+              <div className="min-w-0">
+                <p className="font-bold text-base text-gray-800 truncate">{campaign.designation}</p>
+                <p className="text-xs text-gray-500 truncate">{campaign.templateName || 'Template'} · {formatDate(campaign.createdAt)}</p>
+              </div>
+              <div className="flex flex-wrap items-center gap-2 text-xs">
+                <span className={`font-semibold px-2.5 py-1 rounded-full ${STATUS_STYLES[campaign.status]}`}>{campaign.status}</span>
+                <span className="text-gray-600">{campaign.total} recipients</span>
+                <span className="text-green-700">{campaign.sent} sent</span>
+                <span className="text-red-700">{campaign.failed} failed</span>
+              </div>
+            </div>
+          </button>
+
+          {selectedId === campaign.id && (
+            <div className="mt-3 border-t pt-3">
+              <p className="text-xs text-gray-500 mb-2">
+                Started {formatDate(campaign.startedAt)} · Finished {formatDate(campaign.finishedAt)}
+              </p>
+              {campaign.error && <p className="text-sm text-red-600 mb-2">{campaign.error}</p>}
+              {Object.keys(channelSummary).length > 0 && (
+                <div className="flex flex-wrap gap-x-4 gap-y-1 mb-2 text-xs text-gray-600">
+                  {Object.entries(channelSummary).map(([channel, counts]) => (
+                    <span key={channel}>
+                      {CHANNEL_LABELS[channel] || channel}: <span className="text-green-700">{counts.sent} sent</span> · <span className="text-red-700">{counts.failed} failed</span>
+                    </span>
+                  ))}
+                </div>
+              )}
+              {(campaign.status === 'completed' || campaign.status === 'failed') && campaign.failed > 0 && (
+                <button
+                  onClick={() => retryFailed(campaign.id)}
+                  disabled={retrying}
+                  className="mb-3 bg-blue-600 text-white px-3 py-1.5 rounded-lg hover:bg-blue-700 disabled:opacity-60 text-xs sm:text-sm"
+                >
+                  {retrying ? 'Retrying...' : `Retry ${campaign.failed} failed recipient${campaign.failed === 1 ? '' : 's'}`}
+                </button>
+              )}
+              {failuresLoading ? (
+                <p className="text-sm text-gray-500">Loading failures...</p>
+              ) : failures.length === 0 ? (
+                <p className="text-sm text-gray-500">No failed deliveries</p>
+              ) : (
+                <div className="overflow-x-auto">
+                  <table className="min-w-full text-xs sm:text-sm">
+                    <thead>
+                      <tr className="text-left text-gray-600 border-b">
+                        <th className="py-1 pr-3">Member</th>
+                        <th className="py-1 pr-3">Email</th>
+                        <th className="py-1 pr-3">Stage</th>
+                        <th className="py-1 pr-3">Channels</th>
+                        <th className="py-1">Reason</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {failures.map(f => (
+                        <tr key={f._id} className="border-b last:border-0 align-top">
+                          <td className="py-1 pr-3 font-medium text-gray-800">{f.name || f.memberId}</td>
+                          <td className="py-1 pr-3 text-gray-600">{f.email || '-'}</td>
+                          <td className="py-1 pr-3 text-gray-600">{f.stage ? STAGE_LABELS[f.stage] : '-'}</td>
+                          <td className="py-1 pr-3 text-gray-600 whitespace-nowrap">
+                            {f.channels && f.channels.length > 0
+                              ? f.channels.map(c => (
+                                <span key={c.channel} className={`mr-2 ${c.status === 'sent' ? 'text-green-700' : 'text-red-700'}`}>
+                                  {c.status === 'sent' ? '✓' : '✗'} {CHANNEL_LABELS[c.channel] || c.channel}
+                                </span>
+                              ))
+                              : '-'}
+                          </td>
+                          <td className="py-1 text-red-700 break-words">{f.error || '-'}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+            </div>
+          )}
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default CampaignHistory;
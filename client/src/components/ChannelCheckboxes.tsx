@@ -0,0 +1,36 @@
+import React from "react";
+
+// Same names as CHANNELS in server/utils/deliveryChannels.js
+const CHANNEL_OPTIONS = [
+  { name: "email", label: "Email" },
+  { name: "whatsapp", label: "WhatsApp" },
+];
+
+type Props = {
+  value?: string[];
+  onChange: (channels: string[]) => void;
+  className?: string;
+};
+
+// Where a member's posters are delivered; at least one channel stays selected
+const ChannelCheckboxes: React.FC<Props> = ({ value, onChange, className }) => {
+  const selected = value && value.length > 0 ? value : ["email"];
+
+  const toggle = (name: string) => {
+    const next = selected.includes(name) ? selected.filter((c) => c !== name) : [...selected, name];
+    if (next.length > 0) onChange(next);
+  };
+
+  return (
+    <div className={className ?? "flex gap-4"}>
+      {CHANNEL_OPTIONS.map((option) => (
+        <label key={option.name} className="flex items-center gap-2 text-sm text-gray-700">
+          <input type="checkbox" checked={selected.includes(option.name)} onChange={() => toggle(option.name)} />
+          {option.label}
+        </label>
+      ))}
+    </div>
+  );
+};
+
+export default ChannelCheckboxes;
@@ -0,0 +1,255 @@
+import React, { useCallback, useEffect, useState } from "react";
+
+type EmailContent = { subject: string; html: string };
+
+type EmailTemplate = {
+  id: string;
+  name: string;
+  subject: string;
+  html: string;
+  translations?: Record<string, EmailContent>;
+  isDefault: boolean;
+};
+
+type Draft = {
+  id?: string;
+  name: string;
+  subject: string;
+  html: string;
+  translations: Record<string, EmailContent>;
+  isDefault: boolean;
+};
+
+type Props = {
+  apiUrl: string;
+  value: string;
+  onChange: (emailTemplateId: string) => void;
+};
+
+const EMPTY_DRAFT: Draft = { name: "", subject: "", html: "", translations: {}, isDefault: false };
+const BASE_LANGUAGE = "en";
+
+// Drops translations left blank so members in that language get the base text
+const withoutEmptyTranslations = (translations: Record<string, EmailContent>) =>
+  Object.fromEntries(Object.entries(translations).filter(([, t]) => t.subject.trim() || t.html.trim()));
+
+// Picks the email sent with the posters, with an editor for stored templates and a rendered preview
+const EmailTemplatePanel: React.FC<Props> = ({ apiUrl, value, onChange }) => {
+  const [templates, setTemplates] = useState<EmailTemplate[]>([]);
+  const [placeholders, setPlaceholders] = useState<string[]>([]);
+  const [languages, setLanguages] = useState<Record<string, string>>({ [BASE_LANGUAGE]: "English" });
+  const [language, setLanguage] = useState(BASE_LANGUAGE);
+  const [draft, setDraft] = useState<Draft | null>(null);
+  const [preview, setPreview] = useState<{ subject: string; html: string } | null>(null);
+  const [error, setError] = useState<string | null>(null);
+  const [saving, setSaving] = useState(false);
+
+  const fetchTemplates = useCallback(async () => {
+    try {
+      const res = await fetch(`${apiUrl}/api/email-templates`, { credentials: "include" });
+      if (!res.ok) throw new Error("Failed to load email templates");
+      const data = await res.json();
+      setTemplates(data.templates);
+      setPlaceholders(data.placeholders);
+      if (data.languages) setLanguages(data.languages);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : "Failed to load email templates");
+    }
+  }, [apiUrl]);
+
+  useEffect(() => {
+    fetchTemplates();
+  }, [fetchTemplates]);
+
+  const selected = templates.find((t) => t.id === value);
+
+  // Subject and body being edited: the base text for English, otherwise that language's translation
+  const draftContent: EmailContent | null = draft
+    ? language === BASE_LANGUAGE
+      ? { subject: draft.subject, html: draft.html }
+      : draft.translations[language] || { subject: "", html: "" }
+    : null;
+
+  const updateDraftContent = (changes: Partial<EmailContent>) => {
+    if (!draft || !draftContent) return;
+    if (language === BASE_LANGUAGE) {
+      setDraft({ ...draft, ...changes });
+    } else {
+      setDraft({ ...draft, translations: { ...draft.translations, [language]: { ...draftContent, ...changes } } });
+    }
+  };
+
+  const handlePreview = async () => {
+    setError(null);
+    try {
+      const body = draft
+        ? { subject: draft.subject, html: draft.html, translations: withoutEmptyTranslations(draft.translations), language }
+        : { emailTemplateId: value || undefined, language };
+      const res = await fetch(`${apiUrl}/api/email-templates/preview`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        credentials: "include",
+        body: JSON.stringify(body),
+      });
+      const result = await res.json();
+      if (!res.ok) throw new Error(result.error || "Failed to render email preview");
+      setPreview(result);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : "Failed to render email preview");
+    }
+  };
+
+  const handleSave = async () => {
+    if (!draft) return;
+    setSaving(true);
+    setError(null);
+    try {
+      const res = await fetch(`${apiUrl}/api/email-templates${draft.id ? `/${draft.id}` : ""}`, {
+        method: draft.id ? "PUT" : "POST",
+        headers: { "Content-Type": "application/json" },
+        credentials: "include",
+        body: JSON.stringify({ ...draft, translations: withoutEmptyTranslations(draft.translations) }),
+      });
+      const result = await res.json();
+      if (!res.ok) throw new Error(result.error || "Failed to save email template");
+      await fetchTemplates();
+      onChange(result.emailTemplate.id);
+      setDraft(null);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : "Failed to save email template");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async () => {
+    if (!selected || !window.confirm(`Delete email template "${selected.name}"?`)) return;
+    try {
+      const res = await fetch(`${apiUrl}/api/email-templates/${selected.id}`, { method: "DELETE", credentials: "include" });
+      if (!res.ok) throw new Error("Failed to delete email template");
+      onChange("");
+      await fetchTemplates();
+    } catch (err) {
+      setError(err instanceof Error ? err.message : "Failed to delete email template");
+    }
+  };
+
+  return (
+    <div className="mb-4 p-3 border rounded">
+      <label className="block mb-2 text-sm font-medium text-gray-700">Email Template</label>
+      <select
+        className="w-full text-sm p-2 mb-2 border rounded"
+        value={value}
+        onChange={(e) => {
+          onChange(e.target.value);
+          setPreview(null);
+        }}
+      >
+        <option value="">{templates.some((t) => t.isDefault) ? "Default template" : "Built-in email"}</option>
+        {templates.map((t) => (
+          <option key={t.id} value={t.id}>
+            {t.name}{t.isDefault ? " (default)" : ""}
+          </option>
+        ))}
+      </select>
+
+      <div className="flex flex-wrap gap-2 mb-2">
+        <button type="button" onClick={() => setDraft({ ...EMPTY_DRAFT })} className="px-3 py-1 rounded text-xs bg-gray-100 text-gray-700 hover:bg-gray-200">
+          New
+        </button>
+        {selected && (
+          <>
+            <button type="button" onClick={() => setDraft({ ...selected, translations: selected.translations || {} })} className="px-3 py-1 rounded text-xs bg-gray-100 text-gray-700 hover:bg-gray-200">
+              Edit
+            </button>
+            <button type="button" onClick={handleDelete} className="px-3 py-1 rounded text-xs bg-gray-100 text-red-600 hover:bg-gray-200">
+              Delete
+            </button>
+          </>
+        )}
+        <select
+          aria-label="Email language"
+          className="text-xs p-1 border rounded"
+          value={language}
+          onChange={(e) => {
+            setLanguage(e.target.value);
+            setPreview(null);
+          }}
+        >
+          {Object.entries(languages).map(([code, label]) => (
+            <option key={code} value={code}>
+              {label}
+            </option>
+          ))}
+        </select>
+        <button type="button" onClick={handlePreview} className="px-3 py-1 rounded text-xs bg-gray-700 text-white hover:bg-gray-800">
+          Preview Email
+        </button>
+      </div>
+
+      {draft && draftContent && (
+        <div className="grid grid-cols-1 gap-2 mb-2">
+          <input
+            type="text"
+            placeholder="Template name"
+            className="w-full text-sm p-2 border rounded"
+            value={draft.name}
+            onChange={(e) => setDraft({ ...draft, name: e.target.value })}
+          />
+          <input
+            type="text"
+            placeholder="Subject, e.g. Your poster is ready, {{name}}"
+            className="w-full text-sm p-2 border rounded"
+            value={draftContent.subject}
+            onChange={(e) => updateDraftContent({ subject: e.target.value })}
+          />
+          <textarea
+            placeholder="HTML body"
+            rows={6}
+            className="w-full text-sm p-2 border rounded font-mono"
+            value={draftContent.html}
+            onChange={(e) => updateDraftContent({ html: e.target.value })}
+          />
+          {language !== BASE_LANGUAGE && (
+            <p className="text-xs text-gray-500">
+              Editing the {languages[language]} version. Leave it blank to send the English text to these members.
+            </p>
+          )}
+          <p className="text-xs text-gray-500">
+            Placeholders: {placeholders.map((p) => `{{${p}}}`).join(" ")}
+          </p>
+          <label className="flex items-center gap-2 text-sm text-gray-700">
+            <input type="checkbox" checked={draft.isDefault} onChange={(e) => setDraft({ ...draft, isDefault: e.target.checked })} />
+            Use as default for new campaigns
+          </label>
+          <div className="flex gap-2">
+            <button
+              type="button"
+              onClick={handleSave}
+              disabled={saving}
+              className="flex-1 bg-blue-600 text-white px-3 py-1.5 rounded hover:bg-blue-700 text-sm"
+            >
+              {saving ? "Saving..." : "Save Template"}
+            </button>
+            <button type="button" onClick={() => setDraft(null)} className="flex-1 bg-gray-100 text-gray-700 px-3 py-1.5 rounded text-sm">
+              Cancel
+            </button>
+          </div>
+        </div>
+      )}
+
+      {error && <p className="text-sm text-red-600">{error}</p>}
+
+      {preview && (
+        <div className="mt-2 border rounded">
+          <p className="text-sm p-2 border-b bg-gray-50">
+            <strong>Subject:</strong> {preview.subject}
+          </p>
+          <iframe title="Email preview" srcDoc={preview.html} sandbox="" className="w-full h-80" />
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default EmailTemplatePanel;
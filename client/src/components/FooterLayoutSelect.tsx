@@ -0,0 +1,55 @@
+import React, { useEffect, useState } from "react";
+
+type FooterLayout = {
+  id: string;
+  name: string;
+  brand?: string;
+  isDefault: boolean;
+};
+
+type Props = {
+  apiUrl: string;
+  value: string;
+  onChange: (footerLayoutId: string) => void;
+};
+
+// Picks a stored footer layout; the empty option leaves the template's own layout (or the brand default) in place
+const FooterLayoutSelect: React.FC<Props> = ({ apiUrl, value, onChange }) => {
+  const [layouts, setLayouts] = useState<FooterLayout[]>([]);
+
+  useEffect(() => {
+    const loadLayouts = async () => {
+      try {
+        const res = await fetch(`${apiUrl}/api/footer-layouts`, { credentials: "include" });
+        if (res.ok) setLayouts((await res.json()).layouts);
+      } catch (err) {
+        console.error(err);
+      }
+    };
+    loadLayouts();
+  }, [apiUrl]);
+
+  if (layouts.length === 0) return null;
+
+  return (
+    <div className="mb-4">
+      <label className="block mb-2 text-sm font-medium text-gray-700">
+        Footer Layout
+      </label>
+      <select
+        className="w-full text-sm p-2 border rounded"
+        value={value}
+        onChange={(e) => onChange(e.target.value)}
+      >
+        <option value="">Template / brand default</option>
+        {layouts.map((layout) => (
+          <option key={layout.id} value={layout.id}>
+            {layout.name}{layout.brand ? ` (${layout.brand})` : ""}{layout.isDefault ? " — default" : ""}
+          </option>
+        ))}
+      </select>
+    </div>
+  );
+};
+
+export default FooterLayoutSelect;
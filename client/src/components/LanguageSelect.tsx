@@ -0,0 +1,29 @@
+import React from "react";
+
+// Same codes as server/utils/i18n.js
+const LANGUAGE_OPTIONS = [
+  { code: "en", label: "English" },
+  { code: "ta", label: "தமிழ் (Tamil)" },
+  { code: "hi", label: "हिन्दी (Hindi)" },
+  { code: "ml", label: "മലയാളം (Malayalam)" },
+];
+
+type Props = {
+  id?: string;
+  value: string;
+  onChange: (language: string) => void;
+  className?: string;
+};
+
+// Language a member's poster footer and emails are written in
+const LanguageSelect: React.FC<Props> = ({ id, value, onChange, className }) => (
+  <select id={id} value={value || "en"} onChange={(e) => onChange(e.target.value)} className={className}>
+    {LANGUAGE_OPTIONS.map((option) => (
+      <option key={option.code} value={option.code}>
+        {option.label}
+      </option>
+    ))}
+  </select>
+);
+
+export default LanguageSelect;
@@ -0,0 +1,65 @@
+import React, { useState } from 'react';
+
+// Query parameters understood by /api/admin/users/export
+export type MemberExportFilter = {
+  designationId?: string;
+  teamId?: string; // or 'any' for members in any team
+  hasPhoto?: 'true' | 'false';
+};
+
+const FORMATS = [
+  { format: 'xlsx', label: 'Excel' },
+  { format: 'csv', label: 'CSV' },
+  { format: 'json', label: 'JSON' },
+];
+
+// Downloads the member directory, limited to `filter`, in the chosen format
+const MemberExportButtons: React.FC<{ apiBaseUrl: string; filter?: MemberExportFilter; className?: string }> = ({ apiBaseUrl, filter = {}, className = '' }) => {
+  const [exporting, setExporting] = useState<string | null>(null);
+  const [error, setError] = useState<string | null>(null);
+
+  const download = async (format: string) => {
+    setExporting(format);
+    setError(null);
+    try {
+      const params = new URLSearchParams({ format });
+      Object.entries(filter).forEach(([key, value]) => value && params.set(key, value));
+      const res = await fetch(`${apiBaseUrl}api/admin/users/export?${params}`, { credentials: 'include' });
+      if (!res.ok) {
+        const data = await res.json().catch(() => ({}));
+        throw new Error(data.error || 'Export failed');
+      }
+      const disposition = res.headers.get('Content-Disposition') || '';
+      const match = disposition.match(/filename="([^"]+)"/);
+      const url = URL.createObjectURL(await res.blob());
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = match ? match[1] : `members.${format}`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Export failed');
+    } finally {
+      setExporting(null);
+    }
+  };
+
+  return (
+    <div className={`flex flex-wrap items-center gap-2 ${className}`}>
+      <span className="text-sm text-gray-600">Export:</span>
+      {FORMATS.map(({ format, label }) => (
+        <button
+          key={format}
+          onClick={() => download(format)}
+          disabled={!!exporting}
+          className="px-3 py-1 rounded-lg text-sm bg-gray-100 text-gray-700 hover:bg-gray-200 disabled:opacity-60"
+        >
+          {exporting === format ? 'Exporting...' : label}
+        </button>
+      ))}
+      {error && <span className="text-sm text-red-600">{error}</span>}
+    </div>
+  );
+};
+
+export default MemberExportButtons;
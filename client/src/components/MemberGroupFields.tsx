@@ -0,0 +1,42 @@
+import React from "react";
+import { MemberGroup, MemberGroups } from "./useMemberGroups";
+
+type Props = {
+  groups: MemberGroups;
+  designationIds?: string[];
+  teamIds?: string[];
+  onChange: (value: { designationIds: string[]; teamIds: string[] }) => void;
+  className?: string;
+};
+
+// Designation and team checkboxes for a member form; a member needs at least one of either
+const MemberGroupFields: React.FC<Props> = ({ groups, designationIds = [], teamIds = [], onChange, className }) => {
+  const toggle = (list: string[], id: string) => (list.includes(id) ? list.filter((x) => x !== id) : [...list, id]);
+
+  const section = (title: string, options: MemberGroup[], selected: string[], update: (next: string[]) => void) => (
+    <div>
+      <p className="text-sm font-medium text-gray-700 mb-1">{title}</p>
+      {options.length === 0 ? (
+        <p className="text-xs text-gray-500">None set up yet</p>
+      ) : (
+        <div className="flex flex-wrap gap-x-4 gap-y-1">
+          {options.map((option) => (
+            <label key={option.id} className="flex items-center gap-2 text-sm text-gray-700">
+              <input type="checkbox" checked={selected.includes(option.id)} onChange={() => update(toggle(selected, option.id))} />
+              {option.name}
+            </label>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+
+  return (
+    <div className={className ?? "space-y-3"}>
+      {section("Designation", groups.designations, designationIds, (next) => onChange({ designationIds: next, teamIds }))}
+      {section("Team (optional)", groups.teams, teamIds, (next) => onChange({ designationIds, teamIds: next }))}
+    </div>
+  );
+};
+
+export default MemberGroupFields;
@@ -0,0 +1,141 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { message } from 'antd';
+import { MemberGroup } from './useMemberGroups';
+
+type Kind = 'designation' | 'team';
+
+const KINDS: { kind: Kind; title: string; label: string }[] = [
+  { kind: 'designation', title: 'Designations', label: 'designation' },
+  { kind: 'team', title: 'Teams', label: 'team' },
+];
+
+// One column of the manager: add, rename and (for super-admins) delete designations or teams
+const GroupList: React.FC<{ apiBaseUrl: string; kind: Kind; title: string; label: string; canDelete: boolean; onChanged?: () => void }> = ({
+  apiBaseUrl,
+  kind,
+  title,
+  label,
+  canDelete,
+  onChanged,
+}) => {
+  const [groups, setGroups] = useState<MemberGroup[]>([]);
+  const [newName, setNewName] = useState('');
+  const [editing, setEditing] = useState<{ id: string; name: string } | null>(null);
+  const [error, setError] = useState<string | null>(null);
+
+  const fetchGroups = useCallback(async () => {
+    try {
+      const res = await fetch(`${apiBaseUrl}api/admin/${kind}s`, { credentials: 'include' });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || `Failed to load ${title.toLowerCase()}`);
+      setGroups(data);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : `Failed to load ${title.toLowerCase()}`);
+    }
+  }, [apiBaseUrl, kind, title]);
+
+  useEffect(() => {
+    fetchGroups();
+  }, [fetchGroups]);
+
+  const request = async (method: string, path: string, body?: object) => {
+    setError(null);
+    try {
+      const res = await fetch(`${apiBaseUrl}api/admin/${kind}s${path}`, {
+        method,
+        headers: { 'Content-Type': 'application/json' },
+        credentials: 'include',
+        body: body ? JSON.stringify(body) : undefined,
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || 'Request failed');
+      await fetchGroups();
+      if (onChanged) onChanged();
+      return true;
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Request failed');
+      return false;
+    }
+  };
+
+  const handleAdd = async (e: React.FormEvent) => {
+    e.preventDefault();
+    if (!newName.trim()) return;
+    if (await request('POST', '', { name: newName })) {
+      setNewName('');
+      message.success(`Added ${label} ${newName.trim()}`);
+    }
+  };
+
+  const handleRename = async () => {
+    if (!editing) return;
+    if (await request('PUT', `/${editing.id}`, { name: editing.name })) setEditing(null);
+  };
+
+  const handleDelete = async (group: MemberGroup) => {
+    if (!window.confirm(`Delete ${label} "${group.name}"?`)) return;
+    await request('DELETE', `/${group.id}`);
+  };
+
+  return (
+    <div className="space-y-3">
+      <h3 className="text-lg font-semibold text-gray-800">{title}</h3>
+      <form onSubmit={handleAdd} className="flex gap-2">
+        <input
+          value={newName}
+          onChange={e => setNewName(e.target.value)}
+          placeholder={`New ${label} name`}
+          className="flex-1 p-2 border rounded-lg text-sm"
+        />
+        <button type="submit" className="px-4 py-2 rounded-lg text-sm bg-blue-600 text-white hover:bg-blue-700">Add</button>
+      </form>
+      {error && <p className="text-sm text-red-600">{error}</p>}
+      {groups.length === 0 && <p className="text-sm text-gray-500">No {title.toLowerCase()} yet.</p>}
+      <ul className="divide-y border rounded-lg">
+        {groups.map(group => (
+          <li key={group.id} className="flex items-center gap-2 p-2 text-sm">
+            {editing?.id === group.id ? (
+              <>
+                <input
+                  value={editing.name}
+                  onChange={e => setEditing({ ...editing, name: e.target.value })}
+                  className="flex-1 p-1 border rounded"
+                  autoFocus
+                />
+                <button onClick={handleRename} className="text-blue-600 hover:underline">Save</button>
+                <button onClick={() => setEditing(null)} className="text-gray-500 hover:underline">Cancel</button>
+              </>
+            ) : (
+              <>
+                <span className="flex-1 text-gray-800">{group.name}</span>
+                <span className="text-xs text-gray-500">{group.memberCount ?? 0} members</span>
+                <button onClick={() => setEditing({ id: group.id, name: group.name })} className="text-blue-600 hover:underline">Rename</button>
+                {canDelete && (
+                  <button
+                    onClick={() => handleDelete(group)}
+                    disabled={!!group.memberCount}
+                    title={group.memberCount ? 'Move its members to another group first' : undefined}
+                    className="text-red-600 hover:underline disabled:text-gray-300 disabled:no-underline"
+                  >
+                    Delete
+                  </button>
+                )}
+              </>
+            )}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+// Designations and teams members can belong to; renaming one updates every member in it
+const MemberGroupsManager: React.FC<{ apiBaseUrl: string; canDelete: boolean; onChanged?: () => void }> = ({ apiBaseUrl, canDelete, onChanged }) => (
+  <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+    {KINDS.map(({ kind, title, label }) => (
+      <GroupList key={kind} apiBaseUrl={apiBaseUrl} kind={kind} title={title} label={label} canDelete={canDelete} onChanged={onChanged} />
+    ))}
+  </div>
+);
+
+export default MemberGroupsManager;
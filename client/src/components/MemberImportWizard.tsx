@@ -0,0 +1,203 @@
+import React, { useState } from 'react';
+
+// ------------------ Types ------------------
+type ImportField = { name: string; label: string; required: boolean };
+
+type ImportRow = {
+  rowNumber: number;
+  member: Record<string, string>;
+  errors: string[];
+};
+
+type ImportReport = {
+  fileName: string;
+  headers: string[];
+  fields: ImportField[];
+  mapping: Record<string, string>;
+  mappingError?: string;
+  total: number;
+  committed?: boolean;
+  valid?: number;
+  invalid?: number;
+  created?: number;
+  rows?: ImportRow[];
+  errorSheet?: string | null;
+};
+
+const downloadErrorSheet = (report: ImportReport) => {
+  if (!report.errorSheet) return;
+  const bytes = Uint8Array.from(atob(report.errorSheet), c => c.charCodeAt(0));
+  const url = URL.createObjectURL(new Blob([bytes], { type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `${report.fileName.replace(/\.[^.]+$/, '')}_errors.xlsx`;
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
+// ------------------ Component ------------------
+// Upload -> map columns and check the dry-run report -> import the valid rows
+const MemberImportWizard: React.FC<{ apiBaseUrl: string; onImported?: () => void }> = ({ apiBaseUrl, onImported }) => {
+  const [file, setFile] = useState<File | null>(null);
+  const [mapping, setMapping] = useState<Record<string, string> | null>(null);
+  const [report, setReport] = useState<ImportReport | null>(null);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  const submit = async (commit: boolean, columns = mapping) => {
+    if (!file) return;
+    setBusy(true);
+    setError(null);
+    try {
+      const data = new FormData();
+      data.append('file', file);
+      if (columns) data.append('mapping', JSON.stringify(columns));
+      if (commit) data.append('commit', 'true');
+      const res = await fetch(`${apiBaseUrl}api/admin/users/import`, { method: 'POST', credentials: 'include', body: data });
+      const result = await res.json();
+      if (!res.ok) throw new Error(result.error || 'Import failed');
+      setReport(result);
+      setMapping(result.mapping);
+      if (result.committed && result.created > 0 && onImported) onImported();
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Import failed');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const reset = () => {
+    setFile(null);
+    setMapping(null);
+    setReport(null);
+    setError(null);
+  };
+
+  const changeColumn = (field: string, header: string) => {
+    const next = { ...(mapping || {}), [field]: header };
+    if (!header) delete next[field];
+    setMapping(next);
+    submit(false, next);
+  };
+
+  // Step 1: choose a file
+  if (!report) {
+    return (
+      <div className="space-y-3">
+        <p className="text-sm text-gray-600">
+          Upload an .xlsx or .csv file with a header row. Columns for Name, Email, Phone, Designation, Team and Photo URL are matched by name; you can change them on the next step. Designations and teams must already exist (several can be comma-separated). Nothing is saved until you confirm.
+        </p>
+        <input type="file" accept=".xlsx,.xls,.csv" onChange={e => setFile(e.target.files?.[0] || null)} className="block text-sm" />
+        <button
+          onClick={() => submit(false, null)}
+          disabled={!file || busy}
+          className="px-4 py-2 rounded-lg text-sm bg-blue-600 text-white hover:bg-blue-700 disabled:opacity-60"
+        >
+          {busy ? 'Checking...' : 'Check file'}
+        </button>
+        {error && <p className="text-sm text-red-600">{error}</p>}
+      </div>
+    );
+  }
+
+  // Step 3: imported
+  if (report.committed) {
+    return (
+      <div className="space-y-3">
+        <p className="text-sm text-green-700 font-medium">✅ Imported {report.created} of {report.total} rows from {report.fileName}.</p>
+        {!!report.invalid && (
+          <p className="text-sm text-red-700">
+            {report.invalid} rows were not imported.{' '}
+            <button onClick={() => downloadErrorSheet(report)} className="underline">Download the error sheet</button> to fix and upload them again.
+          </p>
+        )}
+        <button onClick={reset} className="px-4 py-2 rounded-lg text-sm bg-gray-100 hover:bg-gray-200">Import another file</button>
+      </div>
+    );
+  }
+
+  // Step 2: map columns and review the dry run
+  return (
+    <div className="space-y-4">
+      <p className="text-sm text-gray-600">
+        {report.fileName}: {report.total} rows
+      </p>
+
+      <div className="grid grid-cols-1 sm:grid-cols-3 gap-3">
+        {report.fields.map(field => (
+          <label key={field.name} className="text-sm text-gray-700">
+            {field.label}{field.required && ' *'}
+            <select
+              value={mapping?.[field.name] || ''}
+              onChange={e => changeColumn(field.name, e.target.value)}
+              disabled={busy}
+              className="w-full p-2 border rounded-lg text-sm"
+            >
+              <option value="">(not imported)</option>
+              {report.headers.filter(Boolean).map(header => (
+                <option key={header} value={header}>{header}</option>
+              ))}
+            </select>
+          </label>
+        ))}
+      </div>
+
+      {report.mappingError ? (
+        <p className="text-sm text-red-600">{report.mappingError}</p>
+      ) : (
+        <>
+          <div className="flex flex-wrap gap-3 text-sm">
+            <span className="px-3 py-1 rounded-full bg-green-100 text-green-800">{report.valid} ready to import</span>
+            <span className="px-3 py-1 rounded-full bg-red-100 text-red-800">{report.invalid} with problems</span>
+            {!!report.invalid && (
+              <button onClick={() => downloadErrorSheet(report)} className="underline text-red-700">Download error sheet</button>
+            )}
+          </div>
+
+          <div className="overflow-x-auto max-h-96 overflow-y-auto border rounded-lg">
+            <table className="w-full text-sm">
+              <thead className="sticky top-0 bg-gray-50">
+                <tr className="text-left text-gray-500">
+                  <th className="py-2 px-2 font-medium">Row</th>
+                  {report.fields.filter(f => mapping?.[f.name]).map(f => (
+                    <th key={f.name} className="py-2 px-2 font-medium">{f.label}</th>
+                  ))}
+                  <th className="py-2 px-2 font-medium">Problems</th>
+                </tr>
+              </thead>
+              <tbody>
+                {(report.rows || []).map(row => (
+                  <tr key={row.rowNumber} className={`border-t ${row.errors.length ? 'bg-red-50' : ''}`}>
+                    <td className="py-1 px-2 text-gray-500">{row.rowNumber}</td>
+                    {report.fields.filter(f => mapping?.[f.name]).map(f => (
+                      <td key={f.name} className="py-1 px-2">{row.member[f.name] || ''}</td>
+                    ))}
+                    <td className="py-1 px-2 text-red-700">{row.errors.join('; ')}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+          {report.total > (report.rows || []).length && (
+            <p className="text-xs text-gray-500">Showing the first {(report.rows || []).length} rows; the error sheet lists every row with problems.</p>
+          )}
+        </>
+      )}
+
+      {error && <p className="text-sm text-red-600">{error}</p>}
+
+      <div className="flex gap-2">
+        <button
+          onClick={() => submit(true)}
+          disabled={busy || !!report.mappingError || !report.valid}
+          className="px-4 py-2 rounded-lg text-sm bg-blue-600 text-white hover:bg-blue-700 disabled:opacity-60"
+        >
+          {busy ? 'Working...' : `Import ${report.valid || 0} members`}
+        </button>
+        <button onClick={reset} className="px-4 py-2 rounded-lg text-sm bg-gray-100 hover:bg-gray-200">Start over</button>
+      </div>
+    </div>
+  );
+};
+
+export default MemberImportWizard;
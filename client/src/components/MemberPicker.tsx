@@ -0,0 +1,64 @@
+import React, { useMemo, useState } from "react";
+
+export type PickableMember = { id: string; name: string; email: string };
+
+const SEARCH_RESULTS = 8;
+
+// Search box that adds members to a list, with the picked ones shown as removable chips
+const MemberPicker: React.FC<{ title: string; members: PickableMember[]; selected: string[]; onChange: (ids: string[]) => void }> = ({
+  title,
+  members,
+  selected,
+  onChange,
+}) => {
+  const [query, setQuery] = useState("");
+  const byId = useMemo(() => new Map(members.map((m) => [m.id, m])), [members]);
+  const q = query.trim().toLowerCase();
+  const results = q
+    ? members.filter((m) => !selected.includes(m.id) && `${m.name} ${m.email}`.toLowerCase().includes(q)).slice(0, SEARCH_RESULTS)
+    : [];
+
+  return (
+    <div>
+      <p className="text-sm font-medium text-gray-700 mb-1">{title}</p>
+      {selected.length > 0 && (
+        <div className="flex flex-wrap gap-1 mb-1">
+          {selected.map((id) => (
+            <span key={id} className="flex items-center gap-1 px-2 py-0.5 rounded-full bg-gray-100 text-xs text-gray-700">
+              {byId.get(id)?.name ?? id}
+              <button type="button" onClick={() => onChange(selected.filter((x) => x !== id))} className="text-gray-500 hover:text-red-600">
+                ×
+              </button>
+            </span>
+          ))}
+        </div>
+      )}
+      <input
+        value={query}
+        onChange={(e) => setQuery(e.target.value)}
+        placeholder="Search by name or email"
+        className="w-full p-2 border rounded text-sm"
+      />
+      {results.length > 0 && (
+        <ul className="border rounded mt-1 divide-y max-h-40 overflow-auto">
+          {results.map((m) => (
+            <li key={m.id}>
+              <button
+                type="button"
+                onClick={() => {
+                  onChange([...selected, m.id]);
+                  setQuery("");
+                }}
+                className="w-full text-left px-2 py-1 text-sm hover:bg-gray-50"
+              >
+                {m.name} <span className="text-gray-500">{m.email}</span>
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default MemberPicker;
@@ -0,0 +1,292 @@
+import React, { useCallback, useEffect, useRef, useState } from "react";
+import { useSearchParams } from "react-router-dom";
+import MemberProfileRequest, { PortalMember } from "./MemberProfileRequest";
+
+type PosterFile = {
+  profile?: string;
+  filename: string;
+  contentType?: string;
+};
+
+type MemberPoster = {
+  id: string;
+  templateName?: string;
+  createdAt: string;
+  files: PosterFile[];
+};
+
+const API_URL = import.meta.env.VITE_API_URL.replace(/\/$/, "");
+
+const fileUrl = (posterId: string, filename: string, inline = false) =>
+  `${API_URL}/api/member/posters/${posterId}/${encodeURIComponent(filename)}${inline ? "?inline=1" : ""}`;
+
+const isImage = (file: PosterFile) => (file.contentType || "").startsWith("image/");
+
+// Member-facing page: sign in with an emailed link or code, then download or re-share past posters
+const MemberPortal: React.FC = () => {
+  const [searchParams, setSearchParams] = useSearchParams();
+  const [member, setMember] = useState<PortalMember | null>(null);
+  const [posters, setPosters] = useState<MemberPoster[]>([]);
+  const [checking, setChecking] = useState(true);
+  const [email, setEmail] = useState("");
+  const [code, setCode] = useState("");
+  const [codeSent, setCodeSent] = useState(false);
+  const [busy, setBusy] = useState(false);
+  const [message, setMessage] = useState<string | null>(null);
+  const [error, setError] = useState<string | null>(null);
+
+  const loadPortal = useCallback(async () => {
+    const res = await fetch(`${API_URL}/api/member/me`, { credentials: "include" });
+    if (!res.ok) {
+      setMember(null);
+      return;
+    }
+    setMember(await res.json());
+    const postersRes = await fetch(`${API_URL}/api/member/posters`, { credentials: "include" });
+    if (!postersRes.ok) throw new Error("Failed to load your posters");
+    setPosters(await postersRes.json());
+  }, []);
+
+  const verify = useCallback(
+    async (body: { token: string } | { email: string; code: string }) => {
+      const res = await fetch(`${API_URL}/api/member/verify`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        credentials: "include",
+        body: JSON.stringify(body),
+      });
+      const result = await res.json();
+      if (!res.ok) throw new Error(result.error || "Failed to sign in");
+      await loadPortal();
+    },
+    [loadPortal]
+  );
+
+  // Signs in straight away when opened from the emailed link. Removing the token from the URL
+  // changes searchParams, so the ref keeps the sign-in from running a second time.
+  const started = useRef(false);
+  useEffect(() => {
+    if (started.current) return;
+    started.current = true;
+    const token = searchParams.get("token");
+    (async () => {
+      try {
+        if (token) {
+          setSearchParams({}, { replace: true });
+          await verify({ token });
+        } else {
+          await loadPortal();
+        }
+      } catch (err) {
+        setError(err instanceof Error ? err.message : "Failed to sign in");
+      } finally {
+        setChecking(false);
+      }
+    })();
+  }, [searchParams, setSearchParams, verify, loadPortal]);
+
+  const requestLogin = async (e: React.FormEvent) => {
+    e.preventDefault();
+    setBusy(true);
+    setError(null);
+    try {
+      const res = await fetch(`${API_URL}/api/member/login`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        credentials: "include",
+        body: JSON.stringify({ email: email.trim() }),
+      });
+      const result = await res.json();
+      if (!res.ok) throw new Error(result.error || "Failed to send sign-in email");
+      setMessage(result.message);
+      setCodeSent(true);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : "Failed to send sign-in email");
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const submitCode = async (e: React.FormEvent) => {
+    e.preventDefault();
+    setBusy(true);
+    setError(null);
+    try {
+      await verify({ email: email.trim(), code: code.trim() });
+      setMessage(null);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : "Failed to sign in");
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const logout = async () => {
+    await fetch(`${API_URL}/api/member/logout`, { method: "POST", credentials: "include" });
+    setMember(null);
+    setPosters([]);
+    setCodeSent(false);
+    setCode("");
+  };
+
+  // Shares the image through the phone's share sheet (WhatsApp, etc.) where the browser supports it
+  const share = async (poster: MemberPoster, file: PosterFile) => {
+    setError(null);
+    try {
+      const res = await fetch(fileUrl(poster.id, file.filename, true), { credentials: "include" });
+      if (!res.ok) throw new Error("Failed to load poster");
+      const shared = new File([await res.blob()], file.filename, { type: file.contentType || "image/jpeg" });
+      if (!navigator.canShare || !navigator.canShare({ files: [shared] })) {
+        throw new Error("Sharing is not supported in this browser. Download the poster instead.");
+      }
+      await navigator.share({ files: [shared], title: poster.templateName || "Poster" });
+    } catch (err) {
+      if (err instanceof DOMException && err.name === "AbortError") return;
+      setError(err instanceof Error ? err.message : "Failed to share poster");
+    }
+  };
+
+  const resend = async (poster: MemberPoster, channel: string) => {
+    setError(null);
+    setMessage(null);
+    try {
+      const res = await fetch(`${API_URL}/api/member/posters/${poster.id}/resend`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        credentials: "include",
+        body: JSON.stringify({ channel }),
+      });
+      const result = await res.json();
+      if (!res.ok) throw new Error(result.error || "Failed to send poster");
+      setMessage(result.message);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : "Failed to send poster");
+    }
+  };
+
+  if (checking) {
+    return (
+      <div className="text-center py-16">
+        <div className="animate-spin rounded-full h-10 w-10 border-4 border-blue-500 border-t-transparent mx-auto mb-3"></div>
+        <p className="text-gray-500 text-sm">Loading...</p>
+      </div>
+    );
+  }
+
+  if (!member) {
+    return (
+      <div className="min-h-screen bg-gray-100 flex items-start justify-center px-4 py-10">
+        <div className="bg-white shadow-lg rounded-xl p-8 w-full max-w-md">
+          <h2 className="text-2xl font-bold text-center text-gray-800 mb-2">My Posters</h2>
+          <p className="text-sm text-center text-gray-500 mb-6">Sign in with the email you registered with.</p>
+          {!codeSent ? (
+            <form onSubmit={requestLogin} className="space-y-4">
+              <input
+                type="email"
+                required
+                value={email}
+                placeholder="Email"
+                onChange={(e) => setEmail(e.target.value)}
+                className="w-full p-3 border border-gray-300 rounded-xl focus:outline-none focus:ring-2 focus:ring-blue-500"
+              />
+              <button type="submit" disabled={busy} className="w-full bg-blue-600 hover:bg-blue-700 text-white font-semibold py-3 rounded-xl transition disabled:opacity-60">
+                {busy ? "Sending..." : "Email me a sign-in link"}
+              </button>
+            </form>
+          ) : (
+            <form onSubmit={submitCode} className="space-y-4">
+              <p className="text-sm text-gray-600">Open the link in the email, or enter the 6-digit code from it.</p>
+              <input
+                type="text"
+                inputMode="numeric"
+                autoComplete="one-time-code"
+                maxLength={6}
+                required
+                value={code}
+                placeholder="123456"
+                onChange={(e) => setCode(e.target.value.replace(/\D/g, ""))}
+                className="w-full p-3 border border-gray-300 rounded-xl text-center tracking-widest text-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+              />
+              <button type="submit" disabled={busy || code.length !== 6} className="w-full bg-blue-600 hover:bg-blue-700 text-white font-semibold py-3 rounded-xl transition disabled:opacity-60">
+                {busy ? "Signing in..." : "Sign in"}
+              </button>
+              <button type="button" onClick={() => setCodeSent(false)} className="w-full text-sm text-blue-600">
+                Use a different email
+              </button>
+            </form>
+          )}
+          {message && <p className="mt-4 text-sm text-green-700 text-center">{message}</p>}
+          {error && <p className="mt-4 text-sm text-red-600 text-center">{error}</p>}
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="max-w-5xl mx-auto px-4 py-6">
+      <div className="flex flex-wrap justify-between items-center gap-3 mb-4">
+        <div>
+          <h2 className="text-2xl font-bold text-gray-800">My Posters</h2>
+          <p className="text-sm text-gray-500">{member.name} · {member.email}</p>
+        </div>
+        <button onClick={logout} className="px-4 py-2 rounded-lg text-sm bg-gray-200 text-gray-700 hover:bg-gray-300">
+          Sign out
+        </button>
+      </div>
+
+      <MemberProfileRequest apiUrl={API_URL} member={member} />
+
+      {message && <p className="mb-3 text-sm text-green-700">{message}</p>}
+      {error && <p className="mb-3 text-sm text-red-600">{error}</p>}
+
+      {posters.length === 0 ? (
+        <p className="text-center text-gray-500 py-12">No posters yet. They will appear here after your next campaign.</p>
+      ) : (
+        <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-4">
+          {posters.map((poster) => {
+            const preview = poster.files.find(isImage);
+            return (
+              <div key={poster.id} className="bg-white rounded-xl shadow-sm border overflow-hidden">
+                {preview && (
+                  <img src={fileUrl(poster.id, preview.filename, true)} alt={poster.templateName || "Poster"} className="w-full h-56 object-contain bg-gray-50" />
+                )}
+                <div className="p-3 space-y-2">
+                  <p className="font-semibold text-gray-800 truncate">{poster.templateName || "Poster"}</p>
+                  <p className="text-xs text-gray-500">{new Date(poster.createdAt).toLocaleString()}</p>
+                  <div className="flex flex-wrap gap-2">
+                    {poster.files.map((file) => (
+                      <a
+                        key={file.filename}
+                        href={fileUrl(poster.id, file.filename)}
+                        className="px-2 py-1 rounded text-xs bg-blue-600 text-white hover:bg-blue-700"
+                      >
+                        Download {file.profile && file.profile !== "standard" ? file.profile.replace(/_/g, " ") : ""}
+                      </a>
+                    ))}
+                  </div>
+                  <div className="flex flex-wrap gap-2">
+                    {preview && (
+                      <button onClick={() => share(poster, preview)} className="px-2 py-1 rounded text-xs bg-green-600 text-white hover:bg-green-700">
+                        Share
+                      </button>
+                    )}
+                    <button onClick={() => resend(poster, "email")} className="px-2 py-1 rounded text-xs bg-gray-100 text-gray-700 hover:bg-gray-200">
+                      Email it to me
+                    </button>
+                    {member.channels?.includes("whatsapp") && (
+                      <button onClick={() => resend(poster, "whatsapp")} className="px-2 py-1 rounded text-xs bg-gray-100 text-gray-700 hover:bg-gray-200">
+                        Send to my WhatsApp
+                      </button>
+                    )}
+                  </div>
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default MemberPortal;
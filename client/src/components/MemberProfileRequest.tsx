@@ -0,0 +1,198 @@
+import React, { useCallback, useEffect, useState } from "react";
+import LanguageSelect from "./LanguageSelect";
+import ChannelCheckboxes from "./ChannelCheckboxes";
+
+export type PortalMember = {
+  id: string;
+  name: string;
+  email: string;
+  phone?: string;
+  designation?: string;
+  teamName?: string;
+  language?: string;
+  channels?: string[];
+  photoUrl?: string;
+};
+
+type ProfileRevision = {
+  id: string;
+  status: "pending" | "approved" | "rejected";
+  changes: Partial<Pick<PortalMember, "name" | "phone" | "email" | "language" | "channels">>;
+  photoUrl?: string;
+  reviewNote?: string;
+  createdAt: string;
+  reviewedAt?: string;
+};
+
+const FIELD_LABELS: Record<string, string> = {
+  name: "Name",
+  phone: "Phone",
+  email: "Email",
+  language: "Language",
+  channels: "Delivery",
+};
+
+const formatValue = (value: unknown) => (Array.isArray(value) ? value.join(", ") : String(value ?? ""));
+
+type Props = {
+  apiUrl: string;
+  member: PortalMember;
+};
+
+// Lets a signed-in member ask for changes to their details; an admin approves them before posters use them
+const MemberProfileRequest: React.FC<Props> = ({ apiUrl, member }) => {
+  const [revision, setRevision] = useState<ProfileRevision | null>(null);
+  const [editing, setEditing] = useState(false);
+  const [form, setForm] = useState({ name: "", phone: "", email: "", language: "en", channels: [] as string[] });
+  const [photo, setPhoto] = useState<File | null>(null);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  const loadRevision = useCallback(async () => {
+    const res = await fetch(`${apiUrl}/api/member/profile-revision`, { credentials: "include" });
+    if (res.ok) setRevision(await res.json());
+  }, [apiUrl]);
+
+  useEffect(() => {
+    loadRevision();
+  }, [loadRevision]);
+
+  const startEditing = () => {
+    setForm({
+      name: member.name,
+      phone: member.phone || "",
+      email: member.email,
+      language: member.language || "en",
+      channels: member.channels && member.channels.length > 0 ? member.channels : ["email"],
+    });
+    setPhoto(null);
+    setError(null);
+    setEditing(true);
+  };
+
+  const submit = async (e: React.FormEvent) => {
+    e.preventDefault();
+    setBusy(true);
+    setError(null);
+    try {
+      const data = new FormData();
+      data.append("name", form.name);
+      data.append("phone", form.phone);
+      data.append("email", form.email);
+      data.append("language", form.language);
+      data.append("channels", JSON.stringify(form.channels));
+      if (photo) data.append("photo", photo);
+      const res = await fetch(`${apiUrl}/api/member/profile-revision`, { method: "POST", credentials: "include", body: data });
+      const result = await res.json();
+      if (!res.ok) throw new Error(result.error || "Failed to submit your changes");
+      setRevision(result.revision);
+      setEditing(false);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : "Failed to submit your changes");
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const withdraw = async () => {
+    setError(null);
+    const res = await fetch(`${apiUrl}/api/member/profile-revision`, { method: "DELETE", credentials: "include" });
+    if (!res.ok) {
+      const result = await res.json();
+      setError(result.error || "Failed to withdraw your change request");
+      return;
+    }
+    await loadRevision();
+  };
+
+  const inputClass = "w-full p-2 border border-gray-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500";
+
+  return (
+    <div className="bg-white rounded-xl shadow-sm border p-4 mb-6">
+      <div className="flex flex-wrap items-center justify-between gap-3">
+        <div className="flex items-center gap-3">
+          {member.photoUrl && <img src={member.photoUrl} alt={member.name} className="w-14 h-14 rounded-full object-cover border" />}
+          <div className="text-sm text-gray-600">
+            <p className="font-semibold text-gray-800">My details</p>
+            <p>{member.phone}</p>
+            <p>{member.designation}</p>
+          </div>
+        </div>
+        {!editing && (
+          <button onClick={startEditing} className="px-3 py-1.5 rounded-lg text-sm bg-blue-600 text-white hover:bg-blue-700">
+            Request changes
+          </button>
+        )}
+      </div>
+
+      {revision && !editing && (
+        <div
+          className={`mt-3 rounded-lg p-3 text-sm ${
+            revision.status === "pending" ? "bg-yellow-50 text-yellow-800" : revision.status === "approved" ? "bg-green-50 text-green-800" : "bg-red-50 text-red-800"
+          }`}
+        >
+          {revision.status === "pending" && "Your requested changes are waiting for review:"}
+          {revision.status === "approved" && "Your last change request was approved."}
+          {revision.status === "rejected" && `Your last change request was not approved${revision.reviewNote ? `: ${revision.reviewNote}` : "."}`}
+          {revision.status === "pending" && (
+            <>
+              <ul className="mt-1 list-disc list-inside">
+                {Object.entries(revision.changes).map(([field, value]) => (
+                  <li key={field}>
+                    {FIELD_LABELS[field] || field}: {formatValue(value)}
+                  </li>
+                ))}
+                {revision.photoUrl && <li>New photo</li>}
+              </ul>
+              <button onClick={withdraw} className="mt-2 text-xs underline">
+                Withdraw request
+              </button>
+            </>
+          )}
+        </div>
+      )}
+
+      {editing && (
+        <form onSubmit={submit} className="mt-4 grid grid-cols-1 sm:grid-cols-2 gap-3">
+          <label className="text-sm text-gray-700">
+            Name
+            <input value={form.name} required onChange={(e) => setForm({ ...form, name: e.target.value })} className={inputClass} />
+          </label>
+          <label className="text-sm text-gray-700">
+            Phone
+            <input type="tel" value={form.phone} required onChange={(e) => setForm({ ...form, phone: e.target.value })} className={inputClass} />
+          </label>
+          <label className="text-sm text-gray-700">
+            Email
+            <input type="email" value={form.email} required onChange={(e) => setForm({ ...form, email: e.target.value })} className={inputClass} />
+          </label>
+          <label className="text-sm text-gray-700">
+            Language
+            <LanguageSelect value={form.language} onChange={(language) => setForm({ ...form, language })} className={inputClass} />
+          </label>
+          <div className="text-sm text-gray-700">
+            Send my posters by
+            <ChannelCheckboxes value={form.channels} onChange={(channels) => setForm({ ...form, channels })} className="flex gap-4 mt-2" />
+          </div>
+          <label className="text-sm text-gray-700">
+            New photo (optional)
+            <input type="file" accept="image/*" onChange={(e) => setPhoto(e.target.files?.[0] || null)} className="block mt-1 text-sm" />
+          </label>
+          <p className="sm:col-span-2 text-xs text-gray-500">Changes are checked by an admin before they appear on your posters.</p>
+          <div className="sm:col-span-2 flex gap-2">
+            <button type="submit" disabled={busy} className="px-4 py-2 rounded-lg text-sm bg-blue-600 text-white hover:bg-blue-700 disabled:opacity-60">
+              {busy ? "Sending..." : "Send for review"}
+            </button>
+            <button type="button" onClick={() => setEditing(false)} className="px-4 py-2 rounded-lg text-sm bg-gray-200 text-gray-700 hover:bg-gray-300">
+              Cancel
+            </button>
+          </div>
+        </form>
+      )}
+
+      {error && <p className="mt-3 text-sm text-red-600">{error}</p>}
+    </div>
+  );
+};
+
+export default MemberProfileRequest;
@@ -3,17 +3,25 @@ import { Spin, message, Modal } from 'antd';
 import { AiOutlineCloudUpload } from 'react-icons/ai';
 import ReactCrop, { Crop } from 'react-image-crop';
 import 'react-image-crop/dist/ReactCrop.css';
+import LanguageSelect from './LanguageSelect';
+import ChannelCheckboxes from './ChannelCheckboxes';
+import useMemberGroups from './useMemberGroups';
+
+const API_URL = import.meta.env.VITE_API_URL;
 
 const MemberRegistration = () => {
   const [formData, setFormData] = useState({
     name: '',
     phone: '',
     email: '',
-    designation: [] as string[],
-    teamName: '', // ✅ added teamName
+    designationId: '',
+    teamId: '',
+    language: 'en',
+    channels: ['email'],
     photo: null as File | null,
   });
 
+  const memberGroups = useMemberGroups(API_URL);
   const [cropModalVisible, setCropModalVisible] = useState(false);
   const [srcImage, setSrcImage] = useState('');
   const [crop, setCrop] = useState<Crop>({
@@ -69,15 +77,6 @@ const MemberRegistration = () => {
         };
         reader.readAsDataURL(files[0]);
       }
-    } else if (name === 'designation') {
-      if (value === 'Team') {
-        setFormData({
-          ...formData,
-          designation: ['Team'], // ✅ mark as Team
-        });
-      } else {
-        setFormData({ ...formData, designation: [value], teamName: '' });
-      }
     } else {
       setFormData({ ...formData, [name]: value });
     }
@@ -93,23 +92,21 @@ const MemberRegistration = () => {
         return;
       }
 
-      // Always save teamName as a separate field if present
-      let finalDesignation = [...formData.designation];
-      if (formData.designation.includes('Team') && formData.teamName) {
-        finalDesignation.push(`Team: ${formData.teamName}`);
+      if (!formData.designationId && !formData.teamId) {
+        message.warning('⚠️ Please choose a designation or team.');
+        return;
       }
 
       const data = new FormData();
       data.append('name', formData.name.trim());
       data.append('phone', formData.phone.trim());
       data.append('email', formData.email.trim());
-      data.append('designation', finalDesignation.join(','));
+      data.append('designationIds', JSON.stringify(formData.designationId ? [formData.designationId] : []));
+      data.append('teamIds', JSON.stringify(formData.teamId ? [formData.teamId] : []));
+      data.append('language', formData.language);
+      data.append('channels', JSON.stringify(formData.channels));
       data.append('photo', formData.photo);
-      if (formData.teamName) {
-        data.append('teamName', formData.teamName.trim());
-      }
 
-      const API_URL = import.meta.env.VITE_API_URL;
       const res = await fetch(`${API_URL}api/register`, {
         method: 'POST',
         body: data,
@@ -126,8 +123,10 @@ const MemberRegistration = () => {
         name: '',
         phone: '',
         email: '',
-        designation: [],
-        teamName: '', // reset
+        designationId: '',
+        teamId: '',
+        language: 'en',
+        channels: ['email'],
         photo: null,
       });
       setPreviewUrl('');
@@ -177,33 +176,50 @@ const MemberRegistration = () => {
           />
 
           <select
-            name="designation"
-            value={
-              formData.designation.includes('Team')
-                ? 'Team'
-                : formData.designation[0] || ''
-            }
+            name="designationId"
+            value={formData.designationId}
             onChange={handleInputChange}
             className="w-full max-w-[220px] text-sm p-3 border border-gray-300 rounded-xl focus:outline-none focus:ring-2 focus:ring-blue-500 mx-auto md:text-base md:max-w-full"
           >
             <option value="">Select Designation</option>
-            <option value="Partner">Partner</option>
-            <option value="Admin">Admin</option>
-            <option value="Founder">Founder</option>
-            <option value="Team">Team</option>
+            {memberGroups.designations.map((d) => (
+              <option key={d.id} value={d.id}>{d.name}</option>
+            ))}
           </select>
 
-          {/* ✅ Show Team Name field only if Team is selected */}
-          {formData.designation.includes('Team') && (
-            <input
-              name="teamName"
-              type="text"
-              value={formData.teamName}
-              placeholder="Enter Team Name"
+          {memberGroups.teams.length > 0 && (
+            <select
+              name="teamId"
+              value={formData.teamId}
               onChange={handleInputChange}
+              className="w-full max-w-[220px] text-sm p-3 border border-gray-300 rounded-xl focus:outline-none focus:ring-2 focus:ring-blue-500 mx-auto md:text-base md:max-w-full"
+            >
+              <option value="">No team</option>
+              {memberGroups.teams.map((t) => (
+                <option key={t.id} value={t.id}>{t.name}</option>
+              ))}
+            </select>
+          )}
+
+          <div>
+            <label htmlFor="language" className="block mb-1 text-sm text-gray-600">
+              Language for your poster and emails
+            </label>
+            <LanguageSelect
+              id="language"
+              value={formData.language}
+              onChange={(language) => setFormData({ ...formData, language })}
               className="w-full p-3 border border-gray-300 rounded-xl focus:outline-none focus:ring-2 focus:ring-blue-500"
             />
-          )}
+          </div>
+
+          <div>
+            <span className="block mb-1 text-sm text-gray-600">Send my posters by</span>
+            <ChannelCheckboxes
+              value={formData.channels}
+              onChange={(channels) => setFormData({ ...formData, channels })}
+            />
+          </div>
 
           {/* Upload section unchanged */}
           <div className="space-y-4">
@@ -1,5 +1,10 @@
 import { useEffect, useState, useCallback, useRef } from 'react';
 import { useNavigate } from 'react-router-dom';
+import LanguageSelect from './LanguageSelect';
+import ChannelCheckboxes from './ChannelCheckboxes';
+import MemberExportButtons from './MemberExportButtons';
+import MemberGroupFields from './MemberGroupFields';
+import useMemberGroups from './useMemberGroups';
 
 // Type Definitions
 type User = {
@@ -8,14 +13,17 @@ type User = {
   email: string;
   phone: string;
   designation: string;
+  designationIds?: string[];
+  teamIds?: string[];
+  language?: string;
+  channels?: string[];
   photoUrl?: string;
 };
 
 type DashboardStats = {
   totalUsers: number;
-  healthAdvisors: number;
-  wealthManagers: number;
   designatedUsers: number;
+  byDesignation: Record<string, number>;
 };
 
 // Mobile-optimized Dashboard Card Component
@@ -59,8 +67,7 @@ const AdminPanel = () => {
   const [searchEmail, setSearchEmail] = useState('');
   const [dashboardStats, setDashboardStats] = useState<DashboardStats>({
     totalUsers: 0,
-    healthAdvisors: 0,
-    wealthManagers: 0,
+    byDesignation: {},
     designatedUsers: 0,
   });
   const [showConfirmModal, setShowConfirmModal] = useState(false);
@@ -70,6 +77,7 @@ const AdminPanel = () => {
 
   const navigate = useNavigate();
   const API_BASE_URL = import.meta.env.VITE_API_URL;
+  const memberGroups = useMemberGroups(API_BASE_URL);
 
   const userListRef = useRef<HTMLDivElement>(null);
   const [userListMaxHeight, setUserListMaxHeight] = useState('300px');
@@ -77,14 +85,11 @@ const AdminPanel = () => {
   // Callback to calculate dashboard statistics from user data
   const calculateDashboardStats = useCallback((usersList: User[]) => {
     const stats = usersList.reduce((acc, user) => {
-      const designations = user.designation?.split(',').map(d => d.trim()) ?? [];
-      const isHa = designations.includes('Health insurance advisor');
-      const isWm = designations.includes('Wealth Manager');
-      if (isHa) acc.healthAdvisors++;
-      if (isWm) acc.wealthManagers++;
-      if (isHa || isWm) acc.designatedUsers++;
+      const designationIds = user.designationIds ?? [];
+      designationIds.forEach(id => { acc.byDesignation[id] = (acc.byDesignation[id] || 0) + 1; });
+      if (designationIds.length > 0) acc.designatedUsers++;
       return acc;
-    }, { healthAdvisors: 0, wealthManagers: 0, designatedUsers: 0 });
+    }, { designatedUsers: 0, byDesignation: {} as Record<string, number> });
     setDashboardStats({ ...stats, totalUsers: usersList.length });
   }, []);
 
@@ -104,7 +109,7 @@ const AdminPanel = () => {
       setError(null);
     } catch (err) {
       setUsers([]);
-      setDashboardStats({ totalUsers: 0, healthAdvisors: 0, wealthManagers: 0, designatedUsers: 0 });
+      setDashboardStats({ totalUsers: 0, designatedUsers: 0, byDesignation: {} });
       setError(err instanceof Error ? err.message : 'Failed to fetch users. Please try again later.');
       if (err instanceof Error && err.message === 'Please login again') {
         navigate('/admin-login');
@@ -153,7 +158,7 @@ const AdminPanel = () => {
     setConfirmMessage('Are you sure you want to delete this user? This cannot be undone.');
     setConfirmAction(() => async () => {
       try {
-        const response = await fetch(`${API_BASE_URL}api/users/${id}`, { method: 'DELETE' });
+        const response = await fetch(`${API_BASE_URL}api/users/${id}`, { method: 'DELETE', credentials: 'include' });
         if (!response.ok) {
           throw new Error('Failed to delete user.');
         }
@@ -187,7 +192,8 @@ const AdminPanel = () => {
       const response = await fetch(`${API_BASE_URL}api/users/${editingUser.id}`, {
         method: 'PUT',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(editingUser),
+        credentials: 'include',
+        body: JSON.stringify({ ...editingUser, designationIds: editingUser.designationIds ?? [], teamIds: editingUser.teamIds ?? [] }),
       });
       const data = await response.json();
       if (!response.ok) throw new Error(data.error || 'Update failed');
@@ -230,15 +236,17 @@ const AdminPanel = () => {
       {isMobileView ? (
         <>
           <MobileDashboardCard title="Total Users" value={loading ? '-' : dashboardStats.totalUsers.toString()} icon="👥" />
-          <MobileDashboardCard title="Health Advisors" value={loading ? '-' : dashboardStats.healthAdvisors.toString()} icon="⚕️" />
-          <MobileDashboardCard title="Wealth Managers" value={loading ? '-' : dashboardStats.wealthManagers.toString()} icon="📈" />
+          {memberGroups.designations.map(d => (
+            <MobileDashboardCard key={d.id} title={d.name} value={loading ? '-' : (dashboardStats.byDesignation[d.id] || 0).toString()} icon="🏷️" />
+          ))}
           <MobileDashboardCard title="Designated" value={loading ? '-' : dashboardStats.designatedUsers.toString()} icon="🤝" />
         </>
       ) : (
         <>
           <DesktopDashboardCard title="Total Users" value={loading ? '-' : dashboardStats.totalUsers.toString()} description="All registered members" icon="👥" />
-          <DesktopDashboardCard title="Health Advisors" value={loading ? '-' : dashboardStats.healthAdvisors.toString()} description="Health Insurance Advisors" icon="⚕️" />
-          <DesktopDashboardCard title="Wealth Managers" value={loading ? '-' : dashboardStats.wealthManagers.toString()} description="Wealth Management Team" icon="📈" />
+          {memberGroups.designations.map(d => (
+            <DesktopDashboardCard key={d.id} title={d.name} value={loading ? '-' : (dashboardStats.byDesignation[d.id] || 0).toString()} description={`Members with the ${d.name} designation`} icon="🏷️" />
+          ))}
           <DesktopDashboardCard title="Designated Users" value={loading ? '-' : dashboardStats.designatedUsers.toString()} description="Users with specific roles" icon="🤝" />
         </>
       )}
@@ -391,19 +399,28 @@ const AdminPanel = () => {
             />
           </div>
           <div className="space-y-2">
-            <label htmlFor="designation" className="text-sm font-medium text-gray-700">Designation</label>
-            <select
-              id="designation"
-              value={editingUser?.designation || ''}
-              onChange={(e) => setEditingUser({ ...editingUser!, designation: e.target.value })}
+            <MemberGroupFields
+              groups={memberGroups}
+              designationIds={editingUser?.designationIds}
+              teamIds={editingUser?.teamIds}
+              onChange={({ designationIds, teamIds }) => setEditingUser({ ...editingUser!, designationIds, teamIds })}
+            />
+          </div>
+          <div className="space-y-2">
+            <label htmlFor="language" className="text-sm font-medium text-gray-700">Language</label>
+            <LanguageSelect
+              id="language"
+              value={editingUser?.language || 'en'}
+              onChange={(language) => setEditingUser({ ...editingUser!, language })}
               className="w-full p-3 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 text-sm sm:text-base"
-              required
-            >
-              <option value="">Select Designation</option>
-              <option value="Health insurance advisor">Health Insurance Advisor</option>
-              <option value="Wealth Manager">Wealth Manager</option>
-              <option value="Health insurance advisor,Wealth Manager">Both Roles</option>
-            </select>
+            />
+          </div>
+          <div className="space-y-2">
+            <span className="text-sm font-medium text-gray-700">Send Posters By</span>
+            <ChannelCheckboxes
+              value={editingUser?.channels}
+              onChange={(channels) => setEditingUser({ ...editingUser!, channels })}
+            />
           </div>
         </div>
         <div className="flex flex-col sm:flex-row gap-3 pt-4">
@@ -523,6 +540,7 @@ const AdminPanel = () => {
             {activeTab === 'list' && (
               <section className="bg-white p-4 rounded-xl shadow-md border mt-4">
                 <h2 className="text-lg font-bold text-gray-800 mb-4">Registered Members</h2>
+                <MemberExportButtons apiBaseUrl={API_BASE_URL} className="mb-4" />
                 {renderUserListContent()}
               </section>
             )}
@@ -559,6 +577,7 @@ const AdminPanel = () => {
                             {users.length} total
                         </span>
                     </div>
+                    <MemberExportButtons apiBaseUrl={API_BASE_URL} />
                     {users.length > 0 && (
                         <div className="text-sm text-gray-500">
                             Scroll to see more members
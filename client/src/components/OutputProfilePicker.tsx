@@ -0,0 +1,58 @@
+import React, { useEffect, useState } from "react";
+
+type OutputProfile = {
+  name: string;
+  label: string;
+  width: number;
+  height?: number;
+  format: "jpeg" | "png" | "webp" | "pdf";
+};
+
+type Props = {
+  apiUrl: string;
+  value: string[];
+  onChange: (profiles: string[]) => void;
+};
+
+// Checkbox list of poster sizes/formats to attach to each email; nothing ticked sends the standard poster
+const OutputProfilePicker: React.FC<Props> = ({ apiUrl, value, onChange }) => {
+  const [profiles, setProfiles] = useState<OutputProfile[]>([]);
+
+  useEffect(() => {
+    const loadProfiles = async () => {
+      try {
+        const res = await fetch(`${apiUrl}/api/output-profiles`, { credentials: "include" });
+        if (res.ok) setProfiles(await res.json());
+      } catch (err) {
+        console.error(err);
+      }
+    };
+    loadProfiles();
+  }, [apiUrl]);
+
+  const toggle = (name: string) => {
+    onChange(value.includes(name) ? value.filter((p) => p !== name) : [...value, name]);
+  };
+
+  if (profiles.length === 0) return null;
+
+  return (
+    <div className="mb-4">
+      <label className="block mb-2 text-sm font-medium text-gray-700">Poster Formats</label>
+      <div className="grid grid-cols-1 gap-1">
+        {profiles.map((profile) => (
+          <label key={profile.name} className="flex items-center gap-2 text-sm text-gray-700">
+            <input type="checkbox" checked={value.includes(profile.name)} onChange={() => toggle(profile.name)} />
+            {profile.label}
+            <span className="text-xs text-gray-500">
+              {profile.width}
+              {profile.height ? `×${profile.height}` : "px wide"} {profile.format.toUpperCase()}
+            </span>
+          </label>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default OutputProfilePicker;
@@ -0,0 +1,89 @@
+import React from "react";
+
+export type TemplatePlacement = {
+  mode: "below" | "above" | "overlay" | "side";
+  // Fractions (0-1) of the template's width/height
+  region?: { x: number; y: number; width: number; height: number };
+  side?: "left" | "right";
+  widthRatio?: number;
+};
+
+const DEFAULT_REGION = { x: 0.05, y: 0.75, width: 0.9, height: 0.2 };
+
+const REGION_FIELDS: { key: keyof NonNullable<TemplatePlacement["region"]>; label: string }[] = [
+  { key: "x", label: "Left %" },
+  { key: "y", label: "Top %" },
+  { key: "width", label: "Width %" },
+  { key: "height", label: "Height %" },
+];
+
+// Where the member photo/details go on the template; overlay regions are entered as percentages
+const PlacementFields: React.FC<{ value: TemplatePlacement; onChange: (value: TemplatePlacement) => void }> = ({ value, onChange }) => {
+  const region = value.region || DEFAULT_REGION;
+
+  const setMode = (mode: TemplatePlacement["mode"]) => {
+    if (mode === "overlay") onChange({ mode, region });
+    else if (mode === "side") onChange({ mode, side: value.side || "right", widthRatio: value.widthRatio || 0.3 });
+    else onChange({ mode });
+  };
+
+  return (
+    <div className="mb-2">
+      <label className="block mb-1 text-sm font-medium text-gray-700">Member details placement</label>
+      <select
+        className="w-full text-sm p-2 border rounded"
+        value={value.mode}
+        onChange={(e) => setMode(e.target.value as TemplatePlacement["mode"])}
+      >
+        <option value="below">Strip below the template</option>
+        <option value="above">Strip above the template</option>
+        <option value="overlay">Inside a reserved area of the template</option>
+        <option value="side">Side panel</option>
+      </select>
+
+      {value.mode === "overlay" && (
+        <div className="grid grid-cols-4 gap-2 mt-2">
+          {REGION_FIELDS.map(({ key, label }) => (
+            <label key={key} className="text-xs text-gray-600">
+              {label}
+              <input
+                type="number"
+                min={0}
+                max={100}
+                className="w-full text-sm p-1 border rounded"
+                value={Math.round(region[key] * 100)}
+                onChange={(e) => onChange({ ...value, region: { ...region, [key]: Number(e.target.value) / 100 } })}
+              />
+            </label>
+          ))}
+        </div>
+      )}
+
+      {value.mode === "side" && (
+        <div className="grid grid-cols-2 gap-2 mt-2">
+          <select
+            className="w-full text-sm p-2 border rounded"
+            value={value.side || "right"}
+            onChange={(e) => onChange({ ...value, side: e.target.value as "left" | "right" })}
+          >
+            <option value="right">Right side</option>
+            <option value="left">Left side</option>
+          </select>
+          <label className="text-xs text-gray-600">
+            Panel width %
+            <input
+              type="number"
+              min={10}
+              max={100}
+              className="w-full text-sm p-1 border rounded"
+              value={Math.round((value.widthRatio || 0.3) * 100)}
+              onChange={(e) => onChange({ ...value, widthRatio: Number(e.target.value) / 100 })}
+            />
+          </label>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PlacementFields;
@@ -0,0 +1,179 @@
+import React, { useEffect, useState } from "react";
+import type { TemplatePlacement } from "./PlacementFields";
+
+type Member = {
+  id: string;
+  name: string;
+  designation: string;
+  teamName?: string;
+};
+
+const SAMPLE_MEMBER = "__sample__";
+
+// Renders a single personalized poster on the server so footer layout can be checked before sending
+type Props = {
+  apiUrl: string;
+  template?: File | null;
+  templateId?: string;
+  footerLayoutId?: string;
+  // Unsaved placement to try out; library templates otherwise use their stored placement
+  placement?: TemplatePlacement;
+};
+
+const PosterPreviewPane: React.FC<Props> = ({ apiUrl, template, templateId, footerLayoutId, placement }) => {
+  const [members, setMembers] = useState<Member[]>([]);
+  const [memberId, setMemberId] = useState<string>(SAMPLE_MEMBER);
+  const [sample, setSample] = useState({ name: "", designation: "Partner", phone: "" });
+  const [previewUrl, setPreviewUrl] = useState<string | null>(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  useEffect(() => {
+    const loadMembers = async () => {
+      try {
+        const res = await fetch(`${apiUrl}/api/users`, { credentials: "include" });
+        if (res.ok) setMembers(await res.json());
+      } catch (err) {
+        console.error(err);
+      }
+    };
+    loadMembers();
+  }, [apiUrl]);
+
+  // Release the previous object URL whenever a new preview replaces it
+  useEffect(() => {
+    return () => {
+      if (previewUrl) URL.revokeObjectURL(previewUrl);
+    };
+  }, [previewUrl]);
+
+  const handlePreview = async () => {
+    if (!template && !templateId) {
+      setError("Please select a poster template image.");
+      return;
+    }
+    if (memberId === SAMPLE_MEMBER && !sample.name.trim()) {
+      setError("Enter a sample name or pick a member.");
+      return;
+    }
+
+    const formData = new FormData();
+    if (template) {
+      formData.append("template", template);
+    } else if (templateId) {
+      formData.append("templateId", templateId);
+    }
+    if (footerLayoutId) formData.append("footerLayoutId", footerLayoutId);
+    if (placement) formData.append("placement", JSON.stringify(placement));
+    if (memberId === SAMPLE_MEMBER) {
+      formData.append("name", sample.name);
+      formData.append("designation", sample.designation);
+      formData.append("phone", sample.phone);
+    } else {
+      formData.append("memberId", memberId);
+    }
+
+    setLoading(true);
+    setError(null);
+    try {
+      const res = await fetch(`${apiUrl}/api/posters/preview`, {
+        method: "POST",
+        body: formData,
+        credentials: "include",
+      });
+      if (!res.ok) {
+        const result = await res.json();
+        throw new Error(result.details || result.error || "Failed to render preview");
+      }
+      setPreviewUrl(URL.createObjectURL(await res.blob()));
+    } catch (err) {
+      setError(err instanceof Error ? err.message : "Failed to render preview");
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="mb-4 p-3 border rounded">
+      <label className="block mb-2 text-sm font-medium text-gray-700">
+        Preview for member
+      </label>
+      <select
+        className="w-full text-sm p-2 mb-2 border rounded"
+        value={memberId}
+        onChange={(e) => setMemberId(e.target.value)}
+      >
+        <option value={SAMPLE_MEMBER}>Sample member (enter details)</option>
+        {members.map((m) => (
+          <option key={m.id} value={m.id}>
+            {m.name} — {m.teamName ? `Team: ${m.teamName}` : m.designation}
+          </option>
+        ))}
+      </select>
+
+      {memberId === SAMPLE_MEMBER && (
+        <div className="grid grid-cols-1 gap-2 mb-2">
+          <input
+            type="text"
+            placeholder="Name"
+            className="w-full text-sm p-2 border rounded"
+            value={sample.name}
+            onChange={(e) => setSample({ ...sample, name: e.target.value })}
+          />
+          <input
+            type="text"
+            placeholder="Designation"
+            className="w-full text-sm p-2 border rounded"
+            value={sample.designation}
+            onChange={(e) => setSample({ ...sample, designation: e.target.value })}
+          />
+          <input
+            type="tel"
+            placeholder="Phone"
+            className="w-full text-sm p-2 border rounded"
+            value={sample.phone}
+            onChange={(e) => setSample({ ...sample, phone: e.target.value })}
+          />
+        </div>
+      )}
+
+      <button
+        type="button"
+        onClick={handlePreview}
+        disabled={loading}
+        className="w-full bg-gray-700 text-white px-4 py-2 rounded hover:bg-gray-800 text-sm"
+      >
+        {loading ? "Rendering..." : "Preview Poster"}
+      </button>
+
+      {/* Print PDFs are rendered from stored templates at full resolution, so they need a library template and a real member */}
+      {templateId && memberId !== SAMPLE_MEMBER && (
+        <a
+          href={`${apiUrl}/api/admin/posters/print?${new URLSearchParams({
+            memberId,
+            templateId,
+            ...(footerLayoutId ? { footerLayoutId } : {}),
+          }).toString()}`}
+          className="block w-full mt-2 text-center border border-gray-700 text-gray-700 px-4 py-2 rounded hover:bg-gray-100 text-sm"
+        >
+          Download Print PDF
+        </a>
+      )}
+
+      {error && <p className="mt-2 text-sm text-red-600">{error}</p>}
+
+      {previewUrl && (
+        <div className="mt-3 flex justify-center items-center overflow-hidden">
+          <img
+            src={previewUrl}
+            alt="Personalized poster preview"
+            className="max-w-full h-auto object-contain"
+            style={{ maxHeight: "32rem" }}
+          />
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PosterPreviewPane;
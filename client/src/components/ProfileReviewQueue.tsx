@@ -0,0 +1,159 @@
+import React, { useCallback, useEffect, useState } from 'react';
+
+// ------------------ Types ------------------
+type ProfileFields = {
+  name?: string;
+  email?: string;
+  phone?: string;
+  language?: string;
+  channels?: string[];
+};
+
+type ProfileRevision = {
+  id: string;
+  memberId: string;
+  changes: ProfileFields;
+  photoUrl?: string;
+  createdAt: string;
+  member?: ProfileFields & { id: string; designation?: string; photoUrl?: string };
+};
+
+const FIELD_LABELS: Record<keyof ProfileFields, string> = {
+  name: 'Name',
+  email: 'Email',
+  phone: 'Phone',
+  language: 'Language',
+  channels: 'Delivery channels',
+};
+
+const formatValue = (value: unknown) => {
+  if (Array.isArray(value)) return value.join(', ') || '-';
+  return value ? String(value) : '-';
+};
+
+// ------------------ Component ------------------
+// Changes members requested from the portal; nothing reaches the member record until it is approved here
+const ProfileReviewQueue: React.FC<{ apiBaseUrl: string; onApplied?: () => void }> = ({ apiBaseUrl, onApplied }) => {
+  const [revisions, setRevisions] = useState<ProfileRevision[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState<string | null>(null);
+  const [notes, setNotes] = useState<Record<string, string>>({});
+  const [busyId, setBusyId] = useState<string | null>(null);
+
+  const fetchRevisions = useCallback(async () => {
+    try {
+      setLoading(true);
+      const res = await fetch(`${apiBaseUrl}api/admin/profile-revisions?status=pending`, { credentials: 'include' });
+      if (!res.ok) throw new Error('Failed to load change requests');
+      setRevisions(await res.json());
+      setError(null);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to load change requests');
+    } finally {
+      setLoading(false);
+    }
+  }, [apiBaseUrl]);
+
+  useEffect(() => {
+    fetchRevisions();
+  }, [fetchRevisions]);
+
+  const review = async (revision: ProfileRevision, decision: 'approve' | 'reject') => {
+    setBusyId(revision.id);
+    setError(null);
+    try {
+      const res = await fetch(`${apiBaseUrl}api/admin/profile-revisions/${revision.id}/${decision}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        credentials: 'include',
+        body: JSON.stringify({ note: notes[revision.id] || '' }),
+      });
+      const result = await res.json();
+      if (!res.ok) throw new Error(result.error || `Failed to ${decision} changes`);
+      setRevisions(prev => prev.filter(r => r.id !== revision.id));
+      if (decision === 'approve' && onApplied) onApplied();
+    } catch (err) {
+      setError(err instanceof Error ? err.message : `Failed to ${decision} changes`);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  if (loading) return <p className="text-sm text-gray-500">Loading change requests...</p>;
+
+  return (
+    <div className="space-y-4">
+      {error && <p className="text-sm text-red-600">{error}</p>}
+      {revisions.length === 0 && <p className="text-sm text-gray-500">No change requests waiting for review.</p>}
+
+      {revisions.map(revision => (
+        <div key={revision.id} className="border rounded-lg p-4">
+          <div className="flex flex-wrap justify-between gap-2 mb-3">
+            <div>
+              <p className="font-semibold text-gray-800">{revision.member?.name || revision.memberId}</p>
+              <p className="text-xs text-gray-500">
+                {revision.member?.email} · requested {new Date(revision.createdAt).toLocaleString()}
+              </p>
+            </div>
+            {!revision.member && <span className="text-xs text-red-600">Member no longer exists</span>}
+          </div>
+
+          <table className="w-full text-sm mb-3">
+            <thead>
+              <tr className="text-left text-gray-500">
+                <th className="py-1 pr-2 font-medium">Field</th>
+                <th className="py-1 pr-2 font-medium">Current</th>
+                <th className="py-1 font-medium">Requested</th>
+              </tr>
+            </thead>
+            <tbody>
+              {(Object.keys(revision.changes) as (keyof ProfileFields)[]).map(field => (
+                <tr key={field} className="border-t">
+                  <td className="py-1 pr-2 text-gray-600">{FIELD_LABELS[field] || field}</td>
+                  <td className="py-1 pr-2 text-gray-500">{formatValue(revision.member?.[field])}</td>
+                  <td className="py-1 font-medium text-gray-800">{formatValue(revision.changes[field])}</td>
+                </tr>
+              ))}
+              {revision.photoUrl && (
+                <tr className="border-t">
+                  <td className="py-1 pr-2 text-gray-600">Photo</td>
+                  <td className="py-1 pr-2">
+                    {revision.member?.photoUrl ? <img src={revision.member.photoUrl} alt="Current" className="w-14 h-14 rounded-full object-cover border" /> : '-'}
+                  </td>
+                  <td className="py-1">
+                    <img src={revision.photoUrl} alt="Requested" className="w-14 h-14 rounded-full object-cover border" />
+                  </td>
+                </tr>
+              )}
+            </tbody>
+          </table>
+
+          <div className="flex flex-wrap items-center gap-2">
+            <input
+              value={notes[revision.id] || ''}
+              onChange={e => setNotes(prev => ({ ...prev, [revision.id]: e.target.value }))}
+              placeholder="Note to the member (optional)"
+              className="flex-1 min-w-[12rem] p-2 border rounded-lg text-sm"
+            />
+            <button
+              onClick={() => review(revision, 'approve')}
+              disabled={busyId === revision.id || !revision.member}
+              className="px-3 py-2 rounded-lg text-sm bg-green-600 text-white hover:bg-green-700 disabled:opacity-60"
+            >
+              Approve
+            </button>
+            <button
+              onClick={() => review(revision, 'reject')}
+              disabled={busyId === revision.id}
+              className="px-3 py-2 rounded-lg text-sm bg-red-600 text-white hover:bg-red-700 disabled:opacity-60"
+            >
+              Reject
+            </button>
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default ProfileReviewQueue;
@@ -0,0 +1,92 @@
+import React from "react";
+
+export type ScheduleValue = {
+  // Values from <input type="datetime-local">, in the admin's local time
+  scheduledAt: string;
+  type: "once" | "daily" | "weekly" | "dates";
+  weekdays: number[];
+  dates: string[];
+};
+
+const WEEKDAYS = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+
+// Time and recurrence inputs shared by the schedule form and the edit view of upcoming sends
+const ScheduleFields: React.FC<{ value: ScheduleValue; onChange: (value: ScheduleValue) => void }> = ({ value, onChange }) => {
+  const toggleWeekday = (day: number) => {
+    const weekdays = value.weekdays.includes(day)
+      ? value.weekdays.filter((d) => d !== day)
+      : [...value.weekdays, day].sort();
+    onChange({ ...value, weekdays });
+  };
+
+  return (
+    <div className="grid grid-cols-1 gap-2">
+      <select
+        className="w-full text-sm p-2 border rounded"
+        value={value.type}
+        onChange={(e) => onChange({ ...value, type: e.target.value as ScheduleValue["type"] })}
+      >
+        <option value="once">Once</option>
+        <option value="daily">Every day</option>
+        <option value="weekly">Every week on...</option>
+        <option value="dates">On specific dates</option>
+      </select>
+
+      {value.type !== "dates" && (
+        <input
+          type="datetime-local"
+          className="w-full text-sm p-2 border rounded"
+          value={value.scheduledAt}
+          onChange={(e) => onChange({ ...value, scheduledAt: e.target.value })}
+        />
+      )}
+
+      {value.type === "weekly" && (
+        <div className="flex flex-wrap gap-1">
+          {WEEKDAYS.map((label, day) => (
+            <button
+              key={label}
+              type="button"
+              onClick={() => toggleWeekday(day)}
+              className={`px-2 py-1 rounded text-xs ${value.weekdays.includes(day) ? "bg-blue-600 text-white" : "bg-gray-100 text-gray-700"}`}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+      )}
+
+      {value.type === "dates" && (
+        <div className="grid grid-cols-1 gap-1">
+          {value.dates.map((date, i) => (
+            <div key={i} className="flex gap-1">
+              <input
+                type="datetime-local"
+                className="flex-1 text-sm p-2 border rounded"
+                value={date}
+                onChange={(e) => onChange({ ...value, dates: value.dates.map((d, j) => (j === i ? e.target.value : d)) })}
+              />
+              <button
+                type="button"
+                onClick={() => onChange({ ...value, dates: value.dates.filter((_, j) => j !== i) })}
+                className="px-2 text-red-600 text-sm"
+                aria-label="Remove date"
+              >
+                ✕
+              </button>
+            </div>
+          ))}
+          <button
+            type="button"
+            onClick={() => onChange({ ...value, dates: [...value.dates, ""] })}
+            className="text-sm text-blue-600 text-left"
+          >
+            + Add date
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ScheduleFields;
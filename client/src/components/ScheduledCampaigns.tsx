@@ -0,0 +1,155 @@
+import React, { useCallback, useEffect, useState } from "react";
+import ScheduleFields, { ScheduleValue } from "./ScheduleFields";
+
+type Schedule = {
+  id: string;
+  name?: string;
+  designation: string;
+  templateName?: string;
+  recurrence: { type: ScheduleValue["type"]; weekdays: number[]; dates: string[] };
+  nextRunAt?: string;
+  lastRunAt?: string;
+  lastError?: string;
+  runs: number;
+};
+
+const RECURRENCE_LABELS: Record<ScheduleValue["type"], string> = {
+  once: "Once",
+  daily: "Daily",
+  weekly: "Weekly",
+  dates: "Specific dates",
+};
+
+// ISO timestamp -> value for <input type="datetime-local"> in the browser's time zone
+const toLocalInput = (iso?: string) => {
+  if (!iso) return "";
+  const d = new Date(iso);
+  return new Date(d.getTime() - d.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+};
+
+// Upcoming scheduled sends with inline edit and cancel
+const ScheduledCampaigns: React.FC<{ apiUrl: string; refreshKey?: number }> = ({ apiUrl, refreshKey = 0 }) => {
+  const [schedules, setSchedules] = useState<Schedule[]>([]);
+  const [editingId, setEditingId] = useState<string | null>(null);
+  const [editValue, setEditValue] = useState<ScheduleValue | null>(null);
+  const [error, setError] = useState<string | null>(null);
+
+  const fetchSchedules = useCallback(async () => {
+    try {
+      const res = await fetch(`${apiUrl}/api/schedules`, { credentials: "include" });
+      if (!res.ok) throw new Error("Failed to load scheduled sends");
+      setSchedules(await res.json());
+      setError(null);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : "Failed to load scheduled sends");
+    }
+  }, [apiUrl]);
+
+  useEffect(() => {
+    fetchSchedules();
+  }, [fetchSchedules, refreshKey]);
+
+  const startEdit = (schedule: Schedule) => {
+    setEditingId(schedule.id);
+    setEditValue({
+      scheduledAt: toLocalInput(schedule.nextRunAt),
+      type: schedule.recurrence.type,
+      weekdays: schedule.recurrence.weekdays || [],
+      dates: (schedule.recurrence.dates || []).map(toLocalInput),
+    });
+  };
+
+  const saveEdit = async () => {
+    if (!editingId || !editValue) return;
+    try {
+      const res = await fetch(`${apiUrl}/api/schedules/${editingId}`, {
+        method: "PUT",
+        headers: { "Content-Type": "application/json" },
+        credentials: "include",
+        body: JSON.stringify({
+          scheduledAt: editValue.scheduledAt ? new Date(editValue.scheduledAt).toISOString() : undefined,
+          recurrence: {
+            type: editValue.type,
+            weekdays: editValue.weekdays,
+            dates: editValue.dates.filter(Boolean).map((d) => new Date(d).toISOString()),
+          },
+          utcOffsetMinutes: new Date().getTimezoneOffset(),
+        }),
+      });
+      const result = await res.json();
+      if (!res.ok) throw new Error(result.error || "Failed to update schedule");
+      setEditingId(null);
+      setEditValue(null);
+      fetchSchedules();
+    } catch (err) {
+      setError(err instanceof Error ? err.message : "Failed to update schedule");
+    }
+  };
+
+  const cancelSchedule = async (schedule: Schedule) => {
+    if (!window.confirm(`Cancel the scheduled send "${schedule.name || schedule.templateName}"?`)) return;
+    try {
+      const res = await fetch(`${apiUrl}/api/schedules/${schedule.id}`, { method: "DELETE", credentials: "include" });
+      if (!res.ok) throw new Error("Failed to cancel schedule");
+      setSchedules(schedules.filter((s) => s.id !== schedule.id));
+    } catch (err) {
+      setError(err instanceof Error ? err.message : "Failed to cancel schedule");
+    }
+  };
+
+  return (
+    <div className="mt-6">
+      <h3 className="text-lg font-semibold mb-2">Upcoming Scheduled Sends</h3>
+      {error && <p className="mb-2 text-sm text-red-600">{error}</p>}
+      {schedules.length === 0 && <p className="text-sm text-gray-500">Nothing scheduled.</p>}
+
+      <div className="space-y-2">
+        {schedules.map((schedule) => (
+          <div key={schedule.id} className="p-3 border rounded text-sm">
+            <div className="flex justify-between gap-2">
+              <div className="min-w-0">
+                <p className="font-semibold text-gray-800 truncate">{schedule.name || schedule.templateName}</p>
+                <p className="text-xs text-gray-500">
+                  {schedule.designation} · {RECURRENCE_LABELS[schedule.recurrence.type]} · Next:{" "}
+                  {schedule.nextRunAt ? new Date(schedule.nextRunAt).toLocaleString() : "-"}
+                </p>
+                {schedule.lastError && <p className="text-xs text-red-600">Last run: {schedule.lastError}</p>}
+              </div>
+              <div className="flex gap-2 flex-shrink-0">
+                <button type="button" onClick={() => startEdit(schedule)} className="text-blue-600 text-xs">
+                  Edit
+                </button>
+                <button type="button" onClick={() => cancelSchedule(schedule)} className="text-red-600 text-xs">
+                  Cancel
+                </button>
+              </div>
+            </div>
+
+            {editingId === schedule.id && editValue && (
+              <div className="mt-2">
+                <ScheduleFields value={editValue} onChange={setEditValue} />
+                <div className="flex gap-2 mt-2">
+                  <button type="button" onClick={saveEdit} className="bg-green-600 text-white px-3 py-1 rounded text-xs">
+                    Save
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => {
+                      setEditingId(null);
+                      setEditValue(null);
+                    }}
+                    className="bg-gray-300 text-gray-800 px-3 py-1 rounded text-xs"
+                  >
+                    Close
+                  </button>
+                </div>
+              </div>
+            )}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default ScheduledCampaigns;
@@ -0,0 +1,177 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { message } from 'antd';
+import AudienceBuilder, { Audience } from './AudienceBuilder';
+import MemberPicker, { PickableMember } from './MemberPicker';
+
+type SegmentType = 'static' | 'dynamic';
+
+type Segment = {
+  id: string;
+  name: string;
+  description?: string;
+  type: SegmentType;
+  memberIds?: string[];
+  rules?: Audience;
+  memberCount: number;
+};
+
+type SegmentDraft = { id?: string; name: string; description: string; type: SegmentType; memberIds: string[]; rules: Audience };
+
+const EMPTY_RULES: Audience = { segmentIds: [], designationIds: [], teamIds: [], allTeams: false, memberIds: [], excludeIds: [] };
+
+const TYPE_LABELS: Record<SegmentType, string> = { static: 'Fixed list', dynamic: 'Rules' };
+
+// Named recipient sets for campaigns: a fixed list of members, or rules worked out again on every send
+const SegmentsManager: React.FC<{ apiBaseUrl: string; members: PickableMember[] }> = ({ apiBaseUrl, members }) => {
+  const [segments, setSegments] = useState<Segment[]>([]);
+  const [draft, setDraft] = useState<SegmentDraft | null>(null);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  const fetchSegments = useCallback(async () => {
+    try {
+      const res = await fetch(`${apiBaseUrl}api/segments`, { credentials: 'include' });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || 'Failed to load segments');
+      setSegments(data);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to load segments');
+    }
+  }, [apiBaseUrl]);
+
+  useEffect(() => {
+    fetchSegments();
+  }, [fetchSegments]);
+
+  const startEdit = (segment?: Segment) => {
+    setError(null);
+    setDraft(
+      segment
+        ? {
+            id: segment.id,
+            name: segment.name,
+            description: segment.description || '',
+            type: segment.type,
+            memberIds: segment.memberIds || [],
+            rules: { ...EMPTY_RULES, ...segment.rules },
+          }
+        : { name: '', description: '', type: 'dynamic', memberIds: [], rules: EMPTY_RULES }
+    );
+  };
+
+  const handleSave = async (e: React.FormEvent) => {
+    e.preventDefault();
+    if (!draft) return;
+    setSaving(true);
+    setError(null);
+    try {
+      const res = await fetch(`${apiBaseUrl}api/segments${draft.id ? `/${draft.id}` : ''}`, {
+        method: draft.id ? 'PUT' : 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        credentials: 'include',
+        body: JSON.stringify({
+          name: draft.name,
+          description: draft.description,
+          type: draft.type,
+          ...(draft.type === 'static' ? { memberIds: draft.memberIds } : { rules: draft.rules }),
+        }),
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || 'Failed to save segment');
+      message.success(`Saved segment ${data.segment.name}`);
+      setDraft(null);
+      await fetchSegments();
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to save segment');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (segment: Segment) => {
+    if (!window.confirm(`Delete segment "${segment.name}"?`)) return;
+    setError(null);
+    try {
+      const res = await fetch(`${apiBaseUrl}api/segments/${segment.id}`, { method: 'DELETE', credentials: 'include' });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || 'Failed to delete segment');
+      await fetchSegments();
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to delete segment');
+    }
+  };
+
+  if (draft) {
+    return (
+      <form onSubmit={handleSave} className="space-y-3">
+        <input
+          value={draft.name}
+          onChange={e => setDraft({ ...draft, name: e.target.value })}
+          placeholder="Segment name, e.g. Chennai team + founders"
+          className="w-full p-2 border rounded-lg text-sm"
+        />
+        <input
+          value={draft.description}
+          onChange={e => setDraft({ ...draft, description: e.target.value })}
+          placeholder="Description (optional)"
+          className="w-full p-2 border rounded-lg text-sm"
+        />
+        <div className="flex gap-2">
+          {(Object.keys(TYPE_LABELS) as SegmentType[]).map(type => (
+            <button
+              key={type}
+              type="button"
+              onClick={() => setDraft({ ...draft, type })}
+              className={`flex-1 px-3 py-1.5 rounded-lg text-sm ${draft.type === type ? 'bg-blue-600 text-white' : 'bg-gray-100 text-gray-700'}`}
+            >
+              {TYPE_LABELS[type]}
+            </button>
+          ))}
+        </div>
+        <p className="text-xs text-gray-500">
+          {draft.type === 'static'
+            ? 'Always the members picked here, whatever their designation or team.'
+            : 'Members matching these rules when a campaign is sent, so newcomers are included automatically.'}
+        </p>
+        {draft.type === 'static' ? (
+          <MemberPicker title="Members" members={members} selected={draft.memberIds} onChange={memberIds => setDraft({ ...draft, memberIds })} />
+        ) : (
+          <AudienceBuilder apiUrl={apiBaseUrl.replace(/\/$/, '')} value={draft.rules} onChange={rules => setDraft({ ...draft, rules })} showSegments={false} />
+        )}
+        {error && <p className="text-sm text-red-600">{error}</p>}
+        <div className="flex gap-2">
+          <button type="submit" disabled={saving} className="px-4 py-2 rounded-lg text-sm bg-blue-600 text-white hover:bg-blue-700 disabled:opacity-60">
+            {saving ? 'Saving...' : 'Save Segment'}
+          </button>
+          <button type="button" onClick={() => setDraft(null)} className="px-4 py-2 rounded-lg text-sm bg-gray-100 text-gray-700 hover:bg-gray-200">
+            Cancel
+          </button>
+        </div>
+      </form>
+    );
+  }
+
+  return (
+    <div className="space-y-3">
+      <button onClick={() => startEdit()} className="px-4 py-2 rounded-lg text-sm bg-blue-600 text-white hover:bg-blue-700">New Segment</button>
+      {error && <p className="text-sm text-red-600">{error}</p>}
+      {segments.length === 0 && <p className="text-sm text-gray-500">No segments yet. Save a recipient set here to reuse it when sending posters.</p>}
+      <ul className="divide-y border rounded-lg">
+        {segments.map(segment => (
+          <li key={segment.id} className="flex items-center gap-2 p-2 text-sm">
+            <div className="flex-1 min-w-0">
+              <p className="text-gray-800 font-medium truncate">{segment.name}</p>
+              {segment.description && <p className="text-xs text-gray-500 truncate">{segment.description}</p>}
+            </div>
+            <span className="px-2 py-0.5 rounded-full bg-gray-100 text-xs text-gray-600">{TYPE_LABELS[segment.type]}</span>
+            <span className="text-xs text-gray-500">{segment.memberCount} members</span>
+            <button onClick={() => startEdit(segment)} className="text-blue-600 hover:underline">Edit</button>
+            <button onClick={() => handleDelete(segment)} className="text-red-600 hover:underline">Delete</button>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+export default SegmentsManager;
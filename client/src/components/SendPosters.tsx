@@ -1,14 +1,85 @@
 import React, { useState, useEffect } from "react";
+import PosterPreviewPane from "./PosterPreviewPane";
+import FooterLayoutSelect from "./FooterLayoutSelect";
+import OutputProfilePicker from "./OutputProfilePicker";
+import EmailTemplatePanel from "./EmailTemplatePanel";
+import PlacementFields, { type TemplatePlacement } from "./PlacementFields";
+import TemplateGallery, { PosterTemplate } from "./TemplateGallery";
+import ScheduleFields, { ScheduleValue } from "./ScheduleFields";
+import ScheduledCampaigns from "./ScheduledCampaigns";
+import AudienceBuilder, { Audience } from "./AudienceBuilder";
+
+type CampaignProgress = {
+  id: string;
+  status: "queued" | "running" | "completed" | "failed";
+  total: number;
+  queued: number;
+  rendered: number;
+  sent: number;
+  failed: number;
+  channels?: Record<string, { sent: number; failed: number }>;
+  error?: string;
+};
+
+const CHANNEL_LABELS: Record<string, string> = { email: "Email", whatsapp: "WhatsApp" };
+
+const POLL_INTERVAL_MS = 2000;
 
 const SendPosters: React.FC = () => {
   const [file, setFile] = useState<File | null>(null);
   const [preview, setPreview] = useState<string | null>(null);
-  const [designation, setDesignation] = useState<string>(
-    "Partner"
-  );
+  const [audience, setAudience] = useState<Audience>({ segmentIds: [], designationIds: [], teamIds: [], allTeams: false, memberIds: [], excludeIds: [] });
   const [loading, setLoading] = useState(false);
   const [message, setMessage] = useState<string | null>(null);
-  // Remove team dropdown logic
+  const [campaignId, setCampaignId] = useState<string | null>(null);
+  const [progress, setProgress] = useState<CampaignProgress | null>(null);
+  const [templateSource, setTemplateSource] = useState<"upload" | "library">("upload");
+  const [libraryTemplate, setLibraryTemplate] = useState<PosterTemplate | null>(null);
+  const [saveToLibrary, setSaveToLibrary] = useState(false);
+  const [templateName, setTemplateName] = useState("");
+  const [templateTags, setTemplateTags] = useState("");
+  const [galleryRefreshKey, setGalleryRefreshKey] = useState(0);
+  const [footerLayoutId, setFooterLayoutId] = useState("");
+  const [placement, setPlacement] = useState<TemplatePlacement>({ mode: "below" });
+  const [outputProfiles, setOutputProfiles] = useState<string[]>([]);
+  const [emailTemplateId, setEmailTemplateId] = useState("");
+  const [sendMode, setSendMode] = useState<"now" | "schedule">("now");
+  const [schedule, setSchedule] = useState<ScheduleValue>({ scheduledAt: "", type: "once", weekdays: [], dates: [] });
+  const [schedulesRefreshKey, setSchedulesRefreshKey] = useState(0);
+
+  const API_URL = import.meta.env.VITE_API_URL.replace(/\/$/, '');
+
+  // Poll the campaign job until the background worker finishes it
+  useEffect(() => {
+    if (!campaignId) return;
+    let cancelled = false;
+
+    const poll = async () => {
+      try {
+        const res = await fetch(`${API_URL}/api/campaigns/${campaignId}`, { credentials: "include" });
+        if (!res.ok) return;
+        const data: CampaignProgress = await res.json();
+        if (cancelled) return;
+        setProgress(data);
+        if (data.status === "completed") {
+          setMessage(`✅ ${data.sent} posters sent successfully!${data.failed ? ` ${data.failed} failed.` : ""}`);
+          setCampaignId(null);
+        } else if (data.status === "failed") {
+          setMessage(data.error || "❌ Campaign failed.");
+          setCampaignId(null);
+        }
+      } catch (err) {
+        console.error(err);
+      }
+    };
+
+    poll();
+    const timer = setInterval(poll, POLL_INTERVAL_MS);
+    return () => {
+      cancelled = true;
+      clearInterval(timer);
+    };
+  }, [API_URL, campaignId]);
 
   const handleFileChange = (e: React.ChangeEvent<HTMLInputElement>) => {
     const selectedFile = e.target.files?.[0];
@@ -22,31 +93,101 @@ const SendPosters: React.FC = () => {
   const handleSubmit = async (e: React.FormEvent) => {
     e.preventDefault();
 
-    if (!file) {
+    if (templateSource === "upload" && !file) {
       setMessage("Please select a poster template image.");
       return;
     }
-
-
-    const formData = new FormData();
-    formData.append("template", file); // ✅ Matches backend field
-    formData.append("designation", designation); // ✅ Required by backend
-  // No teamName needed for Team, backend will send to all team members
+    if (templateSource === "library" && !libraryTemplate) {
+      setMessage("Please pick a template from the library.");
+      return;
+    }
+    if (templateSource === "upload" && saveToLibrary && !templateName.trim()) {
+      setMessage("Please enter a name to save the template.");
+      return;
+    }
+    // The scheduler can only reuse templates stored in the library
+    if (sendMode === "schedule" && templateSource === "upload" && !saveToLibrary) {
+      setMessage("Save the template to the library to schedule it.");
+      return;
+    }
 
     setLoading(true);
     setMessage(null);
+    setProgress(null);
 
     try {
-      const API_URL = import.meta.env.VITE_API_URL;
-      const res = await fetch(`${API_URL.replace(/\/$/, '')}/api/send-posters`, {
+      let templateId = templateSource === "library" ? libraryTemplate?.id : undefined;
+
+      // Save the uploaded file to the library first so the campaign references the stored copy
+      if (templateSource === "upload" && saveToLibrary && file) {
+        const templateData = new FormData();
+        templateData.append("template", file);
+        templateData.append("name", templateName);
+        templateData.append("tags", templateTags);
+        if (footerLayoutId) templateData.append("footerLayoutId", footerLayoutId);
+        templateData.append("placement", JSON.stringify(placement));
+        const saveRes = await fetch(`${API_URL}/api/templates`, { method: "POST", body: templateData, credentials: "include" });
+        const saved = await saveRes.json();
+        if (!saveRes.ok) {
+          setMessage(saved.error || "❌ Failed to save template.");
+          return;
+        }
+        templateId = saved.template.id;
+        setGalleryRefreshKey((k) => k + 1);
+      }
+
+      if (sendMode === "schedule") {
+        const res = await fetch(`${API_URL}/api/schedules`, {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          credentials: "include",
+          body: JSON.stringify({
+            name: templateSource === "library" ? libraryTemplate?.name : templateName,
+            audience,
+            templateId,
+            scheduledAt: schedule.scheduledAt ? new Date(schedule.scheduledAt).toISOString() : undefined,
+            recurrence: {
+              type: schedule.type,
+              weekdays: schedule.weekdays,
+              dates: schedule.dates.filter(Boolean).map((d) => new Date(d).toISOString()),
+            },
+            utcOffsetMinutes: new Date().getTimezoneOffset(),
+            outputProfiles,
+            emailTemplateId: emailTemplateId || undefined,
+          }),
+        });
+        const result = await res.json();
+        if (res.ok) {
+          setMessage(`⏰ Scheduled for ${new Date(result.schedule.nextRunAt).toLocaleString()}`);
+          setSchedulesRefreshKey((k) => k + 1);
+        } else {
+          setMessage(result.error || "❌ Failed to schedule posters.");
+        }
+        return;
+      }
+
+      const formData = new FormData();
+      if (templateId) {
+        formData.append("templateId", templateId);
+      } else if (file) {
+        formData.append("template", file); // ✅ Matches backend field
+      }
+      formData.append("audience", JSON.stringify(audience));
+      if (footerLayoutId) formData.append("footerLayoutId", footerLayoutId);
+      if (outputProfiles.length > 0) formData.append("outputProfiles", JSON.stringify(outputProfiles));
+      if (emailTemplateId) formData.append("emailTemplateId", emailTemplateId);
+
+      const res = await fetch(`${API_URL}/api/send-posters`, {
         method: "POST",
         body: formData,
+        credentials: "include",
       });
 
       const result = await res.json();
 
       if (res.ok) {
-        setMessage(`✅ ${result.recipientCount} posters sent successfully!`);
+        setMessage(`⏳ Sending posters to ${result.recipientCount} recipients...`);
+        setCampaignId(result.campaignId);
       } else {
         setMessage(result.error || "❌ Failed to send posters.");
       }
@@ -64,36 +205,80 @@ const SendPosters: React.FC = () => {
 
       <form onSubmit={handleSubmit}>
         <label className="block mb-2 text-sm font-medium overflow-auto text-gray-700">
-          Choose Designation
+          Choose Recipients
         </label>
 
-        <select
-          className="w-full max-w-[220px] text-sm p-2 mb-4 border rounded mx-auto md:text-base md:max-w-full"
-          style={{ maxWidth: 220 }}
-          value={designation}
-          onChange={(e) => {
-            setDesignation(e.target.value);
-          }}
-        >
-          <option value="Partner">Partner</option>
-          <option value="Admin">Admin</option>
-          <option value="Founder">Founder</option>
-          <option value="Team">Team</option>
-        </select>
+        <AudienceBuilder apiUrl={API_URL} value={audience} onChange={setAudience} />
 
-  {/* No team dropdown, all team members will receive the poster */}
+        <div className="flex gap-2 mb-3">
+          <button
+            type="button"
+            onClick={() => setTemplateSource("upload")}
+            className={`flex-1 px-3 py-1.5 rounded text-sm ${templateSource === "upload" ? "bg-blue-600 text-white" : "bg-gray-100 text-gray-700"}`}
+          >
+            Upload New
+          </button>
+          <button
+            type="button"
+            onClick={() => setTemplateSource("library")}
+            className={`flex-1 px-3 py-1.5 rounded text-sm ${templateSource === "library" ? "bg-blue-600 text-white" : "bg-gray-100 text-gray-700"}`}
+          >
+            Template Library
+          </button>
+        </div>
 
-        <label className="block mb-2 text-sm font-medium text-gray-700">
-          Upload Poster Template
-        </label>
-        <input
-          type="file"
-          accept="image/*"
-          onChange={handleFileChange}
-          className="mb-4 w-full"
-        />
-
-        {preview && (
+        {templateSource === "library" && (
+          <TemplateGallery
+            apiUrl={API_URL}
+            selectedId={libraryTemplate?.id ?? null}
+            onSelect={setLibraryTemplate}
+            refreshKey={galleryRefreshKey}
+          />
+        )}
+
+        {templateSource === "upload" && (
+          <>
+            <label className="block mb-2 text-sm font-medium text-gray-700">
+              Upload Poster Template
+            </label>
+            <input
+              type="file"
+              accept="image/*"
+              onChange={handleFileChange}
+              className="mb-4 w-full"
+            />
+
+            <label className="flex items-center gap-2 mb-2 text-sm text-gray-700">
+              <input
+                type="checkbox"
+                checked={saveToLibrary}
+                onChange={(e) => setSaveToLibrary(e.target.checked)}
+              />
+              Save this template to the library
+            </label>
+            {saveToLibrary && (
+              <div className="grid grid-cols-1 gap-2 mb-4">
+                <input
+                  type="text"
+                  placeholder="Template name"
+                  className="w-full text-sm p-2 border rounded"
+                  value={templateName}
+                  onChange={(e) => setTemplateName(e.target.value)}
+                />
+                <input
+                  type="text"
+                  placeholder="Tags, comma separated (e.g. diwali, festival)"
+                  className="w-full text-sm p-2 border rounded"
+                  value={templateTags}
+                  onChange={(e) => setTemplateTags(e.target.value)}
+                />
+                <PlacementFields value={placement} onChange={setPlacement} />
+              </div>
+            )}
+          </>
+        )}
+
+        {templateSource === "upload" && preview && (
           // Adjusted preview container for better responsiveness
           <div className="mb-4 p-2 border rounded flex justify-center items-center overflow-hidden">
             <img
@@ -108,18 +293,87 @@ const SendPosters: React.FC = () => {
           </div>
         )}
 
+        <FooterLayoutSelect apiUrl={API_URL} value={footerLayoutId} onChange={setFooterLayoutId} />
+        <OutputProfilePicker apiUrl={API_URL} value={outputProfiles} onChange={setOutputProfiles} />
+        <EmailTemplatePanel apiUrl={API_URL} value={emailTemplateId} onChange={setEmailTemplateId} />
+
+        {templateSource === "upload" && file && (
+          <PosterPreviewPane
+            apiUrl={API_URL}
+            template={file}
+            footerLayoutId={footerLayoutId}
+            placement={saveToLibrary ? placement : undefined}
+          />
+        )}
+        {templateSource === "library" && libraryTemplate && (
+          <PosterPreviewPane apiUrl={API_URL} templateId={libraryTemplate.id} footerLayoutId={footerLayoutId} />
+        )}
+
+        <div className="flex gap-2 mb-3">
+          <button
+            type="button"
+            onClick={() => setSendMode("now")}
+            className={`flex-1 px-3 py-1.5 rounded text-sm ${sendMode === "now" ? "bg-blue-600 text-white" : "bg-gray-100 text-gray-700"}`}
+          >
+            Send Now
+          </button>
+          <button
+            type="button"
+            onClick={() => setSendMode("schedule")}
+            className={`flex-1 px-3 py-1.5 rounded text-sm ${sendMode === "schedule" ? "bg-blue-600 text-white" : "bg-gray-100 text-gray-700"}`}
+          >
+            Schedule
+          </button>
+        </div>
+
+        {sendMode === "schedule" && (
+          <div className="mb-4">
+            <ScheduleFields value={schedule} onChange={setSchedule} />
+          </div>
+        )}
+
         <button
           type="submit"
           className="w-full bg-blue-600 text-white px-4 py-2 rounded hover:bg-blue-700"
-          disabled={loading}
+          disabled={loading || !!campaignId}
         >
-          {loading ? "Sending..." : "Send Posters"}
+          {sendMode === "schedule"
+            ? loading ? "Scheduling..." : "Schedule Posters"
+            : loading || campaignId ? "Sending..." : "Send Posters"}
         </button>
       </form>
 
+      {progress && (
+        <div className="mt-4">
+          <div className="w-full bg-gray-200 rounded-full h-3 overflow-hidden">
+            <div
+              className="bg-blue-600 h-3 transition-all duration-500"
+              style={{ width: `${progress.total ? Math.round(((progress.sent + progress.failed) / progress.total) * 100) : 0}%` }}
+            />
+          </div>
+          <div className="mt-2 grid grid-cols-4 gap-2 text-center text-xs text-gray-600">
+            <span>Queued: {progress.queued}</span>
+            <span>Rendered: {progress.rendered}</span>
+            <span className="text-green-700">Sent: {progress.sent}</span>
+            <span className="text-red-700">Failed: {progress.failed}</span>
+          </div>
+          {progress.channels && Object.keys(progress.channels).length > 0 && (
+            <div className="mt-1 flex justify-center flex-wrap gap-x-4 text-xs text-gray-600">
+              {Object.entries(progress.channels).map(([channel, counts]) => (
+                <span key={channel}>
+                  {CHANNEL_LABELS[channel] || channel}: {counts.sent} sent, {counts.failed} failed
+                </span>
+              ))}
+            </div>
+          )}
+        </div>
+      )}
+
       {message && (
         <p className="mt-4 text-center text-sm text-gray-700">{message}</p>
       )}
+
+      <ScheduledCampaigns apiUrl={API_URL} refreshKey={schedulesRefreshKey} />
     </div>
   );
 };
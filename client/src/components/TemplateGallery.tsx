@@ -0,0 +1,114 @@
+import React, { useCallback, useEffect, useState } from "react";
+import type { TemplatePlacement } from "./PlacementFields";
+
+export type PosterTemplate = {
+  id: string;
+  name: string;
+  tags: string[];
+  width?: number;
+  height?: number;
+  footerLayoutId?: string;
+  placement?: TemplatePlacement;
+  createdAt: string;
+};
+
+type Props = {
+  apiUrl: string;
+  selectedId: string | null;
+  onSelect: (template: PosterTemplate | null) => void;
+  // Bumped by the parent after it saves a new template so the gallery reloads
+  refreshKey?: number;
+};
+
+// Grid of saved poster templates; clicking one selects it for the campaign
+const TemplateGallery: React.FC<Props> = ({ apiUrl, selectedId, onSelect, refreshKey = 0 }) => {
+  const [templates, setTemplates] = useState<PosterTemplate[]>([]);
+  const [tag, setTag] = useState("");
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  const fetchTemplates = useCallback(async () => {
+    setLoading(true);
+    try {
+      const query = tag.trim() ? `?tag=${encodeURIComponent(tag.trim())}` : "";
+      const res = await fetch(`${apiUrl}/api/templates${query}`, { credentials: "include" });
+      if (!res.ok) throw new Error("Failed to load templates");
+      setTemplates(await res.json());
+      setError(null);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : "Failed to load templates");
+    } finally {
+      setLoading(false);
+    }
+  }, [apiUrl, tag]);
+
+  useEffect(() => {
+    fetchTemplates();
+  }, [fetchTemplates, refreshKey]);
+
+  const handleDelete = async (template: PosterTemplate) => {
+    if (!window.confirm(`Delete template "${template.name}"?`)) return;
+    try {
+      const res = await fetch(`${apiUrl}/api/templates/${template.id}`, { method: "DELETE", credentials: "include" });
+      if (!res.ok) {
+        const data = await res.json().catch(() => ({}));
+        throw new Error(data.error || "Failed to delete template");
+      }
+      if (selectedId === template.id) onSelect(null);
+      setTemplates(templates.filter((t) => t.id !== template.id));
+    } catch (err) {
+      setError(err instanceof Error ? err.message : "Failed to delete template");
+    }
+  };
+
+  return (
+    <div className="mb-4">
+      <input
+        type="text"
+        placeholder="Filter by tag (e.g. diwali)"
+        className="w-full text-sm p-2 mb-2 border rounded"
+        value={tag}
+        onChange={(e) => setTag(e.target.value)}
+      />
+
+      {error && <p className="mb-2 text-sm text-red-600">{error}</p>}
+      {loading && <p className="text-sm text-gray-500">Loading templates...</p>}
+      {!loading && templates.length === 0 && (
+        <p className="text-sm text-gray-500">No saved templates yet.</p>
+      )}
+
+      <div className="grid grid-cols-2 gap-2 max-h-80 overflow-y-auto">
+        {templates.map((template) => (
+          <div
+            key={template.id}
+            className={`relative border rounded overflow-hidden cursor-pointer ${selectedId === template.id ? "ring-2 ring-blue-600" : ""}`}
+            onClick={() => onSelect(template)}
+          >
+            <img
+              src={`${apiUrl}/api/templates/${template.id}/thumbnail`}
+              alt={template.name}
+              className="w-full h-28 object-cover"
+            />
+            <div className="p-1">
+              <p className="text-xs font-semibold text-gray-800 truncate">{template.name}</p>
+              <p className="text-[10px] text-gray-500 truncate">{template.tags.join(", ")}</p>
+            </div>
+            <button
+              type="button"
+              onClick={(e) => {
+                e.stopPropagation();
+                handleDelete(template);
+              }}
+              className="absolute top-1 right-1 bg-white/90 text-red-600 text-xs px-1.5 rounded"
+              aria-label={`Delete ${template.name}`}
+            >
+              ✕
+            </button>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default TemplateGallery;
@@ -0,0 +1,33 @@
+import { useEffect, useState } from "react";
+
+// A designation or team as served by /api/designations and /api/teams (see server/utils/memberGroups.js)
+export type MemberGroup = { id: string; name: string; memberCount?: number };
+
+export type MemberGroups = { designations: MemberGroup[]; teams: MemberGroup[] };
+
+// Loads the designations and teams; bump `refreshKey` to load them again after an edit
+const useMemberGroups = (apiUrl: string, refreshKey = 0): MemberGroups => {
+  const [groups, setGroups] = useState<MemberGroups>({ designations: [], teams: [] });
+
+  useEffect(() => {
+    const base = apiUrl.replace(/\/$/, "");
+    const loadGroups = async () => {
+      try {
+        const [designations, teams] = await Promise.all(
+          ["designations", "teams"].map(async (kind) => {
+            const res = await fetch(`${base}/api/${kind}`, { credentials: "include" });
+            return res.ok ? ((await res.json()) as MemberGroup[]) : [];
+          })
+        );
+        setGroups({ designations, teams });
+      } catch (err) {
+        console.error(err);
+      }
+    };
+    loadGroups();
+  }, [apiUrl, refreshKey]);
+
+  return groups;
+};
+
+export default useMemberGroups;
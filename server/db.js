@@ -30,15 +30,308 @@ const userSchema = new mongoose.Schema({
   phone: String,
   designation: String,
   teamName: String, // Added for team support
+  // Designation and team ids (see utils/memberGroups.js); `designation` and `teamName` hold their names
+  designationIds: { type: [String], default: undefined, index: true },
+  teamIds: { type: [String], default: undefined, index: true },
+  language: { type: String, default: 'en' }, // Poster footer and email language; codes in utils/i18n.js
+  // Preferred delivery channels (see utils/deliveryChannels.js); unset means email only
+  channels: { type: [String], default: undefined },
   photoUrl: String,
   photo: String
 }, { timestamps: true });
 
 const User = mongoose.model('User', userSchema);
 
+// Designations and teams members belong to, managed from the admin panel.
+// `key` is the lower-cased name so two groups can't differ only by case.
+const memberGroupFields = {
+  id: { type: String, required: true, unique: true },
+  name: { type: String, required: true },
+  key: { type: String, required: true, unique: true }
+};
+const Designation = mongoose.model('Designation', new mongoose.Schema(memberGroupFields, { timestamps: true }));
+const Team = mongoose.model('Team', new mongoose.Schema(memberGroupFields, { timestamps: true }));
+
+// A poster campaign is persisted as a job so the send can run in the background
+// and the client can poll its progress instead of holding the request open.
+const campaignSchema = new mongoose.Schema({
+  id: { type: String, required: true, unique: true },
+  // Who the campaign went to (see utils/audience.js); `designation` is its label in the history
+  audience: mongoose.Schema.Types.Mixed,
+  designation: String,
+  teamName: String,
+  templateId: String,
+  templateName: String,
+  templatePath: String,
+  footerLayoutId: String,
+  emailTemplateId: String,
+  // Output profile names or custom profiles (see utils/outputProfiles.js); empty means the standard poster
+  outputProfiles: { type: [mongoose.Schema.Types.Mixed], default: undefined },
+  scheduleId: String,
+  recipientIds: [String],
+  // Members still to be processed; drained by the worker and refilled by a retry
+  pendingIds: [String],
+  retries: { type: Number, default: 0 },
+  status: { type: String, enum: ['queued', 'running', 'completed', 'failed'], default: 'queued', index: true },
+  total: { type: Number, default: 0 },
+  rendered: { type: Number, default: 0 },
+  sent: { type: Number, default: 0 },
+  failed: { type: Number, default: 0 },
+  error: String,
+  startedAt: Date,
+  finishedAt: Date
+}, { timestamps: true });
+
+const Campaign = mongoose.model('Campaign', campaignSchema);
+
+// Poster templates saved to the library; the image and its thumbnail live in utils/storage
+const templateSchema = new mongoose.Schema({
+  id: { type: String, required: true, unique: true },
+  name: { type: String, required: true },
+  tags: { type: [String], index: true },
+  imageKey: { type: String, required: true },
+  thumbnailKey: String,
+  mimeType: String,
+  width: Number,
+  height: Number,
+  footerLayoutId: String,
+  // Where the member details go: below/above the template, overlaid on `region`, or a side panel
+  placement: {
+    mode: { type: String, enum: ['below', 'above', 'overlay', 'side'], default: 'below' },
+    region: { x: Number, y: Number, width: Number, height: Number },
+    side: { type: String, enum: ['left', 'right'] },
+    widthRatio: Number
+  }
+}, { timestamps: true });
+
+const Template = mongoose.model('Template', templateSchema);
+
+// Footer layouts are stored as data (see utils/footerLayouts.js); the one flagged isDefault is the brand default
+const footerLayoutSchema = new mongoose.Schema({
+  id: { type: String, required: true, unique: true },
+  name: { type: String, required: true },
+  brand: String,
+  layout: { type: mongoose.Schema.Types.Mixed, default: {} },
+  isDefault: { type: Boolean, default: false }
+}, { timestamps: true, minimize: false });
+
+const FooterLayout = mongoose.model('FooterLayout', footerLayoutSchema);
+
+// A campaign to launch later, once or on a recurrence; utils/scheduler.js starts a Campaign on each run
+const scheduleSchema = new mongoose.Schema({
+  id: { type: String, required: true, unique: true },
+  name: String,
+  // Audience resolved on every run (see utils/audience.js); `designation` is its label.
+  // Schedules saved before audiences existed only have `designation`.
+  audience: mongoose.Schema.Types.Mixed,
+  designation: { type: String, required: true },
+  templateId: { type: String, required: true },
+  templateName: String,
+  recurrence: {
+    type: { type: String, enum: ['once', 'daily', 'weekly', 'dates'], default: 'once' },
+    weekdays: [Number], // 0 = Sunday, in the creator's local time
+    dates: [Date]
+  },
+  // Minutes from Date#getTimezoneOffset in the admin's browser, used to work out local weekdays
+  utcOffsetMinutes: { type: Number, default: 0 },
+  emailTemplateId: String,
+  outputProfiles: { type: [mongoose.Schema.Types.Mixed], default: undefined },
+  nextRunAt: { type: Date, index: true },
+  status: { type: String, enum: ['active', 'completed', 'cancelled'], default: 'active', index: true },
+  lastRunAt: Date,
+  lastCampaignId: String,
+  lastError: String,
+  runs: { type: Number, default: 0 }
+}, { timestamps: true });
+
+const Schedule = mongoose.model('Schedule', scheduleSchema);
+
+// A named recipient set saved for reuse (see utils/segments.js): a fixed list of members,
+// or audience rules (see utils/audience.js) evaluated again each time the segment is used
+const segmentSchema = new mongoose.Schema({
+  id: { type: String, required: true, unique: true },
+  name: { type: String, required: true },
+  key: { type: String, required: true, unique: true },
+  description: String,
+  type: { type: String, enum: ['static', 'dynamic'], required: true },
+  memberIds: { type: [String], default: undefined },
+  rules: mongoose.Schema.Types.Mixed
+}, { timestamps: true });
+
+const Segment = mongoose.model('Segment', segmentSchema);
+
+// One entry per email handed to the transport; expires after a day so counting it gives the rolling daily total
+const emailSendLogSchema = new mongoose.Schema({
+  sentAt: { type: Date, default: Date.now, expires: 24 * 60 * 60 }
+});
+
+const EmailSendLog = mongoose.model('EmailSendLog', emailSendLogSchema);
+
+// Admin-editable email subject/body with {{placeholders}} (see utils/emailTemplates.js)
+const emailTemplateSchema = new mongoose.Schema({
+  id: { type: String, required: true, unique: true },
+  name: { type: String, required: true },
+  subject: { type: String, required: true },
+  html: { type: String, required: true },
+  // Per-language { subject, html } keyed by language code; members in other languages get the fields above
+  translations: { type: mongoose.Schema.Types.Mixed, default: {} },
+  isDefault: { type: Boolean, default: false }
+}, { timestamps: true });
+
+const EmailTemplate = mongoose.model('EmailTemplate', emailTemplateSchema);
+
+// Posters rendered for a member, kept in utils/storage so the member portal can offer them again.
+// One record per member per campaign; a retry replaces its files.
+const posterSchema = new mongoose.Schema({
+  id: { type: String, required: true, unique: true },
+  memberId: { type: String, required: true, index: true },
+  campaignId: String,
+  templateName: String,
+  files: [{
+    _id: false,
+    profile: String,
+    filename: { type: String, required: true },
+    key: { type: String, required: true },
+    contentType: String
+  }]
+}, { timestamps: true });
+posterSchema.index({ campaignId: 1, memberId: 1 });
+
+const Poster = mongoose.model('Poster', posterSchema);
+
+// Pending member portal sign-ins: a one-time link token and a 6-digit code, both stored hashed
+const memberLoginSchema = new mongoose.Schema({
+  memberId: { type: String, required: true, index: true },
+  tokenHash: { type: String, required: true, index: true },
+  codeHash: { type: String, required: true },
+  attempts: { type: Number, default: 0 },
+  expiresAt: { type: Date, required: true, expires: 0 }
+});
+
+const MemberLogin = mongoose.model('MemberLogin', memberLoginSchema);
+
+// Signed-in member portal sessions, stored like admin sessions: the cookie carries the token, only its hash is kept
+const memberSessionSchema = new mongoose.Schema({
+  tokenHash: { type: String, required: true, unique: true },
+  memberId: { type: String, required: true, index: true },
+  expiresAt: { type: Date, required: true, expires: 0 }
+}, { timestamps: true });
+
+const MemberSession = mongoose.model('MemberSession', memberSessionSchema);
+
+// Admin panel accounts; roles are defined in utils/adminAuth.js
+const adminUserSchema = new mongoose.Schema({
+  id: { type: String, required: true, unique: true },
+  username: { type: String, required: true, unique: true },
+  passwordHash: { type: String, required: true },
+  role: { type: String, enum: ['super-admin', 'campaign-sender', 'viewer'], required: true },
+  disabled: { type: Boolean, default: false },
+  lastLoginAt: Date
+}, { timestamps: true });
+
+const AdminUser = mongoose.model('AdminUser', adminUserSchema);
+
+// Signed-in admin sessions; the cookie carries the token and only its hash is stored.
+// Deleting a record signs that browser out.
+const adminSessionSchema = new mongoose.Schema({
+  tokenHash: { type: String, required: true, unique: true },
+  adminId: { type: String, required: true, index: true },
+  userAgent: String,
+  ip: String,
+  expiresAt: { type: Date, required: true, expires: 0 }
+}, { timestamps: true });
+
+const AdminSession = mongoose.model('AdminSession', adminSessionSchema);
+
+// Append-only record of admin actions; entries are never updated or removed (see utils/auditLog.js)
+const auditLogSchema = new mongoose.Schema({
+  action: { type: String, required: true, index: true },
+  adminId: { type: String, index: true },
+  adminUsername: String,
+  ip: String,
+  userAgent: String,
+  targetType: { type: String, enum: ['member', 'campaign', 'schedule', 'admin', 'designation', 'team', 'segment'], required: true },
+  targetId: String,
+  // Set for actions on a member so their history can be filtered
+  memberId: { type: String, index: true },
+  // Member document before and after the change, without Mongo internals
+  before: mongoose.Schema.Types.Mixed,
+  after: mongoose.Schema.Types.Mixed,
+  details: mongoose.Schema.Types.Mixed
+}, { timestamps: { createdAt: true, updatedAt: false } });
+auditLogSchema.index({ createdAt: -1 });
+
+const rejectAuditChange = function () {
+  throw new Error('Audit log entries cannot be changed or removed');
+};
+['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'deleteOne', 'deleteMany', 'findOneAndDelete', 'findOneAndReplace']
+  .forEach(op => auditLogSchema.pre(op, rejectAuditChange));
+auditLogSchema.pre('save', function (next) {
+  next(this.isNew ? undefined : new Error('Audit log entries cannot be changed or removed'));
+});
+
+const AuditLog = mongoose.model('AuditLog', auditLogSchema);
+
+// Profile changes a member asked for from the portal; they only reach the User record once an admin approves them.
+const profileRevisionSchema = new mongoose.Schema({
+  id: { type: String, required: true, unique: true },
+  memberId: { type: String, required: true, index: true },
+  // Only the fields the member changed (see PROFILE_FIELDS in utils/profileRevisions.js)
+  changes: { type: mongoose.Schema.Types.Mixed, default: {} },
+  // New photo, already cropped and uploaded under photos/pending/
+  photoUrl: String,
+  photoKey: String,
+  status: { type: String, enum: ['pending', 'approved', 'rejected'], default: 'pending', index: true },
+  reviewNote: String,
+  reviewedAt: Date
+}, { timestamps: true });
+
+const ProfileRevision = mongoose.model('ProfileRevision', profileRevisionSchema);
+
+// One record per member per send attempt, so admins can see who did not get a poster and why.
+const deliveryAttemptSchema = new mongoose.Schema({
+  campaignId: { type: String, required: true, index: true },
+  memberId: { type: String, required: true },
+  name: String,
+  email: String,
+  status: { type: String, enum: ['sent', 'failed'], required: true },
+  // Where it failed; for delivery failures this is the first channel that failed
+  stage: { type: String, enum: ['member', 'photo', 'render', 'email', 'whatsapp'] },
+  error: String,
+  // Outcome on each channel the poster was sent on
+  channels: [{
+    _id: false,
+    channel: { type: String, required: true },
+    status: { type: String, enum: ['sent', 'failed'], required: true },
+    messageId: String,
+    error: String
+  }],
+  // Set on failed attempts once the member has been queued again by a retry
+  superseded: { type: Boolean, default: false }
+}, { timestamps: true });
+
+const DeliveryAttempt = mongoose.model('DeliveryAttempt', deliveryAttemptSchema);
+
 module.exports = {
   connect,
   User,
+  Designation,
+  Team,
+  Campaign,
+  DeliveryAttempt,
+  Template,
+  FooterLayout,
+  Schedule,
+  Segment,
+  EmailSendLog,
+  EmailTemplate,
+  Poster,
+  MemberLogin,
+  MemberSession,
+  ProfileRevision,
+  AdminUser,
+  AdminSession,
+  AuditLog,
   // helper wrappers
   allUsers: async () => await User.find({}).sort({ createdAt: 1 }).lean(),
   getUser: async (id) => await User.findOne({ id }).lean(),
@@ -47,24 +340,6 @@ module.exports = {
     const u = new User(user);
     return await u.save();
   },
-  findMembersByDesignation: async (designation) => {
-    if (!designation) return [];
-    const desig = designation.toLowerCase();
-    // match exact or comma-separated lists (case-insensitive)
-    const users = await User.find({
-      designation: { $exists: true, $ne: null },
-      $expr: {
-        $in: [desig, { $map: { input: { $split: [{ $toLower: '$designation' }, ','] }, as: 'd', in: { $trim: { input: '$$d' } } } } ]
-      }
-    }).lean();
-
-    // Ensure each user has a valid photo field
-    return users.map(user => ({
-      ...user,
-      // If photo exists, use it; otherwise try photoUrl
-      photo: user.photo || (user.photoUrl ? user.photoUrl.split('/').pop() : null)
-    }));
-  },
   updateUser: async (id, changes) => await User.findOneAndUpdate({ id }, changes, { new: true }),
     updateUser: async (id, changes) => {
       if (mongoose.connection.readyState !== 1) throw new Error('Not connected to MongoDB');
@@ -73,5 +348,108 @@ module.exports = {
     deleteUser: async (id) => {
       if (mongoose.connection.readyState !== 1) throw new Error('Not connected to MongoDB');
       return await User.findOneAndDelete({ id });
+    },
+  createCampaign: async (campaign) => {
+    if (mongoose.connection.readyState !== 1) throw new Error('Not connected to MongoDB');
+    const c = new Campaign(campaign);
+    return await c.save();
+  },
+  getCampaign: async (id) => await Campaign.findOne({ id }).lean(),
+  updateCampaign: async (id, changes) => await Campaign.findOneAndUpdate({ id }, changes, { new: true }).lean(),
+  listCampaigns: async (limit = 50) => await Campaign.find({}, { recipientIds: 0, pendingIds: 0 }).sort({ createdAt: -1 }).limit(limit).lean(),
+  recordDeliveryAttempt: async (attempt) => await DeliveryAttempt.create(attempt),
+  listMemberPosters: async (memberId) => await Poster.find({ memberId }).sort({ createdAt: -1 }).lean(),
+  getPoster: async (id) => await Poster.findOne({ id }).lean(),
+  listAdminUsers: async () => await AdminUser.find({}, { passwordHash: 0 }).sort({ username: 1 }).lean(),
+  getAdminUser: async (id) => await AdminUser.findOne({ id }).lean(),
+  createAdminUser: async (adminUser) => {
+    if (mongoose.connection.readyState !== 1) throw new Error('Not connected to MongoDB');
+    const a = new AdminUser(adminUser);
+    return await a.save();
+  },
+  updateAdminUser: async (id, changes) => await AdminUser.findOneAndUpdate({ id }, changes, { new: true, projection: { passwordHash: 0 } }).lean(),
+  deleteAdminUser: async (id) => await AdminUser.findOneAndDelete({ id }).lean(),
+  recordAuditEntry: async (entry) => await AuditLog.create(entry),
+  // Newest first; `before` (a date) pages back through older entries
+  listAuditEntries: async (filter = {}, { limit = 100, before } = {}) => {
+    const query = { ...filter, ...(before && { createdAt: { $lt: new Date(before) } }) };
+    return await AuditLog.find(query).sort({ createdAt: -1 }).limit(limit).lean();
+  },
+  listProfileRevisions: async (filter = {}) => await ProfileRevision.find(filter).sort({ createdAt: 1 }).lean(),
+  getProfileRevision: async (id) => await ProfileRevision.findOne({ id }).lean(),
+  getLatestProfileRevision: async (memberId) => await ProfileRevision.findOne({ memberId }).sort({ createdAt: -1 }).lean(),
+  createProfileRevision: async (revision) => await ProfileRevision.create(revision),
+  updateProfileRevision: async (id, changes) => await ProfileRevision.findOneAndUpdate({ id }, changes, { new: true }).lean(),
+  deleteProfileRevision: async (id) => await ProfileRevision.findOneAndDelete({ id }).lean(),
+  getDeliveryAttempts: async (campaignId, filter = {}) => await DeliveryAttempt.find({ campaignId, ...filter }).sort({ createdAt: 1 }).lean(),
+  // memberId -> Set of channels that already delivered for the campaign, across all tries
+  getDeliveredChannels: async (campaignId, memberIds) => {
+    const attempts = await DeliveryAttempt.find({ campaignId, memberId: { $in: memberIds }, 'channels.status': 'sent' }, { memberId: 1, channels: 1 }).lean();
+    const delivered = new Map();
+    for (const attempt of attempts) {
+      if (!delivered.has(attempt.memberId)) delivered.set(attempt.memberId, new Set());
+      attempt.channels.filter(c => c.status === 'sent').forEach(c => delivered.get(attempt.memberId).add(c.channel));
     }
+    return delivered;
+  },
+  // Sent/failed counts per channel using each member's latest outcome on it, e.g. { email: { sent: 3, failed: 1 } }
+  getChannelSummary: async (campaignId) => {
+    const rows = await DeliveryAttempt.aggregate([
+      { $match: { campaignId } },
+      { $sort: { createdAt: 1 } },
+      { $unwind: '$channels' },
+      { $group: { _id: { memberId: '$memberId', channel: '$channels.channel' }, status: { $last: '$channels.status' } } },
+      { $group: { _id: { channel: '$_id.channel', status: '$status' }, count: { $sum: 1 } } }
+    ]);
+    const summary = {};
+    for (const { _id, count } of rows) {
+      summary[_id.channel] = summary[_id.channel] || { sent: 0, failed: 0 };
+      summary[_id.channel][_id.status] = count;
+    }
+    return summary;
+  },
+  listTemplates: async (filter = {}) => await Template.find(filter).sort({ createdAt: -1 }).lean(),
+  getTemplate: async (id) => await Template.findOne({ id }).lean(),
+  createTemplate: async (template) => {
+    if (mongoose.connection.readyState !== 1) throw new Error('Not connected to MongoDB');
+    const t = new Template(template);
+    return await t.save();
+  },
+  updateTemplate: async (id, changes) => await Template.findOneAndUpdate({ id }, changes, { new: true }).lean(),
+  deleteTemplate: async (id) => await Template.findOneAndDelete({ id }).lean(),
+  listFooterLayouts: async () => await FooterLayout.find({}).sort({ isDefault: -1, name: 1 }).lean(),
+  getFooterLayout: async (id) => await FooterLayout.findOne({ id }).lean(),
+  createFooterLayout: async (footerLayout) => {
+    if (mongoose.connection.readyState !== 1) throw new Error('Not connected to MongoDB');
+    const f = new FooterLayout(footerLayout);
+    return await f.save();
+  },
+  updateFooterLayout: async (id, changes) => await FooterLayout.findOneAndUpdate({ id }, changes, { new: true }).lean(),
+  deleteFooterLayout: async (id) => await FooterLayout.findOneAndDelete({ id }).lean(),
+  listEmailTemplates: async () => await EmailTemplate.find({}).sort({ isDefault: -1, name: 1 }).lean(),
+  getEmailTemplate: async (id) => await EmailTemplate.findOne({ id }).lean(),
+  createEmailTemplate: async (emailTemplate) => {
+    if (mongoose.connection.readyState !== 1) throw new Error('Not connected to MongoDB');
+    const e = new EmailTemplate(emailTemplate);
+    return await e.save();
+  },
+  updateEmailTemplate: async (id, changes) => await EmailTemplate.findOneAndUpdate({ id }, changes, { new: true }).lean(),
+  deleteEmailTemplate: async (id) => await EmailTemplate.findOneAndDelete({ id }).lean(),
+  listSchedules: async (filter = {}) => await Schedule.find(filter).sort({ nextRunAt: 1, createdAt: -1 }).lean(),
+  getSchedule: async (id) => await Schedule.findOne({ id }).lean(),
+  createSchedule: async (schedule) => {
+    if (mongoose.connection.readyState !== 1) throw new Error('Not connected to MongoDB');
+    const s = new Schedule(schedule);
+    return await s.save();
+  },
+  updateSchedule: async (id, changes) => await Schedule.findOneAndUpdate({ id }, changes, { new: true }).lean(),
+  listSegments: async () => await Segment.find({}).sort({ name: 1 }).lean(),
+  getSegment: async (id) => await Segment.findOne({ id }).lean(),
+  createSegment: async (segment) => {
+    if (mongoose.connection.readyState !== 1) throw new Error('Not connected to MongoDB');
+    const s = new Segment(segment);
+    return await s.save();
+  },
+  updateSegment: async (id, changes) => await Segment.findOneAndUpdate({ id }, changes, { new: true }).lean(),
+  deleteSegment: async (id) => await Segment.findOneAndDelete({ id }).lean()
 };
@@ -0,0 +1,18 @@
+// Moves members' free-text designation/team strings into the Designation and Team collections.
+// The server also runs this on startup; the script is for migrating ahead of a deploy.
+const db = require('./db');
+const { ensureDefaultDesignations, migrateLegacyMemberGroups } = require('./utils/memberGroups');
+
+(async () => {
+  try {
+    await db.connect();
+    console.log('Connected to DB, starting migration...');
+    await ensureDefaultDesignations();
+    const { members, designations, teams } = await migrateLegacyMemberGroups();
+    console.log(`Migration complete. Updated ${members} members; created ${designations} designations and ${teams} teams.`);
+    process.exit(0);
+  } catch (err) {
+    console.error('Migration failed:', err && err.message ? err.message : err);
+    process.exit(1);
+  }
+})();
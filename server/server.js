@@ -14,13 +14,72 @@ const allowedOrigins = [
 ];
 
 const path = require('path');
-const crypto = require('crypto');
 
 const { getMembersByDesignation } = require('./utils/excel');
 const { processCircularImage, generateFooterSVG, createFinalPoster } = require('./utils/image');
-const { sendEmail, testEmailConfiguration } = require('./utils/emailSender');
+const { sendEmail, testEmailConfiguration, buildEmail, sendMemberLoginEmail } = require('./utils/emailSender');
+const { PLACEHOLDERS, validateEmailTemplate } = require('./utils/emailTemplates');
+const { getQueueStats } = require('./utils/sendQueue');
 const db = require('./db');
 const { uploadToGCS, downloadFromGCS } = require('./utils/gcs');
+const { launchCampaign, retryFailedRecipients, resumePendingCampaigns } = require('./utils/campaignWorker');
+const { renderMemberPoster, renderMemberPrintPdf, createPlaceholderPhoto } = require('./utils/posterRenderer');
+const { verifyPrintLink } = require('./utils/printLinks');
+const { normalizeTags, normalizePlacement, saveTemplate, removeTemplate, materializeTemplate } = require('./utils/templates');
+const { OUTPUT_PROFILES, resolveOutputProfiles } = require('./utils/outputProfiles');
+const { DEFAULT_FOOTER_LAYOUT, resolveFooterLayout, validateFooterLayout, loadFooterLayout } = require('./utils/footerLayouts');
+const { LANGUAGES, normalizeLanguage } = require('./utils/i18n');
+const { CHANNELS, validateChannels, deliverOnChannels } = require('./utils/deliveryChannels');
+const { materializePoster } = require('./utils/memberPosters');
+const { diffProfileChanges, storePendingPhoto, discardPendingPhoto } = require('./utils/profileRevisions');
+const {
+  findMemberByEmail,
+  createLoginChallenge,
+  redeemLoginToken,
+  redeemLoginCode,
+  startMemberSession,
+  endMemberSession,
+  requireMember
+} = require('./utils/memberAuth');
+const {
+  ROLES,
+  hashPassword,
+  validatePassword,
+  validateRole,
+  authenticateAdmin,
+  ensureBootstrapAdmin,
+  startAdminSession,
+  endAdminSession,
+  revokeAdminSessions,
+  loadAdmin,
+  requireRole
+} = require('./utils/adminAuth');
+const { AUDIT_ACTIONS, recordAudit } = require('./utils/auditLog');
+const {
+  IMPORT_FIELDS,
+  readSpreadsheet,
+  suggestMapping,
+  validateMapping,
+  validateImportRows,
+  toUser,
+  buildErrorSheet
+} = require('./utils/memberImport');
+const { EXPORT_FORMATS, filterMembers, buildMemberExport } = require('./utils/memberExport');
+const {
+  GROUP_KINDS,
+  listGroups,
+  createGroup,
+  renameGroup,
+  deleteGroup,
+  memberGroupsFromBody,
+  migrateLegacyMemberGroups,
+  ensureDefaultDesignations
+} = require('./utils/memberGroups');
+const { audienceFromRequest, previewAudience } = require('./utils/audience');
+const { buildSegment, listSegments, deleteSegment } = require('./utils/segments');
+const { isWhatsAppConfigured } = require('./utils/whatsapp');
+const storage = require('./utils/storage');
+const { buildSchedule, startScheduler } = require('./utils/scheduler');
 const axios = require('axios');
 
 const app = express();
@@ -46,6 +105,19 @@ const upload = multer({
   }
 });
 
+// Member import spreadsheets are parsed straight from memory
+const spreadsheetUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * 1024 * 1024 },
+  fileFilter: (req, file, cb) => {
+    if (/\.(xlsx|xls|csv)$/i.test(file.originalname)) {
+      cb(null, true);
+    } else {
+      cb(new Error(`Invalid file type: ${file.originalname}. Only .xlsx, .xls and .csv files are allowed.`), false);
+    }
+  }
+});
+
 // Move CORS configuration before routes
 app.use(cors({
   origin: function(origin, callback) {
@@ -91,7 +163,20 @@ app.use((err, req, res, next) => {
   res.status(500).json({ error: 'Internal server error' });
 });
 
-app.get('/api/users', async (req, res) => {
+// Every admin route needs a signed-in admin session (see utils/adminAuth.js):
+//   isAdmin        any admin account; listing and viewing
+//   canSend        campaign senders and up; sending posters, editing members and campaign content
+//   isSuperAdmin   deleting members and managing admin accounts
+// Only registration, signed print links, the member portal and login stay public.
+const isAdmin = requireRole('viewer');
+const canSend = requireRole('campaign-sender');
+const isSuperAdmin = requireRole('super-admin');
+
+// New members start with no designations or teams until the request picks some
+const NO_MEMBER_GROUPS = { designationIds: [], teamIds: [], designation: '', teamName: '' };
+const hasMemberGroup = (fields) => (fields.designationIds || []).length > 0 || (fields.teamIds || []).length > 0;
+
+app.get('/api/users', isAdmin, async (req, res) => {
   try {
     const users = await db.allUsers();
     // normalize: older records may have `photo` while client expects `photoUrl`
@@ -106,23 +191,94 @@ app.get('/api/users', async (req, res) => {
   }
 });
 
-app.get('/api/teams', async (req, res) => {
+// Member directory download; ?format=xlsx|csv|json plus the list filter (designationId, teamId, hasPhoto)
+app.get('/api/admin/users/export', isAdmin, async (req, res) => {
+  const format = String(req.query.format || 'xlsx').toLowerCase();
+  if (!EXPORT_FORMATS[format]) {
+    return res.status(400).json({ error: `Unsupported format: ${format}. Use ${Object.keys(EXPORT_FORMATS).join(', ')}` });
+  }
   try {
-    const teams = await db.User.distinct('teamName', { teamName: { $exists: true, $ne: '' } });
-    res.json(teams);
+    const members = filterMembers(await db.allUsers(), req.query);
+    const body = await buildMemberExport(members, format);
+    await recordAudit(req, {
+      action: 'member.export',
+      targetType: 'member',
+      details: { format, count: members.length, filter: { designationId: req.query.designationId, teamId: req.query.teamId, hasPhoto: req.query.hasPhoto } }
+    });
+    res.set('Content-Disposition', `attachment; filename="members_${new Date().toISOString().slice(0, 10)}.${format}"`);
+    res.type(EXPORT_FORMATS[format].contentType).send(body);
   } catch (error) {
-    console.error('Fetch teams error:', error);
-    res.status(500).json({ error: 'Failed to fetch teams' });
+    console.error('Export users error:', error);
+    res.status(500).json({ error: 'Failed to export members' });
   }
 });
 
-app.delete('/api/users/:id', async (req, res) => {
+// Designations and teams: /api/designations and /api/teams list them for the registration form;
+// /api/admin/designations and /api/admin/teams add member counts and manage them
+for (const [kind, { label }] of Object.entries(GROUP_KINDS)) {
+  app.get(`/api/${kind}s`, async (req, res) => {
+    try {
+      res.json(await listGroups(kind));
+    } catch (error) {
+      console.error(`Fetch ${kind}s error:`, error);
+      res.status(500).json({ error: `Failed to fetch ${kind}s` });
+    }
+  });
+
+  app.get(`/api/admin/${kind}s`, isAdmin, async (req, res) => {
+    try {
+      res.json(await listGroups(kind, { withCounts: true }));
+    } catch (error) {
+      console.error(`Fetch ${kind}s error:`, error);
+      res.status(500).json({ error: `Failed to fetch ${kind}s` });
+    }
+  });
+
+  app.post(`/api/admin/${kind}s`, canSend, async (req, res) => {
+    try {
+      const { group, error } = await createGroup(kind, req.body.name);
+      if (error) return res.status(400).json({ error });
+      await recordAudit(req, { action: `${kind}.create`, targetType: kind, targetId: group.id, details: { name: group.name } });
+      res.json({ success: true, group: { id: group.id, name: group.name } });
+    } catch (error) {
+      console.error(`Create ${kind} error:`, error);
+      res.status(500).json({ error: `Failed to create ${label.toLowerCase()}` });
+    }
+  });
+
+  app.put(`/api/admin/${kind}s/:id`, canSend, async (req, res) => {
+    try {
+      const { before, group, error, status } = await renameGroup(kind, req.params.id, req.body.name);
+      if (error) return res.status(status || 400).json({ error });
+      await recordAudit(req, { action: `${kind}.update`, targetType: kind, targetId: group.id, details: { name: group.name, previousName: before.name } });
+      res.json({ success: true, group: { id: group.id, name: group.name } });
+    } catch (error) {
+      console.error(`Rename ${kind} error:`, error);
+      res.status(500).json({ error: `Failed to rename ${label.toLowerCase()}` });
+    }
+  });
+
+  app.delete(`/api/admin/${kind}s/:id`, isSuperAdmin, async (req, res) => {
+    try {
+      const { group, error, status } = await deleteGroup(kind, req.params.id);
+      if (error) return res.status(status || 400).json({ error });
+      await recordAudit(req, { action: `${kind}.delete`, targetType: kind, targetId: group.id, details: { name: group.name } });
+      res.json({ success: true });
+    } catch (error) {
+      console.error(`Delete ${kind} error:`, error);
+      res.status(500).json({ error: `Failed to delete ${label.toLowerCase()}` });
+    }
+  });
+}
+
+app.delete('/api/users/:id', isSuperAdmin, async (req, res) => {
   try {
     const user = await db.getUser(req.params.id);
     if (user && user.photo) {
       try { fs.unlinkSync(user.photo); } catch (e) { /* ignore */ }
     }
-    await db.deleteUser(req.params.id);
+    const deleted = await db.deleteUser(req.params.id);
+    if (deleted) await recordAudit(req, { action: 'member.delete', targetType: 'member', targetId: req.params.id, memberId: req.params.id, before: user });
     res.json({ success: true });
   } catch (error) {
     console.error('Delete user error:', error);
@@ -132,10 +288,20 @@ app.delete('/api/users/:id', async (req, res) => {
 
 app.post('/api/register', upload.single('photo'), async (req, res) => {
   try {
-    const { name, phone, email, designation, teamName } = req.body;
-    if (!name || !phone || !email || !designation) {
+    const { name, phone, email, language } = req.body;
+    if (!name || !phone || !email) {
       return res.status(400).json({ error: 'All fields are required' });
     }
+    const groups = await memberGroupsFromBody(req.body);
+    if (groups.error) return res.status(400).json({ error: groups.error });
+    if (!hasMemberGroup(groups.fields)) return res.status(400).json({ error: 'Choose a designation or team' });
+    // Sent as a JSON array from the multipart form
+    let channels;
+    if (req.body.channels) {
+      try { channels = JSON.parse(req.body.channels); } catch (e) { return res.status(400).json({ error: 'channels must be a JSON array' }); }
+      const channelError = validateChannels(channels);
+      if (channelError) return res.status(400).json({ error: channelError });
+    }
     if (!req.file) {
       return res.status(400).json({ error: 'Photo is required' });
     }
@@ -180,12 +346,9 @@ app.post('/api/register', upload.single('photo'), async (req, res) => {
   }
 
     try {
-      // To avoid duplicate emails, if user selected 'both' we store both designations
-      // in one record as a comma-separated designation value.
       const id = Date.now().toString();
-      const actualDesignation = designation && designation.toLowerCase() === 'both' ? 'Health insurance advisor,Wealth Manager' : designation;
-      const userData = { id, name, phone, email, designation: actualDesignation, photoUrl };
-      if (teamName) userData.teamName = teamName;
+      const userData = { id, name, phone, email, ...NO_MEMBER_GROUPS, ...groups.fields, photoUrl, language: normalizeLanguage(language) };
+      if (channels) userData.channels = channels;
 
       await db.createUser(userData);
       res.json({ success: true, message: '✅ Member registered successfully', user: userData });
@@ -201,239 +364,1184 @@ app.post('/api/register', upload.single('photo'), async (req, res) => {
   }
 });
 
-app.post('/api/send-posters', upload.single('template'), async (req, res) => {
+// Recipient count and list for an audience (see utils/audience.js), shown before a campaign is sent
+app.post('/api/audience/preview', isAdmin, async (req, res) => {
   try {
-    const { designation, teamName } = req.body;
-    if (!req.file) return res.status(400).json({ error: 'Template image is required' });
-    const templatePath = req.file.path;
-
-    let recipients = [];
-      if (designation.toLowerCase() === 'team') {
-        recipients = await db.User.find({
-          teamName: { $exists: true, $ne: '' },
-          email: { $exists: true, $ne: '' },
-          photoUrl: { $exists: true, $ne: '' }
-        });
-    } else {
-      let designationsToSend = [];
-      if (designation.toLowerCase() === 'both') {
-        designationsToSend = ['Health Insurance Advisor', 'Wealth Manager'];
-      } else if (designation.toLowerCase().includes('health')) {
-        designationsToSend = ['Health Insurance Advisor'];
-      } else if (designation.toLowerCase().includes('wealth')) {
-        designationsToSend = ['Wealth Manager'];
-      } else if (designation.toLowerCase().includes('partner')) {
-        designationsToSend = ['Partner'];
-      } else {
-        designationsToSend = [designation];
+    const { error, audience } = await audienceFromRequest(req.body);
+    if (error) return res.status(400).json({ error });
+    res.json({ audience, ...(await previewAudience(audience)) });
+  } catch (error) {
+    console.error('Audience preview error:', error);
+    res.status(500).json({ error: 'Failed to preview audience' });
+  }
+});
+
+app.get('/api/segments', isAdmin, async (req, res) => {
+  try {
+    res.json(await listSegments());
+  } catch (error) {
+    console.error('Fetch segments error:', error);
+    res.status(500).json({ error: 'Failed to fetch segments' });
+  }
+});
+
+app.post('/api/segments', canSend, async (req, res) => {
+  try {
+    const { error, fields } = await buildSegment(req.body);
+    if (error) return res.status(400).json({ error });
+    const segment = await db.createSegment({ id: Date.now().toString(), ...fields });
+    await recordAudit(req, { action: 'segment.create', targetType: 'segment', targetId: segment.id, details: { name: segment.name, type: segment.type } });
+    res.json({ success: true, segment });
+  } catch (error) {
+    console.error('Create segment error:', error);
+    res.status(500).json({ error: 'Failed to save segment', details: error.message });
+  }
+});
+
+app.put('/api/segments/:id', canSend, async (req, res) => {
+  try {
+    const existing = await db.getSegment(req.params.id);
+    if (!existing) return res.status(404).json({ error: 'Segment not found' });
+
+    const { error, fields } = await buildSegment(req.body, existing);
+    if (error) return res.status(400).json({ error });
+    // A segment switched between static and dynamic drops what the other type stored
+    const segment = await db.updateSegment(req.params.id, { ...fields, $unset: fields.type === 'static' ? { rules: 1 } : { memberIds: 1 } });
+    await recordAudit(req, { action: 'segment.update', targetType: 'segment', targetId: segment.id, details: { name: segment.name, type: segment.type } });
+    res.json({ success: true, segment });
+  } catch (error) {
+    console.error('Update segment error:', error);
+    res.status(500).json({ error: 'Failed to update segment', details: error.message });
+  }
+});
+
+app.delete('/api/segments/:id', canSend, async (req, res) => {
+  try {
+    const { error, status, segment } = await deleteSegment(req.params.id);
+    if (error) return res.status(status || 400).json({ error });
+    await recordAudit(req, { action: 'segment.delete', targetType: 'segment', targetId: segment.id, details: { name: segment.name } });
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Delete segment error:', error);
+    res.status(500).json({ error: 'Failed to delete segment' });
+  }
+});
+
+app.post('/api/send-posters', canSend, upload.single('template'), async (req, res) => {
+  try {
+    const { teamName, templateId, footerLayoutId, emailTemplateId } = req.body;
+    if (!req.file && !templateId) return res.status(400).json({ error: 'Template image is required' });
+    const { error: audienceError, audience } = await audienceFromRequest(req.body);
+    if (audienceError) {
+      if (req.file) {
+        try { fs.unlinkSync(req.file.path); } catch (e) { /* ignore cleanup error */ }
+      }
+      return res.status(400).json({ error: audienceError });
+    }
+    if (emailTemplateId && !(await db.getEmailTemplate(emailTemplateId))) {
+      if (req.file) {
+        try { fs.unlinkSync(req.file.path); } catch (e) { /* ignore cleanup error */ }
+      }
+      return res.status(404).json({ error: 'Email template not found' });
+    }
+
+    let outputProfiles;
+    if (req.body.outputProfiles) {
+      const { error, profiles } = resolveOutputProfiles(req.body.outputProfiles);
+      if (error) {
+        if (req.file) {
+          try { fs.unlinkSync(req.file.path); } catch (e) { /* ignore cleanup error */ }
+        }
+        return res.status(400).json({ error });
       }
-      
-      for (const desig of designationsToSend) {
-        const found = await db.findMembersByDesignation(desig);
-        recipients = recipients.concat(found);
+      // Built-in profiles are stored by name, custom ones in full
+      outputProfiles = profiles.map(p => (OUTPUT_PROFILES[p.name] ? p.name : p));
+    }
+
+    // Either a freshly uploaded file or a template picked from the library
+    let template = null;
+    if (!req.file) {
+      template = await db.getTemplate(templateId);
+      if (!template) return res.status(404).json({ error: 'Template not found' });
+    }
+
+    const campaign = await launchCampaign({
+      audience,
+      teamName,
+      templateId: template ? template.id : undefined,
+      templateName: template ? template.name : req.file.originalname,
+      templatePath: req.file ? req.file.path : undefined,
+      footerLayoutId: footerLayoutId || undefined,
+      outputProfiles,
+      emailTemplateId: emailTemplateId || undefined
+    });
+    if (!campaign) {
+      if (req.file) {
+        try { fs.unlinkSync(req.file.path); } catch (e) { /* ignore cleanup error */ }
       }
+      return res.status(404).json({ error: 'No members match this audience' });
     }
 
-    if (recipients.length === 0) {
-      try { fs.unlinkSync(templatePath); } catch (e) { /* ignore cleanup error */ }
-      return res.status(404).json({ error: `No recipients found for designation: ${designation}` });
+    await recordAudit(req, {
+      action: 'campaign.send',
+      targetType: 'campaign',
+      targetId: campaign.id,
+      details: { designation: campaign.designation, teamName, templateName: campaign.templateName, recipients: campaign.total }
+    });
+    res.status(202).json({
+      success: true,
+      message: `✅ Campaign queued for ${campaign.total} recipients.`,
+      campaignId: campaign.id,
+      recipientCount: campaign.total
+    });
+  } catch (error) {
+    console.error('Send posters error:', error);
+    if (req.file) {
+      try { fs.unlinkSync(req.file.path); } catch (e) { /* ignore cleanup error */ }
     }
+    res.status(500).json({ error: 'Failed to send posters', details: error.message });
+  }
+});
 
-    let successfulRecipients = 0;
-    for (const person of recipients) {
-      const finalImagePath = path.join(OUTPUT_DIR, `final_${Date.now()}_${person.name.replace(/\s+/g, '_')}.jpeg`);
-      let isTempFile = false;
-      let photoPath = '';
+// Renders one member's poster (or one built from sample data) without emailing it.
+// An unsaved `layout` or `placement` (JSON) can be passed to try them out before storing them.
+app.post('/api/posters/preview', canSend, upload.fields([{ name: 'template', maxCount: 1 }, { name: 'photo', maxCount: 1 }]), async (req, res) => {
+  const templateFile = req.files && req.files.template && req.files.template[0];
+  const photoFile = req.files && req.files.photo && req.files.photo[0];
+  const previewPath = path.join(OUTPUT_DIR, `preview_${Date.now()}.jpeg`);
+  const tempFiles = [templateFile, photoFile].filter(Boolean).map(f => f.path).concat(previewPath);
 
+  try {
+    let templatePath = templateFile && templateFile.path;
+    if (!templatePath && req.body.templateId) {
+      templatePath = path.join(UPLOADS_DIR, `preview_template_${Date.now()}`);
+      tempFiles.push(templatePath);
+      await materializeTemplate(req.body.templateId, templatePath);
+    }
+    if (!templatePath) return res.status(400).json({ error: 'Template image is required' });
+
+    let layout;
+    if (req.body.layout) {
+      let draft;
       try {
-        const photoSource = person.photoUrl || person.photo || '';
-
-        if (photoSource.startsWith('https://storage.googleapis.com')) {
-          // GCS URL, download to temp file
-          const bucketName = process.env.GCS_BUCKET || 'abuinshah-photos';
-          const urlParts = photoSource.split(`https://storage.googleapis.com/${bucketName}/`);
-          if (urlParts.length === 2) {
-            const gcsFileName = urlParts[1];
-            const tmpFile = path.join(UPLOADS_DIR, `${person.id || person._id}_gcs_${Date.now()}.jpeg`);
-            try {
-              await downloadFromGCS(gcsFileName, tmpFile);
-              photoPath = tmpFile;
-              isTempFile = true;
-            } catch (e) {
-              console.warn(`Failed to download GCS photo for ${person.name}:`, e.message || e);
-              continue;
-            }
-          } else {
-            console.warn(`Invalid GCS URL for ${person.name}: ${photoSource}`);
-            continue;
-          }
-        } else if (photoSource.startsWith('http')) {
-          // Other remote URL, download to temp file
-          const tmpFile = path.join(UPLOADS_DIR, `${person.id || person._id}_remote_${Date.now()}.jpg`);
-          try {
-            const response = await axios.get(photoSource, { responseType: 'arraybuffer' });
-            await fs.promises.writeFile(tmpFile, response.data);
-            photoPath = tmpFile;
-            isTempFile = true;
-          } catch (e) {
-            console.warn(`Failed to download remote photo for ${person.name}:`, e.message || e);
-            continue;
-          }
-        } else if (photoSource.startsWith('/')) {
-          // Local path
-          photoPath = path.join(__dirname, photoSource);
-        } else {
-          // Invalid
-          console.warn(`Skipping poster for ${person.name}: Invalid photo source: ${photoSource}`);
-          continue;
-        }
+        draft = JSON.parse(req.body.layout);
+      } catch (e) {
+        return res.status(400).json({ error: 'Layout must be valid JSON' });
+      }
+      const layoutError = validateFooterLayout(draft);
+      if (layoutError) return res.status(400).json({ error: layoutError });
+      layout = resolveFooterLayout(draft);
+    } else {
+      layout = await loadFooterLayout({ footerLayoutId: req.body.footerLayoutId, templateId: req.body.templateId });
+    }
 
-        if (!photoPath || !fs.existsSync(photoPath)) {
-          console.warn(`Skipping poster for ${person.name}: Photo file not found.`);
-          continue;
-        }
+    let placement;
+    if (req.body.placement) {
+      const result = normalizePlacement(req.body.placement);
+      if (result.error) return res.status(400).json({ error: result.error });
+      placement = result.placement;
+    } else if (req.body.templateId) {
+      const template = await db.getTemplate(req.body.templateId);
+      placement = template && template.placement;
+    }
 
-        // For team users, set designation to the most specific 'Team: ...' value if present
-        let designation = person.designation;
-        if (designation && designation.includes('Team:')) {
-          // Use the last 'Team: ...' in the string
-          const matches = designation.match(/Team: ([^,]+)/g);
-          if (matches && matches.length > 0) {
-            designation = matches[matches.length - 1];
-          }
-        }
+    let person;
+    if (req.body.memberId) {
+      person = await db.getUser(req.body.memberId);
+      if (!person) return res.status(404).json({ error: 'Member not found' });
+    } else {
+      const { name, designation, phone, teamName, language } = req.body;
+      if (!name) {
+        return res.status(400).json({ error: 'memberId or a sample name is required' });
+      }
+      let photoPath = photoFile && photoFile.path;
+      if (!photoPath) {
+        photoPath = path.join(UPLOADS_DIR, `preview_photo_${Date.now()}.jpeg`);
+        tempFiles.push(photoPath);
+        await createPlaceholderPhoto(photoPath);
+      }
+      person = { id: 'preview', name, designation: designation || '', phone: phone || '', teamName: teamName || '', language: normalizeLanguage(language), photoPath };
+    }
 
-        // Debug logging
-        console.log('DEBUG createFinalPoster:', {
-          name: person.name,
-          photo: photoPath,
-          designation,
-          teamName: person.teamName,
-          email: person.email
-        });
-
-        // Build a plain object to avoid passing Mongoose document with non-enumerable props
-        const personForPoster = {
-          id: person.id || person._id || '',
-          name: person.name || '',
-          email: person.email || '',
-          phone: person.phone || '',
-          designation: designation || person.designation || '',
-          teamName: person.teamName || '',
-          photo: photoPath
-        };
-
-        await createFinalPoster({
-          templatePath,
-          person: personForPoster,
-          logoPath: LOGO_PATH,
-          outputPath: finalImagePath
-        });
-
-        await sendEmail({
-          Name: person.name,
-          Email: person.email,
-          Phone: person.phone,
-          Designation: person.designation
-        }, finalImagePath);
-        
-        successfulRecipients++;
-
-      } catch (err) {
-        console.error(`Failed to generate/send poster for ${person.name}:`, err.message);
-        // Clean up any partially created files for this recipient
-        try { await fs.promises.unlink(finalImagePath); } catch (e) { /* ignore */ }
-        // Clean up temp photo file if created
-        if (isTempFile) {
-          try { await fs.promises.unlink(photoPath); } catch (e) { /* ignore */ }
-        }
-      } finally {
-        // Ensure the final image is cleaned up after each attempt
-        try { await fs.promises.unlink(finalImagePath); } catch (e) { /* ignore */ }
-        // Clean up temp photo file if created
-        if (isTempFile) {
-          try { await fs.promises.unlink(photoPath); } catch (e) { /* ignore */ }
+    await renderMemberPoster(person, templatePath, previewPath, { layout, placement });
+    res.type('image/jpeg').send(await fs.promises.readFile(previewPath));
+  } catch (error) {
+    console.error('Poster preview error:', error);
+    res.status(error.stage === 'photo' ? 422 : 500).json({ error: 'Failed to render preview', details: error.message });
+  } finally {
+    for (const file of tempFiles) {
+      try { await fs.promises.unlink(file); } catch (e) { /* ignore */ }
+    }
+  }
+});
+
+// Renders a member's print PDF for a library template and streams it as a download
+async function sendPrintPoster(res, { memberId, templateId, footerLayoutId }) {
+  const person = await db.getUser(memberId);
+  if (!person) return res.status(404).json({ error: 'Member not found' });
+  const template = await db.getTemplate(templateId);
+  if (!template) return res.status(404).json({ error: 'Template not found' });
+
+  const templatePath = path.join(UPLOADS_DIR, `print_template_${Date.now()}`);
+  const pdfPath = path.join(OUTPUT_DIR, `print_${Date.now()}.pdf`);
+  try {
+    await materializeTemplate(template.id, templatePath);
+    const layout = await loadFooterLayout({ footerLayoutId, templateId: template.id });
+    await renderMemberPrintPdf(person, templatePath, pdfPath, { layout, placement: template.placement });
+    const filename = `${person.name.replace(/[^\w-]+/g, '_')}_${template.name.replace(/[^\w-]+/g, '_')}.pdf`;
+    res.set('Content-Disposition', `attachment; filename="${filename}"`);
+    res.type('application/pdf').send(await fs.promises.readFile(pdfPath));
+  } finally {
+    for (const file of [templatePath, pdfPath]) {
+      try { await fs.promises.unlink(file); } catch (e) { /* ignore */ }
+    }
+  }
+}
+
+// Members reach this through the signed link in their poster email
+app.get('/api/posters/print', async (req, res) => {
+  try {
+    const linkError = verifyPrintLink(req.query);
+    if (linkError) return res.status(403).json({ error: linkError });
+    await sendPrintPoster(res, { memberId: req.query.memberId, templateId: req.query.templateId });
+  } catch (error) {
+    console.error('Print poster error:', error);
+    res.status(error.stage === 'photo' ? 422 : 500).json({ error: 'Failed to render print poster', details: error.message });
+  }
+});
+
+app.get('/api/admin/posters/print', isAdmin, async (req, res) => {
+  try {
+    const { memberId, templateId, footerLayoutId } = req.query;
+    if (!memberId || !templateId) return res.status(400).json({ error: 'memberId and templateId are required' });
+    await sendPrintPoster(res, { memberId, templateId, footerLayoutId });
+  } catch (error) {
+    console.error('Print poster error:', error);
+    res.status(error.stage === 'photo' ? 422 : 500).json({ error: 'Failed to render print poster', details: error.message });
+  }
+});
+
+// ---- Member portal: members sign in with an emailed link or code and get back every poster made for them ----
+
+const MEMBER_PORTAL_URL = process.env.MEMBER_PORTAL_URL || `${(process.env.FRONTEND_URL || 'http://localhost:5173').replace(/\/$/, '')}/my-posters`;
+
+app.post('/api/member/login', async (req, res) => {
+  try {
+    const { email } = req.body;
+    if (!email) return res.status(400).json({ error: 'Email is required' });
+    // Same answer whether or not the address is registered, so the form can't be used to probe for members
+    const response = { success: true, message: 'If this email is registered, a sign-in link and code are on their way.' };
+
+    const member = await findMemberByEmail(email);
+    if (!member) return res.json(response);
+    const challenge = await createLoginChallenge(member.id);
+    if (challenge) {
+      const link = `${MEMBER_PORTAL_URL}?token=${challenge.token}`;
+      await sendMemberLoginEmail(member, { link, code: challenge.code });
+    }
+    res.json(response);
+  } catch (error) {
+    console.error('Member login request error:', error);
+    res.status(500).json({ error: 'Failed to send sign-in email' });
+  }
+});
+
+app.post('/api/member/verify', async (req, res) => {
+  try {
+    const { token, email, code } = req.body;
+    const memberId = token ? await redeemLoginToken(token) : await redeemLoginCode(email, code);
+    if (!memberId) {
+      return res.status(401).json({ error: token ? 'This sign-in link is invalid or has already been used' : 'Invalid or expired code' });
+    }
+    await startMemberSession(res, memberId);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Member verify error:', error);
+    res.status(500).json({ error: 'Failed to sign in' });
+  }
+});
+
+app.post('/api/member/logout', async (req, res) => {
+  try {
+    await endMemberSession(req, res);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Member logout error:', error);
+    res.status(500).json({ error: 'Failed to log out' });
+  }
+});
+
+app.get('/api/member/me', requireMember, (req, res) => {
+  const { id, name, email, phone, designation, teamName, language, channels, photoUrl } = req.member;
+  res.json({ id, name, email, phone, designation, teamName, language, channels, photoUrl });
+});
+
+app.get('/api/member/posters', requireMember, async (req, res) => {
+  try {
+    const posters = await db.listMemberPosters(req.member.id);
+    res.json(posters.map(({ id, campaignId, templateName, files, createdAt }) => ({
+      id,
+      campaignId,
+      templateName,
+      createdAt,
+      files: files.map(({ profile, filename, contentType }) => ({ profile, filename, contentType }))
+    })));
+  } catch (error) {
+    console.error('Fetch member posters error:', error);
+    res.status(500).json({ error: 'Failed to fetch posters' });
+  }
+});
+
+app.get('/api/member/posters/:id/:filename', requireMember, async (req, res) => {
+  try {
+    const poster = await db.getPoster(req.params.id);
+    const file = poster && poster.memberId === req.member.id && poster.files.find(f => f.filename === req.params.filename);
+    if (!file) return res.status(404).json({ error: 'Poster not found' });
+    // ?inline=1 is used for thumbnails in the portal; everything else downloads
+    if (req.query.inline !== '1') res.set('Content-Disposition', `attachment; filename="${file.filename}"`);
+    res.set('Cache-Control', 'private, max-age=3600');
+    res.type(file.contentType || 'image/jpeg').send(await storage.get(file.key));
+  } catch (error) {
+    console.error('Download member poster error:', error);
+    res.status(500).json({ error: 'Failed to download poster' });
+  }
+});
+
+// Sends a stored poster to the member again on one of the delivery channels
+app.post('/api/member/posters/:id/resend', requireMember, async (req, res) => {
+  const dir = path.join(OUTPUT_DIR, `resend_${Date.now()}`);
+  try {
+    const channel = req.body.channel || 'email';
+    if (!CHANNELS[channel]) return res.status(400).json({ error: `Unknown delivery channel: ${channel}` });
+    const poster = await db.getPoster(req.params.id);
+    if (!poster || poster.memberId !== req.member.id) return res.status(404).json({ error: 'Poster not found' });
+
+    const person = req.member;
+    const outputs = await materializePoster(poster, dir);
+    const [result] = await deliverOnChannels(person, {
+      data: {
+        Name: person.name,
+        Email: person.email,
+        Phone: person.phone,
+        Designation: person.designation,
+        TeamName: person.teamName,
+        Language: person.language
+      },
+      attachments: outputs,
+      outputs,
+      imagePath: outputs[0].path
+    }, [channel]);
+    if (result.status !== 'sent') return res.status(502).json({ error: result.error });
+    res.json({ success: true, message: `Poster sent by ${CHANNELS[channel].label}` });
+  } catch (error) {
+    console.error('Resend member poster error:', error);
+    res.status(500).json({ error: 'Failed to send poster' });
+  } finally {
+    await fs.promises.rm(dir, { recursive: true, force: true });
+  }
+});
+
+// ---- Profile changes: members request them from the portal, admins approve or reject them ----
+
+// The member's latest request, so the portal can show whether it is still waiting or why it was rejected
+app.get('/api/member/profile-revision', requireMember, async (req, res) => {
+  try {
+    res.json(await db.getLatestProfileRevision(req.member.id));
+  } catch (error) {
+    console.error('Fetch profile revision error:', error);
+    res.status(500).json({ error: 'Failed to fetch your change request' });
+  }
+});
+
+app.post('/api/member/profile-revision', requireMember, upload.single('photo'), async (req, res) => {
+  try {
+    const input = { ...req.body };
+    // Sent as a JSON array from the multipart form
+    if (typeof input.channels === 'string') {
+      try { input.channels = JSON.parse(input.channels); } catch (e) { return res.status(400).json({ error: 'channels must be a JSON array' }); }
+    }
+    const { changes, error } = diffProfileChanges(req.member, input);
+    if (error) return res.status(400).json({ error });
+    if (Object.keys(changes).length === 0 && !req.file) return res.status(400).json({ error: 'Nothing has changed' });
+    if (changes.email) {
+      const existing = await findMemberByEmail(changes.email);
+      if (existing && existing.id !== req.member.id) return res.status(400).json({ error: 'Email already in use by another member' });
+    }
+
+    const photo = req.file ? await storePendingPhoto(req.file, req.member) : {};
+    // A new request replaces one that is still waiting for review
+    const previous = await db.ProfileRevision.findOne({ memberId: req.member.id, status: 'pending' }).lean();
+    if (previous) {
+      await db.deleteProfileRevision(previous.id);
+      await discardPendingPhoto(previous);
+    }
+    const revision = await db.createProfileRevision({
+      id: `${req.member.id}_${Date.now()}`,
+      memberId: req.member.id,
+      changes,
+      ...photo
+    });
+    res.json({ success: true, message: 'Your changes were sent for review', revision });
+  } catch (error) {
+    console.error('Submit profile revision error:', error);
+    res.status(500).json({ error: 'Failed to submit your changes' });
+  } finally {
+    if (req.file) await fs.promises.rm(req.file.path, { force: true });
+  }
+});
+
+app.delete('/api/member/profile-revision', requireMember, async (req, res) => {
+  try {
+    const pending = await db.ProfileRevision.findOne({ memberId: req.member.id, status: 'pending' }).lean();
+    if (!pending) return res.status(404).json({ error: 'No pending change request' });
+    await db.deleteProfileRevision(pending.id);
+    await discardPendingPhoto(pending);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Withdraw profile revision error:', error);
+    res.status(500).json({ error: 'Failed to withdraw your change request' });
+  }
+});
+
+// Review queue: each request comes with the member's current details to compare against
+app.get('/api/admin/profile-revisions', isAdmin, async (req, res) => {
+  try {
+    const status = req.query.status || 'pending';
+    const revisions = await db.listProfileRevisions({ status });
+    const members = await db.User.find({ id: { $in: revisions.map(r => r.memberId) } }).lean();
+    const byId = new Map(members.map(m => [m.id, m]));
+    res.json(revisions.map(revision => {
+      const member = byId.get(revision.memberId);
+      return {
+        ...revision,
+        member: member && {
+          id: member.id,
+          name: member.name,
+          email: member.email,
+          phone: member.phone,
+          designation: member.designation,
+          language: member.language,
+          channels: member.channels,
+          photoUrl: member.photoUrl || member.photo || ''
         }
-      }
+      };
+    }));
+  } catch (error) {
+    console.error('Fetch profile revisions error:', error);
+    res.status(500).json({ error: 'Failed to fetch change requests' });
+  }
+});
+
+app.post('/api/admin/profile-revisions/:id/approve', canSend, async (req, res) => {
+  try {
+    const revision = await db.getProfileRevision(req.params.id);
+    if (!revision || revision.status !== 'pending') return res.status(404).json({ error: 'Pending change request not found' });
+    const changes = { ...revision.changes };
+    if (changes.email) {
+      const existing = await findMemberByEmail(changes.email);
+      if (existing && existing.id !== revision.memberId) return res.status(400).json({ error: 'Email already in use by another member' });
     }
+    if (revision.photoUrl) Object.assign(changes, { photoUrl: revision.photoUrl, photo: '' });
 
-    try {
-      fs.unlinkSync(templatePath);
-    } catch (e) {
-      console.warn('Template cleanup failed (ignored):', e.message || e);
+    const before = await db.getUser(revision.memberId);
+    const user = await db.updateUser(revision.memberId, changes);
+    if (!user) return res.status(404).json({ error: 'Member no longer exists' });
+    const updated = await db.updateProfileRevision(revision.id, { status: 'approved', reviewedAt: new Date(), reviewNote: req.body.note || '' });
+    await recordAudit(req, {
+      action: 'member.revision.approve',
+      targetType: 'member',
+      targetId: revision.memberId,
+      memberId: revision.memberId,
+      before,
+      after: user,
+      details: { revisionId: revision.id }
+    });
+    res.json({ success: true, message: '✅ Changes applied', revision: updated, user });
+  } catch (error) {
+    console.error('Approve profile revision error:', error);
+    res.status(500).json({ error: 'Failed to apply changes' });
+  }
+});
+
+app.post('/api/admin/profile-revisions/:id/reject', canSend, async (req, res) => {
+  try {
+    const revision = await db.getProfileRevision(req.params.id);
+    if (!revision || revision.status !== 'pending') return res.status(404).json({ error: 'Pending change request not found' });
+    const updated = await db.updateProfileRevision(revision.id, { status: 'rejected', reviewedAt: new Date(), reviewNote: req.body.note || '' });
+    await discardPendingPhoto(revision);
+    await recordAudit(req, {
+      action: 'member.revision.reject',
+      targetType: 'member',
+      targetId: revision.memberId,
+      memberId: revision.memberId,
+      details: { revisionId: revision.id, changes: revision.changes, note: updated.reviewNote }
+    });
+    res.json({ success: true, revision: updated });
+  } catch (error) {
+    console.error('Reject profile revision error:', error);
+    res.status(500).json({ error: 'Failed to reject changes' });
+  }
+});
+
+app.get('/api/templates', isAdmin, async (req, res) => {
+  try {
+    const filter = req.query.tag ? { tags: String(req.query.tag).toLowerCase() } : {};
+    res.json(await db.listTemplates(filter));
+  } catch (error) {
+    console.error('Fetch templates error:', error);
+    res.status(500).json({ error: 'Failed to fetch templates' });
+  }
+});
+
+app.post('/api/templates', canSend, upload.single('template'), async (req, res) => {
+  try {
+    const { name, tags, footerLayoutId } = req.body;
+    if (!req.file) return res.status(400).json({ error: 'Template image is required' });
+    if (!name || !name.trim()) return res.status(400).json({ error: 'Template name is required' });
+    const { error: placementError, placement } = normalizePlacement(req.body.placement || {});
+    if (placementError) return res.status(400).json({ error: placementError });
+    if (footerLayoutId && !(await db.getFooterLayout(footerLayoutId))) {
+      return res.status(400).json({ error: 'Footer layout not found' });
     }
 
-    res.json({ success: true, message: `✅ Posters sent to ${successfulRecipients} recipients.`, recipientCount: successfulRecipients });
+    const template = await saveTemplate({
+      filePath: req.file.path,
+      mimeType: req.file.mimetype,
+      name: name.trim(),
+      tags,
+      footerLayoutId: footerLayoutId || undefined,
+      placement
+    });
+    res.json({ success: true, template });
   } catch (error) {
-    console.error('Send posters error:', error);
-    res.status(500).json({ error: 'Failed to send posters', details: error.message });
+    console.error('Save template error:', error);
+    res.status(500).json({ error: 'Failed to save template', details: error.message });
+  } finally {
+    if (req.file) {
+      try { await fs.promises.unlink(req.file.path); } catch (e) { /* ignore */ }
+    }
   }
 });
 
+app.get('/api/templates/:id', isAdmin, async (req, res) => {
+  try {
+    const template = await db.getTemplate(req.params.id);
+    if (!template) return res.status(404).json({ error: 'Template not found' });
+    res.json(template);
+  } catch (error) {
+    console.error('Fetch template error:', error);
+    res.status(500).json({ error: 'Failed to fetch template' });
+  }
+});
 
-const ADMIN_TOKEN_SECRET = process.env.ADMIN_TOKEN_SECRET || 'supersecret';
-const ADMIN_COOKIE_NAME = 'admin_token';
-const ADMIN_COOKIE_OPTIONS = {
-  httpOnly: true,
-  secure: true,
-  sameSite: 'none',
-  maxAge: 24 * 60 * 60 * 1000,
-  signed: true,
-};
+app.get('/api/templates/:id/:variant(image|thumbnail)', isAdmin, async (req, res) => {
+  try {
+    const template = await db.getTemplate(req.params.id);
+    if (!template) return res.status(404).json({ error: 'Template not found' });
+    const isThumbnail = req.params.variant === 'thumbnail' && template.thumbnailKey;
+    const buffer = await storage.get(isThumbnail ? template.thumbnailKey : template.imageKey);
+    res.set('Cache-Control', 'public, max-age=86400');
+    res.type(isThumbnail ? 'image/jpeg' : (template.mimeType || 'image/jpeg')).send(buffer);
+  } catch (error) {
+    console.error('Fetch template image error:', error);
+    res.status(500).json({ error: 'Failed to fetch template image' });
+  }
+});
 
-function generateToken() {
-  return crypto.randomBytes(32).toString('hex');
-}
+app.put('/api/templates/:id', canSend, async (req, res) => {
+  try {
+    const { name, tags, footerLayoutId } = req.body;
+    const changes = {};
+    if (name !== undefined) {
+      if (!String(name).trim()) return res.status(400).json({ error: 'Template name is required' });
+      changes.name = String(name).trim();
+    }
+    if (tags !== undefined) changes.tags = normalizeTags(tags);
+    if (footerLayoutId) {
+      if (!(await db.getFooterLayout(footerLayoutId))) return res.status(400).json({ error: 'Footer layout not found' });
+      changes.footerLayoutId = footerLayoutId;
+    } else if (footerLayoutId !== undefined) {
+      // An empty value goes back to the brand default layout
+      changes.$unset = { footerLayoutId: 1 };
+    }
+    if (req.body.placement !== undefined) {
+      const { error: placementError, placement } = normalizePlacement(req.body.placement);
+      if (placementError) return res.status(400).json({ error: placementError });
+      changes.placement = placement;
+    }
+    const template = await db.updateTemplate(req.params.id, changes);
+    if (!template) return res.status(404).json({ error: 'Template not found' });
+    res.json({ success: true, template });
+  } catch (error) {
+    console.error('Update template error:', error);
+    res.status(500).json({ error: 'Failed to update template' });
+  }
+});
+
+app.delete('/api/templates/:id', canSend, async (req, res) => {
+  try {
+    const template = await db.getTemplate(req.params.id);
+    if (!template) return res.status(404).json({ error: 'Template not found' });
+    // Active schedules load the template on every run
+    const schedules = await db.Schedule.countDocuments({ status: 'active', templateId: template.id });
+    if (schedules > 0) {
+      return res.status(409).json({ error: `Template "${template.name}" is used by ${schedules} active schedule${schedules === 1 ? '' : 's'}` });
+    }
+    await removeTemplate(template);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Delete template error:', error);
+    res.status(500).json({ error: 'Failed to delete template' });
+  }
+});
+
+// Delivery channels members can choose, and whether each is set up on this server
+app.get('/api/delivery-channels', (req, res) => {
+  res.json(Object.entries(CHANNELS).map(([name, { label }]) => ({
+    name,
+    label,
+    available: name === 'whatsapp' ? isWhatsAppConfigured() : true
+  })));
+});
+
+app.get('/api/output-profiles', (req, res) => {
+  res.json(Object.entries(OUTPUT_PROFILES).map(([name, profile]) => ({ name, ...profile })));
+});
+
+app.get('/api/footer-layouts', isAdmin, async (req, res) => {
+  try {
+    res.json({ defaultLayout: DEFAULT_FOOTER_LAYOUT, layouts: await db.listFooterLayouts() });
+  } catch (error) {
+    console.error('Fetch footer layouts error:', error);
+    res.status(500).json({ error: 'Failed to fetch footer layouts' });
+  }
+});
+
+app.get('/api/footer-layouts/:id', isAdmin, async (req, res) => {
+  try {
+    const footerLayout = await db.getFooterLayout(req.params.id);
+    if (!footerLayout) return res.status(404).json({ error: 'Footer layout not found' });
+    res.json(footerLayout);
+  } catch (error) {
+    console.error('Fetch footer layout error:', error);
+    res.status(500).json({ error: 'Failed to fetch footer layout' });
+  }
+});
+
+app.post('/api/footer-layouts', canSend, async (req, res) => {
+  try {
+    const { name, brand, layout, isDefault } = req.body;
+    if (!name || !String(name).trim()) return res.status(400).json({ error: 'Layout name is required' });
+    const layoutError = validateFooterLayout(layout);
+    if (layoutError) return res.status(400).json({ error: layoutError });
+
+    // Only one layout can be the brand default
+    if (isDefault) await db.FooterLayout.updateMany({ isDefault: true }, { isDefault: false });
+    const footerLayout = await db.createFooterLayout({
+      id: Date.now().toString(),
+      name: String(name).trim(),
+      brand,
+      layout,
+      isDefault: Boolean(isDefault)
+    });
+    res.json({ success: true, footerLayout });
+  } catch (error) {
+    console.error('Create footer layout error:', error);
+    res.status(500).json({ error: 'Failed to save footer layout', details: error.message });
+  }
+});
+
+app.put('/api/footer-layouts/:id', canSend, async (req, res) => {
+  try {
+    const { name, brand, layout, isDefault } = req.body;
+    const changes = {};
+    if (name !== undefined) {
+      if (!String(name).trim()) return res.status(400).json({ error: 'Layout name is required' });
+      changes.name = String(name).trim();
+    }
+    if (brand !== undefined) changes.brand = brand;
+    if (layout !== undefined) {
+      const layoutError = validateFooterLayout(layout);
+      if (layoutError) return res.status(400).json({ error: layoutError });
+      changes.layout = layout;
+    }
+    if (isDefault !== undefined) {
+      if (isDefault) await db.FooterLayout.updateMany({ id: { $ne: req.params.id }, isDefault: true }, { isDefault: false });
+      changes.isDefault = Boolean(isDefault);
+    }
+    const footerLayout = await db.updateFooterLayout(req.params.id, changes);
+    if (!footerLayout) return res.status(404).json({ error: 'Footer layout not found' });
+    res.json({ success: true, footerLayout });
+  } catch (error) {
+    console.error('Update footer layout error:', error);
+    res.status(500).json({ error: 'Failed to update footer layout', details: error.message });
+  }
+});
+
+app.delete('/api/footer-layouts/:id', canSend, async (req, res) => {
+  try {
+    const footerLayout = await db.deleteFooterLayout(req.params.id);
+    if (!footerLayout) return res.status(404).json({ error: 'Footer layout not found' });
+    // Templates using it fall back to the brand default
+    await db.Template.updateMany({ footerLayoutId: req.params.id }, { $unset: { footerLayoutId: 1 } });
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Delete footer layout error:', error);
+    res.status(500).json({ error: 'Failed to delete footer layout' });
+  }
+});
+
+app.get('/api/email-templates', isAdmin, async (req, res) => {
+  try {
+    res.json({ placeholders: Object.keys(PLACEHOLDERS), languages: LANGUAGES, templates: await db.listEmailTemplates() });
+  } catch (error) {
+    console.error('Fetch email templates error:', error);
+    res.status(500).json({ error: 'Failed to fetch email templates' });
+  }
+});
+
+app.post('/api/email-templates', canSend, async (req, res) => {
+  try {
+    const { name, subject, html, translations, isDefault } = req.body;
+    const templateError = validateEmailTemplate({ name, subject, html, translations });
+    if (templateError) return res.status(400).json({ error: templateError });
+
+    // Only one template can be the default
+    if (isDefault) await db.EmailTemplate.updateMany({ isDefault: true }, { isDefault: false });
+    const emailTemplate = await db.createEmailTemplate({
+      id: Date.now().toString(),
+      name: String(name).trim(),
+      subject,
+      html,
+      translations: translations || {},
+      isDefault: Boolean(isDefault)
+    });
+    res.json({ success: true, emailTemplate });
+  } catch (error) {
+    console.error('Create email template error:', error);
+    res.status(500).json({ error: 'Failed to save email template', details: error.message });
+  }
+});
+
+app.put('/api/email-templates/:id', canSend, async (req, res) => {
+  try {
+    const existing = await db.getEmailTemplate(req.params.id);
+    if (!existing) return res.status(404).json({ error: 'Email template not found' });
+
+    const { name, subject, html, translations, isDefault } = { ...existing, ...req.body };
+    const templateError = validateEmailTemplate({ name, subject, html, translations });
+    if (templateError) return res.status(400).json({ error: templateError });
+
+    if (isDefault) await db.EmailTemplate.updateMany({ id: { $ne: req.params.id }, isDefault: true }, { isDefault: false });
+    const emailTemplate = await db.updateEmailTemplate(req.params.id, {
+      name: String(name).trim(),
+      subject,
+      html,
+      translations: translations || {},
+      isDefault: Boolean(isDefault)
+    });
+    res.json({ success: true, emailTemplate });
+  } catch (error) {
+    console.error('Update email template error:', error);
+    res.status(500).json({ error: 'Failed to update email template', details: error.message });
+  }
+});
+
+app.delete('/api/email-templates/:id', canSend, async (req, res) => {
+  try {
+    const emailTemplate = await db.deleteEmailTemplate(req.params.id);
+    if (!emailTemplate) return res.status(404).json({ error: 'Email template not found' });
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Delete email template error:', error);
+    res.status(500).json({ error: 'Failed to delete email template' });
+  }
+});
+
+// Renders the email a member would receive, from a stored template, unsaved subject/html, or the built-in email
+app.post('/api/email-templates/preview', canSend, async (req, res) => {
+  try {
+    const { emailTemplateId, subject, html, translations, memberId, language } = req.body;
+    let emailTemplate = null;
+    if (subject !== undefined || html !== undefined) {
+      const templateError = validateEmailTemplate({ name: 'preview', subject, html, translations });
+      if (templateError) return res.status(400).json({ error: templateError });
+      emailTemplate = { subject, html, translations };
+    } else if (emailTemplateId) {
+      emailTemplate = await db.getEmailTemplate(emailTemplateId);
+      if (!emailTemplate) return res.status(404).json({ error: 'Email template not found' });
+    }
+
+    const member = memberId ? await db.getUser(memberId) : null;
+    if (memberId && !member) return res.status(404).json({ error: 'Member not found' });
+    const sample = member || { name: 'Sample Member', email: 'member@example.com', phone: '9876543210', designation: 'Partner' };
+    res.json(buildEmail({
+      Name: sample.name,
+      Email: sample.email,
+      Phone: sample.phone,
+      Designation: sample.designation,
+      TeamName: sample.teamName,
+      // An explicit language previews that translation; otherwise the member's own
+      Language: language || sample.language,
+      PrintUrl: `${BACKEND_URL}/api/posters/print?sample=1`
+    }, emailTemplate));
+  } catch (error) {
+    console.error('Email preview error:', error);
+    res.status(500).json({ error: 'Failed to render email preview', details: error.message });
+  }
+});
+
+app.get('/api/schedules', isAdmin, async (req, res) => {
+  try {
+    const filter = req.query.status ? { status: req.query.status } : { status: 'active' };
+    res.json(await db.listSchedules(filter));
+  } catch (error) {
+    console.error('Fetch schedules error:', error);
+    res.status(500).json({ error: 'Failed to fetch schedules' });
+  }
+});
+
+app.post('/api/schedules', canSend, async (req, res) => {
+  try {
+    const { error, fields } = await buildSchedule(req.body);
+    if (error) return res.status(400).json({ error });
+    const schedule = await db.createSchedule({ id: Date.now().toString(), ...fields });
+    await recordAudit(req, { action: 'schedule.create', targetType: 'schedule', targetId: schedule.id, details: { name: schedule.name, designation: schedule.designation } });
+    res.json({ success: true, schedule });
+  } catch (error) {
+    console.error('Create schedule error:', error);
+    res.status(500).json({ error: 'Failed to schedule campaign', details: error.message });
+  }
+});
+
+app.put('/api/schedules/:id', canSend, async (req, res) => {
+  try {
+    const existing = await db.getSchedule(req.params.id);
+    if (!existing) return res.status(404).json({ error: 'Schedule not found' });
+    if (existing.status !== 'active') return res.status(409).json({ error: `Schedule is ${existing.status}` });
+
+    const { error, fields } = await buildSchedule(req.body, existing);
+    if (error) return res.status(400).json({ error });
+    const schedule = await db.updateSchedule(req.params.id, fields);
+    await recordAudit(req, { action: 'schedule.update', targetType: 'schedule', targetId: schedule.id, details: { name: schedule.name, designation: schedule.designation } });
+    res.json({ success: true, schedule });
+  } catch (error) {
+    console.error('Update schedule error:', error);
+    res.status(500).json({ error: 'Failed to update schedule', details: error.message });
+  }
+});
 
-function isAdmin(req, res, next) {
-  const isAdminQuery = req.query.isAdmin === 'true';
-  const token = req.signedCookies && req.signedCookies[ADMIN_COOKIE_NAME];
-  if (isAdminQuery || token) return next();
-  return res.status(403).json({ error: 'Admin access required' });
+app.delete('/api/schedules/:id', canSend, async (req, res) => {
+  try {
+    const schedule = await db.updateSchedule(req.params.id, { status: 'cancelled', $unset: { nextRunAt: 1 } });
+    if (!schedule) return res.status(404).json({ error: 'Schedule not found' });
+    await recordAudit(req, { action: 'schedule.cancel', targetType: 'schedule', targetId: schedule.id, details: { name: schedule.name } });
+    res.json({ success: true, schedule });
+  } catch (error) {
+    console.error('Cancel schedule error:', error);
+    res.status(500).json({ error: 'Failed to cancel schedule' });
+  }
+});
+
+app.get('/api/email-queue', isAdmin, async (req, res) => {
+  try {
+    // Members still to be processed by queued/running campaigns carry over into later sending windows
+    const active = await db.Campaign.find({ status: { $in: ['queued', 'running'] } }, { pendingIds: 1 }).lean();
+    const campaignBacklog = active.reduce((sum, c) => sum + (c.pendingIds || []).length, 0);
+    res.json({ ...getQueueStats(), campaignBacklog });
+  } catch (error) {
+    console.error('Fetch email queue error:', error);
+    res.status(500).json({ error: 'Failed to fetch email queue' });
+  }
+});
+
+app.get('/api/campaigns', isAdmin, async (req, res) => {
+  try {
+    const campaigns = await db.listCampaigns();
+    res.json(campaigns.map(({ templatePath, ...c }) => c));
+  } catch (error) {
+    console.error('Fetch campaigns error:', error);
+    res.status(500).json({ error: 'Failed to fetch campaigns' });
+  }
+});
+
+app.get('/api/campaigns/:id/attempts', isAdmin, async (req, res) => {
+  try {
+    const filter = { superseded: { $ne: true } };
+    if (req.query.status) filter.status = req.query.status;
+    const attempts = await db.getDeliveryAttempts(req.params.id, filter);
+    res.json(attempts);
+  } catch (error) {
+    console.error('Fetch delivery attempts error:', error);
+    res.status(500).json({ error: 'Failed to fetch delivery attempts' });
+  }
+});
+
+app.post('/api/campaigns/:id/retry', canSend, async (req, res) => {
+  try {
+    const campaign = await db.getCampaign(req.params.id);
+    if (!campaign) return res.status(404).json({ error: 'Campaign not found' });
+    if (['queued', 'running'].includes(campaign.status)) {
+      return res.status(409).json({ error: 'Campaign is still in progress' });
+    }
+    // Without a local copy the worker reloads the template from the library (see ensureCampaignTemplate)
+    const hasLocalTemplate = campaign.templatePath && fs.existsSync(campaign.templatePath);
+    if (!campaign.templateId && !hasLocalTemplate) {
+      return res.status(410).json({ error: 'Campaign template is no longer available' });
+    }
+    if (campaign.templateId && !hasLocalTemplate && !(await db.getTemplate(campaign.templateId))) {
+      return res.status(409).json({ error: 'The campaign template has been deleted from the library' });
+    }
+
+    const retryCount = await retryFailedRecipients(campaign);
+    if (retryCount === 0) return res.status(400).json({ error: 'No failed recipients to retry' });
+    await recordAudit(req, { action: 'campaign.retry', targetType: 'campaign', targetId: campaign.id, details: { recipients: retryCount } });
+    res.status(202).json({ success: true, message: `✅ Retrying ${retryCount} recipients.`, campaignId: campaign.id, retryCount });
+  } catch (error) {
+    console.error('Retry campaign error:', error);
+    res.status(500).json({ error: 'Failed to retry campaign', details: error.message });
+  }
+});
+
+app.get('/api/campaigns/:id', isAdmin, async (req, res) => {
+  try {
+    const campaign = await db.getCampaign(req.params.id);
+    if (!campaign) return res.status(404).json({ error: 'Campaign not found' });
+    const { id, designation, status, total, rendered, sent, failed, error, createdAt, startedAt, finishedAt } = campaign;
+    res.json({
+      id,
+      designation,
+      status,
+      total,
+      queued: (campaign.pendingIds || []).length,
+      rendered,
+      sent,
+      failed,
+      channels: await db.getChannelSummary(id),
+      error,
+      createdAt,
+      startedAt,
+      finishedAt
+    });
+  } catch (error) {
+    console.error('Fetch campaign error:', error);
+    res.status(500).json({ error: 'Failed to fetch campaign' });
+  }
+});
+
+app.post('/api/admin-login', async (req, res) => {
+  try {
+    const { username, password } = req.body;
+    const admin = await authenticateAdmin(username, password);
+    if (!admin) return res.status(401).json({ error: 'Invalid credentials' });
+    await startAdminSession(req, res, admin);
+    res.json({ success: true, admin: { id: admin.id, username: admin.username, role: admin.role } });
+  } catch (error) {
+    console.error('Admin login error:', error);
+    res.status(500).json({ error: 'Failed to log in' });
+  }
+});
+
+app.get('/api/admin-auth', async (req, res) => {
+  try {
+    const admin = await loadAdmin(req);
+    if (!admin) return res.status(401).json({ authenticated: false });
+    res.json({ authenticated: true, admin: { id: admin.id, username: admin.username, role: admin.role } });
+  } catch (error) {
+    console.error('Admin auth check error:', error);
+    res.status(500).json({ authenticated: false });
+  }
+});
+
+app.post('/api/admin/logout', async (req, res) => {
+  try {
+    await endAdminSession(req, res);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Admin logout error:', error);
+    res.status(500).json({ error: 'Failed to log out' });
+  }
+});
+
+// ---- Admin accounts (super-admins only) ----
+
+// Refuses changes that would leave no enabled super-admin to manage accounts
+async function wouldRemoveLastSuperAdmin(account, changes) {
+  if (account.role !== 'super-admin' || account.disabled) return false;
+  const stillSuperAdmin = changes && (changes.role || account.role) === 'super-admin' && !changes.disabled;
+  if (stillSuperAdmin) return false;
+  const others = await db.AdminUser.countDocuments({ id: { $ne: account.id }, role: 'super-admin', disabled: { $ne: true } });
+  return others === 0;
 }
 
-app.post('/api/admin-login', (req, res) => {
-  const { username, password } = req.body;
-  const validUsername = process.env.ADMIN_USERNAME;
-  const validPassword = process.env.ADMIN_PASSWORD;
+app.get('/api/admin/accounts', isSuperAdmin, async (req, res) => {
+  try {
+    const accounts = await db.listAdminUsers();
+    const sessions = await db.AdminSession.aggregate([
+      { $match: { expiresAt: { $gt: new Date() } } },
+      { $group: { _id: '$adminId', count: { $sum: 1 } } }
+    ]);
+    const sessionCounts = new Map(sessions.map(s => [s._id, s.count]));
+    res.json({
+      roles: Object.entries(ROLES).map(([name, { label }]) => ({ name, label })),
+      accounts: accounts.map(a => ({ ...a, activeSessions: sessionCounts.get(a.id) || 0 }))
+    });
+  } catch (error) {
+    console.error('Fetch admin accounts error:', error);
+    res.status(500).json({ error: 'Failed to fetch admin accounts' });
+  }
+});
+
+app.post('/api/admin/accounts', isSuperAdmin, async (req, res) => {
+  try {
+    const { username, password, role } = req.body;
+    if (!username || !String(username).trim()) return res.status(400).json({ error: 'Username is required' });
+    const validationError = validateRole(role) || validatePassword(password);
+    if (validationError) return res.status(400).json({ error: validationError });
+    if (await db.AdminUser.findOne({ username: String(username).trim() })) return res.status(400).json({ error: 'Username already taken' });
+
+    const created = await db.createAdminUser({ id: Date.now().toString(), username: String(username).trim(), passwordHash: await hashPassword(password), role });
+    const { passwordHash, ...account } = created.toObject();
+    await recordAudit(req, { action: 'admin.create', targetType: 'admin', targetId: account.id, details: { username: account.username, role } });
+    res.json({ success: true, account });
+  } catch (error) {
+    console.error('Create admin account error:', error);
+    res.status(500).json({ error: 'Failed to create admin account' });
+  }
+});
+
+// Changing the role or password, or disabling the account, signs it out everywhere
+app.put('/api/admin/accounts/:id', isSuperAdmin, async (req, res) => {
+  try {
+    const account = await db.getAdminUser(req.params.id);
+    if (!account) return res.status(404).json({ error: 'Admin account not found' });
+
+    const { role, password, disabled } = req.body;
+    const changes = {};
+    if (role !== undefined && role !== account.role) {
+      const roleError = validateRole(role);
+      if (roleError) return res.status(400).json({ error: roleError });
+      changes.role = role;
+    }
+    if (disabled !== undefined && Boolean(disabled) !== Boolean(account.disabled)) changes.disabled = Boolean(disabled);
+    if (password) {
+      const passwordError = validatePassword(password);
+      if (passwordError) return res.status(400).json({ error: passwordError });
+      changes.passwordHash = await hashPassword(password);
+    }
+    if (Object.keys(changes).length === 0) return res.status(400).json({ error: 'Nothing to change' });
+    if (await wouldRemoveLastSuperAdmin(account, changes)) {
+      return res.status(400).json({ error: 'At least one enabled super-admin is required' });
+    }
+
+    const updated = await db.updateAdminUser(account.id, changes);
+    // Keep the current browser signed in when admins change their own password
+    const keepOwnSession = account.id === req.admin.id && !changes.role && !changes.disabled;
+    if (!keepOwnSession) await revokeAdminSessions(account.id);
+    await recordAudit(req, {
+      action: 'admin.update',
+      targetType: 'admin',
+      targetId: account.id,
+      details: {
+        username: account.username,
+        ...(changes.role && { role: { from: account.role, to: changes.role } }),
+        ...('disabled' in changes && { disabled: changes.disabled }),
+        ...(changes.passwordHash && { passwordChanged: true })
+      }
+    });
+    res.json({ success: true, account: updated });
+  } catch (error) {
+    console.error('Update admin account error:', error);
+    res.status(500).json({ error: 'Failed to update admin account' });
+  }
+});
 
-  if (!validUsername || !validPassword) return res.status(500).json({ error: 'Admin credentials not configured' });
-  if (username === validUsername && password === validPassword) {
-    const token = generateToken();
-    res.cookie(ADMIN_COOKIE_NAME, token, ADMIN_COOKIE_OPTIONS);
+app.delete('/api/admin/accounts/:id', isSuperAdmin, async (req, res) => {
+  try {
+    const account = await db.getAdminUser(req.params.id);
+    if (!account) return res.status(404).json({ error: 'Admin account not found' });
+    if (account.id === req.admin.id) return res.status(400).json({ error: 'You cannot delete your own account' });
+    if (await wouldRemoveLastSuperAdmin(account, null)) {
+      return res.status(400).json({ error: 'At least one enabled super-admin is required' });
+    }
+    await db.deleteAdminUser(account.id);
+    await revokeAdminSessions(account.id);
+    await recordAudit(req, { action: 'admin.delete', targetType: 'admin', targetId: account.id, details: { username: account.username, role: account.role } });
     res.json({ success: true });
-  } else {
-    res.status(401).json({ error: 'Invalid credentials' });
+  } catch (error) {
+    console.error('Delete admin account error:', error);
+    res.status(500).json({ error: 'Failed to delete admin account' });
   }
 });
 
-app.get('/api/admin-auth', (req, res) => {
-  const token = req.signedCookies[ADMIN_COOKIE_NAME];
-  if (token) {
-    res.json({ authenticated: true });
-  } else {
-    res.status(401).json({ authenticated: false });
+app.post('/api/admin/accounts/:id/revoke-sessions', isSuperAdmin, async (req, res) => {
+  try {
+    const account = await db.getAdminUser(req.params.id);
+    if (!account) return res.status(404).json({ error: 'Admin account not found' });
+    const revoked = await revokeAdminSessions(account.id);
+    await recordAudit(req, { action: 'admin.revoke-sessions', targetType: 'admin', targetId: account.id, details: { username: account.username, revoked } });
+    res.json({ success: true, revoked });
+  } catch (error) {
+    console.error('Revoke admin sessions error:', error);
+    res.status(500).json({ error: 'Failed to revoke sessions' });
   }
 });
 
-app.post('/api/admin/logout', (req, res) => {
-  res.clearCookie(ADMIN_COOKIE_NAME, { ...ADMIN_COOKIE_OPTIONS, maxAge: 0 });
-  res.json({ success: true });
+// ---- Audit log ----
+
+// Newest first, filtered by admin, member and action; pass the last entry's createdAt as `before` for older ones
+app.get('/api/admin/audit', isSuperAdmin, async (req, res) => {
+  try {
+    const { adminId, memberId, action, before } = req.query;
+    if (action && !AUDIT_ACTIONS[action]) return res.status(400).json({ error: `Unknown action: ${action}` });
+    const limit = Math.min(Number(req.query.limit) || 100, 500);
+    const filter = {
+      ...(adminId && { adminId }),
+      ...(memberId && { memberId }),
+      ...(action && { action })
+    };
+    const entries = await db.listAuditEntries(filter, { limit, before });
+    const admins = await db.AuditLog.aggregate([
+      { $match: { adminId: { $ne: null } } },
+      { $group: { _id: '$adminId', username: { $last: '$adminUsername' } } },
+      { $sort: { username: 1 } }
+    ]);
+    res.json({
+      entries,
+      actions: Object.entries(AUDIT_ACTIONS).map(([name, label]) => ({ name, label })),
+      admins: admins.map(a => ({ id: a._id, username: a.username }))
+    });
+  } catch (error) {
+    console.error('Fetch audit log error:', error);
+    res.status(500).json({ error: 'Failed to fetch audit log' });
+  }
 });
 
-app.put('/api/users/:id', async (req, res) => {
+app.put('/api/users/:id', canSend, async (req, res) => {
   try {
     const { id } = req.params;
-    const { name, email, phone, designation } = req.body;
-    if (!id || !name || !email || !phone || !designation) {
+    const { name, email, phone, language, channels } = req.body;
+    if (!id || !name || !email || !phone) {
       return res.status(400).json({ error: 'All fields are required' });
     }
+    const groups = await memberGroupsFromBody(req.body);
+    if (groups.error) return res.status(400).json({ error: groups.error });
+    if (!hasMemberGroup(groups.fields)) return res.status(400).json({ error: 'Choose a designation or team' });
+    if (language !== undefined && !LANGUAGES[language]) {
+      return res.status(400).json({ error: `Unsupported language: ${language}` });
+    }
+    if (channels !== undefined) {
+      const channelError = validateChannels(channels);
+      if (channelError) return res.status(400).json({ error: channelError });
+    }
     const existing = await db.User.findOne({ email });
     if (existing && existing.id !== id) {
       return res.status(400).json({ error: 'Email already in use by another user' });
     }
-    const updatedUser = await db.updateUser(id, { name, email, phone, designation });
+    const before = await db.getUser(id);
+    const updatedUser = await db.updateUser(id, { name, email, phone, ...groups.fields, ...(language && { language }), ...(channels && { channels }) });
     if (!updatedUser) return res.status(404).json({ error: 'User not found' });
+    await recordAudit(req, { action: 'member.update', targetType: 'member', targetId: id, memberId: id, before, after: updatedUser });
     res.json({ success: true, message: '✅ User updated successfully', user: updatedUser });
   } catch (error) {
     console.error('Update error:', error);
@@ -441,14 +1549,17 @@ app.put('/api/users/:id', async (req, res) => {
   }
 });
 
-app.post('/api/admin/users', async (req, res) => {
+app.post('/api/admin/users', canSend, async (req, res) => {
   try {
-    const { id, name, email, phone, designation } = req.body;
+    const { id, name, email, phone, language } = req.body;
     if (!id || !name || !email) return res.status(400).json({ error: 'id, name and email required' });
+    const groups = await memberGroupsFromBody(req.body);
+    if (groups.error) return res.status(400).json({ error: groups.error });
     const exists = await db.User.findOne({ email });
     if (exists) return res.status(400).json({ error: 'Email already registered' });
-    const user = { id: String(id), name, email, phone: phone || '', designation: designation || '', photoUrl: '' };
+    const user = { id: String(id), name, email, phone: phone || '', ...NO_MEMBER_GROUPS, ...groups.fields, language: normalizeLanguage(language), photoUrl: '' };
     const created = await db.createUser(user);
+    await recordAudit(req, { action: 'member.create', targetType: 'member', targetId: created.id, memberId: created.id, after: created });
     res.json({ success: true, user: created });
   } catch (err) {
     console.error('Admin create error:', err);
@@ -456,7 +1567,75 @@ app.post('/api/admin/users', async (req, res) => {
   }
 });
 
-app.post('/api/admin/migrate-photo', isAdmin, async (req, res) => {
+// Bulk member import from XLSX/CSV. Without `commit=true` this is a dry run that only reports what would happen.
+// `mapping` (JSON) picks the column for each field; it defaults to columns matched by header name.
+app.post('/api/admin/users/import', canSend, spreadsheetUpload.single('file'), async (req, res) => {
+  try {
+    if (!req.file) return res.status(400).json({ error: 'Choose an .xlsx or .csv file' });
+    let sheet;
+    try {
+      sheet = readSpreadsheet(req.file.buffer);
+    } catch (err) {
+      return res.status(400).json({ error: `Could not read the file: ${err.message}` });
+    }
+
+    let mapping;
+    try {
+      mapping = req.body.mapping ? JSON.parse(req.body.mapping) : suggestMapping(sheet.headers);
+    } catch (e) {
+      return res.status(400).json({ error: 'mapping must be a JSON object' });
+    }
+    const report = {
+      fileName: req.file.originalname,
+      headers: sheet.headers,
+      fields: Object.entries(IMPORT_FIELDS).map(([name, { label, required }]) => ({ name, label, required })),
+      mapping,
+      total: sheet.rows.length
+    };
+    const mappingError = validateMapping(mapping, sheet.headers);
+    if (mappingError) {
+      if (req.body.commit === 'true') return res.status(400).json({ ...report, error: mappingError });
+      return res.json({ ...report, mappingError });
+    }
+
+    const existing = await db.User.find({}, { email: 1 }).lean();
+    const groups = { designation: await listGroups('designation'), team: await listGroups('team') };
+    const results = validateImportRows(sheet.rows, mapping, new Set(existing.map(u => (u.email || '').toLowerCase())), groups);
+    const failed = results.filter(r => r.errors.length > 0);
+    const valid = results.filter(r => r.errors.length === 0);
+
+    let created = 0;
+    if (req.body.commit === 'true') {
+      const base = Date.now();
+      for (const [index, row] of valid.entries()) {
+        try {
+          await db.createUser(toUser(row.member, `${base}_${index + 1}`));
+          created++;
+        } catch (err) {
+          failed.push({ ...row, errors: [err.message && err.message.includes('duplicate key') ? 'Email is already registered' : err.message] });
+        }
+      }
+      failed.sort((a, b) => a.rowNumber - b.rowNumber);
+      await recordAudit(req, { action: 'member.import', targetType: 'member', details: { fileName: req.file.originalname, rows: results.length, created, failed: failed.length } });
+    }
+
+    res.json({
+      ...report,
+      committed: req.body.commit === 'true',
+      valid: valid.length,
+      invalid: failed.length,
+      created,
+      // Enough rows for the preview table; the error sheet has every failed row
+      rows: results.slice(0, 200).map(({ rowNumber, member, errors }) => ({ rowNumber, member, errors })),
+      errorSheet: failed.length > 0 ? buildErrorSheet(sheet.headers, failed).toString('base64') : null
+    });
+  } catch (error) {
+    console.error('Member import error:', error);
+    res.status(500).json({ error: 'Failed to import members', details: error.message });
+  }
+});
+
+app.post('/api/admin/migrate-photo', isSuperAdmin, async (req, res) => {
   try {
     const users = await db.User.find({
       $and: [
@@ -480,7 +1659,7 @@ app.post('/api/admin/migrate-photo', isAdmin, async (req, res) => {
   }
 });
 
-app.put('/api/users/:id/photo', upload.single('photo'), isAdmin, async (req, res) => {
+app.put('/api/users/:id/photo', canSend, upload.single('photo'), async (req, res) => {
   console.log('DEBUG: Admin photo update started for user ID:', req.params.id);
   try {
     const { id } = req.params;
@@ -528,7 +1707,8 @@ app.put('/api/users/:id/photo', upload.single('photo'), isAdmin, async (req, res
 
     console.log('DEBUG: Updating DB for user:', id);
     // Update DB: set photoUrl to GCS URL, clear photo field
-    await db.updateUser(id, { photoUrl, photo: '' });
+    const updatedUser = await db.updateUser(id, { photoUrl, photo: '' });
+    await recordAudit(req, { action: 'member.photo', targetType: 'member', targetId: id, memberId: id, before: user, after: updatedUser });
     console.log('DEBUG: DB update successful');
 
     // Clean up local temp file
@@ -553,6 +1733,14 @@ const startServer = async () => {
   try {
     await db.connect();
     console.log('✅ Connected to MongoDB');
+    if (await ensureBootstrapAdmin()) console.log(`✅ Created super-admin account "${process.env.ADMIN_USERNAME}" from ADMIN_USERNAME/ADMIN_PASSWORD`);
+    // Defaults first so older strings like 'partner' land on the seeded 'Partner'
+    if (await ensureDefaultDesignations()) console.log('✅ Created the default designations');
+    const migrated = await migrateLegacyMemberGroups();
+    if (migrated.members > 0) console.log(`✅ Moved ${migrated.members} member(s) onto designation/team ids (${migrated.designations} designations, ${migrated.teams} teams created)`);
+    const resumed = await resumePendingCampaigns();
+    if (resumed > 0) console.log(`✅ Resumed ${resumed} pending poster campaign(s)`);
+    startScheduler();
   } catch (err) {
     console.warn('⚠️ Failed to connect to DB, continuing without DB:', err.message);
     console.log('⚠️ Some features may not work without database connection');
@@ -563,4 +1751,6 @@ const startServer = async () => {
   });
 };
 
-startServer();
+if (require.main === module) startServer();
+
+module.exports = app;
@@ -0,0 +1,159 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const db = require('../db');
+
+const scrypt = promisify(crypto.scrypt);
+
+// Each role can do everything the roles ranked below it can
+const ROLES = {
+  'super-admin': { label: 'Super admin', rank: 3 },
+  'campaign-sender': { label: 'Campaign sender', rank: 2 },
+  viewer: { label: 'Viewer', rank: 1 },
+};
+
+const MIN_PASSWORD_LENGTH = 8;
+const SESSION_TTL_MS = 24 * 60 * 60 * 1000;
+
+const ADMIN_COOKIE_NAME = 'admin_token';
+const ADMIN_COOKIE_OPTIONS = {
+  httpOnly: true,
+  secure: true,
+  sameSite: 'none',
+  maxAge: SESSION_TTL_MS,
+  signed: true,
+};
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+/**
+ * Hashes a password with scrypt and a random salt, as `scrypt$<salt>$<key>` (hex).
+ */
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const key = await scrypt(String(password), salt, 64);
+  return `scrypt$${salt.toString('hex')}$${key.toString('hex')}`;
+}
+
+async function verifyPassword(password, stored) {
+  const [scheme, salt, key] = String(stored || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !key) return false;
+  const expected = Buffer.from(key, 'hex');
+  const actual = await scrypt(String(password), Buffer.from(salt, 'hex'), expected.length);
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+function validatePassword(password) {
+  if (!password || String(password).length < MIN_PASSWORD_LENGTH) {
+    return `Password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+  }
+  return null;
+}
+
+function validateRole(role) {
+  return ROLES[role] ? null : `Unknown role: ${role}. Use one of ${Object.keys(ROLES).join(', ')}`;
+}
+
+const hasRole = (admin, role) => Boolean(admin && ROLES[admin.role] && ROLES[admin.role].rank >= ROLES[role].rank);
+
+// Checked against when the username does not exist, so a miss takes as long as a wrong password
+let dummyHash;
+
+/**
+ * Resolves to the admin account for a username and password, or null. Disabled accounts cannot sign in.
+ */
+async function authenticateAdmin(username, password) {
+  const admin = username ? await db.AdminUser.findOne({ username: String(username).trim() }).lean() : null;
+  if (!admin) {
+    dummyHash = dummyHash || await hashPassword(crypto.randomBytes(16).toString('hex'));
+    await verifyPassword(password, dummyHash);
+    return null;
+  }
+  if (!(await verifyPassword(password, admin.passwordHash)) || admin.disabled) return null;
+  return admin;
+}
+
+/**
+ * Creates the first super-admin from ADMIN_USERNAME/ADMIN_PASSWORD when there are no admin accounts yet,
+ * so existing deployments keep their login. Resolves to true when an account was created.
+ */
+async function ensureBootstrapAdmin() {
+  const username = process.env.ADMIN_USERNAME;
+  const password = process.env.ADMIN_PASSWORD;
+  if (!username || !password) return false;
+  if (await db.AdminUser.countDocuments({}) > 0) return false;
+  await db.createAdminUser({ id: Date.now().toString(), username, passwordHash: await hashPassword(password), role: 'super-admin' });
+  return true;
+}
+
+async function startAdminSession(req, res, admin) {
+  const token = crypto.randomBytes(32).toString('hex');
+  await db.AdminSession.create({
+    tokenHash: hashToken(token),
+    adminId: admin.id,
+    userAgent: req.get('user-agent') || '',
+    ip: req.ip,
+    expiresAt: new Date(Date.now() + SESSION_TTL_MS)
+  });
+  await db.AdminUser.updateOne({ id: admin.id }, { lastLoginAt: new Date() });
+  res.cookie(ADMIN_COOKIE_NAME, token, ADMIN_COOKIE_OPTIONS);
+}
+
+async function endAdminSession(req, res) {
+  const token = req.signedCookies && req.signedCookies[ADMIN_COOKIE_NAME];
+  if (token) await db.AdminSession.deleteOne({ tokenHash: hashToken(token) });
+  res.clearCookie(ADMIN_COOKIE_NAME, { ...ADMIN_COOKIE_OPTIONS, maxAge: 0 });
+}
+
+// Signs an admin out everywhere, e.g. after a password or role change
+async function revokeAdminSessions(adminId) {
+  const { deletedCount } = await db.AdminSession.deleteMany({ adminId });
+  return deletedCount;
+}
+
+/**
+ * Resolves to the admin account behind the request's session cookie, or null when the session
+ * was revoked or expired or the account was disabled.
+ */
+async function loadAdmin(req) {
+  const token = req.signedCookies && req.signedCookies[ADMIN_COOKIE_NAME];
+  if (!token) return null;
+  const session = await db.AdminSession.findOne({ tokenHash: hashToken(token), expiresAt: { $gt: new Date() } }).lean();
+  if (!session) return null;
+  const admin = await db.AdminUser.findOne({ id: session.adminId }, { passwordHash: 0 }).lean();
+  return admin && !admin.disabled ? admin : null;
+}
+
+/**
+ * Express middleware that lets through admins with at least `role` and sets `req.admin`.
+ */
+function requireRole(role) {
+  if (!ROLES[role]) throw new Error(`Unknown role: ${role}`);
+  return async (req, res, next) => {
+    try {
+      const admin = await loadAdmin(req);
+      if (!admin) return res.status(401).json({ error: 'Admin login required' });
+      if (!hasRole(admin, role)) return res.status(403).json({ error: `Requires the ${ROLES[role].label} role` });
+      req.admin = admin;
+      next();
+    } catch (err) {
+      next(err);
+    }
+  };
+}
+
+module.exports = {
+  ROLES,
+  hashPassword,
+  verifyPassword,
+  validatePassword,
+  validateRole,
+  hasRole,
+  authenticateAdmin,
+  ensureBootstrapAdmin,
+  startAdminSession,
+  endAdminSession,
+  revokeAdminSessions,
+  loadAdmin,
+  requireRole,
+};
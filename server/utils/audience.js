@@ -0,0 +1,209 @@
+const db = require('../db');
+const { LEGACY_ALIASES, findGroupByName, listGroups } = require('./memberGroups');
+
+const PREVIEW_LIMIT = 200;
+const ID_FIELDS = ['segmentIds', 'designationIds', 'teamIds', 'memberIds', 'excludeIds'];
+
+/**
+ * A campaign audience combines filters:
+ *   segmentIds                members of these saved segments (see utils/segments.js)
+ *   designationIds / teamIds  members in any of these designations or teams
+ *   allTeams                  members in any team
+ *   registeredFrom / registeredTo  narrows those filters to members who registered in the range
+ *   memberIds                 hand-picked members, added whatever the filters say
+ *   excludeIds                members left out even when a filter or the hand-picked list matches
+ * A date range on its own selects everyone who registered in it.
+ * With `allowSegments: false` (a segment's own rules) segmentIds are rejected.
+ * Resolves to { audience } ready to store, or { error } for input the API should reject.
+ */
+async function normalizeAudience(input, { allowSegments = true } = {}) {
+  let raw = input;
+  if (typeof raw === 'string') {
+    try { raw = JSON.parse(raw); } catch (e) { return { error: 'Audience must be valid JSON' }; }
+  }
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) return { error: 'Audience is required' };
+
+  const audience = { allTeams: raw.allTeams === true || raw.allTeams === 'true' };
+  for (const field of ID_FIELDS) {
+    const value = raw[field] == null ? [] : raw[field];
+    if (!Array.isArray(value)) return { error: `${field} must be a list of ids` };
+    audience[field] = [...new Set(value.map(String).filter(Boolean))];
+  }
+
+  for (const field of ['registeredFrom', 'registeredTo']) {
+    if (!raw[field]) continue;
+    const date = new Date(raw[field]);
+    if (isNaN(date)) return { error: `${field} is not a valid date` };
+    audience[field] = date.toISOString();
+  }
+  if (audience.registeredFrom && audience.registeredTo && audience.registeredFrom > audience.registeredTo) {
+    return { error: 'The registration range ends before it starts' };
+  }
+
+  if (audience.segmentIds.length > 0) {
+    if (!allowSegments) return { error: 'A segment cannot include other segments' };
+    if ((await db.Segment.countDocuments({ id: { $in: audience.segmentIds } })) !== audience.segmentIds.length) {
+      return { error: 'Unknown segment in audience' };
+    }
+  }
+  for (const [kind, field] of [['designation', 'designationIds'], ['team', 'teamIds']]) {
+    if (audience[field].length === 0) continue;
+    const known = new Set((await listGroups(kind)).map(g => g.id));
+    if (audience[field].some(id => !known.has(id))) return { error: `Unknown ${kind} in audience` };
+  }
+
+  if (!hasFilters(audience) && audience.memberIds.length === 0 && audience.segmentIds.length === 0) {
+    return { error: 'Choose who should receive the campaign' };
+  }
+  return { audience };
+}
+
+const hasFilters = (audience) =>
+  audience.designationIds.length > 0 || audience.teamIds.length > 0 || audience.allTeams ||
+  !!audience.registeredFrom || !!audience.registeredTo;
+
+/**
+ * Mongo query for a normalized audience; `segments` are the stored segments its segmentIds refer to.
+ */
+function audienceQuery(audience, segments = []) {
+  const include = segments.map(segmentQuery);
+  if (hasFilters(audience)) {
+    const groups = [];
+    if (audience.designationIds.length > 0) groups.push({ designationIds: { $in: audience.designationIds } });
+    if (audience.allTeams) groups.push({ teamIds: { $exists: true, $ne: [] } });
+    else if (audience.teamIds.length > 0) groups.push({ teamIds: { $in: audience.teamIds } });
+
+    const filter = groups.length === 1 ? groups[0] : groups.length > 1 ? { $or: groups } : {};
+    if (audience.registeredFrom || audience.registeredTo) {
+      filter.createdAt = {};
+      if (audience.registeredFrom) filter.createdAt.$gte = new Date(audience.registeredFrom);
+      if (audience.registeredTo) filter.createdAt.$lte = new Date(audience.registeredTo);
+    }
+    include.push(filter);
+  }
+  if (audience.memberIds.length > 0) include.push({ id: { $in: audience.memberIds } });
+  // Only segments that have since been deleted
+  if (include.length === 0) return { id: { $in: [] } };
+
+  const query = include.length === 1 ? include[0] : { $or: include };
+  return audience.excludeIds.length > 0 ? { $and: [query, { id: { $nin: audience.excludeIds } }] } : query;
+}
+
+// A static segment is its member list; a dynamic one is its rules, evaluated now
+const segmentQuery = (segment) =>
+  segment.type === 'static' ? { id: { $in: segment.memberIds || [] } } : audienceQuery(segment.rules);
+
+// Audiences stored before segments existed have no segmentIds
+const audienceSegments = async (audience) =>
+  audience.segmentIds && audience.segmentIds.length > 0 ? await db.Segment.find({ id: { $in: audience.segmentIds } }).lean() : [];
+
+/**
+ * Members in a normalized audience, oldest registration first.
+ */
+async function resolveAudience(audience) {
+  return await db.User.find(audienceQuery(audience, await audienceSegments(audience))).sort({ createdAt: 1 }).lean();
+}
+
+/**
+ * Short description of an audience for campaign history and schedules,
+ * e.g. "Partner, Founder · Team: Chennai · +2 members · 1 excluded".
+ */
+async function describeAudience(audience) {
+  const names = async (kind, ids) => {
+    if (ids.length === 0) return [];
+    const byId = new Map((await listGroups(kind)).map(g => [g.id, g.name]));
+    return ids.map(id => byId.get(id)).filter(Boolean);
+  };
+  const parts = [];
+  const segments = await audienceSegments(audience);
+  if (segments.length > 0) parts.push(`Segment: ${segments.map(s => s.name).join(', ')}`);
+  const designations = await names('designation', audience.designationIds);
+  if (designations.length > 0) parts.push(designations.join(', '));
+  if (audience.allTeams) parts.push('All teams');
+  else {
+    const teams = await names('team', audience.teamIds);
+    if (teams.length > 0) parts.push(`Team: ${teams.join(', ')}`);
+  }
+  const day = (iso) => iso.slice(0, 10);
+  if (audience.registeredFrom || audience.registeredTo) {
+    const range = audience.registeredFrom && audience.registeredTo
+      ? `${day(audience.registeredFrom)} to ${day(audience.registeredTo)}`
+      : audience.registeredFrom ? `since ${day(audience.registeredFrom)}` : `until ${day(audience.registeredTo)}`;
+    parts.push(parts.length > 0 ? `registered ${range}` : `Registered ${range}`);
+  }
+  const plural = (n, word) => `${n} ${word}${n === 1 ? '' : 's'}`;
+  if (audience.memberIds.length > 0) parts.push(`${parts.length > 0 ? '+' : ''}${plural(audience.memberIds.length, 'member')}`);
+  if (audience.excludeIds.length > 0) parts.push(`${audience.excludeIds.length} excluded`);
+  return parts.join(' · ');
+}
+
+/**
+ * Converts the single audience value SendPosters used to send (and schedules saved then still hold):
+ * a designation name, 'Team' for everyone in a team, 'Team: <name>' for one team, or an alias such as 'both'.
+ * Resolves to a normalized audience, or null when the designation or team no longer exists.
+ */
+async function audienceFromDesignation(designation) {
+  const value = String(designation || '').trim();
+  const audience = { segmentIds: [], designationIds: [], teamIds: [], allTeams: false, memberIds: [], excludeIds: [] };
+  const team = value.match(/^Team:\s*(.+)$/i);
+  if (value.toLowerCase() === 'team') {
+    audience.allTeams = true;
+    return audience;
+  }
+  if (team) {
+    const group = await findGroupByName('team', team[1]);
+    if (!group) return null;
+    audience.teamIds.push(group.id);
+    return audience;
+  }
+
+  const names = LEGACY_ALIASES[value.toLowerCase()] || [value];
+  const groups = (await Promise.all(names.map(name => findGroupByName('designation', name)))).filter(Boolean);
+  if (groups.length === 0) return null;
+  audience.designationIds = groups.map(g => g.id);
+  return audience;
+}
+
+/**
+ * Audience from a request body: `audience` (an object, or JSON in a multipart form) or,
+ * from older clients, a single `designation` value. Resolves to { audience } or { error }.
+ */
+async function audienceFromRequest(body = {}) {
+  if (body.audience) return await normalizeAudience(body.audience);
+  if (!body.designation) return { error: 'Choose who should receive the campaign' };
+  const audience = await audienceFromDesignation(body.designation);
+  if (!audience) return { error: `No designation or team called "${body.designation}"` };
+  return { audience };
+}
+
+/**
+ * Count and first members of an audience, for the preview SendPosters shows before sending.
+ */
+async function previewAudience(audience, limit = PREVIEW_LIMIT) {
+  const members = await resolveAudience(audience);
+  return {
+    count: members.length,
+    withoutPhoto: members.filter(m => !(m.photoUrl || m.photo)).length,
+    label: await describeAudience(audience),
+    members: members.slice(0, limit).map(m => ({
+      id: m.id,
+      name: m.name,
+      email: m.email,
+      designation: m.designation,
+      teamName: m.teamName,
+      createdAt: m.createdAt,
+      hasPhoto: !!(m.photoUrl || m.photo)
+    }))
+  };
+}
+
+module.exports = {
+  normalizeAudience,
+  audienceQuery,
+  segmentQuery,
+  resolveAudience,
+  describeAudience,
+  audienceFromDesignation,
+  audienceFromRequest,
+  previewAudience
+};
@@ -0,0 +1,77 @@
+const db = require('../db');
+
+// Actions recorded in the audit log, with the label the admin panel shows for them
+const AUDIT_ACTIONS = {
+  'member.create': 'Member added',
+  'member.update': 'Member edited',
+  'member.photo': 'Member photo replaced',
+  'member.delete': 'Member deleted',
+  'member.import': 'Members imported',
+  'member.export': 'Members exported',
+  'member.revision.approve': 'Profile change approved',
+  'member.revision.reject': 'Profile change rejected',
+  'campaign.send': 'Campaign sent',
+  'campaign.retry': 'Campaign retried',
+  'schedule.create': 'Campaign scheduled',
+  'schedule.update': 'Schedule changed',
+  'schedule.cancel': 'Schedule cancelled',
+  'segment.create': 'Segment saved',
+  'segment.update': 'Segment changed',
+  'segment.delete': 'Segment deleted',
+  'designation.create': 'Designation added',
+  'designation.update': 'Designation renamed',
+  'designation.delete': 'Designation deleted',
+  'team.create': 'Team added',
+  'team.update': 'Team renamed',
+  'team.delete': 'Team deleted',
+  'admin.create': 'Admin account added',
+  'admin.update': 'Admin account changed',
+  'admin.delete': 'Admin account deleted',
+  'admin.revoke-sessions': 'Admin signed out everywhere',
+};
+
+// Member snapshot for before/after comparisons, without Mongo internals
+function snapshotMember(user) {
+  if (!user) return null;
+  const plain = typeof user.toObject === 'function' ? user.toObject() : user;
+  const { _id, __v, ...rest } = plain;
+  return rest;
+}
+
+/**
+ * Appends an entry for an action taken by the admin on `req` (set by requireRole).
+ * The action has already been done when this runs, so nothing here throws: an unknown action is
+ * stored anyway and logged as a bug in the caller, and an entry the schema rejects or a failed write is logged.
+ */
+async function recordAudit(req, { action, targetType, targetId, memberId, before, after, details }) {
+  if (!AUDIT_ACTIONS[action]) console.error(`Unknown audit action: ${action}`);
+  const entry = {
+    action,
+    adminId: req.admin && req.admin.id,
+    adminUsername: req.admin && req.admin.username,
+    ip: req.ip,
+    userAgent: req.get('user-agent') || '',
+    targetType,
+    targetId,
+    memberId,
+    before: snapshotMember(before),
+    after: snapshotMember(after),
+    details
+  };
+  const invalid = new db.AuditLog(entry).validateSync();
+  if (invalid) {
+    console.error(`Invalid audit entry ${action} (${targetType} ${targetId}):`, invalid.message);
+    return;
+  }
+  try {
+    await db.recordAuditEntry(entry);
+  } catch (err) {
+    console.error(`Failed to record audit entry ${action}:`, err.message);
+  }
+}
+
+module.exports = {
+  AUDIT_ACTIONS,
+  snapshotMember,
+  recordAudit,
+};
@@ -0,0 +1,297 @@
+const fs = require('fs');
+const path = require('path');
+
+const db = require('../db');
+const { CHANNELS, memberChannels, deliverOnChannels } = require('./deliveryChannels');
+const { renderMemberPoster } = require('./posterRenderer');
+const { materializeTemplate } = require('./templates');
+const { resolveAudience, describeAudience } = require('./audience');
+const { loadFooterLayout } = require('./footerLayouts');
+const { resolveOutputProfiles } = require('./outputProfiles');
+const { signPrintLink } = require('./printLinks');
+const { loadEmailTemplate } = require('./emailTemplates');
+const { archiveMemberPoster } = require('./memberPosters');
+
+const UPLOADS_DIR = path.join(__dirname, '../uploads');
+const OUTPUT_DIR = path.join(__dirname, '../output');
+const SEND_LOOKAHEAD = Number(process.env.EMAIL_QUEUE_LOOKAHEAD) || 3;
+
+// Campaign ids waiting for the worker. Campaigns run one at a time so a large send
+// does not compete with itself for the Gmail connection or sharp's thread pool.
+const queue = [];
+let draining = false;
+
+// Signed download link for the member's print PDF; needs BACKEND_URL so the link points at this server
+function printUrl(memberId, templateId) {
+  const baseUrl = process.env.BACKEND_URL;
+  if (!baseUrl || !memberId) return undefined;
+  return `${baseUrl.replace(/\/$/, '')}/api/posters/print?${signPrintLink(memberId, templateId)}`;
+}
+
+/**
+ * Renders one member's poster and sends it on `channels` (default: the member's preference, see
+ * utils/deliveryChannels.js). `onRendered(outputs)` is called between the two steps so the campaign can
+ * count rendered posters separately from delivered ones and keep a copy for the member portal.
+ * `options` is passed through to renderMemberPoster; with `options.templateId` (a library template)
+ * the message also links to the member's print PDF; `options.emailTemplate` is the stored email to send.
+ * Resolves to the per-channel results; render errors are rethrown with `stage` set to 'photo' or 'render'.
+ */
+async function deliverPoster(person, templatePath, onRendered = async () => {}, options = {}, channels = memberChannels(person)) {
+  const finalImagePath = path.join(OUTPUT_DIR, `final_${Date.now()}_${person.id}_${person.name.replace(/\s+/g, '_')}.jpeg`);
+  let outputs = [];
+
+  try {
+    outputs = await renderMemberPoster(person, templatePath, finalImagePath, options);
+    await onRendered(outputs);
+
+    return await deliverOnChannels(person, {
+      data: {
+        Name: person.name,
+        Email: person.email,
+        Phone: person.phone,
+        Designation: person.designation,
+        TeamName: person.teamName,
+        Language: person.language,
+        PrintUrl: options.templateId ? printUrl(person.id, options.templateId) : undefined
+      },
+      attachments: options.profiles ? outputs : finalImagePath,
+      outputs,
+      imagePath: finalImagePath,
+      emailTemplate: options.emailTemplate
+    }, channels);
+  } finally {
+    const files = new Set([finalImagePath, ...outputs.map(o => o.path)]);
+    for (const file of files) {
+      try { await fs.promises.unlink(file); } catch (e) { /* ignore */ }
+    }
+  }
+}
+
+/**
+ * Returns a local path to the campaign's template. Library templates are copied back to disk
+ * when the file is missing (new campaign, or the container restarted since the last run).
+ */
+async function ensureCampaignTemplate(campaign) {
+  if (campaign.templatePath && fs.existsSync(campaign.templatePath)) return campaign.templatePath;
+  if (!campaign.templateId) throw new Error('Campaign template is no longer available');
+
+  const templatePath = path.join(UPLOADS_DIR, `campaign_${campaign.id}_template`);
+  await materializeTemplate(campaign.templateId, templatePath);
+  await db.updateCampaign(campaign.id, { templatePath });
+  return templatePath;
+}
+
+async function runCampaign(campaignId) {
+  const campaign = await db.getCampaign(campaignId);
+  if (!campaign || ['completed', 'failed'].includes(campaign.status)) return;
+
+  await db.updateCampaign(campaignId, { status: 'running', startedAt: campaign.startedAt || new Date() });
+  const templatePath = await ensureCampaignTemplate(campaign);
+  const layout = await loadFooterLayout({ footerLayoutId: campaign.footerLayoutId, templateId: campaign.templateId });
+  const template = campaign.templateId ? await db.getTemplate(campaign.templateId) : null;
+  // Campaigns without output profiles keep sending the single standard poster
+  let profiles;
+  if (campaign.outputProfiles && campaign.outputProfiles.length > 0) {
+    const resolved = resolveOutputProfiles(campaign.outputProfiles);
+    if (resolved.error) throw new Error(resolved.error);
+    profiles = resolved.profiles;
+  }
+  const emailTemplate = await loadEmailTemplate(campaign.emailTemplateId);
+  const renderOptions = {
+    layout,
+    placement: template ? template.placement : undefined,
+    profiles,
+    templateId: campaign.templateId,
+    emailTemplate
+  };
+
+  // pendingIds only holds members not yet processed, so a restarted worker resumes where it stopped.
+  const pendingIds = campaign.pendingIds || [];
+  const members = await db.User.find({ id: { $in: pendingIds } }).lean();
+  const byId = new Map(members.map(m => [m.id, m]));
+  // Channels that already delivered in an earlier try are not sent again on a retry
+  const delivered = await db.getDeliveredChannels(campaignId, pendingIds);
+
+  const inFlight = new Set();
+  for (const memberId of pendingIds) {
+    const person = byId.get(memberId);
+    if (!person) {
+      console.warn(`Campaign ${campaignId}: member ${memberId} no longer exists, skipping.`);
+      await db.recordDeliveryAttempt({ campaignId, memberId, status: 'failed', stage: 'member', error: 'Member no longer exists' });
+      await db.updateCampaign(campaignId, { $inc: { failed: 1 }, $pull: { pendingIds: memberId } });
+      continue;
+    }
+
+    const attempt = { campaignId, memberId, name: person.name, email: person.email };
+    const alreadySent = delivered.get(memberId) || new Set();
+    const channels = memberChannels(person).filter(c => !alreadySent.has(c));
+    if (channels.length === 0) {
+      // retryFailedRecipients took back the render of a poster that failed to deliver; nothing is rendered again,
+      // so count it back. A member left pending by a crash after delivering still has a 'sent' latest attempt.
+      const [latest] = await db.DeliveryAttempt.find({ campaignId, memberId }).sort({ createdAt: -1 }).limit(1).lean();
+      const renderRestored = latest && latest.status === 'failed' && latest.superseded && CHANNELS[latest.stage] ? 1 : 0;
+      await db.updateCampaign(campaignId, { $inc: { sent: 1, rendered: renderRestored }, $pull: { pendingIds: memberId } });
+      continue;
+    }
+
+    const task = (async () => {
+      try {
+        const onRendered = async (outputs) => {
+          await db.updateCampaign(campaignId, { $inc: { rendered: 1 } });
+          try {
+            await archiveMemberPoster(person, campaign, outputs);
+          } catch (err) {
+            // The member still gets the poster; it just won't show up in their portal
+            console.error(`Failed to store poster for ${person.name}:`, err.message);
+          }
+        };
+        const results = await deliverPoster(person, templatePath, onRendered, renderOptions, channels);
+        // A member counts as sent only once every preferred channel delivered
+        const failures = results.filter(r => r.status === 'failed');
+        if (failures.length === 0) {
+          await db.recordDeliveryAttempt({ ...attempt, status: 'sent', channels: results });
+          await db.updateCampaign(campaignId, { $inc: { sent: 1 }, $pull: { pendingIds: memberId } });
+        } else {
+          await db.recordDeliveryAttempt({
+            ...attempt,
+            status: 'failed',
+            stage: failures[0].channel,
+            error: failures.map(f => `${CHANNELS[f.channel].label}: ${f.error}`).join('; '),
+            channels: results
+          });
+          await db.updateCampaign(campaignId, { $inc: { failed: 1 }, $pull: { pendingIds: memberId } });
+        }
+      } catch (err) {
+        console.error(`Failed to generate/send poster for ${person.name}:`, err.message);
+        try {
+          await db.recordDeliveryAttempt({ ...attempt, status: 'failed', stage: err.stage, error: err.message });
+          await db.updateCampaign(campaignId, { $inc: { failed: 1 }, $pull: { pendingIds: memberId } });
+        } catch (e) {
+          // A task must not reject: the loop would stop and the campaign be marked failed while others still send.
+          // The member stays in pendingIds, so a resumed or retried run picks them up again.
+          console.error(`Failed to record the failure for ${person.name}:`, e.message);
+        }
+      }
+    })().finally(() => inFlight.delete(task));
+    inFlight.add(task);
+
+    // Render a few posters ahead while earlier ones wait in the rate-limited send queue
+    if (inFlight.size >= SEND_LOOKAHEAD) await Promise.race(inFlight);
+  }
+  await Promise.all(inFlight);
+
+  // The template is kept after the run so failed recipients can be retried with it.
+  await db.updateCampaign(campaignId, { status: 'completed', finishedAt: new Date() });
+}
+
+async function drainQueue() {
+  if (draining) return;
+  draining = true;
+  try {
+    while (queue.length > 0) {
+      const campaignId = queue.shift();
+      try {
+        await runCampaign(campaignId);
+      } catch (err) {
+        console.error(`Campaign ${campaignId} failed:`, err);
+        try {
+          await db.updateCampaign(campaignId, { status: 'failed', error: err.message, finishedAt: new Date() });
+        } catch (e) { /* ignore */ }
+      }
+    }
+  } finally {
+    draining = false;
+  }
+}
+
+/**
+ * Adds a persisted campaign to the worker queue. Returns immediately; the send runs in the background.
+ */
+function enqueueCampaign(campaignId) {
+  if (!queue.includes(campaignId)) queue.push(campaignId);
+  setImmediate(drainQueue);
+}
+
+/**
+ * Resolves the audience (see utils/audience.js), persists a campaign job for it and queues it for the worker.
+ * `designation` is the label shown in campaign history and defaults to a description of the audience.
+ * Resolves to the campaign, or null when the audience has no recipients.
+ */
+async function launchCampaign({
+  audience,
+  designation,
+  teamName,
+  templateId,
+  templateName,
+  templatePath,
+  footerLayoutId,
+  outputProfiles,
+  emailTemplateId,
+  scheduleId
+}) {
+  const recipients = await resolveAudience(audience);
+  if (recipients.length === 0) return null;
+
+  const recipientIds = recipients.map(r => r.id);
+  const campaign = await db.createCampaign({
+    id: Date.now().toString(),
+    audience,
+    designation: designation || await describeAudience(audience),
+    teamName,
+    templateId,
+    templateName,
+    templatePath,
+    footerLayoutId,
+    outputProfiles,
+    emailTemplateId,
+    scheduleId,
+    recipientIds,
+    pendingIds: recipientIds,
+    total: recipientIds.length
+  });
+  enqueueCampaign(campaign.id);
+  return campaign;
+}
+
+/**
+ * Queues a finished campaign again for only the members whose latest attempt failed
+ * (plus any left pending if the run itself crashed). Their failed attempts are marked
+ * superseded so the history shows only the outcome of the newest try.
+ * Resolves to the number of members queued.
+ */
+async function retryFailedRecipients(campaign) {
+  const failedAttempts = await db.getDeliveryAttempts(campaign.id, { status: 'failed', superseded: { $ne: true } });
+  const failedIds = [...new Set(failedAttempts.map(a => a.memberId))];
+  const memberIds = [...new Set([...(campaign.pendingIds || []), ...failedIds])];
+  if (memberIds.length === 0) return 0;
+
+  // Posters that rendered but failed to deliver will be rendered again
+  const renderedAgain = failedAttempts.filter(a => CHANNELS[a.stage]).length;
+
+  await db.DeliveryAttempt.updateMany({ campaignId: campaign.id, status: 'failed', superseded: { $ne: true } }, { superseded: true });
+  await db.updateCampaign(campaign.id, {
+    status: 'queued',
+    pendingIds: memberIds,
+    $inc: { failed: -failedIds.length, rendered: -renderedAgain, retries: 1 },
+    $unset: { finishedAt: 1, error: 1 }
+  });
+  enqueueCampaign(campaign.id);
+  return memberIds.length;
+}
+
+/**
+ * Re-queues campaigns that were queued or mid-run when the process last stopped.
+ */
+async function resumePendingCampaigns() {
+  const pending = await db.Campaign.find({ status: { $in: ['queued', 'running'] } }).sort({ createdAt: 1 }).lean();
+  pending.forEach(c => enqueueCampaign(c.id));
+  return pending.length;
+}
+
+module.exports = {
+  enqueueCampaign,
+  launchCampaign,
+  retryFailedRecipients,
+  resumePendingCampaigns,
+  deliverPoster,
+};
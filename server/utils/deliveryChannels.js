@@ -0,0 +1,91 @@
+const { sendEmail } = require('./emailSender');
+const { sendWhatsAppPoster } = require('./whatsapp');
+const { whatsappText } = require('./i18n');
+
+// Members without a saved preference keep getting email only
+const DEFAULT_CHANNELS = ['email'];
+
+// The rendered output WhatsApp gets: the status-sized variant when the campaign made one, else the first image
+function whatsappPoster(poster) {
+  const images = poster.outputs.filter(o => o.contentType.startsWith('image/'));
+  const output = images.find(o => o.profile === 'whatsapp_status') || images[0];
+  return output ? { path: output.path, contentType: output.contentType } : { path: poster.imagePath, contentType: 'image/jpeg' };
+}
+
+/**
+ * Delivery channels a rendered poster can go out on. `send(person, poster)` gets the member and
+ * { data, attachments, outputs, imagePath, emailTemplate } and resolves to { messageId } once delivered.
+ */
+const CHANNELS = {
+  email: {
+    label: 'Email',
+    async send(person, poster) {
+      if (!person.email) throw new Error('Member has no email address');
+      const info = await sendEmail(poster.data, poster.attachments, { emailTemplate: poster.emailTemplate });
+      return { messageId: info && info.messageId };
+    },
+  },
+  whatsapp: {
+    label: 'WhatsApp',
+    async send(person, poster) {
+      const { path, contentType } = whatsappPoster(poster);
+      const { Name, Language, PrintUrl } = poster.data;
+      const caption = [
+        whatsappText(Language, 'caption', { name: Name }),
+        PrintUrl ? whatsappText(Language, 'printLink', { link: PrintUrl }) : null,
+      ].filter(Boolean).join('\n\n');
+      const { messageId } = await sendWhatsAppPoster({
+        phone: person.phone,
+        imagePath: path,
+        contentType,
+        caption,
+        name: Name,
+        language: Language || 'en',
+      });
+      console.log(`✅ WhatsApp poster sent to ${person.name}`);
+      return { messageId };
+    },
+  },
+};
+
+/**
+ * Returns an error message for an invalid channel preference, or null when it can be saved.
+ */
+function validateChannels(channels) {
+  if (!Array.isArray(channels) || channels.length === 0) return 'Choose at least one delivery channel';
+  const unknown = channels.filter(c => !CHANNELS[c]);
+  if (unknown.length > 0) return `Unknown delivery channel: ${unknown.join(', ')}. Use one of ${Object.keys(CHANNELS).join(', ')}`;
+  return null;
+}
+
+// The member's preferred channels, ignoring anything no longer supported
+function memberChannels(person) {
+  const preferred = (person.channels || []).filter(c => CHANNELS[c]);
+  return preferred.length > 0 ? [...new Set(preferred)] : DEFAULT_CHANNELS;
+}
+
+/**
+ * Sends the poster on each of `channels` in turn. A failure on one channel does not stop the others;
+ * resolves to one { channel, status, messageId?, error? } per channel.
+ */
+async function deliverOnChannels(person, poster, channels) {
+  const results = [];
+  for (const channel of channels) {
+    try {
+      const { messageId } = await CHANNELS[channel].send(person, poster);
+      results.push({ channel, status: 'sent', messageId });
+    } catch (err) {
+      console.error(`❌ ${CHANNELS[channel].label} delivery failed for ${person.name}:`, err.message);
+      results.push({ channel, status: 'failed', error: err.message });
+    }
+  }
+  return results;
+}
+
+module.exports = {
+  CHANNELS,
+  DEFAULT_CHANNELS,
+  validateChannels,
+  memberChannels,
+  deliverOnChannels,
+};
@@ -1,104 +1,96 @@
 require('dotenv').config(); // Ensure this is at the top
-const nodemailer = require('nodemailer');
-const fs = require('fs');
+const { getTransport, verifyTransport, fromAddress } = require('./mailTransport');
+const { queueMail } = require('./sendQueue');
+const { renderEmailTemplate } = require('./emailTemplates');
+const { emailText } = require('./i18n');
 
-const createTransporter = () => {
-  const email = process.env.GMAIL_USER;
-  const appPassword = process.env.GMAIL_PASS;
-
-  if (!email || !appPassword) {
-    throw new Error('Email credentials not configured. Please set EMAIL and APP_PASSWORD in .env file');
-  }
-
-  return nodemailer.createTransport({
-    service: 'gmail',
-    auth: {
-      user: email,
-      pass: appPassword,
-    },
-  });
-};
+// Which variant of the built-in copy a designation gets
+function designationKind(designation) {
+  const lower = String(designation || '').toLowerCase();
+  if (lower.includes('health')) return 'Health';
+  if (lower.includes('wealth')) return 'Wealth';
+  return 'General';
+}
 
-function generateSubject(designation) {
-  const lower = designation.toLowerCase();
-  if (lower.includes("health")) {
-    return "Reach More Families – Build Trust in Health Planning 💡";
-  } else if (lower.includes("wealth")) {
-    return "This Simple Step Can Boost Your Wealth Advisory Reach 📈";
-  } else {
-    return "Your Clients Trust You – Here’s a Way to Grow That Trust 🤝";
-  }
+function generateSubject(designation, language) {
+  return emailText(language, `subject${designationKind(designation)}`);
 }
 
 function generateEmailContent(data) {
-  const { Name, Email, Phone, Designation } = data;
-
-  const isHealth = Designation.toLowerCase().includes('health');
-  const isWealth = Designation.toLowerCase().includes('wealth');
-
-  const introLine = isHealth
-    ? "Your expertise in protecting families is more valuable than ever."
-    : isWealth
-      ? "Financial confidence begins with trust — and you’re the bridge to that confidence."
-      : "You help your clients build both security and prosperity — now it's time to amplify your impact.";
-
-  const benefit = isHealth
-    ? "This message reminds families of the power of proactive health planning. When shared consistently, it builds confidence and connections."
-    : isWealth
-      ? "This message highlights smart monthly income and long-term growth — a perfect conversation starter with new and existing clients."
-      : "This message touches both financial growth and health security — a tool that opens doors for deeper client relationships.";
+  const { Name, Email, Phone, Designation, PrintUrl, Language } = data;
+  const kind = designationKind(Designation);
+  const t = (key, vars) => emailText(Language, key, vars);
+  const printLink = `<a href="${PrintUrl}" style="color: #1B75BB;">${t('printLinkText')}</a>`;
 
   return `
     <div style="font-family: Arial, sans-serif; max-width: 640px; margin: 0 auto; background-color: #ffffff; padding: 24px; border-radius: 10px; border: 1px solid #e0e0e0;">
-      <h2 style="color: #2b2b2b; text-align: center;">Hello ${Name},</h2>
-      <p style="font-size: 16px; line-height: 1.6; color: #444;">${introLine}</p>
+      <h2 style="color: #2b2b2b; text-align: center;">${t('greeting', { name: Name })}</h2>
+      <p style="font-size: 16px; line-height: 1.6; color: #444;">${t(`intro${kind}`)}</p>
       <p style="font-size: 16px; line-height: 1.6; color: #444;">
-        We've created a professional visual tool personalized just for you — not just for display, but to <strong>spark client conversations and drive trust</strong>.
+        ${t('tool')}
       </p>
-      <p style="font-size: 16px; line-height: 1.6; color: #444;">${benefit}</p>
+      <p style="font-size: 16px; line-height: 1.6; color: #444;">${t(`benefit${kind}`)}</p>
       <p style="font-size: 16px; line-height: 1.6; color: #444;">
-        You can forward this to your customers, share it on WhatsApp, or even use it during client meetings — the possibilities are endless when trust is visual.
+        ${t('share')}
       </p>
+      ${PrintUrl ? `<p style="font-size: 16px; line-height: 1.6; color: #444;">
+        ${t('printLink', { link: printLink })}
+      </p>` : ''}
       <div style="font-size: 14px; color: #666; line-height: 1.6; margin-top: 20px;">
-        <strong>Your Info:</strong><br/>
-        Name: ${Name}<br/>
-        Designation: ${Designation}<br/>
-        Phone: ${Phone}<br/>
-        Email: ${Email}<br/>
-        Company: <strong>Wealth Plus</strong>
+        <strong>${t('yourInfo')}</strong><br/>
+        ${t('name')}: ${Name}<br/>
+        ${t('designation')}: ${Designation}<br/>
+        ${t('phone')}: ${Phone}<br/>
+        ${t('email')}: ${Email}<br/>
+        ${t('company')}: <strong>Wealth Plus</strong>
       </div>
       <p style="font-size: 14px; color: #888; text-align: center; margin-top: 30px;">
-        Stay consistent. Share with confidence. Build stronger relationships.<br/>
-        <strong>Wealth Plus Team</strong>
+        ${t('closing')}<br/>
+        <strong>${t('signature')}</strong>
       </p>
     </div>
   `;
 }
 
-async function sendEmail(data, imagePath) {
-  try {
-    const transporter = createTransporter();
-    await transporter.verify();
+/**
+ * Subject and HTML for one member in their language (`data.Language`): from the stored `emailTemplate`
+ * (see utils/emailTemplates.js) when given, otherwise the built-in designation-based email.
+ */
+function buildEmail(data, emailTemplate) {
+  if (emailTemplate) return renderEmailTemplate(emailTemplate, data);
+  return { subject: generateSubject(data.Designation, data.Language), html: generateEmailContent(data) };
+}
 
-    const subject = generateSubject(data.Designation);
-    const htmlContent = generateEmailContent(data);
+/**
+ * Emails the poster to a member. `posters` is a single image path, or a list of
+ * { filename, path, contentType } when several output variants are attached.
+ * `options.emailTemplate` replaces the built-in subject and body.
+ */
+async function sendEmail(data, posters, options = {}) {
+  try {
+    const { subject, html: htmlContent } = buildEmail(data, options.emailTemplate);
 
-    const mailOptions = {
-      from: process.env.EMAIL,
-      to: data.Email,
-      subject,
-      html: htmlContent,
-      attachments: [
+    const attachments = Array.isArray(posters)
+      ? posters.map(({ filename, path, contentType }) => ({ filename, path, contentType }))
+      : [
         {
           filename: 'poster.png',
-          path: imagePath,
+          path: posters,
           // Removed 'cid: personalizedCard' so it's not embedded inline
           contentType: 'image/png'
         }
-      ],
+      ];
+
+    const mailOptions = {
+      from: fromAddress(),
+      to: data.Email,
+      subject,
+      html: htmlContent,
+      attachments,
     };
 
-    const result = await transporter.sendMail(mailOptions);
+    // Paced by the send queue so provider rate limits are respected
+    const result = await queueMail(mailOptions);
     console.log(`✅ Email sent to ${data.Email}`);
     return result;
   } catch (err) {
@@ -107,10 +99,31 @@ async function sendEmail(data, imagePath) {
   }
 }
 
+/**
+ * Emails a member their portal sign-in link and one-time code, in their language.
+ * Sent straight through the transport rather than the send queue: a member waiting to sign in
+ * shouldn't sit behind a campaign's rate-limited backlog.
+ */
+async function sendMemberLoginEmail(member, { link, code }) {
+  const t = (key, vars) => emailText(member.language, key, vars);
+  const html = `
+    <div style="font-family: Arial, sans-serif; max-width: 640px; margin: 0 auto; background-color: #ffffff; padding: 24px; border-radius: 10px; border: 1px solid #e0e0e0;">
+      <h2 style="color: #2b2b2b; text-align: center;">${t('greeting', { name: member.name })}</h2>
+      <p style="font-size: 16px; line-height: 1.6; color: #444;">${t('loginIntro')}</p>
+      <p style="text-align: center; margin: 24px 0;">
+        <a href="${link}" style="background-color: #1B75BB; color: #ffffff; padding: 12px 24px; border-radius: 6px; text-decoration: none; font-weight: bold;">${t('loginButton')}</a>
+      </p>
+      <p style="font-size: 16px; line-height: 1.6; color: #444;">${t('loginCode', { code: `<strong style="letter-spacing: 4px;">${code}</strong>` })}</p>
+      <p style="font-size: 14px; color: #888; margin-top: 30px;">${t('loginIgnore')}</p>
+    </div>
+  `;
+  await verifyTransport();
+  return await getTransport().sendMail({ from: fromAddress(), to: member.email, subject: t('loginSubject'), html });
+}
+
 async function testEmailConfiguration() {
   try {
-    const transporter = createTransporter();
-    await transporter.verify();
+    await verifyTransport();
     console.log('✅ Email configuration is valid');
     return true;
   } catch (err) {
@@ -120,6 +133,8 @@ async function testEmailConfiguration() {
 }
 
 module.exports = {
+  buildEmail,
   sendEmail,
+  sendMemberLoginEmail,
   testEmailConfiguration,
 };
\ No newline at end of file
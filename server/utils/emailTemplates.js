@@ -0,0 +1,100 @@
+const db = require('../db');
+const { LANGUAGES, DEFAULT_LANGUAGE, normalizeLanguage } = require('./i18n');
+
+// {{placeholder}} -> field of the data object passed to sendEmail
+const PLACEHOLDERS = {
+  name: 'Name',
+  email: 'Email',
+  phone: 'Phone',
+  designation: 'Designation',
+  teamName: 'TeamName',
+  printUrl: 'PrintUrl',
+};
+
+const PLACEHOLDER_PATTERN = /\{\{\s*(\w+)\s*\}\}/g;
+
+const escapeHtml = (unsafe) => String(unsafe)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+/**
+ * Returns the placeholders used in `text` that we do not know how to fill.
+ */
+function unknownPlaceholders(text) {
+  const unknown = new Set();
+  for (const [, key] of String(text || '').matchAll(PLACEHOLDER_PATTERN)) {
+    if (!PLACEHOLDERS[key]) unknown.add(key);
+  }
+  return [...unknown];
+}
+
+function validateContent(subject, html, label = '') {
+  if (!subject || !String(subject).trim()) return `Subject${label} is required`;
+  if (!html || !String(html).trim()) return `Email body${label} is required`;
+  const unknown = unknownPlaceholders(`${subject} ${html}`);
+  if (unknown.length > 0) {
+    return `Unknown placeholder${unknown.length > 1 ? 's' : ''}${label}: ${unknown.map(k => `{{${k}}}`).join(', ')}`;
+  }
+  return null;
+}
+
+/**
+ * Validates email template input. Returns an error message, or null when it can be saved.
+ * `translations` maps a language code (see utils/i18n.js) to its own { subject, html }.
+ */
+function validateEmailTemplate({ name, subject, html, translations }) {
+  if (!name || !String(name).trim()) return 'Template name is required';
+  const contentError = validateContent(subject, html);
+  if (contentError) return contentError;
+  if (translations === undefined || translations === null) return null;
+  if (typeof translations !== 'object' || Array.isArray(translations)) return 'translations must be an object';
+  for (const [language, translation] of Object.entries(translations)) {
+    if (!LANGUAGES[language] || language === DEFAULT_LANGUAGE) return `Unsupported translation language: ${language}`;
+    const translationError = validateContent(translation && translation.subject, translation && translation.html, ` (${LANGUAGES[language]})`);
+    if (translationError) return translationError;
+  }
+  return null;
+}
+
+function fillPlaceholders(text, data, escape) {
+  return String(text).replace(PLACEHOLDER_PATTERN, (match, key) => {
+    if (!PLACEHOLDERS[key]) return match;
+    const value = data[PLACEHOLDERS[key]] || '';
+    return escape ? escapeHtml(value) : String(value);
+  });
+}
+
+/**
+ * Fills a stored template for one member, using the translation for `data.Language` when there is one.
+ * Values are HTML-escaped in the body, not in the subject.
+ */
+function renderEmailTemplate(template, data) {
+  const translations = template.translations || {};
+  const content = translations[normalizeLanguage(data.Language)] || template;
+  return {
+    subject: fillPlaceholders(content.subject, data, false).replace(/\s+/g, ' ').trim(),
+    html: fillPlaceholders(content.html, data, true),
+  };
+}
+
+/**
+ * Picks the stored email template for a send: the given id, else the one marked as default.
+ * Resolves to null when neither exists, in which case the built-in email is used.
+ */
+async function loadEmailTemplate(emailTemplateId) {
+  if (emailTemplateId) {
+    const template = await db.getEmailTemplate(emailTemplateId);
+    if (template) return template;
+  }
+  return await db.EmailTemplate.findOne({ isDefault: true }).lean();
+}
+
+module.exports = {
+  PLACEHOLDERS,
+  validateEmailTemplate,
+  renderEmailTemplate,
+  loadEmailTemplate,
+};
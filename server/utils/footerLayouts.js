@@ -0,0 +1,139 @@
+const db = require('../db');
+const { FOOTER_KEYS, footerText } = require('./i18n');
+
+// Member fields a footer line can show. `role` is the team name for team members and the
+// normalised designation (plus the brand suffix) for everyone else, as the footer always did.
+const FOOTER_FIELDS = ['name', 'role', 'designation', 'teamName', 'phone', 'email'];
+
+/**
+ * The footer as it was hard-coded in createFinalPoster. Sizes ending in `Ratio` are fractions
+ * of the poster width; everything else is in pixels at the 800px render width.
+ * Lines may use `textKey` / `prefixKey` (see utils/i18n.js) instead of literal `text` / `prefix`
+ * so they follow the member's language.
+ */
+const DEFAULT_FOOTER_LAYOUT = {
+  background: '#F0F7FF',
+  padding: 18,
+  brandName: 'WealthPlus',
+  photo: { show: true, left: 40, sizeRatio: 0.18 },
+  text: {
+    gap: 20,
+    color: '#292d6c',
+    fontFamily: '"NotoSans", "NotoEmoji"',
+    fontSizeRatio: 0.022,
+    minFontSize: 12,
+    lines: [
+      { field: 'name' },
+      { field: 'role', italic: true },
+      { textKey: 'tagline' },
+      { field: 'phone', prefixKey: 'phone' },
+    ],
+  },
+  divider: { show: true, color: '#1B75BB', width: 4 },
+  logo: { show: true, sizeRatio: 0.15, rightMargin: 24 },
+};
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Deep-merges plain objects; arrays (such as text.lines) replace the base value outright
+function mergeLayout(base, overrides) {
+  const merged = { ...base };
+  for (const [key, value] of Object.entries(overrides || {})) {
+    merged[key] = isPlainObject(value) && isPlainObject(base[key]) ? mergeLayout(base[key], value) : value;
+  }
+  return merged;
+}
+
+function resolveFooterLayout(overrides) {
+  return mergeLayout(DEFAULT_FOOTER_LAYOUT, overrides || {});
+}
+
+/**
+ * Returns an error message for a layout that the renderer cannot draw, or null when it is usable.
+ */
+function validateFooterLayout(layout) {
+  if (!isPlainObject(layout)) return 'Layout must be an object';
+  const resolved = resolveFooterLayout(layout);
+  const lines = resolved.text.lines;
+  if (!Array.isArray(lines) || lines.length === 0) return 'Layout needs at least one text line';
+  for (const line of lines) {
+    if (!isPlainObject(line)) return 'Each text line must be an object';
+    if (line.field === undefined && line.text === undefined && line.textKey === undefined) {
+      return 'Each text line needs a field, text or textKey';
+    }
+    if (line.field !== undefined && !FOOTER_FIELDS.includes(line.field)) {
+      return `Unknown footer field: ${line.field}. Use one of ${FOOTER_FIELDS.join(', ')}`;
+    }
+    for (const key of [line.textKey, line.prefixKey]) {
+      if (key !== undefined && !FOOTER_KEYS.includes(key)) {
+        return `Unknown footer text key: ${key}. Use one of ${FOOTER_KEYS.join(', ')}`;
+      }
+    }
+  }
+  if (!(resolved.photo.sizeRatio > 0 && resolved.photo.sizeRatio < 1)) return 'photo.sizeRatio must be between 0 and 1';
+  if (!(resolved.logo.sizeRatio > 0 && resolved.logo.sizeRatio < 1)) return 'logo.sizeRatio must be between 0 and 1';
+  return null;
+}
+
+// Designations stored on members that have a translated footer string
+const DESIGNATION_KEYS = { partner: 'partner', founder: 'founder', admin: 'admin' };
+
+function formatRole(person, brandName) {
+  if (person.teamName && String(person.teamName).trim()) return String(person.teamName).trim();
+  const suffix = brandName ? ` | ${brandName}` : '';
+  const d = person.designation;
+  if (!d) return `N/A${suffix}`;
+  const dl = d.toLowerCase();
+  if (dl.includes('wealth')) return `${footerText(person.language, 'wealthManager')}${suffix}`;
+  if (dl.includes('health')) return `${footerText(person.language, 'healthAdvisor')}${suffix}`;
+  const key = DESIGNATION_KEYS[dl.trim()];
+  if (key) return `${footerText(person.language, key)}${suffix}`;
+  return `${d.replace(/\s+/g, ' ').trim()}${suffix}`;
+}
+
+/**
+ * Turns the layout's line specs into the text to draw for one member, in the member's language.
+ * Lines for empty optional fields (e.g. email) are dropped.
+ */
+function buildFooterLines(person, layout) {
+  return layout.text.lines
+    .map(line => {
+      let value = line.text !== undefined ? String(line.text) : '';
+      if (line.textKey !== undefined) value = footerText(person.language, line.textKey) || '';
+      if (line.field === 'role') value = formatRole(person, layout.brandName);
+      else if (line.field) value = String(person[line.field] || '');
+      if (line.field && line.field !== 'phone' && !value) return null;
+      const prefix = line.prefixKey !== undefined ? footerText(person.language, line.prefixKey) : line.prefix;
+      return {
+        text: `${prefix || ''}${value}${line.suffix || ''}`,
+        italic: Boolean(line.italic),
+        color: line.color || layout.text.color,
+      };
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Picks the footer layout for a render: an explicit layout id wins, then the template's layout,
+ * then the brand default stored in the database, then DEFAULT_FOOTER_LAYOUT.
+ */
+async function loadFooterLayout({ footerLayoutId, templateId } = {}) {
+  let layoutId = footerLayoutId;
+  if (!layoutId && templateId) {
+    const template = await db.getTemplate(templateId);
+    layoutId = template && template.footerLayoutId;
+  }
+
+  let stored = layoutId ? await db.getFooterLayout(layoutId) : null;
+  if (!stored) stored = await db.FooterLayout.findOne({ isDefault: true }).lean();
+  return resolveFooterLayout(stored ? stored.layout : null);
+}
+
+module.exports = {
+  FOOTER_FIELDS,
+  DEFAULT_FOOTER_LAYOUT,
+  resolveFooterLayout,
+  validateFooterLayout,
+  buildFooterLines,
+  loadFooterLayout,
+};
@@ -48,4 +48,21 @@ async function downloadFromGCS(gcsFileName, localDestPath) {
   return localDestPath;
 }
 
-module.exports = { uploadToGCS, downloadFromGCS };
+// Buffer-based helpers used by the storage adapter (templates, thumbnails)
+async function saveBufferToGCS(destFileName, buffer, contentType) {
+  await retryOperation(async () => {
+    await bucket.file(destFileName).save(buffer, { contentType, resumable: false });
+  });
+  return destFileName;
+}
+
+async function readFromGCS(gcsFileName) {
+  const [contents] = await retryOperation(() => bucket.file(gcsFileName).download());
+  return contents;
+}
+
+async function deleteFromGCS(gcsFileName) {
+  await retryOperation(() => bucket.file(gcsFileName).delete({ ignoreNotFound: true }));
+}
+
+module.exports = { uploadToGCS, downloadFromGCS, saveBufferToGCS, readFromGCS, deleteFromGCS };
@@ -0,0 +1,233 @@
+// Languages a member can receive posters and emails in; English is the fallback for anything untranslated
+const LANGUAGES = {
+  en: 'English',
+  ta: 'தமிழ்',
+  hi: 'हिन्दी',
+  ml: 'മലയാളം',
+};
+
+const DEFAULT_LANGUAGE = 'en';
+
+// Footer text. Keys can be used from footer layouts as `textKey` / `prefixKey` (see utils/footerLayouts.js)
+const FOOTER_STRINGS = {
+  en: {
+    tagline: '✔️ Investments ✔️ Insurance ✔️ Properties',
+    phone: 'Phone: ',
+    email: 'Email: ',
+    wealthManager: 'Wealth Manager',
+    healthAdvisor: 'Health Insurance Advisor',
+    partner: 'Partner',
+    founder: 'Founder',
+    admin: 'Admin',
+  },
+  ta: {
+    tagline: '✔️ முதலீடுகள் ✔️ காப்பீடு ✔️ சொத்துகள்',
+    phone: 'தொலைபேசி: ',
+    email: 'மின்னஞ்சல்: ',
+    wealthManager: 'செல்வ மேலாளர்',
+    healthAdvisor: 'சுகாதார காப்பீட்டு ஆலோசகர்',
+    partner: 'பங்குதாரர்',
+    founder: 'நிறுவனர்',
+    admin: 'நிர்வாகி',
+  },
+  hi: {
+    tagline: '✔️ निवेश ✔️ बीमा ✔️ संपत्ति',
+    phone: 'फ़ोन: ',
+    email: 'ईमेल: ',
+    wealthManager: 'वेल्थ मैनेजर',
+    healthAdvisor: 'स्वास्थ्य बीमा सलाहकार',
+    partner: 'पार्टनर',
+    founder: 'संस्थापक',
+    admin: 'एडमिन',
+  },
+  ml: {
+    tagline: '✔️ നിക്ഷേപങ്ങൾ ✔️ ഇൻഷുറൻസ് ✔️ വസ്തുവകകൾ',
+    phone: 'ഫോൺ: ',
+    email: 'ഇമെയിൽ: ',
+    wealthManager: 'വെൽത്ത് മാനേജർ',
+    healthAdvisor: 'ആരോഗ്യ ഇൻഷുറൻസ് ഉപദേഷ്ടാവ്',
+    partner: 'പങ്കാളി',
+    founder: 'സ്ഥാപകൻ',
+    admin: 'അഡ്മിൻ',
+  },
+};
+
+// Built-in email copy (see utils/emailSender.js). `{name}`, `{link}` and `{code}` are filled in by the sender.
+const EMAIL_STRINGS = {
+  en: {
+    subjectHealth: 'Reach More Families – Build Trust in Health Planning 💡',
+    subjectWealth: 'This Simple Step Can Boost Your Wealth Advisory Reach 📈',
+    subjectGeneral: 'Your Clients Trust You – Here’s a Way to Grow That Trust 🤝',
+    greeting: 'Hello {name},',
+    introHealth: 'Your expertise in protecting families is more valuable than ever.',
+    introWealth: 'Financial confidence begins with trust — and you’re the bridge to that confidence.',
+    introGeneral: "You help your clients build both security and prosperity — now it's time to amplify your impact.",
+    tool: "We've created a professional visual tool personalized just for you — not just for display, but to <strong>spark client conversations and drive trust</strong>.",
+    benefitHealth: 'This message reminds families of the power of proactive health planning. When shared consistently, it builds confidence and connections.',
+    benefitWealth: 'This message highlights smart monthly income and long-term growth — a perfect conversation starter with new and existing clients.',
+    benefitGeneral: 'This message touches both financial growth and health security — a tool that opens doors for deeper client relationships.',
+    share: 'You can forward this to your customers, share it on WhatsApp, or even use it during client meetings — the possibilities are endless when trust is visual.',
+    printLink: 'Printing flyers for a client meeting? {link}.',
+    printLinkText: 'Download the print-quality PDF',
+    yourInfo: 'Your Info:',
+    name: 'Name',
+    designation: 'Designation',
+    phone: 'Phone',
+    email: 'Email',
+    company: 'Company',
+    closing: 'Stay consistent. Share with confidence. Build stronger relationships.',
+    signature: 'Wealth Plus Team',
+    loginSubject: 'Your Wealth Plus poster sign-in link',
+    loginIntro: 'Use the button below to see and download all your posters. The link works once and expires in 15 minutes.',
+    loginButton: 'Open my posters',
+    loginCode: 'Or enter this code on the sign-in page: {code}',
+    loginIgnore: "If you didn't ask to sign in, you can ignore this email.",
+  },
+  ta: {
+    subjectHealth: 'அதிக குடும்பங்களை அணுகுங்கள் – சுகாதார திட்டமிடலில் நம்பிக்கையை வளர்த்திடுங்கள் 💡',
+    subjectWealth: 'இந்த எளிய படி உங்கள் செல்வ ஆலோசனை வரம்பை அதிகரிக்கும் 📈',
+    subjectGeneral: 'உங்கள் வாடிக்கையாளர்கள் உங்களை நம்புகிறார்கள் – அந்த நம்பிக்கையை வளர்க்க ஒரு வழி 🤝',
+    greeting: 'வணக்கம் {name},',
+    introHealth: 'குடும்பங்களைப் பாதுகாப்பதில் உங்கள் நிபுணத்துவம் முன்பை விட மதிப்புமிக்கது.',
+    introWealth: 'நிதி நம்பிக்கை நம்பிக்கையிலிருந்தே தொடங்குகிறது — அதற்கான பாலம் நீங்கள்தான்.',
+    introGeneral: 'உங்கள் வாடிக்கையாளர்கள் பாதுகாப்பையும் வளத்தையும் உருவாக்க நீங்கள் உதவுகிறீர்கள் — இப்போது உங்கள் தாக்கத்தைப் பெருக்கும் நேரம்.',
+    tool: 'உங்களுக்காகவே தனிப்பயனாக்கப்பட்ட ஒரு தொழில்முறை காட்சிக் கருவியை உருவாக்கியுள்ளோம் — காட்சிக்கு மட்டுமல்ல, <strong>வாடிக்கையாளர் உரையாடல்களைத் தொடங்கி நம்பிக்கையை வளர்க்க</strong>.',
+    benefitHealth: 'முன்கூட்டிய சுகாதார திட்டமிடலின் சக்தியை இந்தச் செய்தி குடும்பங்களுக்கு நினைவூட்டுகிறது. தொடர்ந்து பகிரும்போது அது நம்பிக்கையையும் உறவுகளையும் வளர்க்கிறது.',
+    benefitWealth: 'இந்தச் செய்தி மாதாந்திர வருமானத்தையும் நீண்டகால வளர்ச்சியையும் எடுத்துக்காட்டுகிறது — புதிய மற்றும் தற்போதைய வாடிக்கையாளர்களுடன் உரையாடலைத் தொடங்க சிறந்தது.',
+    benefitGeneral: 'இந்தச் செய்தி நிதி வளர்ச்சியையும் சுகாதாரப் பாதுகாப்பையும் தொடுகிறது — ஆழமான வாடிக்கையாளர் உறவுகளுக்கு கதவைத் திறக்கும் கருவி.',
+    share: 'இதை உங்கள் வாடிக்கையாளர்களுக்கு அனுப்பலாம், WhatsApp-இல் பகிரலாம் அல்லது வாடிக்கையாளர் சந்திப்புகளில் பயன்படுத்தலாம்.',
+    printLink: 'வாடிக்கையாளர் சந்திப்புக்கு அச்சிட வேண்டுமா? {link}.',
+    printLinkText: 'அச்சுத் தரமான PDF-ஐப் பதிவிறக்கவும்',
+    yourInfo: 'உங்கள் விவரங்கள்:',
+    name: 'பெயர்',
+    designation: 'பதவி',
+    phone: 'தொலைபேசி',
+    email: 'மின்னஞ்சல்',
+    company: 'நிறுவனம்',
+    closing: 'தொடர்ந்து பகிருங்கள். நம்பிக்கையுடன் பகிருங்கள். வலுவான உறவுகளை உருவாக்குங்கள்.',
+    signature: 'Wealth Plus குழு',
+    loginSubject: 'உங்கள் Wealth Plus போஸ்டர் உள்நுழைவு இணைப்பு',
+    loginIntro: 'உங்கள் அனைத்து போஸ்டர்களையும் பார்த்து பதிவிறக்க கீழே உள்ள பொத்தானைப் பயன்படுத்தவும். இந்த இணைப்பு ஒருமுறை மட்டுமே செயல்படும், 15 நிமிடங்களில் காலாவதியாகும்.',
+    loginButton: 'என் போஸ்டர்களைத் திற',
+    loginCode: 'அல்லது உள்நுழைவுப் பக்கத்தில் இந்தக் குறியீட்டை உள்ளிடவும்: {code}',
+    loginIgnore: 'நீங்கள் உள்நுழைய கோரவில்லை என்றால், இந்த மின்னஞ்சலைப் புறக்கணிக்கலாம்.',
+  },
+  hi: {
+    subjectHealth: 'अधिक परिवारों तक पहुँचें – स्वास्थ्य योजना में भरोसा बनाएँ 💡',
+    subjectWealth: 'यह आसान कदम आपकी वेल्थ एडवाइज़री की पहुँच बढ़ा सकता है 📈',
+    subjectGeneral: 'आपके क्लाइंट आप पर भरोसा करते हैं – उस भरोसे को बढ़ाने का एक तरीका 🤝',
+    greeting: 'नमस्ते {name},',
+    introHealth: 'परिवारों की सुरक्षा में आपकी विशेषज्ञता पहले से कहीं अधिक मूल्यवान है।',
+    introWealth: 'वित्तीय आत्मविश्वास भरोसे से शुरू होता है — और आप उस भरोसे का सेतु हैं।',
+    introGeneral: 'आप अपने क्लाइंट्स को सुरक्षा और समृद्धि दोनों बनाने में मदद करते हैं — अब अपने प्रभाव को बढ़ाने का समय है।',
+    tool: 'हमने खास आपके लिए एक पेशेवर विज़ुअल टूल तैयार किया है — सिर्फ़ दिखाने के लिए नहीं, बल्कि <strong>क्लाइंट्स से बातचीत शुरू करने और भरोसा बढ़ाने के लिए</strong>।',
+    benefitHealth: 'यह संदेश परिवारों को समय रहते स्वास्थ्य योजना की ताकत याद दिलाता है। नियमित रूप से साझा करने पर यह भरोसा और संबंध मज़बूत करता है।',
+    benefitWealth: 'यह संदेश मासिक आय और लंबी अवधि की ग्रोथ को उजागर करता है — नए और मौजूदा क्लाइंट्स से बातचीत शुरू करने का बेहतरीन तरीका।',
+    benefitGeneral: 'यह संदेश वित्तीय वृद्धि और स्वास्थ्य सुरक्षा दोनों को छूता है — गहरे क्लाइंट संबंधों के दरवाज़े खोलने वाला टूल।',
+    share: 'आप इसे अपने ग्राहकों को भेज सकते हैं, WhatsApp पर साझा कर सकते हैं या क्लाइंट मीटिंग में इस्तेमाल कर सकते हैं।',
+    printLink: 'क्लाइंट मीटिंग के लिए फ़्लायर प्रिंट करने हैं? {link}।',
+    printLinkText: 'प्रिंट-क्वालिटी PDF डाउनलोड करें',
+    yourInfo: 'आपकी जानकारी:',
+    name: 'नाम',
+    designation: 'पद',
+    phone: 'फ़ोन',
+    email: 'ईमेल',
+    company: 'कंपनी',
+    closing: 'नियमित रहें। आत्मविश्वास से साझा करें। मज़बूत रिश्ते बनाएँ।',
+    signature: 'Wealth Plus टीम',
+    loginSubject: 'आपका Wealth Plus पोस्टर साइन-इन लिंक',
+    loginIntro: 'अपने सभी पोस्टर देखने और डाउनलोड करने के लिए नीचे दिए बटन का उपयोग करें। यह लिंक एक बार ही काम करता है और 15 मिनट में समाप्त हो जाता है।',
+    loginButton: 'मेरे पोस्टर खोलें',
+    loginCode: 'या साइन-इन पेज पर यह कोड डालें: {code}',
+    loginIgnore: 'अगर आपने साइन-इन का अनुरोध नहीं किया है, तो इस ईमेल को अनदेखा करें।',
+  },
+  ml: {
+    subjectHealth: 'കൂടുതൽ കുടുംബങ്ങളിലേക്ക് എത്തുക – ആരോഗ്യ ആസൂത്രണത്തിൽ വിശ്വാസം വളർത്തുക 💡',
+    subjectWealth: 'ഈ ലളിതമായ ചുവടുവെപ്പ് നിങ്ങളുടെ വെൽത്ത് അഡ്വൈസറി വ്യാപ്തി വർധിപ്പിക്കും 📈',
+    subjectGeneral: 'നിങ്ങളുടെ ക്ലയന്റുകൾ നിങ്ങളെ വിശ്വസിക്കുന്നു – ആ വിശ്വാസം വളർത്താൻ ഒരു വഴി 🤝',
+    greeting: 'നമസ്കാരം {name},',
+    introHealth: 'കുടുംബങ്ങളെ സംരക്ഷിക്കുന്നതിലെ നിങ്ങളുടെ വൈദഗ്ധ്യം മുമ്പത്തേക്കാളും വിലപ്പെട്ടതാണ്.',
+    introWealth: 'സാമ്പത്തിക ആത്മവിശ്വാസം തുടങ്ങുന്നത് വിശ്വാസത്തിൽ നിന്നാണ് — അതിലേക്കുള്ള പാലം നിങ്ങളാണ്.',
+    introGeneral: 'സുരക്ഷയും സമൃദ്ധിയും കെട്ടിപ്പടുക്കാൻ നിങ്ങൾ ക്ലയന്റുകളെ സഹായിക്കുന്നു — ഇനി നിങ്ങളുടെ സ്വാധീനം വർധിപ്പിക്കാനുള്ള സമയമാണ്.',
+    tool: 'നിങ്ങൾക്കായി മാത്രം തയ്യാറാക്കിയ ഒരു പ്രൊഫഷണൽ വിഷ്വൽ ടൂൾ ഞങ്ങൾ ഒരുക്കിയിട്ടുണ്ട് — പ്രദർശനത്തിന് മാത്രമല്ല, <strong>ക്ലയന്റുകളുമായി സംഭാഷണം തുടങ്ങാനും വിശ്വാസം വളർത്താനും</strong>.',
+    benefitHealth: 'മുൻകൂട്ടിയുള്ള ആരോഗ്യ ആസൂത്രണത്തിന്റെ ശക്തി ഈ സന്ദേശം കുടുംബങ്ങളെ ഓർമ്മിപ്പിക്കുന്നു. സ്ഥിരമായി പങ്കിടുമ്പോൾ അത് വിശ്വാസവും ബന്ധങ്ങളും വളർത്തുന്നു.',
+    benefitWealth: 'പ്രതിമാസ വരുമാനവും ദീർഘകാല വളർച്ചയും ഈ സന്ദേശം എടുത്തുകാട്ടുന്നു — പുതിയതും നിലവിലുള്ളതുമായ ക്ലയന്റുകളുമായി സംഭാഷണം തുടങ്ങാൻ അനുയോജ്യം.',
+    benefitGeneral: 'സാമ്പത്തിക വളർച്ചയും ആരോഗ്യ സുരക്ഷയും ഈ സന്ദേശം സ്പർശിക്കുന്നു — ആഴമേറിയ ക്ലയന്റ് ബന്ധങ്ങളിലേക്ക് വാതിൽ തുറക്കുന്ന ടൂൾ.',
+    share: 'ഇത് നിങ്ങളുടെ ഉപഭോക്താക്കൾക്ക് അയയ്ക്കാം, WhatsApp-ൽ പങ്കിടാം, അല്ലെങ്കിൽ ക്ലയന്റ് മീറ്റിംഗുകളിൽ ഉപയോഗിക്കാം.',
+    printLink: 'ക്ലയന്റ് മീറ്റിംഗിനായി ഫ്ലയറുകൾ പ്രിന്റ് ചെയ്യണോ? {link}.',
+    printLinkText: 'പ്രിന്റ് നിലവാരമുള്ള PDF ഡൗൺലോഡ് ചെയ്യുക',
+    yourInfo: 'നിങ്ങളുടെ വിവരങ്ങൾ:',
+    name: 'പേര്',
+    designation: 'പദവി',
+    phone: 'ഫോൺ',
+    email: 'ഇമെയിൽ',
+    company: 'കമ്പനി',
+    closing: 'സ്ഥിരത പുലർത്തുക. ആത്മവിശ്വാസത്തോടെ പങ്കിടുക. ശക്തമായ ബന്ധങ്ങൾ കെട്ടിപ്പടുക്കുക.',
+    signature: 'Wealth Plus ടീം',
+    loginSubject: 'നിങ്ങളുടെ Wealth Plus പോസ്റ്റർ സൈൻ-ഇൻ ലിങ്ക്',
+    loginIntro: 'നിങ്ങളുടെ എല്ലാ പോസ്റ്ററുകളും കാണാനും ഡൗൺലോഡ് ചെയ്യാനും താഴെയുള്ള ബട്ടൺ ഉപയോഗിക്കുക. ഈ ലിങ്ക് ഒരിക്കൽ മാത്രം പ്രവർത്തിക്കും, 15 മിനിറ്റിൽ കാലഹരണപ്പെടും.',
+    loginButton: 'എന്റെ പോസ്റ്ററുകൾ തുറക്കുക',
+    loginCode: 'അല്ലെങ്കിൽ സൈൻ-ഇൻ പേജിൽ ഈ കോഡ് നൽകുക: {code}',
+    loginIgnore: 'നിങ്ങൾ സൈൻ-ഇൻ ആവശ്യപ്പെട്ടിട്ടില്ലെങ്കിൽ, ഈ ഇമെയിൽ അവഗണിക്കാം.',
+  },
+};
+
+// Caption sent with the poster on WhatsApp (see utils/whatsapp.js)
+const WHATSAPP_STRINGS = {
+  en: {
+    caption: 'Hello {name}, here is your personalised Wealth Plus poster. Share it with your clients!',
+    printLink: 'Print-quality PDF: {link}',
+  },
+  ta: {
+    caption: 'வணக்கம் {name}, உங்களுக்கான Wealth Plus போஸ்டர் இதோ. உங்கள் வாடிக்கையாளர்களுடன் பகிருங்கள்!',
+    printLink: 'அச்சுத் தரமான PDF: {link}',
+  },
+  hi: {
+    caption: 'नमस्ते {name}, यह रहा आपका Wealth Plus पोस्टर। इसे अपने क्लाइंट्स के साथ साझा करें!',
+    printLink: 'प्रिंट-क्वालिटी PDF: {link}',
+  },
+  ml: {
+    caption: 'നമസ്കാരം {name}, നിങ്ങളുടെ Wealth Plus പോസ്റ്റർ ഇതാ. നിങ്ങളുടെ ക്ലയന്റുകളുമായി പങ്കിടൂ!',
+    printLink: 'പ്രിന്റ് നിലവാരമുള്ള PDF: {link}',
+  },
+};
+
+/**
+ * Returns a supported language code for `language`, falling back to English.
+ */
+function normalizeLanguage(language) {
+  const code = String(language || '').trim().toLowerCase();
+  return LANGUAGES[code] ? code : DEFAULT_LANGUAGE;
+}
+
+function lookup(strings, language, key, vars) {
+  const table = strings[normalizeLanguage(language)];
+  const text = table[key] !== undefined ? table[key] : strings[DEFAULT_LANGUAGE][key];
+  if (text === undefined) return undefined;
+  return text.replace(/\{(\w+)\}/g, (match, name) => (vars && vars[name] !== undefined ? String(vars[name]) : match));
+}
+
+// Footer string `key` in the member's language
+function footerText(language, key, vars) {
+  return lookup(FOOTER_STRINGS, language, key, vars);
+}
+
+// Built-in email string `key` in the member's language
+function emailText(language, key, vars) {
+  return lookup(EMAIL_STRINGS, language, key, vars);
+}
+
+// WhatsApp message string `key` in the member's language
+function whatsappText(language, key, vars) {
+  return lookup(WHATSAPP_STRINGS, language, key, vars);
+}
+
+module.exports = {
+  LANGUAGES,
+  DEFAULT_LANGUAGE,
+  FOOTER_KEYS: Object.keys(FOOTER_STRINGS.en),
+  normalizeLanguage,
+  footerText,
+  emailText,
+  whatsappText,
+};
@@ -1,7 +1,8 @@
 const sharp = require('sharp');
-const { createCanvas, registerFont } = require('canvas');
+const { createCanvas, registerFont, loadImage } = require('canvas');
 const fs = require('fs');
 const path = require('path');
+const { DEFAULT_FOOTER_LAYOUT, resolveFooterLayout, buildFooterLines } = require('./footerLayouts');
 
 /* -------------------------------
     ✅ FIXED: SAFE FONT LOADING
@@ -63,59 +64,48 @@ safeFontLoad(FONTS.regular, "NotoSans", "normal", "normal");
 safeFontLoad(FONTS.italic, "NotoSans", "italic", "normal");
 safeFontLoad(FONTS.emoji, "NotoEmoji");
 
+// Tamil, Devanagari and Malayalam glyphs are not in NotoSans, and these fonts are not bundled: the Docker
+// image gets them from the fonts-noto-core package (see README). Copies dropped into assets/fonts are
+// registered under the same family names, for hosts without that package.
+const SCRIPT_FONTS = [
+  { family: 'Noto Sans Tamil', file: 'NotoSansTamil-Regular.ttf' },
+  { family: 'Noto Sans Devanagari', file: 'NotoSansDevanagari-Regular.ttf' },
+  { family: 'Noto Sans Malayalam', file: 'NotoSansMalayalam-Regular.ttf' },
+];
+for (const { family, file } of SCRIPT_FONTS) {
+  const scriptFontPath = path.join(__dirname, '../assets/fonts', file);
+  if (fs.existsSync(scriptFontPath)) safeFontLoad(scriptFontPath, family);
+}
+
+// Appends the Indic script fonts to a layout's font stack so member names and translated lines always render
+function withScriptFallback(fontFamily) {
+  const missing = SCRIPT_FONTS.filter(({ family }) => !fontFamily.includes(family));
+  return [fontFamily, ...missing.map(({ family }) => `"${family}"`)].join(', ');
+}
+
 
 /**
- * Generates a canvas buffer containing text information.
+ * Draws the footer text lines (see buildFooterLines) into the box at `left`/`top` on any 2D context,
+ * shrinking the font until every line fits the box width.
  */
-async function generateFooterBuffer(name, designation, phone, textWidth, footerHeight, fontSize, isTeamName = false) {
-  console.log('DEBUG generateFooterBuffer called with:', { name, designation, phone, textWidth, footerHeight, fontSize, isTeamName });
-
-  const totalLines = 4;
+function drawFooterText(ctx, lines, { left = 0, top = 0, width, height, fontSize, textStyle = DEFAULT_FOOTER_LAYOUT.text }) {
+  const totalLines = lines.length;
   const lineHeight = Math.round(fontSize * 1.5);
   const totalHeight = lineHeight * totalLines;
-  const verticalPadding = (footerHeight - totalHeight) / 2;
+  const verticalPadding = (height - totalHeight) / 2;
   const startY = verticalPadding + lineHeight * 0.6;
   const textPadding = 2;
-  const MIN_FONT_SIZE = 12;
+  const MIN_FONT_SIZE = textStyle.minFontSize || 12;
   const allFontSizeInitial = Math.max(fontSize, 18);
   let allFontSize = allFontSizeInitial;
+  const fontFamily = withScriptFallback(textStyle.fontFamily || DEFAULT_FOOTER_LAYOUT.text.fontFamily);
 
-  const normalizeDesignation = (d) => {
-    if (!d) return 'N/A | WealthPlus';
-    const dl = d.toLowerCase();
-    if (dl.includes('wealth')) return 'Wealth Manager | WealthPlus';
-    if (dl.includes('health')) return 'Health Insurance Advisor | WealthPlus';
-    return `${d.replace(/\s+/g, ' ').trim()} | WealthPlus`;
-  };
-
-  const formattedDesignation = isTeamName
-    ? (String(designation || '').trim())
-    : normalizeDesignation(designation || '');
-
-  const escapeXml = (unsafe) => String(unsafe)
-    .replace(/&/g, '&amp;')
-    .replace(/</g, '&lt;')
-    .replace(/>/g, '&gt;')
-    .replace(/"/g, '&quot;')
-    .replace(/'/g, '&apos;');
-
-  const lines = [
-    String(name || ''),
-    formattedDesignation,
-    `✔️ Investments ✔️ Insurance ✔️ Properties`,
-    `Phone: ${String(phone || '')}`,
-  ];
-
-  const maxTextWidth = Math.max(10, textWidth - textPadding * 2);
-
-  // Create temp canvas for font size calculation
-  const tempCanvas = createCanvas(1, 1);
-  const tempCtx = tempCanvas.getContext("2d");
+  const maxTextWidth = Math.max(10, width - textPadding * 2);
 
   const fitsAtSize = (size) => {
     return lines.every(line => {
-      tempCtx.font = `normal ${size}px "NotoSans", "NotoEmoji"`;
-      return tempCtx.measureText(line).width <= maxTextWidth;
+      ctx.font = `normal ${size}px ${fontFamily}`;
+      return ctx.measureText(line.text).width <= maxTextWidth;
     });
   };
 
@@ -124,22 +114,30 @@ async function generateFooterBuffer(name, designation, phone, textWidth, footerH
     if (allFontSize <= MIN_FONT_SIZE) break;
   }
 
+  ctx.textBaseline = "middle";
+
+  let y = top + startY;
+  for (const line of lines) {
+    ctx.fillStyle = line.color || textStyle.color;
+    ctx.font = `${line.italic ? "italic" : "normal"} ${allFontSize}px ${fontFamily}`;
+    ctx.fillText(line.text, left + textPadding, y);
+    y += lineHeight;
+  }
+}
+
+/**
+ * Generates a canvas buffer containing the footer text lines (see buildFooterLines).
+ */
+async function generateFooterBuffer(lines, textWidth, footerHeight, fontSize, textStyle = DEFAULT_FOOTER_LAYOUT.text) {
+  console.log('DEBUG generateFooterBuffer called with:', { lines, textWidth, footerHeight, fontSize });
+
   const canvas = createCanvas(textWidth, footerHeight);
   const ctx = canvas.getContext("2d");
 
   ctx.fillStyle = "transparent";
   ctx.fillRect(0, 0, textWidth, footerHeight);
 
-  ctx.fillStyle = "#292d6c";
-  ctx.textBaseline = "middle";
-
-  let y = startY;
-  for (let i = 0; i < lines.length; i++) {
-    const isItalic = i === 1;
-    ctx.font = `${isItalic ? "italic" : "normal"} ${allFontSize}px "NotoSans", "NotoEmoji"`;
-    ctx.fillText(lines[i], textPadding, y);
-    y += lineHeight;
-  }
+  drawFooterText(ctx, lines, { width: textWidth, height: footerHeight, fontSize, textStyle });
 
   return canvas.toBuffer("image/png");
 }
@@ -165,18 +163,366 @@ async function processCircularImage(inputPath, outputPath, size) {
 }
 
 
+const PLACEMENT_MODES = ['below', 'above', 'overlay', 'side'];
+// Pixel values in a footer layout are designed for a strip this wide and scaled from it
+const LAYOUT_DESIGN_WIDTH = 800;
+
+async function circularPhotoBuffer(photoPath, size) {
+  return sharp(photoPath)
+    .resize(size, size)
+    .composite([{
+      input: Buffer.from(
+        `<svg><circle cx="${size / 2}" cy="${size / 2}" r="${size / 2}" fill="white"/></svg>`
+      ),
+      blend: 'dest-in'
+    }])
+    .png()
+    .toBuffer();
+}
+
+async function logoBuffer(logoPath, size, background) {
+  return sharp(logoPath)
+    .resize({ width: size, height: size, fit: 'contain', background })
+    .flatten({ background })
+    .jpeg()
+    .toBuffer();
+}
+
+async function dividerBuffer(width, height, color) {
+  const svg = `<svg width="${width}" height="${height}" xmlns="http://www.w3.org/2000/svg"><rect x="0" y="0" width="${width}" height="${height}" fill="${color}"/></svg>`;
+  return sharp(Buffer.from(svg)).png().toBuffer();
+}
+
+/**
+ * Works out where the photo, text, divider and logo of a horizontal member strip go at `width`.
+ * Shared by the raster strip and the print PDF so both come out the same.
+ */
+function footerStripGeometry(width, footer, lineCount) {
+  const scale = width / LAYOUT_DESIGN_WIDTH;
+  const showPhoto = footer.photo.show !== false;
+  const showDivider = footer.divider.show !== false;
+  const showLogo = footer.logo.show !== false;
+
+  const photoSize = showPhoto ? Math.floor(width * footer.photo.sizeRatio) : 0;
+  const fontSize = Math.round(width * footer.text.fontSizeRatio);
+  const logoSize = showLogo ? Math.floor(width * footer.logo.sizeRatio) : 0;
+
+  const photoLeft = Math.round(footer.photo.left * scale);
+  const textLeft = showPhoto ? photoLeft + photoSize + Math.round(footer.text.gap * scale) : photoLeft;
+
+  const lineWidth = showDivider ? Math.max(1, Math.round(footer.divider.width * scale)) : 0;
+  const lineGap = Math.round(20 * scale);
+  const rightMargin = Math.round(footer.logo.rightMargin * scale);
+  const reservedRight = lineGap + lineWidth + logoSize + rightMargin;
+
+  let textWidth = Math.max(Math.floor(width * 0.38), width - textLeft - reservedRight);
+  if (textWidth < 120) textWidth = Math.max(120, Math.floor(width * 0.35));
+  textWidth = Math.min(textWidth, width - textLeft);
+
+  const lineHeight = Math.round(fontSize * 1.18);
+  const requiredTextHeight = lineHeight * lineCount;
+  const footerHeight = Math.max(photoSize, requiredTextHeight, logoSize) + Math.round(footer.padding * scale);
+
+  // The text canvas is textWidth wide, so the divider sits just past it
+  const lineX = Math.min(textLeft + textWidth + 8, width - lineWidth);
+  const dividerHeight = logoSize || Math.floor(footerHeight * 0.7);
+
+  let logoLeft = lineX + lineWidth + Math.round(16 * scale);
+  const maxLogoLeft = width - logoSize - rightMargin;
+  // Clamp the logo's position to ensure it doesn't extend beyond the right margin
+  if (logoLeft > maxLogoLeft) logoLeft = maxLogoLeft;
+
+  return {
+    showPhoto, showDivider, showLogo,
+    photoSize, photoLeft, fontSize, textLeft, textWidth,
+    lineWidth, lineX, dividerHeight, logoSize, logoLeft, footerHeight,
+  };
+}
+
+/**
+ * Renders the horizontal member strip (photo, text, divider, logo) at the given width.
+ * Resolves to the JPEG buffer and its height.
+ */
+async function renderFooterStrip({ person, footer, logoPath, width }) {
+  const lines = buildFooterLines(person, footer);
+  const {
+    showPhoto, showDivider, showLogo,
+    photoSize, photoLeft, fontSize, textLeft, textWidth,
+    lineWidth, lineX, dividerHeight, logoSize, logoLeft, footerHeight,
+  } = footerStripGeometry(width, footer, lines.length);
+
+  const textBuffer = await generateFooterBuffer(lines, textWidth, footerHeight, fontSize, footer.text);
+  const textMetadata = await sharp(textBuffer).metadata();
+
+  const footerLayers = [
+    { input: textBuffer, top: Math.floor((footerHeight - textMetadata.height) / 2), left: textLeft },
+  ];
+
+  if (showPhoto) {
+    const circularPhoto = await circularPhotoBuffer(person.photo, photoSize);
+    footerLayers.push({ input: circularPhoto, top: Math.floor((footerHeight - photoSize) / 2), left: photoLeft });
+  }
+
+  if (showDivider) {
+    const lineY = Math.floor((footerHeight - dividerHeight) / 2);
+    footerLayers.push({ input: await dividerBuffer(lineWidth, dividerHeight, footer.divider.color), top: lineY, left: lineX });
+  }
+
+  if (showLogo) {
+    const resizedLogo = await logoBuffer(logoPath, logoSize, footer.background);
+    footerLayers.push({ input: resizedLogo, top: Math.floor((footerHeight - logoSize) / 2), left: logoLeft });
+  }
+
+  const buffer = await sharp({
+    create: {
+      width,
+      height: footerHeight,
+      channels: 3,
+      background: footer.background,
+    }
+  })
+    .composite(footerLayers)
+    .jpeg()
+    .toBuffer();
+
+  return { buffer, height: footerHeight };
+}
+
 /**
- * Creates the final composite poster.
+ * Works out the vertical stack (photo, text, divider, logo) of a side panel. `y` values are tops;
+ * a zero size means the element is hidden or there was no room for it.
  */
-async function createFinalPoster({ templatePath, person, logoPath, outputPath }) {
+function sidePanelGeometry(width, height, footer, lineCount, fontSize) {
+  const showPhoto = footer.photo.show !== false;
+  const showDivider = footer.divider.show !== false;
+  const showLogo = footer.logo.show !== false;
+
+  const pad = Math.round(width * 0.08);
+  const gap = Math.round(pad / 2);
+  const textHeight = Math.round(fontSize * 1.5) * lineCount + gap;
+  const dividerWidth = showDivider ? Math.max(1, footer.divider.width) : 0;
+  const dividerLength = Math.floor(width * 0.6);
+
+  // Shrink the photo and logo when the panel is too short to stack everything
+  let photoSize = showPhoto ? Math.floor(width * 0.5) : 0;
+  let logoSize = showLogo ? Math.floor(width * 0.4) : 0;
+  const available = height - 2 * pad - textHeight - dividerWidth - 3 * gap;
+  if (photoSize + logoSize > available) {
+    const factor = Math.max(0.2, available / (photoSize + logoSize));
+    photoSize = Math.floor(photoSize * factor);
+    logoSize = Math.floor(logoSize * factor);
+  }
+
+  const stackHeight = photoSize + textHeight + dividerWidth + logoSize + 3 * gap;
+  let y = Math.max(0, Math.floor((height - stackHeight) / 2));
+
+  const photoY = y;
+  if (photoSize > 0) y += photoSize + gap;
+  const textY = y;
+  y += textHeight + gap;
+  const dividerY = y;
+  if (dividerWidth > 0) y += dividerWidth + gap;
+  const logoY = y;
+  if (y + logoSize > height) logoSize = 0;
+
+  return {
+    pad, photoSize, photoY, textY, textHeight,
+    dividerWidth, dividerLength, dividerY, logoSize, logoY,
+  };
+}
+
+/**
+ * Renders the member details as a vertical panel (photo, text, divider, logo stacked and centred).
+ */
+async function renderSidePanel({ person, footer, logoPath, width, height, fontSize }) {
+  const lines = buildFooterLines(person, footer);
+  const {
+    pad, photoSize, photoY, textY, textHeight,
+    dividerWidth, dividerLength, dividerY, logoSize, logoY,
+  } = sidePanelGeometry(width, height, footer, lines.length, fontSize);
+
+  const layers = [];
+  if (photoSize > 0) {
+    layers.push({ input: await circularPhotoBuffer(person.photo, photoSize), top: photoY, left: Math.floor((width - photoSize) / 2) });
+  }
+  const textBuffer = await generateFooterBuffer(lines, width - 2 * pad, textHeight, fontSize, footer.text);
+  layers.push({ input: textBuffer, top: textY, left: pad });
+  if (dividerWidth > 0) {
+    layers.push({ input: await dividerBuffer(dividerLength, dividerWidth, footer.divider.color), top: dividerY, left: Math.floor((width - dividerLength) / 2) });
+  }
+  if (logoSize > 0) {
+    layers.push({ input: await logoBuffer(logoPath, logoSize, footer.background), top: logoY, left: Math.floor((width - logoSize) / 2) });
+  }
+
+  return sharp({ create: { width, height, channels: 3, background: footer.background } })
+    .composite(layers)
+    .jpeg()
+    .toBuffer();
+}
+
+// Converts a region given as fractions of the template into whole pixels inside it
+function regionToPixels(region, width, height) {
+  const x = Math.min(Math.max(0, Math.round(region.x * width)), width - 1);
+  const y = Math.min(Math.max(0, Math.round(region.y * height)), height - 1);
+  return {
+    left: x,
+    top: y,
+    width: Math.max(1, Math.min(Math.round(region.width * width), width - x)),
+    height: Math.max(1, Math.min(Math.round(region.height * height), height - y)),
+  };
+}
+
+// Print PDFs keep the template at full resolution; pixels map to points at this density
+const PRINT_DPI = 300;
+
+// Loads any image sharp can read as a canvas image, flattening transparency onto `background`
+async function loadCanvasImage(source, background = '#ffffff') {
+  return loadImage(await sharp(source).flatten({ background }).png().toBuffer());
+}
+
+function drawCircularImage(ctx, image, left, top, size) {
+  // Centre-crop to a square like sharp's default cover resize
+  const side = Math.min(image.width, image.height);
+  ctx.save();
+  ctx.beginPath();
+  ctx.arc(left + size / 2, top + size / 2, size / 2, 0, Math.PI * 2);
+  ctx.clip();
+  ctx.drawImage(image, (image.width - side) / 2, (image.height - side) / 2, side, side, left, top, size, size);
+  ctx.restore();
+}
+
+function drawContainedImage(ctx, image, left, top, size) {
+  const fit = Math.min(size / image.width, size / image.height);
+  const width = image.width * fit;
+  const height = image.height * fit;
+  ctx.drawImage(image, left + (size - width) / 2, top + (size - height) / 2, width, height);
+}
+
+// Vector version of renderFooterStrip; returns the strip height
+function drawFooterStrip(ctx, { left, top, width, lines, footer, photo, logo }) {
+  const g = footerStripGeometry(width, footer, lines.length);
+  ctx.fillStyle = footer.background;
+  ctx.fillRect(left, top, width, g.footerHeight);
+
+  if (g.showPhoto) drawCircularImage(ctx, photo, left + g.photoLeft, top + (g.footerHeight - g.photoSize) / 2, g.photoSize);
+  drawFooterText(ctx, lines, { left: left + g.textLeft, top, width: g.textWidth, height: g.footerHeight, fontSize: g.fontSize, textStyle: footer.text });
+  if (g.showDivider) {
+    ctx.fillStyle = footer.divider.color;
+    ctx.fillRect(left + g.lineX, top + (g.footerHeight - g.dividerHeight) / 2, g.lineWidth, g.dividerHeight);
+  }
+  if (g.showLogo) drawContainedImage(ctx, logo, left + g.logoLeft, top + (g.footerHeight - g.logoSize) / 2, g.logoSize);
+  return g.footerHeight;
+}
+
+// Vector version of renderSidePanel
+function drawSidePanel(ctx, { left, width, height, lines, footer, photo, logo, fontSize }) {
+  const g = sidePanelGeometry(width, height, footer, lines.length, fontSize);
+  ctx.fillStyle = footer.background;
+  ctx.fillRect(left, 0, width, height);
+
+  if (g.photoSize > 0) drawCircularImage(ctx, photo, left + (width - g.photoSize) / 2, g.photoY, g.photoSize);
+  drawFooterText(ctx, lines, { left: left + g.pad, top: g.textY, width: width - 2 * g.pad, height: g.textHeight, fontSize, textStyle: footer.text });
+  if (g.dividerWidth > 0) {
+    ctx.fillStyle = footer.divider.color;
+    ctx.fillRect(left + (width - g.dividerLength) / 2, g.dividerY, g.dividerLength, g.dividerWidth);
+  }
+  if (g.logoSize > 0) drawContainedImage(ctx, logo, left + (width - g.logoSize) / 2, g.logoY, g.logoSize);
+}
+
+/**
+ * Writes a print-quality PDF of the poster to `outputPath`: the template at its original resolution
+ * and the member details drawn as vector text with the embedded Noto fonts. Takes the same
+ * layout/placement options as createFinalPoster.
+ */
+async function createPrintPoster({ templatePath, person, logoPath, outputPath, layout, placement = {} }) {
+  const footer = resolveFooterLayout(layout);
+  const mode = placement.mode || 'below';
+  if (!PLACEMENT_MODES.includes(mode)) throw new Error(`Unknown footer placement: ${mode}`);
+  if (mode === 'overlay' && !placement.region) throw new Error('Overlay placement needs a region');
+
+  const template = await loadCanvasImage(templatePath);
+  const photo = await loadCanvasImage(person.photo);
+  const logo = await loadCanvasImage(logoPath, footer.background);
+  const lines = buildFooterLines(person, footer);
+  const width = template.width;
+  const height = template.height;
+
+  // Work out the page size (in template pixels) before drawing anything
+  let pageWidth = width;
+  let pageHeight = height;
+  let stripHeight = 0;
+  let panelWidth = 0;
+  if (mode === 'below' || mode === 'above') {
+    stripHeight = footerStripGeometry(width, footer, lines.length).footerHeight;
+    pageHeight += stripHeight;
+  } else if (mode === 'side') {
+    panelWidth = Math.round(width * (placement.widthRatio || 0.3));
+    pageWidth += panelWidth;
+  }
+
+  const toPoints = 72 / PRINT_DPI;
+  const canvas = createCanvas(Math.round(pageWidth * toPoints), Math.round(pageHeight * toPoints), 'pdf');
+  const ctx = canvas.getContext('2d');
+  ctx.scale(toPoints, toPoints);
+  ctx.fillStyle = '#ffffff';
+  ctx.fillRect(0, 0, pageWidth, pageHeight);
+
+  if (mode === 'below' || mode === 'above') {
+    const templateTop = mode === 'above' ? stripHeight : 0;
+    ctx.drawImage(template, 0, templateTop, width, height);
+    drawFooterStrip(ctx, { left: 0, top: mode === 'above' ? 0 : height, width, lines, footer, photo, logo });
+  } else if (mode === 'side') {
+    const panelOnLeft = placement.side === 'left';
+    ctx.drawImage(template, panelOnLeft ? panelWidth : 0, 0, width, height);
+    drawSidePanel(ctx, {
+      left: panelOnLeft ? 0 : width,
+      width: panelWidth,
+      height,
+      lines,
+      footer,
+      photo,
+      logo,
+      fontSize: Math.round(width * footer.text.fontSizeRatio),
+    });
+  } else {
+    ctx.drawImage(template, 0, 0, width, height);
+    const region = regionToPixels(placement.region, width, height);
+    const natural = footerStripGeometry(region.width, footer, lines.length).footerHeight;
+    // Same "contain" fit as the raster overlay: scale down to the region, centred, on the footer background
+    const fit = Math.min(1, region.height / natural);
+    ctx.fillStyle = footer.background;
+    ctx.fillRect(region.left, region.top, region.width, region.height);
+    ctx.save();
+    ctx.translate(region.left + (region.width * (1 - fit)) / 2, region.top + (region.height - natural * fit) / 2);
+    ctx.scale(fit, fit);
+    drawFooterStrip(ctx, { left: 0, top: 0, width: region.width, lines, footer, photo, logo });
+    ctx.restore();
+  }
+
+  await fs.promises.writeFile(outputPath, canvas.toBuffer('application/pdf'));
+}
+
+/**
+ * Creates the final composite poster. `layout` is a footer layout (see utils/footerLayouts.js);
+ * anything it leaves out falls back to DEFAULT_FOOTER_LAYOUT.
+ *
+ * `placement.mode` decides where the member details go:
+ *  - 'below' (default) / 'above': a strip appended under or over the template
+ *  - 'overlay': drawn inside `placement.region` ({ x, y, width, height } as fractions of the template)
+ *  - 'side': a panel `placement.widthRatio` of the template wide on `placement.side` ('left' or 'right')
+ *
+ * The template is scaled to `renderWidth` first. Resolves to the JPEG buffer that is also written to `outputPath`.
+ */
+async function createFinalPoster({ templatePath, person, logoPath, outputPath, layout, placement = {}, renderWidth = 800 }) {
   try {
-    console.log('DEBUG createFinalPoster input:', { templatePath, logoPath, outputPath, person });
+    console.log('DEBUG createFinalPoster input:', { templatePath, logoPath, outputPath, person, placement });
 
     if (!templatePath || !person || !logoPath || !outputPath) {
       throw new Error('Missing required parameters');
     }
 
-    if (!person.name || !person.photo || !person.designation) {
+    // Team-only members have no designation; their footer shows the team instead (see formatRole)
+    if (!person.name || !person.photo || !(person.designation || person.teamName)) {
       throw new Error('Missing required person information');
     }
 
@@ -184,119 +530,82 @@ async function createFinalPoster({ templatePath, person, logoPath, outputPath })
       throw new Error(`Template file not found: ${templatePath}`);
     }
 
+    const mode = placement.mode || 'below';
+    if (!PLACEMENT_MODES.includes(mode)) {
+      throw new Error(`Unknown footer placement: ${mode}`);
+    }
+    if (mode === 'overlay' && !placement.region) {
+      throw new Error('Overlay placement needs a region');
+    }
+
+    const footer = resolveFooterLayout(layout);
+
     const tempTemplatePath = `${templatePath}_temp`;
     await fs.promises.copyFile(templatePath, tempTemplatePath);
 
     const templateResized = await sharp(tempTemplatePath)
-      .resize({ width: 800 })
+      .resize({ width: renderWidth })
       .toBuffer();
 
     fs.unlinkSync(tempTemplatePath);
 
     const templateMetadata = await sharp(templateResized).metadata();
     const width = templateMetadata.width;
-
-    const photoSize = Math.floor(width * 0.18);
-    const fontSize = Math.round(width * 0.022);
-    const logoSize = Math.floor(width * 0.15);
-
-    const photoLeft = 40;
-    const textLeft = photoLeft + photoSize + 20;
-
-    const lineWidth = 4;
-    const lineGap = 20;
-    const rightMargin = 24;
-    const reservedRight = lineGap + lineWidth + logoSize + rightMargin;
-
-    let textWidth = Math.max(Math.floor(width * 0.38), width - textLeft - reservedRight);
-    if (textWidth < 120) textWidth = Math.max(120, Math.floor(width * 0.35));
-
-    const lineHeight = Math.round(fontSize * 1.18);
-    const requiredTextHeight = lineHeight * 4;
-    const footerHeight = Math.max(photoSize, requiredTextHeight, logoSize) + 18;
-
-    const isTeamName = Boolean(person.teamName && String(person.teamName).trim());
-    const textBuffer = await generateFooterBuffer(
-      person.name,
-      isTeamName ? person.teamName : person.designation,
-      person.phone,
-      textWidth,
-      footerHeight,
-      fontSize,
-      isTeamName
-    );
-    const textMetadata = await sharp(textBuffer).metadata();
-
-    const circularPhoto = await sharp(person.photo)
-      .resize(photoSize, photoSize)
-      .composite([{
-        input: Buffer.from(
-          `<svg><circle cx="${photoSize / 2}" cy="${photoSize / 2}" r="${photoSize / 2}" fill="white"/></svg>`
-        ),
-        blend: 'dest-in'
-      }])
-      .png()
-      .toBuffer();
-
-    const resizedLogo = await sharp(logoPath)
-      .resize({
-        width: logoSize,
-        height: logoSize,
-        fit: 'contain',
-        background: { r: 240, g: 247, b: 255 }
-      })
-      .flatten({ background: { r: 240, g: 247, b: 255 } })
-      .jpeg()
-      .toBuffer();
-
-    const rightSectionStart = textLeft + textMetadata.width + 10;
-    const lineX = Math.min(textLeft + textWidth + 8, rightSectionStart + 8);
-
-    let logoXCentered = lineX + lineWidth + 16;
-    const maxLogoLeft = width - logoSize - rightMargin;
-    // Clamp the logo's position to ensure it doesn't extend beyond the right margin
-    if (logoXCentered > maxLogoLeft) logoXCentered = maxLogoLeft;
-
-    const lineY = Math.floor((footerHeight - logoSize) / 2);
-    const lineHeightSVG = logoSize;
-
-    const lineSVG = `<svg width="${lineWidth}" height="${lineHeightSVG}" xmlns="http://www.w3.org/2000/svg"><rect x="0" y="0" width="${lineWidth}" height="${lineHeightSVG}" fill="#1B75BB"/></svg>`;
-    const lineBuffer = await sharp(Buffer.from(lineSVG)).png().toBuffer();
-
-    const gradientFooterBuffer = await sharp({
-      create: {
-        width,
-        height: footerHeight,
-        channels: 3,
-        background: { r: 240, g: 247, b: 255 },
-      }
-    })
-      .composite([
-        { input: circularPhoto, top: Math.floor((footerHeight - photoSize) / 2), left: photoLeft },
-        { input: textBuffer, top: Math.floor((footerHeight - textMetadata.height) / 2), left: textLeft },
-        { input: lineBuffer, top: lineY, left: lineX },
-        { input: resizedLogo, top: Math.floor((footerHeight - logoSize) / 2), left: logoXCentered },
-      ])
-      .jpeg()
-      .toBuffer();
+    const height = templateMetadata.height;
+
+    let canvasSize;
+    let layers;
+
+    if (mode === 'overlay') {
+      const region = regionToPixels(placement.region, width, height);
+      const strip = await renderFooterStrip({ person, footer, logoPath, width: region.width });
+      // Scale the strip down (keeping its proportions) so it fits inside the reserved area
+      const fitted = await sharp(strip.buffer)
+        .resize({ width: region.width, height: region.height, fit: 'contain', background: footer.background })
+        .jpeg()
+        .toBuffer();
+      canvasSize = { width, height };
+      layers = [
+        { input: templateResized, top: 0, left: 0 },
+        { input: fitted, top: region.top, left: region.left },
+      ];
+    } else if (mode === 'side') {
+      const panelWidth = Math.round(width * (placement.widthRatio || 0.3));
+      const panel = await renderSidePanel({
+        person,
+        footer,
+        logoPath,
+        width: panelWidth,
+        height,
+        fontSize: Math.round(width * footer.text.fontSizeRatio),
+      });
+      const panelOnLeft = placement.side === 'left';
+      canvasSize = { width: width + panelWidth, height };
+      layers = [
+        { input: templateResized, top: 0, left: panelOnLeft ? panelWidth : 0 },
+        { input: panel, top: 0, left: panelOnLeft ? 0 : width },
+      ];
+    } else {
+      const strip = await renderFooterStrip({ person, footer, logoPath, width });
+      canvasSize = { width, height: height + strip.height };
+      layers = mode === 'above'
+        ? [{ input: strip.buffer, top: 0, left: 0 }, { input: templateResized, top: strip.height, left: 0 }]
+        : [{ input: templateResized, top: 0, left: 0 }, { input: strip.buffer, top: height, left: 0 }];
+    }
 
     const finalImageBuffer = await sharp({
       create: {
-        width,
-        height: templateMetadata.height + footerHeight,
+        ...canvasSize,
         channels: 3,
         background: '#ffffff'
       }
     })
-      .composite([
-        { input: templateResized, top: 0, left: 0 },
-        { input: gradientFooterBuffer, top: templateMetadata.height, left: 0 }
-      ])
+      .composite(layers)
       .jpeg()
       .toBuffer();
 
     fs.writeFileSync(outputPath, finalImageBuffer);
-
+    return finalImageBuffer;
   } catch (error) {
     console.error('Error in createFinalPoster:', error);
     throw error;
@@ -304,7 +613,9 @@ async function createFinalPoster({ templatePath, person, logoPath, outputPath })
 }
 
 module.exports = {
+   PLACEMENT_MODES,
    generateFooterBuffer,
    processCircularImage,
    createFinalPoster,
+   createPrintPoster,
 };
\ No newline at end of file
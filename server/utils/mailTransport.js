@@ -0,0 +1,128 @@
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+const TRANSPORTS = ['gmail', 'smtp', 'sendmail', 'file'];
+const DEFAULT_OUTBOX_DIR = path.join(__dirname, '../outbox');
+
+let transport = null;
+let verified = null;
+
+/**
+ * Development/test backend: writes each message as an .eml file to EMAIL_OUTBOX_DIR instead of sending it.
+ */
+function createFileTransport() {
+  const outboxDir = process.env.EMAIL_OUTBOX_DIR || DEFAULT_OUTBOX_DIR;
+  const stream = nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' });
+
+  return {
+    async verify() {
+      await fs.promises.mkdir(outboxDir, { recursive: true });
+      return true;
+    },
+    async sendMail(mailOptions) {
+      const info = await stream.sendMail(mailOptions);
+      const recipient = String(mailOptions.to || 'unknown').replace(/[^\w.@-]+/g, '_');
+      const filePath = path.join(outboxDir, `${Date.now()}_${recipient}.eml`);
+      await fs.promises.mkdir(outboxDir, { recursive: true });
+      await fs.promises.writeFile(filePath, info.message);
+      return { ...info, message: undefined, path: filePath };
+    },
+    close() {},
+  };
+}
+
+function createTransport(type) {
+  if (type === 'file') return createFileTransport();
+
+  if (type === 'sendmail') {
+    return nodemailer.createTransport({
+      sendmail: true,
+      newline: 'unix',
+      path: process.env.SENDMAIL_PATH || 'sendmail',
+    });
+  }
+
+  if (type === 'smtp') {
+    const host = process.env.SMTP_HOST;
+    if (!host) throw new Error('SMTP transport selected but SMTP_HOST is not set');
+    const port = Number(process.env.SMTP_PORT) || 587;
+    return nodemailer.createTransport({
+      host,
+      port,
+      // Implicit TLS on 465, STARTTLS otherwise (forced with SMTP_REQUIRE_TLS=true)
+      secure: process.env.SMTP_SECURE ? process.env.SMTP_SECURE === 'true' : port === 465,
+      requireTLS: process.env.SMTP_REQUIRE_TLS === 'true',
+      auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined,
+      pool: true,
+      maxConnections: Number(process.env.SMTP_MAX_CONNECTIONS) || 3,
+    });
+  }
+
+  const email = process.env.GMAIL_USER;
+  const appPassword = process.env.GMAIL_PASS;
+  if (!email || !appPassword) {
+    throw new Error('Email credentials not configured. Please set GMAIL_USER and GMAIL_PASS in .env file');
+  }
+  return nodemailer.createTransport({
+    service: 'gmail',
+    auth: {
+      user: email,
+      pass: appPassword,
+    },
+    pool: true,
+  });
+}
+
+/**
+ * Returns the shared transport selected by EMAIL_TRANSPORT (gmail, smtp, sendmail or file; default gmail).
+ * SMTP and Gmail transports are pooled, so a campaign reuses the same connections for every email.
+ */
+function getTransport() {
+  if (!transport) {
+    const type = (process.env.EMAIL_TRANSPORT || 'gmail').toLowerCase();
+    if (!TRANSPORTS.includes(type)) {
+      throw new Error(`Unknown EMAIL_TRANSPORT: ${type}. Use one of ${TRANSPORTS.join(', ')}`);
+    }
+    transport = createTransport(type);
+  }
+  return transport;
+}
+
+/**
+ * Verifies the transport once and caches the result; a failed check is retried on the next call.
+ */
+function verifyTransport() {
+  if (!verified) {
+    verified = Promise.resolve()
+      .then(() => getTransport().verify())
+      .catch(err => {
+        verified = null;
+        throw err;
+      });
+  }
+  return verified;
+}
+
+/**
+ * Closes pooled connections (once the send queue has been idle for a while, see utils/sendQueue.js). The next send opens a new transport.
+ */
+function closeTransport() {
+  if (transport) transport.close();
+  transport = null;
+  verified = null;
+}
+
+// Sender address for outgoing mail
+function fromAddress() {
+  return process.env.EMAIL_FROM || process.env.EMAIL || process.env.SMTP_USER || process.env.GMAIL_USER;
+}
+
+module.exports = {
+  TRANSPORTS,
+  getTransport,
+  verifyTransport,
+  closeTransport,
+  fromAddress,
+};
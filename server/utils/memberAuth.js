@@ -0,0 +1,110 @@
+const crypto = require('crypto');
+
+const db = require('../db');
+
+const LOGIN_TTL_MS = 15 * 60 * 1000;
+const MAX_CODE_ATTEMPTS = 5;
+// Minimum gap between sign-in emails to the same member
+const RESEND_INTERVAL_MS = 60 * 1000;
+const SESSION_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+const MEMBER_COOKIE_NAME = 'member_session';
+const MEMBER_COOKIE_OPTIONS = {
+  httpOnly: true,
+  secure: true,
+  sameSite: 'none',
+  maxAge: SESSION_TTL_MS,
+  signed: true,
+};
+
+const hash = (value) => crypto.createHash('sha256').update(String(value)).digest('hex');
+
+// Emails were stored as typed at registration, so match them case-insensitively
+async function findMemberByEmail(email) {
+  const escaped = String(email || '').trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  if (!escaped) return null;
+  return await db.User.findOne({ email: new RegExp(`^${escaped}$`, 'i') }).lean();
+}
+
+/**
+ * Starts a portal sign-in for a member. Resolves to the one-time link token and 6-digit code to email;
+ * only their hashes are stored, and both stop working after 15 minutes or once used.
+ * Resolves to null when the member was sent one less than a minute ago.
+ */
+async function createLoginChallenge(memberId) {
+  const recent = await db.MemberLogin.findOne({ memberId, expiresAt: { $gt: new Date(Date.now() + LOGIN_TTL_MS - RESEND_INTERVAL_MS) } }).lean();
+  if (recent) return null;
+
+  const token = crypto.randomBytes(32).toString('hex');
+  const code = String(crypto.randomInt(0, 1000000)).padStart(6, '0');
+  // A new request replaces any earlier link or code
+  await db.MemberLogin.deleteMany({ memberId });
+  await db.MemberLogin.create({ memberId, tokenHash: hash(token), codeHash: hash(code), expiresAt: new Date(Date.now() + LOGIN_TTL_MS) });
+  return { token, code };
+}
+
+/**
+ * Redeems an emailed link token. Resolves to the member id, or null when the link is invalid or used.
+ */
+async function redeemLoginToken(token) {
+  if (!token) return null;
+  const login = await db.MemberLogin.findOneAndDelete({ tokenHash: hash(token), expiresAt: { $gt: new Date() } }).lean();
+  return login ? login.memberId : null;
+}
+
+/**
+ * Redeems an emailed code for the member with `email`. Wrong codes count towards a limit,
+ * after which the member has to request a new one. Resolves to the member id or null.
+ */
+async function redeemLoginCode(email, code) {
+  if (!email || !code) return null;
+  const member = await findMemberByEmail(email);
+  if (!member) return null;
+
+  const login = await db.MemberLogin.findOne({ memberId: member.id, expiresAt: { $gt: new Date() } }).lean();
+  if (!login || login.attempts >= MAX_CODE_ATTEMPTS) return null;
+  if (login.codeHash !== hash(String(code).trim())) {
+    await db.MemberLogin.updateOne({ _id: login._id }, { $inc: { attempts: 1 } });
+    return null;
+  }
+  await db.MemberLogin.deleteOne({ _id: login._id });
+  return member.id;
+}
+
+async function startMemberSession(res, memberId) {
+  const token = crypto.randomBytes(32).toString('hex');
+  await db.MemberSession.create({ tokenHash: hash(token), memberId, expiresAt: new Date(Date.now() + SESSION_TTL_MS) });
+  res.cookie(MEMBER_COOKIE_NAME, token, MEMBER_COOKIE_OPTIONS);
+}
+
+async function endMemberSession(req, res) {
+  const token = req.signedCookies && req.signedCookies[MEMBER_COOKIE_NAME];
+  if (token) await db.MemberSession.deleteOne({ tokenHash: hash(token) });
+  res.clearCookie(MEMBER_COOKIE_NAME, { ...MEMBER_COOKIE_OPTIONS, maxAge: 0 });
+}
+
+/**
+ * Express middleware for member portal routes: loads the signed-in member into `req.member`.
+ */
+async function requireMember(req, res, next) {
+  try {
+    const token = req.signedCookies && req.signedCookies[MEMBER_COOKIE_NAME];
+    const session = token ? await db.MemberSession.findOne({ tokenHash: hash(token), expiresAt: { $gt: new Date() } }).lean() : null;
+    const member = session ? await db.getUser(session.memberId) : null;
+    if (!member) return res.status(401).json({ error: 'Please sign in to see your posters' });
+    req.member = member;
+    next();
+  } catch (err) {
+    next(err);
+  }
+}
+
+module.exports = {
+  findMemberByEmail,
+  createLoginChallenge,
+  redeemLoginToken,
+  redeemLoginCode,
+  startMemberSession,
+  endMemberSession,
+  requireMember,
+};
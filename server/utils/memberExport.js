@@ -0,0 +1,88 @@
+const ExcelJS = require('exceljs');
+const XLSX = require('xlsx');
+
+const { memberChannels } = require('./deliveryChannels');
+
+const EXPORT_FORMATS = {
+  xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' },
+  csv: { contentType: 'text/csv; charset=utf-8' },
+  json: { contentType: 'application/json; charset=utf-8' },
+};
+
+// Columns of the exported directory, in order
+const EXPORT_COLUMNS = [
+  { header: 'ID', key: 'id', width: 16 },
+  { header: 'Name', key: 'name', width: 28 },
+  { header: 'Email', key: 'email', width: 32 },
+  { header: 'Phone', key: 'phone', width: 16 },
+  { header: 'Designation', key: 'designation', width: 28 },
+  { header: 'Team', key: 'teamName', width: 20 },
+  { header: 'Language', key: 'language', width: 10 },
+  { header: 'Channels', key: 'channels', width: 16 },
+  { header: 'Photo URL', key: 'photoUrl', width: 40 },
+  { header: 'Registered', key: 'createdAt', width: 22 },
+];
+
+/**
+ * Applies the admin list filter from the query string:
+ * `designationId`, `teamId` (or `any` for members in any team) and `hasPhoto` (`true`/`false`).
+ * Missing values don't filter.
+ */
+function filterMembers(users, { designationId, teamId, hasPhoto } = {}) {
+  return users.filter(user => {
+    if (designationId && !(user.designationIds || []).includes(designationId)) return false;
+    if (teamId) {
+      const teamIds = user.teamIds || [];
+      if (teamId === 'any' ? teamIds.length === 0 : !teamIds.includes(teamId)) return false;
+    }
+    if (hasPhoto === 'true' || hasPhoto === 'false') {
+      if (!!(user.photoUrl || user.photo) !== (hasPhoto === 'true')) return false;
+    }
+    return true;
+  });
+}
+
+// One flat record per member; older records may only have `photo`
+function toExportRow(user) {
+  return {
+    id: user.id,
+    name: user.name || '',
+    email: user.email || '',
+    phone: user.phone || '',
+    designation: user.designation || '',
+    teamName: user.teamName || '',
+    language: user.language || '',
+    channels: memberChannels(user).join(', '),
+    photoUrl: user.photoUrl || user.photo || '',
+    createdAt: user.createdAt ? new Date(user.createdAt).toISOString() : '',
+  };
+}
+
+/**
+ * Serialises members in `format` (see EXPORT_FORMATS). Resolves to the response body.
+ */
+async function buildMemberExport(users, format) {
+  const rows = users.map(toExportRow);
+  if (format === 'json') return JSON.stringify(rows, null, 2);
+
+  if (format === 'csv') {
+    const sheet = XLSX.utils.json_to_sheet(rows, { header: EXPORT_COLUMNS.map(c => c.key) });
+    XLSX.utils.sheet_add_aoa(sheet, [EXPORT_COLUMNS.map(c => c.header)], { origin: 'A1' });
+    // BOM so Excel opens non-ASCII names correctly
+    return `\uFEFF${XLSX.utils.sheet_to_csv(sheet)}`;
+  }
+
+  const workbook = new ExcelJS.Workbook();
+  const worksheet = workbook.addWorksheet('Members');
+  worksheet.columns = EXPORT_COLUMNS;
+  worksheet.addRows(rows);
+  worksheet.getRow(1).font = { bold: true };
+  worksheet.views = [{ state: 'frozen', ySplit: 1 }];
+  return Buffer.from(await workbook.xlsx.writeBuffer());
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  filterMembers,
+  buildMemberExport,
+};
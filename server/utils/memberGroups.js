@@ -0,0 +1,223 @@
+const db = require('../db');
+
+// Designations the registration form offered before they were managed in the admin panel;
+// seeded into an empty collection so a fresh install has something to pick from
+const DEFAULT_DESIGNATIONS = ['Partner', 'Admin', 'Founder'];
+
+// Combined values older records and schedules used, and the designations they stood for
+const LEGACY_ALIASES = { both: ['Health insurance advisor', 'Wealth Manager'] };
+
+/**
+ * Designations and teams share one shape. Members reference them by id in `memberField` and keep
+ * the names in `labelField` (joined with `separator`), which posters, footers and emails print.
+ * The label is rewritten by the server whenever the ids or a name change, never edited directly.
+ */
+const GROUP_KINDS = {
+  designation: { label: 'Designation', model: db.Designation, memberField: 'designationIds', labelField: 'designation', separator: ',' },
+  team: { label: 'Team', model: db.Team, memberField: 'teamIds', labelField: 'teamName', separator: ', ' },
+};
+
+// Names are unique regardless of case and spacing
+const groupKey = (name) => String(name || '').trim().replace(/\s+/g, ' ').toLowerCase();
+const cleanName = (name) => String(name || '').trim().replace(/\s+/g, ' ');
+
+let lastId = 0;
+// Date.now() ids, bumped when several groups are created within the same millisecond
+function newGroupId() {
+  lastId = Math.max(Date.now(), lastId + 1);
+  return String(lastId);
+}
+
+async function listGroups(kind, { withCounts = false } = {}) {
+  const { model, memberField } = GROUP_KINDS[kind];
+  const groups = await model.find({}).sort({ name: 1 }).lean();
+  if (!withCounts) return groups.map(({ id, name }) => ({ id, name }));
+  const counts = await db.User.aggregate([{ $unwind: `$${memberField}` }, { $group: { _id: `$${memberField}`, count: { $sum: 1 } } }]);
+  const countById = new Map(counts.map(c => [c._id, c.count]));
+  return groups.map(({ id, name }) => ({ id, name, memberCount: countById.get(id) || 0 }));
+}
+
+const findGroupByName = async (kind, name) => await GROUP_KINDS[kind].model.findOne({ key: groupKey(name) }).lean();
+
+async function createGroup(kind, name) {
+  const { label, model } = GROUP_KINDS[kind];
+  const clean = cleanName(name);
+  if (!clean) return { error: `${label} name is required` };
+  if (await findGroupByName(kind, clean)) return { error: `${label} "${clean}" already exists` };
+  const group = await model.create({ id: newGroupId(), name: clean, key: groupKey(clean) });
+  return { group: group.toObject() };
+}
+
+// Renaming also rewrites the label on every member in the group
+async function renameGroup(kind, id, name) {
+  const { label, model } = GROUP_KINDS[kind];
+  const clean = cleanName(name);
+  if (!clean) return { error: `${label} name is required` };
+  const before = await model.findOne({ id }).lean();
+  if (!before) return { error: `${label} not found`, status: 404 };
+  const clash = await findGroupByName(kind, clean);
+  if (clash && clash.id !== id) return { error: `${label} "${clean}" already exists` };
+  const group = await model.findOneAndUpdate({ id }, { name: clean, key: groupKey(clean) }, { new: true }).lean();
+  await syncMemberLabels(kind, id);
+  return { before, group };
+}
+
+// Groups that still have members are kept so nobody silently drops out of an audience
+async function deleteGroup(kind, id) {
+  const { label, model, memberField } = GROUP_KINDS[kind];
+  const group = await model.findOne({ id }).lean();
+  if (!group) return { error: `${label} not found`, status: 404 };
+  const members = await db.User.countDocuments({ [memberField]: id });
+  if (members > 0) return { error: `${group.name} still has ${members} member(s); move them first`, status: 409 };
+  await model.deleteOne({ id });
+  return { group };
+}
+
+// Recomputes `labelField` for the members of one group from their ids
+async function syncMemberLabels(kind, groupId) {
+  const { model, memberField, labelField, separator } = GROUP_KINDS[kind];
+  const names = new Map((await model.find({}).lean()).map(g => [g.id, g.name]));
+  const members = await db.User.find({ [memberField]: groupId }).lean();
+  for (const member of members) {
+    const label = member[memberField].map(id => names.get(id)).filter(Boolean).join(separator);
+    await db.User.updateOne({ id: member.id }, { [labelField]: label });
+  }
+  return members.length;
+}
+
+/**
+ * Checks the ids sent for a member and returns the fields to store:
+ * { fields: { designationIds, teamIds, designation, teamName } } or { error }.
+ * Only the kinds present in `input` are returned, so partial updates leave the others alone.
+ */
+async function resolveMemberGroups(input) {
+  const fields = {};
+  for (const { label, model, memberField, labelField, separator } of Object.values(GROUP_KINDS)) {
+    if (input[memberField] === undefined) continue;
+    const ids = input[memberField];
+    if (!Array.isArray(ids) || ids.some(id => typeof id !== 'string')) return { error: `${memberField} must be an array of ids` };
+    const unique = [...new Set(ids)];
+    const groups = await model.find({ id: { $in: unique } }).lean();
+    const byId = new Map(groups.map(g => [g.id, g]));
+    const unknown = unique.find(id => !byId.has(id));
+    if (unknown) return { error: `Unknown ${label.toLowerCase()}: ${unknown}` };
+    fields[memberField] = unique;
+    fields[labelField] = unique.map(id => byId.get(id).name).join(separator);
+  }
+  return { fields };
+}
+
+/**
+ * Maps group names to ids, e.g. from an import file or an older client sending `designation`.
+ * Resolves to { designationIds, teamIds } or { error } naming the first unknown name.
+ */
+async function resolveGroupNames({ designations = [], teams = [] }) {
+  const result = {};
+  for (const [kind, names] of [['designation', designations], ['team', teams]]) {
+    const { label, memberField } = GROUP_KINDS[kind];
+    result[memberField] = [];
+    for (const name of names) {
+      const group = await findGroupByName(kind, name);
+      if (!group) return { error: `Unknown ${label.toLowerCase()}: ${name}` };
+      if (!result[memberField].includes(group.id)) result[memberField].push(group.id);
+    }
+  }
+  return result;
+}
+
+/**
+ * Designation and team fields for a member from a request body: `designationIds` / `teamIds`
+ * (arrays, or JSON arrays from multipart forms), or else the `designation` / `teamName` names
+ * older clients send. Resolves to { fields } or { error }; kinds the body leaves out are not returned.
+ */
+async function memberGroupsFromBody(body) {
+  const input = {};
+  for (const { memberField } of Object.values(GROUP_KINDS)) {
+    let value = body[memberField];
+    if (typeof value === 'string') {
+      try { value = JSON.parse(value); } catch (e) { return { error: `${memberField} must be a JSON array` }; }
+    }
+    if (value !== undefined) input[memberField] = value;
+  }
+  if (Object.keys(input).length === 0 && (body.designation || body.teamName)) {
+    const names = parseLegacyGroups(body.designation, body.teamName);
+    const resolved = await resolveGroupNames(names);
+    if (resolved.error) return resolved;
+    input.designationIds = resolved.designationIds;
+    if (names.teams.length > 0) input.teamIds = resolved.teamIds;
+  }
+  return await resolveMemberGroups(input);
+}
+
+/**
+ * Splits the free-text strings members used to carry, e.g.
+ * 'Health insurance advisor,Wealth Manager' or 'Team,Team: Chennai', into designation and team names.
+ */
+function parseLegacyGroups(designation, teamName) {
+  const designations = [];
+  const teams = [];
+  for (const part of String(designation || '').split(',').map(cleanName).filter(Boolean)) {
+    const team = part.match(/^Team:\s*(.+)$/i);
+    if (team) teams.push(cleanName(team[1]));
+    else if (LEGACY_ALIASES[part.toLowerCase()]) designations.push(...LEGACY_ALIASES[part.toLowerCase()]);
+    // A bare 'Team' only marked team members; their team membership says that now
+    else if (part.toLowerCase() !== 'team') designations.push(part);
+  }
+  if (teamName && cleanName(teamName)) teams.push(cleanName(teamName));
+  const unique = (names) => names.filter((name, i) => names.findIndex(n => groupKey(n) === groupKey(name)) === i);
+  return { designations: unique(designations), teams: unique(teams) };
+}
+
+/**
+ * Gives members saved before the collections existed their designation and team ids, creating
+ * the groups their strings name. Members that already have ids are skipped, so this is safe to re-run.
+ * Resolves to { members, designations, teams } with the number of each created or updated.
+ */
+async function migrateLegacyMemberGroups() {
+  const created = { designation: 0, team: 0 };
+  const idFor = async (kind, name) => {
+    const existing = await findGroupByName(kind, name);
+    if (existing) return existing.id;
+    const { group } = await createGroup(kind, name);
+    created[kind] += 1;
+    return group.id;
+  };
+
+  const members = await db.User.find({ designationIds: { $exists: false } }).lean();
+  for (const member of members) {
+    const { designations, teams } = parseLegacyGroups(member.designation, member.teamName);
+    const designationIds = [];
+    for (const name of designations) designationIds.push(await idFor('designation', name));
+    const teamIds = [];
+    for (const name of teams) teamIds.push(await idFor('team', name));
+    const { fields } = await resolveMemberGroups({ designationIds, teamIds });
+    await db.User.updateOne({ id: member.id }, fields);
+  }
+  return { members: members.length, designations: created.designation, teams: created.team };
+}
+
+// Seeds DEFAULT_DESIGNATIONS when there are none yet. Resolves to true when it did.
+async function ensureDefaultDesignations() {
+  if (await db.Designation.countDocuments() > 0) return false;
+  for (const name of DEFAULT_DESIGNATIONS) await createGroup('designation', name);
+  return true;
+}
+
+module.exports = {
+  GROUP_KINDS,
+  DEFAULT_DESIGNATIONS,
+  LEGACY_ALIASES,
+  groupKey,
+  listGroups,
+  findGroupByName,
+  createGroup,
+  renameGroup,
+  deleteGroup,
+  syncMemberLabels,
+  resolveMemberGroups,
+  resolveGroupNames,
+  memberGroupsFromBody,
+  parseLegacyGroups,
+  migrateLegacyMemberGroups,
+  ensureDefaultDesignations,
+};
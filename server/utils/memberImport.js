@@ -0,0 +1,151 @@
+const XLSX = require('xlsx');
+
+const { DEFAULT_LANGUAGE } = require('./i18n');
+const { GROUP_KINDS, groupKey } = require('./memberGroups');
+
+// Member fields an import can fill, with the spreadsheet headers recognised for each (lower case)
+const IMPORT_FIELDS = {
+  name: { label: 'Name', required: true, headers: ['name', 'full name', 'member name'] },
+  email: { label: 'Email', required: true, headers: ['email', 'e-mail', 'email address'] },
+  phone: { label: 'Phone', required: true, headers: ['phone', 'mobile', 'phone number', 'mobile number'] },
+  designation: { label: 'Designation', required: false, headers: ['designation', 'role'] },
+  teamName: { label: 'Team', required: false, headers: ['team', 'team name', 'teamname'] },
+  photoUrl: { label: 'Photo URL', required: false, headers: ['photo url', 'photourl', 'photo', 'photo link'] },
+};
+
+const MAX_IMPORT_ROWS = 5000;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const PHONE_PATTERN = /^[\d\s+()-]{7,20}$/;
+
+/**
+ * Reads the first sheet of an XLSX or CSV file. Resolves to { headers, rows } where each row
+ * is { rowNumber, values: { header: text } }; blank rows are skipped.
+ */
+function readSpreadsheet(buffer) {
+  const workbook = XLSX.read(buffer, { type: 'buffer' });
+  const sheet = workbook.Sheets[workbook.SheetNames[0]];
+  if (!sheet) throw new Error('The file has no sheets');
+
+  const [headerRow = [], ...dataRows] = XLSX.utils.sheet_to_json(sheet, { header: 1, raw: false, defval: '' });
+  const headers = headerRow.map(h => String(h).trim());
+  if (headers.every(h => !h)) throw new Error('The first row must contain column headers');
+
+  const rows = [];
+  dataRows.forEach((cells, index) => {
+    if (cells.every(cell => String(cell).trim() === '')) return;
+    const values = {};
+    headers.forEach((header, col) => {
+      if (header) values[header] = String(cells[col] ?? '').trim();
+    });
+    // +2: sheet rows are 1-based and the header takes the first
+    rows.push({ rowNumber: index + 2, values });
+  });
+  if (rows.length > MAX_IMPORT_ROWS) throw new Error(`Imports are limited to ${MAX_IMPORT_ROWS} rows per file`);
+  return { headers, rows };
+}
+
+// Picks a column for each field by matching header names
+function suggestMapping(headers) {
+  const mapping = {};
+  for (const [field, { headers: aliases }] of Object.entries(IMPORT_FIELDS)) {
+    const match = headers.find(h => aliases.includes(h.toLowerCase()));
+    if (match) mapping[field] = match;
+  }
+  return mapping;
+}
+
+function validateMapping(mapping, headers) {
+  for (const [field, header] of Object.entries(mapping)) {
+    if (!IMPORT_FIELDS[field]) return `Unknown field: ${field}`;
+    if (header && !headers.includes(header)) return `Column not found: ${header}`;
+  }
+  const missing = Object.entries(IMPORT_FIELDS).filter(([field, { required }]) => required && !mapping[field]);
+  if (missing.length > 0) return `Choose a column for: ${missing.map(([, { label }]) => label).join(', ')}`;
+  return null;
+}
+
+/**
+ * Maps and checks every row. `existingEmails` is a Set of lower-cased emails already registered and
+ * `groups` has the designations and teams ({ designation: [{ id, name }], team: [...] }) names must match.
+ * Returns [{ rowNumber, values, member, errors }]; rows with no errors can be imported.
+ */
+function validateImportRows(rows, mapping, existingEmails, groups) {
+  const groupsByKey = {};
+  for (const kind of Object.keys(GROUP_KINDS)) groupsByKey[kind] = new Map(groups[kind].map(g => [groupKey(g.name), g]));
+
+  const seenEmails = new Map();
+  return rows.map(({ rowNumber, values }) => {
+    const member = {};
+    for (const [field, header] of Object.entries(mapping)) {
+      if (header && values[header]) member[field] = values[header];
+    }
+
+    const errors = [];
+    for (const [field, { label, required }] of Object.entries(IMPORT_FIELDS)) {
+      if (required && !member[field]) errors.push(`${label} is missing`);
+    }
+    if (member.email) {
+      const key = member.email.toLowerCase();
+      if (!EMAIL_PATTERN.test(member.email)) errors.push('Email is not valid');
+      else if (existingEmails.has(key)) errors.push('Email is already registered');
+      else if (seenEmails.has(key)) errors.push(`Email repeats row ${seenEmails.get(key)}`);
+      else seenEmails.set(key, rowNumber);
+    }
+    if (member.phone && !PHONE_PATTERN.test(member.phone)) errors.push('Phone is not valid');
+    if (member.photoUrl && !/^(https?:\/\/|\/)/.test(member.photoUrl)) errors.push('Photo URL must start with http(s):// or /');
+    // Cells may list several comma-separated designations or teams, by name
+    for (const [kind, { label, memberField, labelField, separator }] of Object.entries(GROUP_KINDS)) {
+      const matched = [];
+      for (const name of String(member[labelField] || '').split(',').map(n => n.trim()).filter(Boolean)) {
+        const group = groupsByKey[kind].get(groupKey(name));
+        if (!group) errors.push(`Unknown ${label.toLowerCase()}: ${name}`);
+        else if (!matched.includes(group)) matched.push(group);
+      }
+      member[memberField] = matched.map(g => g.id);
+      if (matched.length > 0) member[labelField] = matched.map(g => g.name).join(separator);
+    }
+
+    return { rowNumber, values, member, errors };
+  });
+}
+
+// User document for a valid row
+function toUser(member, id) {
+  return {
+    id,
+    name: member.name,
+    email: member.email,
+    phone: member.phone,
+    designation: member.designation || '',
+    designationIds: member.designationIds || [],
+    teamIds: member.teamIds || [],
+    ...(member.teamName && { teamName: member.teamName }),
+    photoUrl: member.photoUrl || '',
+    language: DEFAULT_LANGUAGE
+  };
+}
+
+/**
+ * XLSX of the rows that were not imported: the original columns plus the row number and the reasons.
+ */
+function buildErrorSheet(headers, failed) {
+  const data = failed.map(({ rowNumber, values, errors }) => ({
+    Row: rowNumber,
+    ...Object.fromEntries(headers.filter(Boolean).map(h => [h, values[h] || ''])),
+    Errors: errors.join('; ')
+  }));
+  const workbook = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(data, { header: ['Row', ...headers.filter(Boolean), 'Errors'] }), 'Errors');
+  return XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' });
+}
+
+module.exports = {
+  IMPORT_FIELDS,
+  MAX_IMPORT_ROWS,
+  readSpreadsheet,
+  suggestMapping,
+  validateMapping,
+  validateImportRows,
+  toUser,
+  buildErrorSheet,
+};
@@ -0,0 +1,54 @@
+const fs = require('fs');
+const path = require('path');
+
+const db = require('../db');
+const storage = require('./storage');
+
+/**
+ * Keeps a member's rendered outputs (see renderMemberPoster) in storage and records them as the
+ * member's poster for the campaign, replacing the files of an earlier try.
+ */
+async function archiveMemberPoster(person, campaign, outputs) {
+  const existing = await db.Poster.findOne({ campaignId: campaign.id, memberId: person.id }).lean();
+  const id = existing ? existing.id : `${campaign.id}_${person.id}`;
+
+  const files = [];
+  for (const output of outputs) {
+    const key = `posters/${person.id}/${id}/${output.filename}`;
+    await storage.put(key, await fs.promises.readFile(output.path), output.contentType);
+    files.push({ profile: output.profile, filename: output.filename, key, contentType: output.contentType });
+  }
+
+  if (existing) {
+    const kept = new Set(files.map(f => f.key));
+    for (const file of existing.files) {
+      if (!kept.has(file.key)) await storage.remove(file.key);
+    }
+  }
+
+  return await db.Poster.findOneAndUpdate(
+    { id },
+    { id, memberId: person.id, campaignId: campaign.id, templateName: campaign.templateName, files },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  ).lean();
+}
+
+/**
+ * Copies a stored poster's files to `dir` so they can be attached again. Resolves to outputs
+ * shaped like renderMemberPoster's: [{ profile, path, filename, contentType }].
+ */
+async function materializePoster(poster, dir) {
+  await fs.promises.mkdir(dir, { recursive: true });
+  const outputs = [];
+  for (const file of poster.files) {
+    const filePath = path.join(dir, `${poster.id}_${file.filename}`);
+    await fs.promises.writeFile(filePath, await storage.get(file.key));
+    outputs.push({ profile: file.profile, path: filePath, filename: file.filename, contentType: file.contentType });
+  }
+  return outputs;
+}
+
+module.exports = {
+  archiveMemberPoster,
+  materializePoster,
+};
@@ -0,0 +1,127 @@
+const fs = require('fs');
+const sharp = require('sharp');
+const { createCanvas, loadImage } = require('canvas');
+
+const OUTPUT_FORMATS = ['jpeg', 'png', 'webp', 'pdf'];
+const MAX_DIMENSION = 4000;
+
+/**
+ * Built-in output profiles. A profile with only a width keeps the poster's aspect ratio;
+ * with both width and height the poster is fitted inside and padded with white.
+ * PDF sizes are pixels at `dpi`, which also sets the page size.
+ */
+const OUTPUT_PROFILES = {
+  standard: { label: 'Standard (800px JPEG)', width: 800, format: 'jpeg', quality: 90 },
+  whatsapp_status: { label: 'WhatsApp status (9:16)', width: 1080, height: 1920, format: 'jpeg', quality: 85 },
+  instagram_square: { label: 'Instagram square (1:1)', width: 1080, height: 1080, format: 'jpeg', quality: 90 },
+  a4_print: { label: 'A4 print (PDF)', width: 2480, height: 3508, format: 'pdf', dpi: 300 },
+};
+
+const DEFAULT_PROFILE_NAMES = ['standard'];
+
+const CONTENT_TYPES = {
+  jpeg: 'image/jpeg',
+  png: 'image/png',
+  webp: 'image/webp',
+  pdf: 'application/pdf',
+};
+
+/**
+ * Accepts profile names and/or custom { name, width, height, format, quality } objects
+ * (or a JSON string of either). Resolves to { error } or { profiles } with a name on each profile.
+ */
+function resolveOutputProfiles(input) {
+  let list = input;
+  if (typeof list === 'string') {
+    try {
+      list = JSON.parse(list);
+    } catch (e) {
+      list = list.split(',').map(s => s.trim()).filter(Boolean);
+    }
+  }
+  if (!list || (Array.isArray(list) && list.length === 0)) list = DEFAULT_PROFILE_NAMES;
+  if (!Array.isArray(list)) list = [list];
+
+  const profiles = [];
+  for (const entry of list) {
+    if (typeof entry === 'string') {
+      if (!OUTPUT_PROFILES[entry]) return { error: `Unknown output profile: ${entry}` };
+      profiles.push({ name: entry, ...OUTPUT_PROFILES[entry] });
+      continue;
+    }
+
+    const profile = { format: 'jpeg', ...entry };
+    const width = Number(profile.width);
+    const height = profile.height === undefined ? undefined : Number(profile.height);
+    if (!/^[\w-]+$/.test(profile.name || '')) return { error: 'Custom output profiles need a name of letters, digits, - or _' };
+    if (OUTPUT_PROFILES[profile.name]) return { error: `Output profile name ${profile.name} is reserved` };
+    if (!OUTPUT_FORMATS.includes(profile.format)) return { error: `Output format must be one of ${OUTPUT_FORMATS.join(', ')}` };
+    if (!(width > 0 && width <= MAX_DIMENSION) || (height !== undefined && !(height > 0 && height <= MAX_DIMENSION))) {
+      return { error: `Output dimensions must be between 1 and ${MAX_DIMENSION} pixels` };
+    }
+    if (profile.quality !== undefined && !(profile.quality >= 1 && profile.quality <= 100)) {
+      return { error: 'Output quality must be between 1 and 100' };
+    }
+    profiles.push({ ...profile, width, height });
+  }
+
+  if (new Set(profiles.map(p => p.name)).size !== profiles.length) return { error: 'Output profile names must be unique' };
+  return { profiles };
+}
+
+// Width the master poster is composed at so no variant has to be upscaled from it
+function masterWidthFor(profiles) {
+  return Math.min(MAX_DIMENSION, Math.max(800, ...profiles.map(p => p.width)));
+}
+
+async function toPdf(imageBuffer, profile) {
+  const dpi = profile.dpi || 300;
+  const { width, height } = await sharp(imageBuffer).metadata();
+  const pageWidth = Math.round((width * 72) / dpi);
+  const pageHeight = Math.round((height * 72) / dpi);
+
+  const canvas = createCanvas(pageWidth, pageHeight, 'pdf');
+  const ctx = canvas.getContext('2d');
+  ctx.drawImage(await loadImage(imageBuffer), 0, 0, pageWidth, pageHeight);
+  return canvas.toBuffer('application/pdf');
+}
+
+/**
+ * Writes one file per profile next to `basePath` (extension added per format) from the composed
+ * master poster. Resolves to [{ profile, path, filename, contentType }] in profile order.
+ */
+async function renderOutputVariants(masterBuffer, profiles, basePath) {
+  const outputs = [];
+  for (const profile of profiles) {
+    const resize = profile.height
+      ? { width: profile.width, height: profile.height, fit: 'contain', background: '#ffffff' }
+      : { width: profile.width };
+    const resized = sharp(masterBuffer).resize(resize).flatten({ background: '#ffffff' });
+
+    const extension = profile.format;
+    let buffer;
+    if (profile.format === 'pdf') {
+      buffer = await toPdf(await resized.jpeg({ quality: 92 }).toBuffer(), profile);
+    } else {
+      buffer = await resized.toFormat(profile.format, { quality: profile.quality || 90 }).toBuffer();
+    }
+
+    const filePath = `${basePath}_${profile.name}.${extension}`;
+    await fs.promises.writeFile(filePath, buffer);
+    outputs.push({
+      profile: profile.name,
+      path: filePath,
+      filename: `poster_${profile.name}.${extension}`,
+      contentType: CONTENT_TYPES[profile.format],
+    });
+  }
+  return outputs;
+}
+
+module.exports = {
+  OUTPUT_PROFILES,
+  DEFAULT_PROFILE_NAMES,
+  resolveOutputProfiles,
+  masterWidthFor,
+  renderOutputVariants,
+};
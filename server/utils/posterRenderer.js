@@ -0,0 +1,155 @@
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const sharp = require('sharp');
+
+const { createFinalPoster, createPrintPoster } = require('./image');
+const { masterWidthFor, renderOutputVariants } = require('./outputProfiles');
+const { downloadFromGCS } = require('./gcs');
+
+const UPLOADS_DIR = path.join(__dirname, '../uploads');
+const LOGO_PATH = path.join(__dirname, '../assets/logo.png');
+
+/**
+ * Downloads (or locates) the member's photo so sharp can read it from disk.
+ * Resolves to { photoPath, isTempFile }; rejects with the reason the photo is unusable.
+ */
+async function preparePhoto(person) {
+  // Previews may hand over a photo that is already on disk
+  if (person.photoPath) return { photoPath: person.photoPath, isTempFile: false };
+
+  const photoSource = person.photoUrl || person.photo || '';
+
+  if (photoSource.startsWith('https://storage.googleapis.com')) {
+    // GCS URL, download to temp file
+    const bucketName = process.env.GCS_BUCKET || 'abuinshah-photos';
+    const urlParts = photoSource.split(`https://storage.googleapis.com/${bucketName}/`);
+    if (urlParts.length !== 2) throw new Error(`Invalid GCS URL: ${photoSource}`);
+    const tmpFile = path.join(UPLOADS_DIR, `${person.id || person._id}_gcs_${Date.now()}.jpeg`);
+    try {
+      await downloadFromGCS(urlParts[1], tmpFile);
+    } catch (e) {
+      throw new Error(`Failed to download GCS photo: ${e.message || e}`);
+    }
+    return { photoPath: tmpFile, isTempFile: true };
+  }
+
+  if (photoSource.startsWith('http')) {
+    // Other remote URL, download to temp file
+    const tmpFile = path.join(UPLOADS_DIR, `${person.id || person._id}_remote_${Date.now()}.jpg`);
+    try {
+      const response = await axios.get(photoSource, { responseType: 'arraybuffer' });
+      await fs.promises.writeFile(tmpFile, response.data);
+    } catch (e) {
+      throw new Error(`Failed to download remote photo: ${e.message || e}`);
+    }
+    return { photoPath: tmpFile, isTempFile: true };
+  }
+
+  if (photoSource.startsWith('/')) {
+    // Local path
+    const photoPath = path.join(__dirname, '..', photoSource);
+    if (!fs.existsSync(photoPath)) throw new Error('Photo file not found');
+    return { photoPath, isTempFile: false };
+  }
+
+  throw new Error(`Invalid photo source: ${photoSource}`);
+}
+
+/**
+ * Writes a neutral grey square used in previews rendered from sample data without a photo.
+ */
+async function createPlaceholderPhoto(outputPath, size = 200) {
+  await sharp({ create: { width: size, height: size, channels: 3, background: { r: 200, g: 205, b: 215 } } })
+    .jpeg()
+    .toFile(outputPath);
+  return outputPath;
+}
+
+/**
+ * Prepares the member's photo and the plain person object the compositor expects, runs `draw`
+ * with it and removes any downloaded photo afterwards. Errors are rethrown with `stage` set to
+ * 'photo' or 'render'.
+ */
+async function withPosterPerson(person, draw) {
+  let photo = null;
+  try {
+    try {
+      photo = await preparePhoto(person);
+    } catch (err) {
+      err.stage = 'photo';
+      throw err;
+    }
+
+    // Build a plain object to avoid passing Mongoose document with non-enumerable props
+    const personForPoster = {
+      id: person.id || person._id || '',
+      name: person.name || '',
+      email: person.email || '',
+      phone: person.phone || '',
+      designation: person.designation || '',
+      teamName: person.teamName || '',
+      photo: photo.photoPath
+    };
+
+    try {
+      return await draw(personForPoster);
+    } catch (err) {
+      err.stage = 'render';
+      throw err;
+    }
+  } finally {
+    if (photo && photo.isTempFile) {
+      try { await fs.promises.unlink(photo.photoPath); } catch (e) { /* ignore */ }
+    }
+  }
+}
+
+/**
+ * Composes one member's poster from a template into `outputPath`. `options.layout` is the
+ * footer layout to draw (see utils/footerLayouts.js); the default layout is used without it.
+ * `options.placement` is the template's footer placement (appended below when omitted).
+ * With `options.profiles` (see utils/outputProfiles.js) one file per profile is written next to
+ * `outputPath` as well. Resolves to the outputs ({ profile, path, filename, contentType }) to deliver.
+ * Errors are rethrown with `stage` set to 'photo' or 'render'.
+ */
+async function renderMemberPoster(person, templatePath, outputPath, options = {}) {
+  return withPosterPerson(person, async (personForPoster) => {
+    const profiles = options.profiles;
+    const master = await createFinalPoster({
+      templatePath,
+      person: personForPoster,
+      logoPath: LOGO_PATH,
+      outputPath,
+      layout: options.layout,
+      placement: options.placement,
+      renderWidth: profiles ? masterWidthFor(profiles) : undefined
+    });
+    if (!profiles) {
+      return [{ profile: 'standard', path: outputPath, filename: 'poster.jpeg', contentType: 'image/jpeg' }];
+    }
+    return await renderOutputVariants(master, profiles, outputPath.replace(/\.[^./]+$/, ''));
+  });
+}
+
+/**
+ * Writes the print-quality PDF of one member's poster (see createPrintPoster) to `outputPath`.
+ * Takes the same options as renderMemberPoster except `profiles`.
+ */
+async function renderMemberPrintPdf(person, templatePath, outputPath, options = {}) {
+  return withPosterPerson(person, (personForPoster) => createPrintPoster({
+    templatePath,
+    person: personForPoster,
+    logoPath: LOGO_PATH,
+    outputPath,
+    layout: options.layout,
+    placement: options.placement
+  }));
+}
+
+module.exports = {
+  preparePhoto,
+  createPlaceholderPhoto,
+  renderMemberPoster,
+  renderMemberPrintPdf,
+};
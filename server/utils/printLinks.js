@@ -0,0 +1,35 @@
+const crypto = require('crypto');
+
+const LINK_SECRET = process.env.POSTER_LINK_SECRET || process.env.ADMIN_TOKEN_SECRET || 'supersecret';
+const LINK_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+
+function signature(memberId, templateId, expires) {
+  return crypto.createHmac('sha256', LINK_SECRET).update(`${memberId}:${templateId}:${expires}`).digest('hex');
+}
+
+/**
+ * Builds the query string for a member's print PDF download; valid for 30 days.
+ */
+function signPrintLink(memberId, templateId, now = Date.now()) {
+  const expires = now + LINK_TTL_MS;
+  const params = new URLSearchParams({ memberId, templateId, expires: String(expires), signature: signature(memberId, templateId, expires) });
+  return params.toString();
+}
+
+/**
+ * Checks the query of a print download link. Returns an error message, or null when the link is valid.
+ */
+function verifyPrintLink({ memberId, templateId, expires, signature: given } = {}) {
+  if (!memberId || !templateId || !expires || !given) return 'Incomplete download link';
+  if (Number(expires) < Date.now()) return 'This download link has expired';
+
+  const expected = Buffer.from(signature(memberId, templateId, expires));
+  const actual = Buffer.from(String(given));
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return 'Invalid download link';
+  return null;
+}
+
+module.exports = {
+  signPrintLink,
+  verifyPrintLink,
+};
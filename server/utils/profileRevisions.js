@@ -0,0 +1,76 @@
+const fs = require('fs');
+const path = require('path');
+
+const { processCircularImage } = require('./image');
+const { uploadToGCS, deleteFromGCS } = require('./gcs');
+const { LANGUAGES } = require('./i18n');
+const { validateChannels, memberChannels } = require('./deliveryChannels');
+
+// Member details a member can ask to change from the portal. Designation and team decide which
+// campaigns a member is in, so those stay admin-only.
+const PROFILE_FIELDS = ['name', 'phone', 'email', 'language', 'channels'];
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const sameValue = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+// Members without a saved channel preference get email, so that is what the portal form shows them
+const currentValue = (member, field) => (field === 'channels' ? memberChannels(member) : member[field]);
+
+/**
+ * Validates a member's requested details and keeps only the ones that differ from `member`.
+ * Returns { changes } or { error }.
+ */
+function diffProfileChanges(member, input) {
+  const changes = {};
+  for (const field of PROFILE_FIELDS) {
+    if (input[field] === undefined) continue;
+    const value = typeof input[field] === 'string' ? input[field].trim() : input[field];
+    if (!sameValue(value, currentValue(member, field))) changes[field] = value;
+  }
+
+  if ('name' in changes && !changes.name) return { error: 'Name cannot be empty' };
+  if ('phone' in changes && !/^[\d\s+()-]{7,20}$/.test(changes.phone)) return { error: 'Enter a valid phone number' };
+  if ('email' in changes && !EMAIL_PATTERN.test(changes.email)) return { error: 'Enter a valid email address' };
+  if ('language' in changes && !LANGUAGES[changes.language]) return { error: `Unsupported language: ${changes.language}` };
+  if ('channels' in changes) {
+    const channelError = validateChannels(changes.channels);
+    if (channelError) return { error: channelError };
+  }
+  return { changes };
+}
+
+/**
+ * Crops an uploaded photo the same way registration does and stores it under photos/pending/
+ * until an admin reviews the request. Resolves to { photoUrl, photoKey }.
+ */
+async function storePendingPhoto(file, member) {
+  const filenameSafe = (member.name || member.id).replace(/[^a-z0-9]/gi, '_').toLowerCase();
+  const processedPath = path.join(path.dirname(file.path), `pending_${filenameSafe}_${Date.now()}.jpeg`);
+  try {
+    await processCircularImage(file.path, processedPath, 200);
+    const photoKey = `photos/pending/${Date.now()}_${filenameSafe}.jpeg`;
+    const photoUrl = await uploadToGCS(processedPath, photoKey);
+    return { photoUrl, photoKey };
+  } finally {
+    await fs.promises.rm(processedPath, { force: true });
+    await fs.promises.rm(file.path, { force: true });
+  }
+}
+
+// Photos of rejected or replaced requests are never used, so they are removed from the bucket
+async function discardPendingPhoto(revision) {
+  if (!revision || !revision.photoKey) return;
+  try {
+    await deleteFromGCS(revision.photoKey);
+  } catch (err) {
+    console.warn(`Failed to remove pending photo ${revision.photoKey}:`, err.message);
+  }
+}
+
+module.exports = {
+  PROFILE_FIELDS,
+  diffProfileChanges,
+  storePendingPhoto,
+  discardPendingPhoto,
+};
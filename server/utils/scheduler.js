@@ -0,0 +1,167 @@
+const db = require('../db');
+const { launchCampaign } = require('./campaignWorker');
+const { resolveOutputProfiles } = require('./outputProfiles');
+const { describeAudience, audienceFromDesignation, audienceFromRequest } = require('./audience');
+
+const TICK_INTERVAL_MS = Number(process.env.SCHEDULER_INTERVAL_MS) || 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const RECURRENCE_TYPES = ['once', 'daily', 'weekly', 'dates'];
+
+let timer = null;
+
+// Weekday of `date` in the schedule creator's local time (offset as reported by Date#getTimezoneOffset)
+function localWeekday(date, utcOffsetMinutes) {
+  return new Date(date.getTime() - utcOffsetMinutes * 60 * 1000).getUTCDay();
+}
+
+/**
+ * Works out the first run strictly after `after` (or at/after `from` for a new schedule).
+ * Daily and weekly runs keep the wall-clock time of `from`. Returns null when nothing is left to run.
+ */
+function nextRunAfter(schedule, from, after) {
+  const { recurrence = {}, utcOffsetMinutes = 0 } = schedule;
+  const type = recurrence.type || 'once';
+
+  if (type === 'dates') {
+    const upcoming = (recurrence.dates || [])
+      .map(d => new Date(d))
+      .filter(d => d > after)
+      .sort((a, b) => a - b);
+    return upcoming[0] || null;
+  }
+
+  if (type === 'once') return from > after ? from : null;
+
+  let candidate = new Date(from);
+  while (candidate <= after) candidate = new Date(candidate.getTime() + DAY_MS);
+
+  if (type === 'weekly') {
+    const weekdays = recurrence.weekdays || [];
+    if (weekdays.length === 0) return null;
+    while (!weekdays.includes(localWeekday(candidate, utcOffsetMinutes))) {
+      candidate = new Date(candidate.getTime() + DAY_MS);
+    }
+  }
+  return candidate;
+}
+
+/**
+ * The schedule's audience and its label: from the request, kept from the existing schedule,
+ * or converted from a designation name as older clients sent it.
+ */
+async function scheduleAudience(input, existing) {
+  if (!input.audience && !input.designation && existing.audience) {
+    return { audience: existing.audience, label: existing.designation };
+  }
+  const { error, audience } = await audienceFromRequest(input.audience || input.designation ? input : existing);
+  if (error) return { error };
+  return { audience, label: input.audience ? await describeAudience(audience) : input.designation || existing.designation };
+}
+
+/**
+ * Validates schedule input from the API. Resolves to { error } or { fields } ready to store.
+ */
+async function buildSchedule(input, existing = {}) {
+  const merged = { ...existing, ...input };
+  const recurrence = { ...(existing.recurrence || {}), ...(input.recurrence || {}) };
+  const type = recurrence.type || 'once';
+
+  const { error: audienceError, audience, label } = await scheduleAudience(input, existing);
+  if (audienceError) return { error: audienceError };
+  if (!merged.templateId) return { error: 'A saved template is required for scheduled campaigns' };
+  if (!RECURRENCE_TYPES.includes(type)) return { error: `Unknown recurrence: ${type}` };
+  const template = await db.getTemplate(merged.templateId);
+  if (!template) return { error: 'Template not found' };
+
+  const weekdays = (recurrence.weekdays || []).map(Number).filter(d => d >= 0 && d <= 6);
+  const dates = (recurrence.dates || []).map(d => new Date(d)).filter(d => !isNaN(d));
+  if (type === 'weekly' && weekdays.length === 0) return { error: 'Pick at least one weekday' };
+  if (type === 'dates' && dates.length === 0) return { error: 'Add at least one date' };
+  if (merged.emailTemplateId && !(await db.getEmailTemplate(merged.emailTemplateId))) {
+    return { error: 'Email template not found' };
+  }
+  if (merged.outputProfiles && merged.outputProfiles.length > 0) {
+    const { error } = resolveOutputProfiles(merged.outputProfiles);
+    if (error) return { error };
+  }
+
+  const scheduledAtInput = merged.scheduledAt || existing.nextRunAt;
+  const scheduledAt = scheduledAtInput ? new Date(scheduledAtInput) : null;
+  if (type !== 'dates' && (!scheduledAt || isNaN(scheduledAt))) return { error: 'A valid scheduledAt time is required' };
+
+  const fields = {
+    name: merged.name || '',
+    audience,
+    designation: label,
+    templateId: template.id,
+    templateName: template.name,
+    recurrence: { type, weekdays, dates },
+    utcOffsetMinutes: Number(merged.utcOffsetMinutes) || 0,
+    outputProfiles: merged.outputProfiles,
+    emailTemplateId: merged.emailTemplateId || undefined
+  };
+  // Allow a minute of slack so "now" from the browser is still accepted
+  const nextRunAt = nextRunAfter(fields, scheduledAt, new Date(Date.now() - 60 * 1000));
+  if (!nextRunAt) return { error: 'The schedule has no upcoming run' };
+
+  return { fields: { ...fields, nextRunAt, status: 'active' } };
+}
+
+async function runSchedule(schedule, now) {
+  const nextRunAt = nextRunAfter(schedule, schedule.nextRunAt, now);
+
+  // Claim this run by moving nextRunAt forward; if another instance already did, skip it
+  const claimed = await db.Schedule.findOneAndUpdate(
+    { id: schedule.id, status: 'active', nextRunAt: schedule.nextRunAt },
+    { nextRunAt, status: nextRunAt ? 'active' : 'completed', lastRunAt: now, $inc: { runs: 1 } },
+    { new: true }
+  ).lean();
+  if (!claimed) return;
+
+  try {
+    const template = await db.getTemplate(schedule.templateId);
+    if (!template) throw new Error('Template not found');
+    const audience = schedule.audience || await audienceFromDesignation(schedule.designation);
+    if (!audience) throw new Error(`No designation or team called "${schedule.designation}"`);
+    const campaign = await launchCampaign({
+      audience,
+      designation: schedule.designation,
+      templateId: template.id,
+      templateName: template.name,
+      outputProfiles: schedule.outputProfiles,
+      emailTemplateId: schedule.emailTemplateId,
+      scheduleId: schedule.id
+    });
+    if (!campaign) throw new Error(`No recipients found for ${schedule.designation}`);
+    await db.updateSchedule(schedule.id, { lastCampaignId: campaign.id, $unset: { lastError: 1 } });
+    console.log(`⏰ Scheduled campaign ${schedule.id} started campaign ${campaign.id}`);
+  } catch (err) {
+    console.error(`Scheduled campaign ${schedule.id} failed to start:`, err.message);
+    await db.updateSchedule(schedule.id, { lastError: err.message });
+  }
+}
+
+/**
+ * Starts a campaign for every active schedule whose next run is due.
+ */
+async function runDueSchedules(now = new Date()) {
+  const due = await db.Schedule.find({ status: 'active', nextRunAt: { $lte: now } }).lean();
+  for (const schedule of due) {
+    await runSchedule(schedule, now);
+  }
+  return due.length;
+}
+
+function startScheduler() {
+  if (timer) return;
+  const tick = () => runDueSchedules().catch(err => console.error('Scheduler tick failed:', err.message));
+  timer = setInterval(tick, TICK_INTERVAL_MS);
+  tick();
+}
+
+module.exports = {
+  nextRunAfter,
+  buildSchedule,
+  runDueSchedules,
+  startScheduler,
+};
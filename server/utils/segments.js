@@ -0,0 +1,58 @@
+const db = require('../db');
+const { normalizeAudience, segmentQuery } = require('./audience');
+
+const SEGMENT_TYPES = ['static', 'dynamic'];
+
+const cleanName = (name) => String(name || '').trim().replace(/\s+/g, ' ');
+
+/**
+ * Validates segment input from the API, merged over `existing` when editing.
+ * A static segment needs `memberIds` of existing members; a dynamic one needs audience `rules` (see utils/audience.js),
+ * which may not refer to other segments. Resolves to { fields } ready to store, or { error }.
+ */
+async function buildSegment(input, existing = {}) {
+  const merged = { ...existing, ...input };
+  const name = cleanName(merged.name);
+  if (!name) return { error: 'Segment name is required' };
+  const clash = await db.Segment.findOne({ key: name.toLowerCase() }).lean();
+  if (clash && clash.id !== existing.id) return { error: `Segment "${name}" already exists` };
+  if (!SEGMENT_TYPES.includes(merged.type)) return { error: `Unknown segment type: ${merged.type}` };
+
+  const fields = { name, key: name.toLowerCase(), description: String(merged.description || '').trim(), type: merged.type };
+  if (merged.type === 'static') {
+    // Members deleted since the segment was saved drop out of it
+    const requested = Array.isArray(merged.memberIds) ? merged.memberIds.map(String) : [];
+    const memberIds = (await db.User.find({ id: { $in: requested } }, { id: 1 }).lean()).map(u => u.id);
+    if (memberIds.length === 0) return { error: 'Add at least one member to the segment' };
+    return { fields: { ...fields, memberIds } };
+  }
+
+  const { error, audience } = await normalizeAudience(merged.rules, { allowSegments: false });
+  if (error) return { error };
+  return { fields: { ...fields, rules: audience } };
+}
+
+/**
+ * Stored segments with how many members each currently matches.
+ */
+async function listSegments() {
+  const segments = await db.listSegments();
+  return await Promise.all(segments.map(async (segment) => ({
+    ...segment,
+    memberCount: await db.User.countDocuments(segmentQuery(segment))
+  })));
+}
+
+// Active schedules resolve their audience on every run, so a segment they use can't be deleted
+async function deleteSegment(id) {
+  const segment = await db.getSegment(id);
+  if (!segment) return { error: 'Segment not found', status: 404 };
+  const schedules = await db.Schedule.countDocuments({ status: 'active', 'audience.segmentIds': id });
+  if (schedules > 0) {
+    return { error: `Segment "${segment.name}" is used by ${schedules} active schedule${schedules === 1 ? '' : 's'}`, status: 409 };
+  }
+  await db.deleteSegment(id);
+  return { segment };
+}
+
+module.exports = { SEGMENT_TYPES, buildSegment, listSegments, deleteSegment };
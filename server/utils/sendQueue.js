@@ -0,0 +1,160 @@
+const mongoose = require('mongoose');
+
+const db = require('../db');
+const { getTransport, verifyTransport, closeTransport } = require('./mailTransport');
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+// Gmail allows ~500 recipients a day for personal accounts; stay a little under by default
+const PER_MINUTE = Number(process.env.EMAIL_RATE_PER_MINUTE) || 20;
+const PER_DAY = Number(process.env.EMAIL_RATE_PER_DAY) || 450;
+const BACKOFF_BASE_MS = Number(process.env.EMAIL_BACKOFF_MS) || 30 * 1000;
+const BACKOFF_MAX_MS = 15 * MINUTE_MS;
+const MAX_TEMPORARY_RETRIES = Number(process.env.EMAIL_MAX_RETRIES) || 5;
+// How long the pooled connection stays open once the queue is empty. Campaigns only queue a few
+// messages ahead, so the queue empties between sends; closing straight away would reconnect every time.
+const TRANSPORT_IDLE_MS = Number(process.env.EMAIL_TRANSPORT_IDLE_MS) || 2 * MINUTE_MS;
+
+// Messages waiting to go out: { mailOptions, resolve, reject, retries }
+const queue = [];
+let processing = false;
+let sending = false;
+// Send times within the last 24 hours, oldest first; loaded from EmailSendLog on first use
+let sentTimes = null;
+let lastSentAt = 0;
+let consecutiveTemporaryFailures = 0;
+let backoffUntil = 0;
+let waitingFor = null;
+let resumeAt = null;
+let idleTimer = null;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// 4xx SMTP replies (and dropped connections) are worth retrying later; 5xx are permanent
+function isTemporaryFailure(err) {
+  if (err.responseCode >= 400 && err.responseCode < 500) return true;
+  return ['ECONNECTION', 'ETIMEDOUT', 'ESOCKET'].includes(err.code);
+}
+
+async function loadSentTimes() {
+  if (sentTimes) return;
+  if (mongoose.connection.readyState !== 1) {
+    sentTimes = [];
+    return;
+  }
+  const recent = await db.EmailSendLog.find({ sentAt: { $gt: new Date(Date.now() - DAY_MS) } }, { sentAt: 1 }).sort({ sentAt: 1 }).lean();
+  sentTimes = recent.map(r => r.sentAt.getTime());
+}
+
+async function recordSend(now) {
+  sentTimes.push(now);
+  lastSentAt = now;
+  try {
+    await db.EmailSendLog.create({ sentAt: new Date(now) });
+  } catch (e) {
+    // The in-memory count still applies; only a restart would forget this send
+  }
+}
+
+/**
+ * Returns { at, reason } when the next send has to wait, or null when it can go now.
+ * Sends are spaced evenly across the minute so bursts never hit the provider.
+ */
+function nextSlot(now) {
+  while (sentTimes.length > 0 && sentTimes[0] <= now - DAY_MS) sentTimes.shift();
+
+  if (sentTimes.length >= PER_DAY) return { at: sentTimes[0] + DAY_MS, reason: 'daily limit' };
+  if (backoffUntil > now) return { at: backoffUntil, reason: 'provider backoff' };
+  const spacing = MINUTE_MS / PER_MINUTE;
+  if (lastSentAt + spacing > now) return { at: lastSentAt + spacing, reason: 'per-minute limit' };
+  return null;
+}
+
+async function processQueue() {
+  if (processing) return;
+  processing = true;
+  clearTimeout(idleTimer);
+  try {
+    await loadSentTimes();
+    while (queue.length > 0) {
+      const wait = nextSlot(Date.now());
+      if (wait) {
+        waitingFor = wait.reason;
+        resumeAt = new Date(wait.at);
+        // Messages carry over: they stay queued until the window reopens
+        await sleep(Math.max(0, wait.at - Date.now()));
+        continue;
+      }
+      waitingFor = null;
+      resumeAt = null;
+
+      const job = queue.shift();
+      sending = true;
+      try {
+        await verifyTransport();
+        const info = await getTransport().sendMail(job.mailOptions);
+        await recordSend(Date.now());
+        consecutiveTemporaryFailures = 0;
+        job.resolve(info);
+      } catch (err) {
+        if (isTemporaryFailure(err) && job.retries < MAX_TEMPORARY_RETRIES) {
+          job.retries += 1;
+          consecutiveTemporaryFailures += 1;
+          const delay = Math.min(BACKOFF_MAX_MS, BACKOFF_BASE_MS * 2 ** (consecutiveTemporaryFailures - 1));
+          backoffUntil = Date.now() + delay;
+          console.warn(`⏳ Temporary email failure (${err.responseCode || err.code}), backing off ${Math.round(delay / 1000)}s:`, err.message);
+          queue.unshift(job);
+        } else {
+          job.reject(err);
+        }
+      } finally {
+        sending = false;
+      }
+    }
+  } catch (err) {
+    // Nothing can be sent (e.g. the send log could not be read); fail the waiting messages
+    // so their campaigns record the failure instead of waiting forever
+    queue.splice(0).forEach(job => job.reject(err));
+    throw err;
+  } finally {
+    processing = false;
+    waitingFor = null;
+    resumeAt = null;
+    // Release pooled connections once no mail has been queued for a while
+    idleTimer = setTimeout(closeTransport, TRANSPORT_IDLE_MS);
+    idleTimer.unref();
+  }
+}
+
+/**
+ * Queues a message for the transport. Resolves with the transport's result once it is sent,
+ * or rejects on a permanent failure (or after repeated temporary ones).
+ */
+function queueMail(mailOptions) {
+  return new Promise((resolve, reject) => {
+    queue.push({ mailOptions, resolve, reject, retries: 0 });
+    processQueue().catch(err => console.error('Email queue failed:', err));
+  });
+}
+
+/**
+ * Current queue depth and how much of the sending allowance has been used.
+ */
+function getQueueStats(now = Date.now()) {
+  const times = sentTimes || [];
+  return {
+    depth: queue.length + (sending ? 1 : 0),
+    sentLastMinute: times.filter(t => t > now - MINUTE_MS).length,
+    sentLast24Hours: times.filter(t => t > now - DAY_MS).length,
+    perMinuteLimit: PER_MINUTE,
+    perDayLimit: PER_DAY,
+    waitingFor,
+    resumeAt,
+  };
+}
+
+module.exports = {
+  queueMail,
+  getQueueStats,
+};
@@ -0,0 +1,40 @@
+const fs = require('fs');
+const path = require('path');
+
+const { saveBufferToGCS, readFromGCS, deleteFromGCS } = require('./gcs');
+
+// Where saved files (poster templates, thumbnails) live. STORAGE_BACKEND=gcs keeps them in the
+// GCS bucket so they survive Cloud Run restarts; the default local backend writes under server/storage.
+const STORAGE_BACKEND = (process.env.STORAGE_BACKEND || 'local').toLowerCase();
+const LOCAL_STORAGE_DIR = process.env.LOCAL_STORAGE_DIR || path.join(__dirname, '../storage');
+
+const localStorage = {
+  async put(key, buffer) {
+    const dest = path.join(LOCAL_STORAGE_DIR, key);
+    await fs.promises.mkdir(path.dirname(dest), { recursive: true });
+    await fs.promises.writeFile(dest, buffer);
+    return key;
+  },
+  async get(key) {
+    return await fs.promises.readFile(path.join(LOCAL_STORAGE_DIR, key));
+  },
+  async remove(key) {
+    try { await fs.promises.unlink(path.join(LOCAL_STORAGE_DIR, key)); } catch (e) { /* ignore */ }
+  },
+};
+
+const gcsStorage = {
+  async put(key, buffer, contentType) {
+    return await saveBufferToGCS(key, buffer, contentType);
+  },
+  async get(key) {
+    return await readFromGCS(key);
+  },
+  async remove(key) {
+    await deleteFromGCS(key);
+  },
+};
+
+const storage = STORAGE_BACKEND === 'gcs' ? gcsStorage : localStorage;
+
+module.exports = storage;
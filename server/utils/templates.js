@@ -0,0 +1,93 @@
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+
+const db = require('../db');
+const storage = require('./storage');
+const { PLACEMENT_MODES } = require('./image');
+
+const THUMBNAIL_WIDTH = 320;
+
+// Accepts "diwali, festival ,Diwali" or an array and returns unique, trimmed, lower-case tags
+function normalizeTags(tags) {
+  const list = Array.isArray(tags) ? tags : String(tags || '').split(',');
+  return [...new Set(list.map(t => String(t).trim().toLowerCase()).filter(Boolean))];
+}
+
+/**
+ * Validates footer placement input (an object, or a JSON string from a multipart form).
+ * Returns { error } or { placement } ready to store; region values are fractions of the template.
+ */
+function normalizePlacement(input) {
+  let placement = input;
+  if (typeof placement === 'string') {
+    try {
+      placement = JSON.parse(placement);
+    } catch (e) {
+      return { error: 'Placement must be valid JSON' };
+    }
+  }
+  if (!placement || typeof placement !== 'object') return { error: 'Placement must be an object' };
+
+  const mode = placement.mode || 'below';
+  if (!PLACEMENT_MODES.includes(mode)) return { error: `Placement mode must be one of ${PLACEMENT_MODES.join(', ')}` };
+  if (mode === 'above' || mode === 'below') return { placement: { mode } };
+
+  if (mode === 'side') {
+    const widthRatio = placement.widthRatio === undefined ? 0.3 : Number(placement.widthRatio);
+    if (!(widthRatio >= 0.1 && widthRatio <= 1)) return { error: 'Side panel width must be between 0.1 and 1' };
+    return { placement: { mode, side: placement.side === 'left' ? 'left' : 'right', widthRatio } };
+  }
+
+  const region = placement.region || {};
+  const [x, y, width, height] = ['x', 'y', 'width', 'height'].map(key => Number(region[key]));
+  if (![x, y, width, height].every(v => v >= 0 && v <= 1)) {
+    return { error: 'Overlay region values must be fractions between 0 and 1' };
+  }
+  if (width < 0.1 || height < 0.05 || x + width > 1 || y + height > 1) {
+    return { error: 'Overlay region must lie inside the template and be at least 10% wide and 5% tall' };
+  }
+  return { placement: { mode, region: { x, y, width, height } } };
+}
+
+/**
+ * Stores an uploaded template image plus a JPEG thumbnail and records it in the library.
+ */
+async function saveTemplate({ filePath, mimeType, name, tags, footerLayoutId, placement }) {
+  const id = Date.now().toString();
+  const image = await fs.promises.readFile(filePath);
+  const { width, height } = await sharp(image).metadata();
+  const thumbnail = await sharp(image).resize({ width: THUMBNAIL_WIDTH }).jpeg({ quality: 80 }).toBuffer();
+
+  const imageKey = `templates/${id}/original`;
+  const thumbnailKey = `templates/${id}/thumbnail.jpeg`;
+  await storage.put(imageKey, image, mimeType);
+  await storage.put(thumbnailKey, thumbnail, 'image/jpeg');
+
+  return await db.createTemplate({ id, name, tags: normalizeTags(tags), imageKey, thumbnailKey, mimeType, width, height, footerLayoutId, placement });
+}
+
+async function removeTemplate(template) {
+  await storage.remove(template.imageKey);
+  if (template.thumbnailKey) await storage.remove(template.thumbnailKey);
+  await db.deleteTemplate(template.id);
+}
+
+/**
+ * Copies a library template to a local file so sharp can read it while rendering.
+ */
+async function materializeTemplate(templateId, destPath) {
+  const template = await db.getTemplate(templateId);
+  if (!template) throw new Error(`Template ${templateId} not found`);
+  await fs.promises.mkdir(path.dirname(destPath), { recursive: true });
+  await fs.promises.writeFile(destPath, await storage.get(template.imageKey));
+  return destPath;
+}
+
+module.exports = {
+  normalizeTags,
+  normalizePlacement,
+  saveTemplate,
+  removeTemplate,
+  materializeTemplate,
+};
@@ -0,0 +1,107 @@
+// Checks that every API route outside the public list rejects callers without an admin session,
+// that the old ?isAdmin=true bypass is gone, and that roles are enforced.
+//
+//   node utils/test-auth-guards.js
+//
+// Runs against the Express app in-process on a random port; no database is needed because
+// admin sessions are looked up through patched model methods.
+const axios = require('axios');
+const crypto = require('crypto');
+const signature = require('cookie-signature');
+
+const db = require('../db');
+const app = require('../server');
+
+// Routes anyone may call; everything else must answer 401 without a session
+const PUBLIC_ROUTES = new Set([
+  'POST /api/register',
+  'GET /api/posters/print',
+  'POST /api/member/login',
+  'POST /api/member/verify',
+  'POST /api/member/logout',
+  'GET /api/delivery-channels',
+  'GET /api/designations',
+  'GET /api/teams',
+  'GET /api/output-profiles',
+  'POST /api/admin-login',
+  'GET /api/admin-auth',
+  'POST /api/admin/logout',
+  'GET /api/ping',
+]);
+
+const COOKIE_SECRET = process.env.ADMIN_TOKEN_SECRET || 'supersecret';
+
+function listRoutes() {
+  const routes = [];
+  for (const layer of app._router.stack) {
+    if (!layer.route) continue;
+    for (const method of Object.keys(layer.route.methods)) {
+      routes.push({ method: method.toUpperCase(), path: layer.route.path });
+    }
+  }
+  return routes;
+}
+
+// Fills in route params, e.g. /api/templates/:id/:variant(image|thumbnail) -> /api/templates/x/image
+const samplePath = (routePath) => routePath.replace(/:(\w+)\(([^|)]+)[^)]*\)/g, '$2').replace(/:\w+/g, 'x');
+
+// Signed session cookie for a fake admin with the given role
+function sessionCookie(role) {
+  const token = crypto.randomBytes(16).toString('hex');
+  const tokenHash = crypto.createHash('sha256').update(token).digest('hex');
+  const admin = { id: `test-${role}`, username: `test-${role}`, role };
+  const lean = (value) => ({ lean: async () => value });
+  db.AdminSession.findOne = (query) => lean(query.tokenHash === tokenHash ? { adminId: admin.id, expiresAt: new Date(Date.now() + 60000) } : null);
+  db.AdminUser.findOne = (query) => lean(query.id === admin.id ? admin : null);
+  return `admin_token=${encodeURIComponent(`s:${signature.sign(token, COOKIE_SECRET)}`)}`;
+}
+
+async function runCheck() {
+  const server = app.listen(0);
+  const client = axios.create({ baseURL: `http://127.0.0.1:${server.address().port}`, validateStatus: () => true });
+  let ok = true;
+  const check = (label, passed, detail = '') => {
+    console.log(`${passed ? '✅' : '❌'} ${label}${detail ? `: ${detail}` : ''}`);
+    if (!passed) ok = false;
+  };
+
+  try {
+    const guarded = listRoutes().filter(r => r.path.startsWith('/api/') && !PUBLIC_ROUTES.has(`${r.method} ${r.path}`));
+    const open = [];
+    for (const route of guarded) {
+      const res = await client.request({ method: route.method, url: samplePath(route.path) });
+      if (res.status !== 401) open.push(`${route.method} ${route.path} -> ${res.status}`);
+    }
+    check(`${guarded.length} guarded routes reject anonymous callers`, open.length === 0, open.join(', '));
+
+    const bypass = await client.get('/api/campaigns?isAdmin=true');
+    check('?isAdmin=true is not accepted', bypass.status === 401, String(bypass.status));
+
+    const forged = await client.get('/api/users', { headers: { Cookie: 'admin_token=not-a-signed-token' } });
+    check('unsigned admin cookie is rejected', forged.status === 401, String(forged.status));
+
+    let cookie = sessionCookie('viewer');
+    const me = await client.get('/api/admin-auth', { headers: { Cookie: cookie } });
+    check('viewer session is recognised', me.status === 200 && me.data.admin.role === 'viewer', String(me.status));
+    const viewerSend = await client.post('/api/send-posters', {}, { headers: { Cookie: cookie } });
+    check('viewer cannot send posters', viewerSend.status === 403, String(viewerSend.status));
+    const viewerEdit = await client.put('/api/users/x', {}, { headers: { Cookie: cookie } });
+    check('viewer cannot edit members', viewerEdit.status === 403, String(viewerEdit.status));
+
+    cookie = sessionCookie('campaign-sender');
+    const senderDelete = await client.delete('/api/users/x', { headers: { Cookie: cookie } });
+    check('campaign sender cannot delete members', senderDelete.status === 403, String(senderDelete.status));
+    const senderAccounts = await client.get('/api/admin/accounts', { headers: { Cookie: cookie } });
+    check('campaign sender cannot manage admin accounts', senderAccounts.status === 403, String(senderAccounts.status));
+    const senderSend = await client.post('/api/send-posters', {}, { headers: { Cookie: cookie } });
+    check('campaign sender gets past the guard on send-posters', senderSend.status !== 401 && senderSend.status !== 403, String(senderSend.status));
+  } finally {
+    server.close();
+  }
+  process.exitCode = ok ? 0 : 1;
+}
+
+runCheck().catch(err => {
+  console.error('❌ Auth guard check failed:', err);
+  process.exitCode = 1;
+});
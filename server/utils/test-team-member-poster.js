@@ -0,0 +1,37 @@
+const fs = require('fs');
+const path = require('path');
+const { createFinalPoster } = require('./image');
+
+// A member who is only in a team has no designation; the poster must still render with the team as the role
+async function testTeamMemberPoster() {
+  console.log('=== Rendering a poster for a team-only member ===');
+
+  const outputPath = path.join(__dirname, '../output/test_team_member.jpeg');
+  fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+
+  const teamMember = {
+    name: 'Team Member',
+    designation: '',
+    teamName: 'Chennai',
+    phone: '1234567890',
+    photo: path.join(__dirname, '../assets/logo.png'), // use logo as dummy photo
+    email: 'team@example.com'
+  };
+
+  try {
+    await createFinalPoster({
+      templatePath: path.join(__dirname, '../assets/ABCD.jpg'),
+      person: teamMember,
+      logoPath: path.join(__dirname, '../assets/logo.png'),
+      outputPath
+    });
+    console.log('✅ Team-only member poster created at:', outputPath);
+  } catch (error) {
+    console.error('❌ Team-only member poster failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    try { fs.unlinkSync(outputPath); } catch (e) { /* ignore */ }
+  }
+}
+
+testTeamMemberPoster();
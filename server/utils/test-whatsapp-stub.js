@@ -0,0 +1,115 @@
+// Local stand-in for the WhatsApp Business Cloud API, plus a check of utils/whatsapp.js against it.
+//
+//   node utils/test-whatsapp-stub.js          sends a poster through the adapter and checks what the stub received
+//   node utils/test-whatsapp-stub.js --serve  keeps the stub running for a manual campaign; point the server at it with
+//                                             WHATSAPP_API_URL=http://localhost:4010 WHATSAPP_TOKEN=stub-token WHATSAPP_PHONE_NUMBER_ID=1234
+//
+// Numbers ending in 0000 are rejected the way the real API rejects undeliverable recipients.
+const express = require('express');
+const multer = require('multer');
+const path = require('path');
+
+const STUB_TOKEN = 'stub-token';
+const STUB_PHONE_NUMBER_ID = '1234';
+
+function createStubServer() {
+  const app = express();
+  const upload = multer({ storage: multer.memoryStorage() });
+  const media = new Map();
+  const messages = [];
+
+  const graphError = (res, status, message, code) => res.status(status).json({ error: { message, type: 'OAuthException', code } });
+
+  app.use((req, res, next) => {
+    if (req.headers.authorization !== `Bearer ${STUB_TOKEN}`) return graphError(res, 401, 'Invalid OAuth access token.', 190);
+    next();
+  });
+
+  app.post('/:version/:phoneNumberId/media', upload.single('file'), (req, res) => {
+    if (req.body.messaging_product !== 'whatsapp') return graphError(res, 400, 'messaging_product is required', 100);
+    if (!req.file) return graphError(res, 400, 'file is required', 100);
+    const id = `media_${media.size + 1}`;
+    media.set(id, { type: req.body.type, size: req.file.size, filename: req.file.originalname });
+    res.json({ id });
+  });
+
+  app.post('/:version/:phoneNumberId/messages', express.json(), (req, res) => {
+    const message = req.body;
+    if (message.messaging_product !== 'whatsapp') return graphError(res, 400, 'messaging_product is required', 100);
+    if (!/^\d{11,15}$/.test(message.to || '')) return graphError(res, 400, 'Invalid parameter: to', 100);
+    if (message.to.endsWith('0000')) return graphError(res, 400, '(#131026) Message undeliverable', 131026);
+
+    const mediaId = message.type === 'image'
+      ? message.image && message.image.id
+      : message.template.components[0].parameters[0].image.id;
+    if (!media.has(mediaId)) return graphError(res, 400, `Unknown media id: ${mediaId}`, 100);
+
+    const id = `wamid.stub${messages.length + 1}`;
+    messages.push({ id, phoneNumberId: req.params.phoneNumberId, ...message, media: media.get(mediaId) });
+    res.json({ messaging_product: 'whatsapp', contacts: [{ input: message.to, wa_id: message.to }], messages: [{ id }] });
+  });
+
+  return { app, messages };
+}
+
+async function runCheck() {
+  const { app, messages } = createStubServer();
+  const server = app.listen(0);
+  const { port } = server.address();
+  process.env.WHATSAPP_API_URL = `http://127.0.0.1:${port}`;
+  process.env.WHATSAPP_TOKEN = STUB_TOKEN;
+  process.env.WHATSAPP_PHONE_NUMBER_ID = STUB_PHONE_NUMBER_ID;
+  delete process.env.WHATSAPP_TEMPLATE_NAME;
+
+  const { sendWhatsAppPoster, toWhatsAppNumber } = require('./whatsapp');
+  const imagePath = path.join(__dirname, '../assets/ABCD.jpg');
+  let ok = true;
+  const check = (label, passed, detail = '') => {
+    console.log(`${passed ? '✅' : '❌'} ${label}${detail ? `: ${detail}` : ''}`);
+    if (!passed) ok = false;
+  };
+
+  try {
+    check('local number gets the country code', toWhatsAppNumber('98765 43210') === '919876543210');
+    check('short numbers are rejected', toWhatsAppNumber('12345') === null);
+
+    const sent = await sendWhatsAppPoster({ phone: '9876543210', imagePath, caption: 'Your poster', name: 'Test' });
+    const received = messages[messages.length - 1];
+    check('image message delivered', Boolean(sent.messageId) && received.type === 'image' && received.to === '919876543210', sent.messageId);
+    check('poster uploaded as media', received.media.size > 0 && received.media.type === 'image/jpeg', received.media.filename);
+
+    process.env.WHATSAPP_TEMPLATE_NAME = 'poster_ready';
+    await sendWhatsAppPoster({ phone: '+91 98765 43211', imagePath, name: 'Test', language: 'ta' });
+    const templated = messages[messages.length - 1];
+    check('template message carries the poster header', templated.type === 'template' && templated.template.language.code === 'ta');
+    delete process.env.WHATSAPP_TEMPLATE_NAME;
+
+    try {
+      await sendWhatsAppPoster({ phone: '9876500000', imagePath, caption: 'x' });
+      check('undeliverable number fails', false, 'no error thrown');
+    } catch (err) {
+      check('undeliverable number fails', /undeliverable/.test(err.message), err.message);
+    }
+  } finally {
+    server.close();
+  }
+  process.exitCode = ok ? 0 : 1;
+}
+
+if (require.main === module) {
+  if (process.argv.includes('--serve')) {
+    const { app } = createStubServer();
+    const port = Number(process.env.WHATSAPP_STUB_PORT) || 4010;
+    app.listen(port, () => {
+      console.log(`WhatsApp stub listening on http://localhost:${port}`);
+      console.log(`Use WHATSAPP_API_URL=http://localhost:${port} WHATSAPP_TOKEN=${STUB_TOKEN} WHATSAPP_PHONE_NUMBER_ID=${STUB_PHONE_NUMBER_ID}`);
+    });
+  } else {
+    runCheck().catch(err => {
+      console.error('❌ WhatsApp stub check failed:', err);
+      process.exitCode = 1;
+    });
+  }
+}
+
+module.exports = { createStubServer };
@@ -0,0 +1,114 @@
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const FormData = require('form-data');
+
+const DEFAULT_API_URL = 'https://graph.facebook.com';
+const DEFAULT_API_VERSION = 'v20.0';
+
+// Read on every call so tests can point the adapter at the local stub (utils/test-whatsapp-stub.js)
+function config() {
+  return {
+    apiUrl: (process.env.WHATSAPP_API_URL || DEFAULT_API_URL).replace(/\/$/, ''),
+    apiVersion: process.env.WHATSAPP_API_VERSION || DEFAULT_API_VERSION,
+    token: process.env.WHATSAPP_TOKEN,
+    phoneNumberId: process.env.WHATSAPP_PHONE_NUMBER_ID,
+    // Approved message template with an image header; required to message members outside the 24h service window
+    templateName: process.env.WHATSAPP_TEMPLATE_NAME,
+    countryCode: process.env.WHATSAPP_DEFAULT_COUNTRY_CODE || '91',
+  };
+}
+
+function isWhatsAppConfigured() {
+  const { token, phoneNumberId } = config();
+  return Boolean(token && phoneNumberId);
+}
+
+/**
+ * Turns a stored phone number into the digits-only international form the Cloud API expects.
+ * Local 10-digit numbers get WHATSAPP_DEFAULT_COUNTRY_CODE. Returns null for anything unusable.
+ */
+function toWhatsAppNumber(phone) {
+  let digits = String(phone || '').replace(/\D/g, '');
+  if (digits.startsWith('00')) digits = digits.slice(2);
+  else if (digits.length === 11 && digits.startsWith('0')) digits = digits.slice(1);
+  if (digits.length === 10) digits = `${config().countryCode}${digits}`;
+  return digits.length >= 11 && digits.length <= 15 ? digits : null;
+}
+
+// Graph API errors carry the useful message in the response body
+function apiError(err, action) {
+  const detail = err.response && err.response.data && err.response.data.error;
+  const wrapped = new Error(`WhatsApp ${action} failed: ${detail ? detail.message : err.message}`);
+  wrapped.code = detail ? detail.code : err.code;
+  wrapped.status = err.response && err.response.status;
+  return wrapped;
+}
+
+async function uploadMedia(filePath, contentType) {
+  const { apiUrl, apiVersion, token, phoneNumberId } = config();
+  const form = new FormData();
+  form.append('messaging_product', 'whatsapp');
+  form.append('type', contentType);
+  form.append('file', fs.createReadStream(filePath), { filename: path.basename(filePath), contentType });
+
+  try {
+    const { data } = await axios.post(`${apiUrl}/${apiVersion}/${phoneNumberId}/media`, form, {
+      headers: { ...form.getHeaders(), Authorization: `Bearer ${token}` },
+      maxBodyLength: Infinity,
+    });
+    return data.id;
+  } catch (err) {
+    throw apiError(err, 'media upload');
+  }
+}
+
+async function postMessage(message) {
+  const { apiUrl, apiVersion, token, phoneNumberId } = config();
+  try {
+    const { data } = await axios.post(`${apiUrl}/${apiVersion}/${phoneNumberId}/messages`, { messaging_product: 'whatsapp', ...message }, {
+      headers: { Authorization: `Bearer ${token}` },
+    });
+    return data.messages && data.messages[0] ? data.messages[0].id : undefined;
+  } catch (err) {
+    throw apiError(err, 'message');
+  }
+}
+
+/**
+ * Sends a poster image to a member's WhatsApp number through the Business Cloud API.
+ * With WHATSAPP_TEMPLATE_NAME set the poster goes out as that template's header image (the member's
+ * name as the first body parameter); otherwise as a plain image message with `caption`.
+ * Resolves to { messageId, to }.
+ */
+async function sendWhatsAppPoster({ phone, imagePath, contentType = 'image/jpeg', caption, name, language = 'en' }) {
+  if (!isWhatsAppConfigured()) throw new Error('WhatsApp is not configured (set WHATSAPP_TOKEN and WHATSAPP_PHONE_NUMBER_ID)');
+  const to = toWhatsAppNumber(phone);
+  if (!to) throw new Error(`No valid WhatsApp number for phone "${phone || ''}"`);
+
+  const mediaId = await uploadMedia(imagePath, contentType);
+  const { templateName } = config();
+  const message = templateName
+    ? {
+      to,
+      type: 'template',
+      template: {
+        name: templateName,
+        language: { code: language },
+        components: [
+          { type: 'header', parameters: [{ type: 'image', image: { id: mediaId } }] },
+          { type: 'body', parameters: [{ type: 'text', text: name || '' }] },
+        ],
+      },
+    }
+    : { to, type: 'image', image: { id: mediaId, caption } };
+
+  return { messageId: await postMessage(message), to };
+}
+
+module.exports = {
+  isWhatsAppConfigured,
+  toWhatsAppNumber,
+  sendWhatsAppPoster,
+};